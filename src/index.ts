@@ -1,8 +1,40 @@
 import dotenv from 'dotenv';
-import { JiraMcpServer } from './mcp/server.js';
+import { HttpTransportConfig } from './mcp/http.js';
+import { JiraMcpServer, JiraTransport } from './mcp/server.js';
 
 dotenv.config();
 
+// Give in-flight requests this long to finish on SIGTERM/SIGINT before exiting anyway.
+const SHUTDOWN_TIMEOUT_MS = 10_000;
+
+type CliOptions = { transport: JiraTransport; http: Partial<HttpTransportConfig> };
+
+/** Reads `--transport stdio|http`, `--host <host>` and `--port <port>` (also as `--flag=value`). */
+function parseArgs(argv: string[]): CliOptions {
+  const options: CliOptions = { transport: 'stdio', http: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s, 2);
+    const value = () => inline ?? argv[++i];
+    if (flag === '--transport') {
+      const transport = value();
+      if (transport !== 'stdio' && transport !== 'http') {
+        throw new Error(`Invalid --transport "${transport}": expected stdio or http`);
+      }
+      options.transport = transport;
+    } else if (flag === '--host') {
+      options.http.host = value();
+    } else if (flag === '--port') {
+      const raw = value();
+      const port = Number(raw);
+      if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error(`Invalid --port "${raw}"`);
+      options.http.port = port;
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
 async function main(): Promise<void> {
   const logToStderr = (message: string, data?: unknown) => {
     const line = data ? `${message} ${JSON.stringify(data)}\n` : `${message}\n`;
@@ -15,13 +47,31 @@ async function main(): Promise<void> {
     JIRA_EMAIL: process.env.JIRA_EMAIL ? 'set' : 'not set',
     JIRA_API_TOKEN: process.env.JIRA_API_TOKEN ? 'set' : 'not set',
     JIRA_BEARER_TOKEN: process.env.JIRA_BEARER_TOKEN ? 'set' : 'not set',
+    JIRA_PAT: process.env.JIRA_PAT ? 'set' : 'not set',
+    JIRA_DEPLOYMENT: process.env.JIRA_DEPLOYMENT || 'cloud',
+    JIRA_PROFILES: process.env.JIRA_PROFILES ? 'set' : 'not set',
+    JIRA_PROFILES_FILE: process.env.JIRA_PROFILES_FILE || 'not set',
   });
 
-  const server = new JiraMcpServer();
+  let server: JiraMcpServer | undefined;
+
+  const shutdown = async (signal: string) => {
+    logToStderr(`jira-api-mcp-wrapper: ${signal} received, shutting down`);
+    setTimeout(() => process.exit(0), SHUTDOWN_TIMEOUT_MS).unref();
+    try {
+      await server?.close();
+    } finally {
+      process.exit(0);
+    }
+  };
+  process.on('SIGTERM', () => void shutdown('SIGTERM'));
+  process.on('SIGINT', () => void shutdown('SIGINT'));
 
   try {
-    await server.start();
-    logToStderr('jira-api-mcp-wrapper: ready');
+    const cli = parseArgs(process.argv.slice(2));
+    server = new JiraMcpServer();
+    const url = await server.start(cli.transport, cli.http);
+    logToStderr('jira-api-mcp-wrapper: ready', url ? { transport: cli.transport, url } : undefined);
   } catch (error) {
     const msg = error instanceof Error ? error.message : String(error);
     const stack = error instanceof Error ? error.stack : undefined;
@@ -31,9 +81,4 @@ async function main(): Promise<void> {
   }
 }
 
-process.on('SIGTERM', () => process.exit(0));
-process.on('SIGINT', () => process.exit(0));
-
 main().catch(() => process.exit(1));
-
-
@@ -10,14 +10,1515 @@ export function looksLikeAdfDoc(value: unknown): value is Partial<AdfDoc> {
   return v.type === 'doc' || v.version !== undefined || v.content !== undefined;
 }
 
+export type AdfValidationIssue = { field?: string; path: string; message: string };
+
+export class AdfValidationError extends Error {
+  public issues: AdfValidationIssue[];
+
+  constructor(message: string, issues: AdfValidationIssue[]) {
+    super(message);
+    this.name = 'AdfValidationError';
+    this.issues = issues;
+  }
+}
+
+const MAX_ISSUES_IN_MESSAGE = 10;
+
 export function assertValidAdfDoc(value: unknown, fieldNameForError: string): asserts value is AdfDoc {
+  const fail = (path: string, message: string): never => {
+    throw new AdfValidationError(`Field "${fieldNameForError}" ${message}`, [
+      { field: fieldNameForError, path, message },
+    ]);
+  };
   if (!value || typeof value !== 'object') {
-    throw new Error(`Field "${fieldNameForError}" was expected to be an ADF doc object, got ${typeof value}`);
+    fail('', `was expected to be an ADF doc object, got ${typeof value}`);
+  }
+  const v = value as Record<string, unknown>;
+  if (v.type !== 'doc') fail('type', 'ADF doc is missing type="doc"');
+  if (typeof v.version !== 'number') fail('version', 'ADF doc is missing numeric version');
+  if (!Array.isArray(v.content)) fail('content', 'ADF doc is missing array content');
+
+  const issues = validateAdfDoc(value).map((issue) => ({ field: fieldNameForError, ...issue }));
+  if (issues.length) {
+    const listed = issues
+      .slice(0, MAX_ISSUES_IN_MESSAGE)
+      .map((i) => `${i.path || '(root)'}: ${i.message}`)
+      .join('; ');
+    const more = issues.length > MAX_ISSUES_IN_MESSAGE ? `; …and ${issues.length - MAX_ISSUES_IN_MESSAGE} more` : '';
+    throw new AdfValidationError(
+      `Field "${fieldNameForError}" ADF doc is invalid (${issues.length} problem(s)): ${listed}${more}`,
+      issues
+    );
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Structural ADF validation
+//
+// Mirrors the Atlassian Document Format JSON schema closely enough to catch the
+// mistakes Jira would otherwise reject with an opaque 400: unknown node/mark
+// types, children that are not allowed in their parent, missing required attrs
+// and invalid mark combinations.
+// ---------------------------------------------------------------------------
+
+type AttrRule = {
+  required?: boolean;
+  oneOf?: readonly unknown[];
+  type?: 'string' | 'number' | 'boolean';
+  min?: number;
+  max?: number;
+  nonEmpty?: boolean;
+};
+
+type NodeSpec = {
+  content?: readonly string[];
+  minContent?: number;
+  firstChild?: readonly string[];
+  marks?: readonly string[];
+  attrs?: Record<string, AttrRule>;
+  // At least one of these attrs must be present (e.g. cards need url or data).
+  anyOfAttrs?: readonly string[];
+};
+
+type MarkSpec = { attrs?: Record<string, AttrRule> };
+
+const INLINE_NODES = [
+  'text',
+  'hardBreak',
+  'mention',
+  'emoji',
+  'date',
+  'status',
+  'inlineCard',
+  'mediaInline',
+  'placeholder',
+  'inlineExtension',
+] as const;
+
+const TEXT_MARKS = [
+  'strong',
+  'em',
+  'code',
+  'strike',
+  'underline',
+  'link',
+  'subsup',
+  'textColor',
+  'backgroundColor',
+  'annotation',
+] as const;
+
+const CELL_CONTENT = [
+  'paragraph',
+  'panel',
+  'blockquote',
+  'orderedList',
+  'bulletList',
+  'rule',
+  'heading',
+  'codeBlock',
+  'mediaGroup',
+  'mediaSingle',
+  'decisionList',
+  'taskList',
+  'blockCard',
+  'embedCard',
+  'extension',
+  'nestedExpand',
+] as const;
+
+const TOP_LEVEL_BLOCKS = [
+  'paragraph',
+  'heading',
+  'bulletList',
+  'orderedList',
+  'taskList',
+  'decisionList',
+  'codeBlock',
+  'blockquote',
+  'panel',
+  'rule',
+  'table',
+  'mediaSingle',
+  'mediaGroup',
+  'expand',
+  'blockCard',
+  'embedCard',
+  'extension',
+  'bodiedExtension',
+  'layoutSection',
+] as const;
+
+const LOCAL_ID: AttrRule = { required: true, type: 'string' };
+const EXTENSION_ATTRS: Record<string, AttrRule> = {
+  extensionKey: { required: true, type: 'string' },
+  extensionType: { required: true, type: 'string' },
+};
+
+const ADF_NODES: Record<string, NodeSpec> = {
+  doc: { content: TOP_LEVEL_BLOCKS },
+  paragraph: { content: INLINE_NODES, marks: ['alignment', 'indentation'] },
+  heading: {
+    content: INLINE_NODES,
+    marks: ['alignment', 'indentation'],
+    attrs: { level: { required: true, type: 'number', min: 1, max: 6 } },
+  },
+  bulletList: { content: ['listItem'], minContent: 1 },
+  orderedList: { content: ['listItem'], minContent: 1, attrs: { order: { type: 'number', min: 0 } } },
+  listItem: {
+    content: ['paragraph', 'bulletList', 'orderedList', 'codeBlock', 'mediaSingle', 'taskList'],
+    firstChild: ['paragraph', 'codeBlock', 'mediaSingle'],
+    minContent: 1,
+  },
+  taskList: { content: ['taskItem', 'taskList'], firstChild: ['taskItem'], minContent: 1, attrs: { localId: LOCAL_ID } },
+  taskItem: { content: INLINE_NODES, attrs: { localId: LOCAL_ID, state: { required: true, oneOf: ['TODO', 'DONE'] } } },
+  decisionList: { content: ['decisionItem'], minContent: 1, attrs: { localId: LOCAL_ID } },
+  decisionItem: { content: INLINE_NODES, attrs: { localId: LOCAL_ID, state: { required: true, type: 'string' } } },
+  codeBlock: { content: ['text'], marks: ['breakout'], attrs: { language: { type: 'string' } } },
+  blockquote: {
+    content: ['paragraph', 'bulletList', 'orderedList', 'codeBlock', 'mediaSingle', 'mediaGroup'],
+    minContent: 1,
+  },
+  panel: {
+    content: [
+      'paragraph',
+      'heading',
+      'bulletList',
+      'orderedList',
+      'taskList',
+      'decisionList',
+      'codeBlock',
+      'mediaSingle',
+      'mediaGroup',
+      'rule',
+      'blockCard',
+      'extension',
+    ],
+    minContent: 1,
+    attrs: { panelType: { required: true, oneOf: ['info', 'note', 'warning', 'success', 'error', 'tip', 'custom'] } },
+  },
+  rule: {},
+  table: {
+    content: ['tableRow'],
+    minContent: 1,
+    attrs: {
+      isNumberColumnEnabled: { type: 'boolean' },
+      layout: { oneOf: ['default', 'center', 'wide', 'full-width', 'align-start'] },
+    },
+  },
+  tableRow: { content: ['tableHeader', 'tableCell'], minContent: 1 },
+  tableHeader: {
+    content: CELL_CONTENT,
+    minContent: 1,
+    attrs: { colspan: { type: 'number', min: 1 }, rowspan: { type: 'number', min: 1 } },
+  },
+  tableCell: {
+    content: CELL_CONTENT,
+    minContent: 1,
+    attrs: { colspan: { type: 'number', min: 1 }, rowspan: { type: 'number', min: 1 } },
+  },
+  mediaSingle: { content: ['media', 'caption'], firstChild: ['media'], minContent: 1, marks: ['link'] },
+  mediaGroup: { content: ['media'], minContent: 1 },
+  media: {
+    marks: ['link', 'border', 'annotation'],
+    attrs: { type: { required: true, oneOf: ['file', 'link', 'external'] }, id: { type: 'string' }, url: { type: 'string' } },
+    anyOfAttrs: ['id', 'url'],
+  },
+  caption: { content: INLINE_NODES },
+  expand: { content: [...CELL_CONTENT.filter((t) => t !== 'nestedExpand')], minContent: 1, marks: ['breakout'], attrs: { title: { type: 'string' } } },
+  nestedExpand: {
+    content: ['paragraph', 'heading', 'mediaGroup', 'mediaSingle', 'codeBlock', 'bulletList', 'orderedList', 'taskList', 'decisionList', 'rule', 'panel', 'blockquote'],
+    minContent: 1,
+    attrs: { title: { type: 'string' } },
+  },
+  blockCard: { attrs: { url: { type: 'string' } }, anyOfAttrs: ['url', 'data'] },
+  embedCard: { attrs: { url: { required: true, type: 'string' }, layout: { required: true, type: 'string' } } },
+  extension: { marks: ['breakout'], attrs: EXTENSION_ATTRS },
+  bodiedExtension: { content: TOP_LEVEL_BLOCKS.filter((t) => t !== 'bodiedExtension' && t !== 'layoutSection'), marks: ['breakout'], attrs: EXTENSION_ATTRS },
+  layoutSection: { content: ['layoutColumn'], minContent: 1, marks: ['breakout'] },
+  layoutColumn: {
+    content: TOP_LEVEL_BLOCKS.filter((t) => t !== 'layoutSection'),
+    minContent: 1,
+    attrs: { width: { required: true, type: 'number', min: 0, max: 100 } },
+  },
+  text: { marks: TEXT_MARKS },
+  hardBreak: {},
+  mention: { attrs: { id: { required: true, type: 'string' }, text: { type: 'string' } }, marks: ['annotation'] },
+  emoji: { attrs: { shortName: { required: true, type: 'string' } }, marks: ['annotation'] },
+  date: { attrs: { timestamp: { required: true, type: 'string' } }, marks: ['annotation'] },
+  status: {
+    attrs: {
+      text: { required: true, type: 'string' },
+      color: { required: true, oneOf: ['neutral', 'purple', 'blue', 'red', 'yellow', 'green'] },
+    },
+    marks: ['annotation'],
+  },
+  inlineCard: { attrs: { url: { type: 'string' } }, anyOfAttrs: ['url', 'data'], marks: ['annotation'] },
+  mediaInline: { attrs: { id: { required: true, type: 'string' } }, marks: ['link', 'annotation', 'border'] },
+  placeholder: { attrs: { text: { required: true, type: 'string' } } },
+  inlineExtension: { attrs: EXTENSION_ATTRS, marks: ['annotation'] },
+};
+
+const ADF_MARKS: Record<string, MarkSpec> = {
+  strong: {},
+  em: {},
+  code: {},
+  strike: {},
+  underline: {},
+  link: { attrs: { href: { required: true, type: 'string', nonEmpty: true }, title: { type: 'string' } } },
+  subsup: { attrs: { type: { required: true, oneOf: ['sub', 'sup'] } } },
+  textColor: { attrs: { color: { required: true, type: 'string' } } },
+  backgroundColor: { attrs: { color: { required: true, type: 'string' } } },
+  annotation: { attrs: { id: { required: true, type: 'string' }, annotationType: { required: true, oneOf: ['inlineComment'] } } },
+  alignment: { attrs: { align: { required: true, oneOf: ['center', 'end'] } } },
+  indentation: { attrs: { level: { required: true, type: 'number', min: 1, max: 6 } } },
+  breakout: { attrs: { mode: { required: true, oneOf: ['wide', 'full-width'] } } },
+  border: { attrs: { size: { type: 'number', min: 1, max: 3 }, color: { type: 'string' } } },
+};
+
+// Marks that may be combined with `code` on the same text node.
+const CODE_COMPATIBLE_MARKS = new Set(['code', 'link', 'annotation']);
+
+function validateAttrs(
+  attrs: unknown,
+  rules: Record<string, AttrRule> | undefined,
+  path: string,
+  issues: AdfValidationIssue[]
+): void {
+  if (attrs !== undefined && (attrs === null || typeof attrs !== 'object' || Array.isArray(attrs))) {
+    issues.push({ path: `${path}.attrs`, message: 'attrs must be an object' });
+    return;
+  }
+  const values = (attrs ?? {}) as Record<string, unknown>;
+  for (const [name, rule] of Object.entries(rules ?? {})) {
+    const value = values[name];
+    const attrPath = `${path}.attrs.${name}`;
+    if (value === undefined || value === null) {
+      if (rule.required) issues.push({ path: attrPath, message: 'required attribute is missing' });
+      continue;
+    }
+    if (rule.type && typeof value !== rule.type) {
+      issues.push({ path: attrPath, message: `expected ${rule.type}, got ${typeof value}` });
+      continue;
+    }
+    if (rule.nonEmpty && typeof value === 'string' && !value.trim()) {
+      issues.push({ path: attrPath, message: 'must not be empty' });
+      continue;
+    }
+    if (rule.oneOf && !rule.oneOf.includes(value)) {
+      issues.push({ path: attrPath, message: `expected one of ${rule.oneOf.map((v) => JSON.stringify(v)).join(', ')}` });
+    }
+    if (typeof value === 'number' && ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max))) {
+      issues.push({ path: attrPath, message: `expected a number between ${rule.min ?? '-∞'} and ${rule.max ?? '∞'}` });
+    }
+  }
+}
+
+function validateMarks(marks: unknown, spec: NodeSpec, nodeType: string, path: string, issues: AdfValidationIssue[]): void {
+  if (marks === undefined) return;
+  if (!Array.isArray(marks)) {
+    issues.push({ path: `${path}.marks`, message: 'marks must be an array' });
+    return;
+  }
+  const seen = new Set<string>();
+  marks.forEach((mark, idx) => {
+    const markPath = `${path}.marks[${idx}]`;
+    if (!mark || typeof mark !== 'object' || typeof (mark as AdfMark).type !== 'string') {
+      issues.push({ path: markPath, message: 'mark must be an object with a string type' });
+      return;
+    }
+    const type = (mark as AdfMark).type;
+    const markSpec = ADF_MARKS[type];
+    if (!markSpec) {
+      issues.push({ path: markPath, message: `unknown mark type "${type}"` });
+      return;
+    }
+    if (!spec.marks?.includes(type)) {
+      issues.push({ path: markPath, message: `mark "${type}" is not allowed on ${nodeType}` });
+    }
+    if (seen.has(type)) issues.push({ path: markPath, message: `duplicate mark "${type}"` });
+    seen.add(type);
+    validateAttrs((mark as AdfMark).attrs, markSpec.attrs, markPath, issues);
+  });
+  if (seen.has('code')) {
+    const incompatible = [...seen].filter((t) => !CODE_COMPATIBLE_MARKS.has(t));
+    if (incompatible.length) {
+      issues.push({ path: `${path}.marks`, message: `mark "code" cannot be combined with ${incompatible.join(', ')}` });
+    }
+  }
+}
+
+function validateNode(node: unknown, path: string, issues: AdfValidationIssue[]): void {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    issues.push({ path, message: 'node must be an object' });
+    return;
+  }
+  const n = node as AdfNode;
+  if (typeof n.type !== 'string') {
+    issues.push({ path: `${path}.type`, message: 'node is missing string type' });
+    return;
+  }
+  const spec = ADF_NODES[n.type];
+  if (!spec) {
+    issues.push({ path: `${path}.type`, message: `unknown node type "${n.type}"` });
+    return;
+  }
+
+  validateAttrs(n.attrs, spec.attrs, path, issues);
+  if (spec.anyOfAttrs && !spec.anyOfAttrs.some((name) => n.attrs?.[name] !== undefined && n.attrs?.[name] !== null)) {
+    issues.push({ path: `${path}.attrs`, message: `one of ${spec.anyOfAttrs.join(', ')} is required` });
+  }
+  validateMarks(n.marks, spec, n.type, path, issues);
+
+  if (n.type === 'text') {
+    if (typeof n.text !== 'string' || n.text.length === 0) {
+      issues.push({ path: `${path}.text`, message: 'text node requires a non-empty string text' });
+    }
+    return;
+  }
+
+  if (n.content === undefined) {
+    if (spec.minContent) issues.push({ path: `${path}.content`, message: `${n.type} requires at least ${spec.minContent} child node(s)` });
+    return;
+  }
+  if (!Array.isArray(n.content)) {
+    issues.push({ path: `${path}.content`, message: 'content must be an array' });
+    return;
+  }
+  if (!spec.content) {
+    if (n.content.length) issues.push({ path: `${path}.content`, message: `${n.type} cannot have content` });
+    return;
+  }
+  if (spec.minContent && n.content.length < spec.minContent) {
+    issues.push({ path: `${path}.content`, message: `${n.type} requires at least ${spec.minContent} child node(s)` });
+  }
+
+  n.content.forEach((child, idx) => {
+    const childPath = `${path ? `${path}.` : ''}content[${idx}]`;
+    const childType = child && typeof child === 'object' ? (child as AdfNode).type : undefined;
+    if (typeof childType === 'string' && ADF_NODES[childType]) {
+      if (!spec.content!.includes(childType)) {
+        issues.push({ path: childPath, message: `node "${childType}" is not allowed inside ${n.type}` });
+      } else if (idx === 0 && spec.firstChild && !spec.firstChild.includes(childType)) {
+        issues.push({ path: childPath, message: `${n.type} must start with one of ${spec.firstChild.join(', ')}` });
+      }
+      if (n.type === 'codeBlock' && (child as AdfNode).marks?.length) {
+        issues.push({ path: `${childPath}.marks`, message: 'text inside codeBlock cannot have marks' });
+      }
+    }
+    validateNode(child, childPath, issues);
+  });
+}
+
+/**
+ * Validates an ADF document against the node/mark schema and returns every problem
+ * found, each with a JSON path relative to the doc (e.g. `content[2].content[0].marks[1]`).
+ * Returns an empty array for a valid document.
+ */
+export function validateAdfDoc(value: unknown): AdfValidationIssue[] {
+  const issues: AdfValidationIssue[] = [];
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return [{ path: '', message: 'ADF doc must be an object' }];
   }
   const v = value as Record<string, unknown>;
-  if (v.type !== 'doc') throw new Error(`Field "${fieldNameForError}" ADF doc is missing type="doc"`);
-  if (typeof v.version !== 'number') throw new Error(`Field "${fieldNameForError}" ADF doc is missing numeric version`);
-  if (!Array.isArray(v.content)) throw new Error(`Field "${fieldNameForError}" ADF doc is missing array content`);
+  if (v.type !== 'doc') issues.push({ path: 'type', message: 'expected type="doc"' });
+  if (v.version !== 1) issues.push({ path: 'version', message: 'expected version 1' });
+  if (!Array.isArray(v.content)) {
+    issues.push({ path: 'content', message: 'content must be an array' });
+    return issues;
+  }
+  validateNode({ ...v, type: 'doc' }, '', issues);
+  return issues;
+}
+
+export type AdfMark = { type: string; attrs?: Record<string, unknown> };
+
+export type AdfNode = {
+  type: string;
+  attrs?: Record<string, unknown>;
+  content?: AdfNode[];
+  marks?: AdfMark[];
+  text?: string;
+};
+
+// ---------------------------------------------------------------------------
+// Markdown -> ADF
+//
+// Parsing happens in two passes: block structure first (so link reference
+// definitions anywhere in the document are known), then inline content.
+// Covers CommonMark block/inline constructs plus GFM tables, task lists,
+// strikethrough and bare URL autolinks. Raw HTML is kept as literal text.
+// ---------------------------------------------------------------------------
+
+type MdBlock =
+  | { kind: 'paragraph'; text: string }
+  | { kind: 'heading'; level: number; text: string }
+  | { kind: 'code'; language?: string; text: string }
+  | { kind: 'rule' }
+  | { kind: 'quote'; children: MdBlock[] }
+  | { kind: 'list'; ordered: boolean; start: number; items: MdListItem[] }
+  | { kind: 'table'; header: string[]; rows: string[][] };
+
+type MdListItem = { task?: 'TODO' | 'DONE'; children: MdBlock[] };
+
+type MdInline =
+  | { kind: 'text'; text: string }
+  | { kind: 'code'; text: string }
+  | { kind: 'break' }
+  | { kind: 'marked'; mark: AdfMark; children: MdInline[] };
+
+type MdDelimiter = {
+  kind: 'delim';
+  char: string;
+  count: number;
+  origCount: number;
+  canOpen: boolean;
+  canClose: boolean;
+};
+
+type MdContext = { linkDefs: Map<string, string>; nextLocalId: number };
+
+const FENCE_RE = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+const FENCE_CLOSE_RE = /^ {0,3}(`{3,}|~{3,})[ \t]*$/;
+const ATX_RE = /^ {0,3}(#{1,6})(?=[ \t]|$)(.*)$/;
+const HR_RE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE_RE = /^ {0,3}> ?(.*)$/;
+const LIST_RE = /^( {0,3})([-+*]|\d{1,9}[.)])(?:( +)(.*))?$/;
+const SETEXT_RE = /^ {0,3}(=+|-+)[ \t]*$/;
+const TABLE_DELIM_RE = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const LINK_DEF_RE = /^ {0,3}\[((?:[^\]\\]|\\.)+)\]:[ \t]*<?([^\s>]+)>?(?:[ \t]+(?:"[^"]*"|'[^']*'|\([^)]*\)))?[ \t]*$/;
+const TASK_RE = /^\[([ xX])\](?:[ \t]+|$)(.*)$/;
+const ASCII_PUNCT_RE = /[!-/:-@[-`{-~]/;
+const ENTITIES: Record<string, string> = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function isBlank(line: string): boolean {
+  return /^[ \t]*$/.test(line);
+}
+
+function expandLeadingTabs(line: string): string {
+  const m = line.match(/^[ \t]+/);
+  if (!m || !m[0].includes('\t')) return line;
+  let col = 0;
+  for (const ch of m[0]) col = ch === '\t' ? col + 4 - (col % 4) : col + 1;
+  return ' '.repeat(col) + line.slice(m[0].length);
+}
+
+function indentWidth(line: string): number {
+  return line.length - line.trimStart().length;
+}
+
+function stripIndent(line: string, n: number): string {
+  return line.slice(Math.min(n, indentWidth(line)));
+}
+
+type ListMarker = { indent: number; marker: string; ordered: boolean; start: number; contentIndent: number; content: string };
+
+function matchListItem(line: string): ListMarker | null {
+  const m = line.match(LIST_RE);
+  if (!m) return null;
+  const [, indent, marker, spaces = '', rest = ''] = m;
+  const ordered = /\d/.test(marker);
+  // An empty item or one whose content starts as indented code gets a single space of padding.
+  const padding = rest === '' || spaces.length > 4 ? 1 : spaces.length;
+  const content = spaces.length > 4 ? spaces.slice(1) + rest : rest;
+  return {
+    indent: indent.length,
+    marker,
+    ordered,
+    start: ordered ? parseInt(marker, 10) : 1,
+    contentIndent: indent.length + marker.length + padding,
+    content,
+  };
+}
+
+function sameListType(a: ListMarker, b: ListMarker): boolean {
+  return a.ordered === b.ordered && a.marker.slice(-1) === b.marker.slice(-1);
+}
+
+function isFenceOpen(line: string): RegExpMatchArray | null {
+  const m = line.match(FENCE_RE);
+  if (!m) return null;
+  if (m[2][0] === '`' && m[3].includes('`')) return null;
+  return m;
+}
+
+// Lines that may interrupt a paragraph.
+function isBlockStart(line: string): boolean {
+  if (isBlank(line) || ATX_RE.test(line) || isFenceOpen(line) || HR_RE.test(line) || QUOTE_RE.test(line)) return true;
+  const item = matchListItem(line);
+  return !!item && item.content.trim() !== '' && (!item.ordered || item.start === 1);
+}
+
+function normalizeLabel(label: string): string {
+  return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function unescapeMarkdown(text: string): string {
+  return decodeEntities(text.replace(/\\([!-/:-@[-`{-~])/g, '$1'));
 }
 
+function decodeEntities(text: string): string {
+  return text.replace(/&(#\d{1,7}|#[xX][0-9a-fA-F]{1,6}|[a-zA-Z][a-zA-Z0-9]{1,31});/g, (whole, ent: string) => {
+    if (ent[0] === '#') {
+      const code = ent[1] === 'x' || ent[1] === 'X' ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '�';
+    }
+    return ENTITIES[ent] ?? whole;
+  });
+}
+
+function splitTableRow(line: string): string[] {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+  const cells: string[] = [];
+  let current = '';
+  let inCode = 0;
+  for (let i = 0; i < row.length; i++) {
+    const ch = row[i];
+    if (ch === '\\' && row[i + 1] === '|') {
+      current += '|';
+      i++;
+      continue;
+    }
+    if (ch === '`') {
+      let n = 1;
+      while (row[i + n] === '`') n++;
+      inCode = inCode === 0 ? n : inCode === n ? 0 : inCode;
+      current += row.slice(i, i + n);
+      i += n - 1;
+      continue;
+    }
+    if (ch === '|' && inCode === 0) {
+      cells.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  cells.push(current.trim());
+  return cells;
+}
+
+function parseBlocks(lines: string[], ctx: MdContext): MdBlock[] {
+  const blocks: MdBlock[] = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (isBlank(line)) {
+      i++;
+      continue;
+    }
+
+    const fence = isFenceOpen(line);
+    if (fence) {
+      const indent = fence[1].length;
+      const marker = fence[2];
+      const language = fence[3].trim().split(/\s+/)[0] || undefined;
+      const body: string[] = [];
+      i++;
+      while (i < lines.length) {
+        const close = lines[i].match(FENCE_CLOSE_RE);
+        if (close && close[1][0] === marker[0] && close[1].length >= marker.length) {
+          i++;
+          break;
+        }
+        body.push(stripIndent(lines[i], indent));
+        i++;
+      }
+      blocks.push({ kind: 'code', language: language ? unescapeMarkdown(language) : undefined, text: body.join('\n') });
+      continue;
+    }
+
+    if (indentWidth(line) >= 4) {
+      const body: string[] = [];
+      while (i < lines.length && (isBlank(lines[i]) || indentWidth(lines[i]) >= 4)) {
+        body.push(stripIndent(lines[i], 4));
+        i++;
+      }
+      while (body.length && isBlank(body[body.length - 1])) body.pop();
+      blocks.push({ kind: 'code', text: body.join('\n') });
+      continue;
+    }
+
+    const atx = line.match(ATX_RE);
+    if (atx) {
+      const text = atx[2].trim().replace(/(^|[ \t]+)#+[ \t]*$/, '').trim();
+      blocks.push({ kind: 'heading', level: atx[1].length, text });
+      i++;
+      continue;
+    }
+
+    if (HR_RE.test(line)) {
+      blocks.push({ kind: 'rule' });
+      i++;
+      continue;
+    }
+
+    if (QUOTE_RE.test(line)) {
+      const inner: string[] = [];
+      while (i < lines.length) {
+        const m = lines[i].match(QUOTE_RE);
+        if (m) {
+          inner.push(m[1]);
+        } else if (inner.length && !isBlank(inner[inner.length - 1]) && !isBlockStart(lines[i])) {
+          // Lazy continuation of a quoted paragraph.
+          inner.push(lines[i]);
+        } else {
+          break;
+        }
+        i++;
+      }
+      blocks.push({ kind: 'quote', children: parseBlocks(inner, ctx) });
+      continue;
+    }
+
+    const first = matchListItem(line);
+    if (first) {
+      const rawItems: string[][] = [];
+      while (i < lines.length) {
+        const item = matchListItem(lines[i]);
+        if (!item || !sameListType(first, item)) break;
+        const itemLines = [item.content];
+        i++;
+        while (i < lines.length) {
+          const l = lines[i];
+          if (isBlank(l)) {
+            let j = i;
+            while (j < lines.length && isBlank(lines[j])) j++;
+            if (j < lines.length && indentWidth(lines[j]) >= item.contentIndent) {
+              while (i < j) {
+                itemLines.push('');
+                i++;
+              }
+              continue;
+            }
+            const next = j < lines.length ? matchListItem(lines[j]) : null;
+            if (next && sameListType(first, next)) i = j;
+            break;
+          }
+          if (indentWidth(l) >= item.contentIndent) {
+            itemLines.push(stripIndent(l, item.contentIndent));
+            i++;
+            continue;
+          }
+          if (!isBlank(itemLines[itemLines.length - 1]) && !isBlockStart(l) && !matchListItem(l)) {
+            itemLines.push(l.trimStart());
+            i++;
+            continue;
+          }
+          break;
+        }
+        rawItems.push(itemLines);
+        if (i < lines.length && isBlank(lines[i])) break;
+      }
+
+      // GFM task lists: only when every item carries a checkbox, since ADF cannot mix the two.
+      const isTaskList = !first.ordered && rawItems.every((item) => TASK_RE.test(item[0]));
+      const items: MdListItem[] = rawItems.map((itemLines) => {
+        if (!isTaskList) return { children: parseBlocks(itemLines, ctx) };
+        const m = itemLines[0].match(TASK_RE)!;
+        return {
+          task: m[1] === ' ' ? 'TODO' : 'DONE',
+          children: parseBlocks([m[2], ...itemLines.slice(1)], ctx),
+        };
+      });
+      blocks.push({ kind: 'list', ordered: first.ordered, start: first.start, items });
+      continue;
+    }
+
+    if (line.includes('|') && i + 1 < lines.length && lines[i + 1].includes('|') && TABLE_DELIM_RE.test(lines[i + 1])) {
+      const header = splitTableRow(line);
+      if (header.length === splitTableRow(lines[i + 1]).length) {
+        i += 2;
+        const rows: string[][] = [];
+        while (i < lines.length && !isBlockStart(lines[i])) {
+          const cells = splitTableRow(lines[i]);
+          rows.push(header.map((_, idx) => cells[idx] ?? ''));
+          i++;
+        }
+        blocks.push({ kind: 'table', header, rows });
+        continue;
+      }
+    }
+
+    const def = line.match(LINK_DEF_RE);
+    if (def) {
+      const key = normalizeLabel(def[1]);
+      if (!ctx.linkDefs.has(key)) ctx.linkDefs.set(key, unescapeMarkdown(def[2]));
+      i++;
+      continue;
+    }
+
+    const para = [line.trimStart()];
+    i++;
+    let setextLevel = 0;
+    while (i < lines.length) {
+      const l = lines[i];
+      if (isBlank(l)) break;
+      const setext = l.match(SETEXT_RE);
+      if (setext) {
+        setextLevel = setext[1][0] === '=' ? 1 : 2;
+        i++;
+        break;
+      }
+      if (isBlockStart(l)) break;
+      para.push(l.trimStart());
+      i++;
+    }
+    const text = para.join('\n').trimEnd();
+    blocks.push(setextLevel ? { kind: 'heading', level: setextLevel, text } : { kind: 'paragraph', text });
+  }
+
+  return blocks;
+}
 
+function findCodeSpanEnd(text: string, start: number): { end: number; content: string } | null {
+  let n = 0;
+  while (text[start + n] === '`') n++;
+  let j = start + n;
+  while (j < text.length) {
+    const idx = text.indexOf('`', j);
+    if (idx < 0) return null;
+    let m = 0;
+    while (text[idx + m] === '`') m++;
+    if (m === n) {
+      let content = text.slice(start + n, idx).replace(/\n/g, ' ');
+      if (/^ .*[^ ].* $/.test(content) || /^ [^ ] $/.test(content)) content = content.slice(1, -1);
+      return { end: idx + m, content };
+    }
+    j = idx + m;
+  }
+  return null;
+}
+
+function parseLinkAt(text: string, start: number, ctx: MdContext): { label: string; href: string; end: number } | null {
+  let depth = 0;
+  let j = start;
+  for (; j < text.length; j++) {
+    const ch = text[j];
+    if (ch === '\\') {
+      j++;
+      continue;
+    }
+    if (ch === '`') {
+      const code = findCodeSpanEnd(text, j);
+      if (code) j = code.end - 1;
+      continue;
+    }
+    if (ch === '[') depth++;
+    else if (ch === ']' && --depth === 0) break;
+  }
+  if (j >= text.length) return null;
+  const label = text.slice(start + 1, j);
+  let k = j + 1;
+
+  if (text[k] === '(') {
+    k++;
+    while (/\s/.test(text[k] ?? '')) k++;
+    let dest = '';
+    if (text[k] === '<') {
+      const close = text.indexOf('>', k);
+      if (close < 0 || text.slice(k, close).includes('\n')) return null;
+      dest = text.slice(k + 1, close);
+      k = close + 1;
+    } else {
+      let parens = 0;
+      while (k < text.length && !/\s/.test(text[k])) {
+        const ch = text[k];
+        if (ch === '\\' && k + 1 < text.length) {
+          dest += ch + text[k + 1];
+          k += 2;
+          continue;
+        }
+        if (ch === '(') parens++;
+        if (ch === ')' && parens-- === 0) break;
+        dest += ch;
+        k++;
+      }
+    }
+    while (/\s/.test(text[k] ?? '')) k++;
+    const quote = text[k];
+    if (quote === '"' || quote === "'" || quote === '(') {
+      const closing = quote === '(' ? ')' : quote;
+      k++;
+      while (k < text.length && text[k] !== closing) k += text[k] === '\\' ? 2 : 1;
+      if (k >= text.length) return null;
+      k++;
+      while (/\s/.test(text[k] ?? '')) k++;
+    }
+    if (text[k] !== ')') return null;
+    return { label, href: unescapeMarkdown(dest), end: k + 1 };
+  }
+
+  if (text[k] === '[') {
+    const close = text.indexOf(']', k);
+    if (close < 0) return null;
+    const ref = text.slice(k + 1, close);
+    const href = ctx.linkDefs.get(normalizeLabel(ref || label));
+    return href === undefined ? null : { label, href, end: close + 1 };
+  }
+
+  const href = ctx.linkDefs.get(normalizeLabel(label));
+  return href === undefined ? null : { label, href, end: j + 1 };
+}
+
+function isPunctuationOrSpace(ch: string): { space: boolean; punct: boolean } {
+  return { space: /\s/.test(ch), punct: /[\p{P}\p{S}]/u.test(ch) };
+}
+
+function tokenizeInline(text: string, ctx: MdContext, inLink: boolean): Array<MdInline | MdDelimiter> {
+  const items: Array<MdInline | MdDelimiter> = [];
+  let buf = '';
+  const flush = () => {
+    if (buf) items.push({ kind: 'text', text: buf });
+    buf = '';
+  };
+  const pushLink = (href: string, children: MdInline[]) => {
+    flush();
+    // An empty destination (`[x]()`) makes no link; keep just the label.
+    if (!href.trim()) items.push(...children.filter((c) => c.kind !== 'text' || c.text));
+    else items.push({ kind: 'marked', mark: { type: 'link', attrs: { href } }, children });
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    const rest = text.slice(i);
+
+    if (ch === '\\') {
+      const next = text[i + 1];
+      if (next === '\n') {
+        flush();
+        items.push({ kind: 'break' });
+        i += 2;
+        while (text[i] === ' ') i++;
+        continue;
+      }
+      if (next !== undefined && ASCII_PUNCT_RE.test(next)) {
+        buf += next;
+        i += 2;
+        continue;
+      }
+      buf += ch;
+      i++;
+      continue;
+    }
+
+    if (ch === '\n') {
+      if (/ {2,}$/.test(buf)) {
+        buf = buf.replace(/ +$/, '');
+        flush();
+        items.push({ kind: 'break' });
+      } else {
+        buf = buf.replace(/ +$/, '') + ' ';
+      }
+      i++;
+      while (text[i] === ' ') i++;
+      continue;
+    }
+
+    if (ch === '`') {
+      const code = findCodeSpanEnd(text, i);
+      if (code) {
+        flush();
+        items.push({ kind: 'code', text: code.content });
+        i = code.end;
+      } else {
+        let n = 0;
+        while (text[i + n] === '`') n++;
+        buf += '`'.repeat(n);
+        i += n;
+      }
+      continue;
+    }
+
+    if (ch === '<') {
+      const uri = rest.match(/^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/);
+      const email = uri ? null : rest.match(/^<([^\s@<>\\]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?)*)>/);
+      if (uri || email) {
+        const target = (uri ?? email)![1];
+        pushLink(email ? `mailto:${target}` : target, [{ kind: 'text', text: target }]);
+        i += (uri ?? email)![0].length;
+        continue;
+      }
+    }
+
+    if ((ch === '[' || (ch === '!' && text[i + 1] === '[')) && !inLink) {
+      const isImage = ch === '!';
+      const link = parseLinkAt(text, isImage ? i + 1 : i, ctx);
+      if (link) {
+        // Images cannot be embedded without an upload, so they become links to the image.
+        const children = link.label
+          ? parseInline(link.label, ctx, true)
+          : [{ kind: 'text' as const, text: link.href }];
+        pushLink(link.href, children);
+        i = link.end;
+        continue;
+      }
+    }
+
+    if (ch === '*' || ch === '_' || ch === '~') {
+      let n = 0;
+      while (text[i + n] === ch) n++;
+      const before = isPunctuationOrSpace(i === 0 ? ' ' : text[i - 1]);
+      const after = isPunctuationOrSpace(text[i + n] ?? ' ');
+      const leftFlanking = !after.space && (!after.punct || before.space || before.punct);
+      const rightFlanking = !before.space && (!before.punct || after.space || after.punct);
+      if (ch === '~' && n > 2) {
+        buf += ch.repeat(n);
+        i += n;
+        continue;
+      }
+      flush();
+      items.push({
+        kind: 'delim',
+        char: ch,
+        count: n,
+        origCount: n,
+        canOpen: ch === '_' ? leftFlanking && (!rightFlanking || before.punct) : leftFlanking,
+        canClose: ch === '_' ? rightFlanking && (!leftFlanking || after.punct) : rightFlanking,
+      });
+      i += n;
+      continue;
+    }
+
+    if ((ch === 'h' || ch === 'w') && !inLink && (i === 0 || !/[a-zA-Z0-9]/.test(text[i - 1]))) {
+      const m = rest.match(/^(?:https?:\/\/|www\.)[^\s<]+/);
+      if (m) {
+        let url = m[0].replace(/[?!.,:*_~'"]+$/, '');
+        while (url.endsWith(')') && (url.match(/\(/g)?.length ?? 0) < (url.match(/\)/g)?.length ?? 0)) {
+          url = url.slice(0, -1);
+        }
+        pushLink(url.startsWith('www.') ? `http://${url}` : url, [{ kind: 'text', text: url }]);
+        i += url.length;
+        continue;
+      }
+    }
+
+    if (ch === '&') {
+      const m = rest.match(/^&(#\d{1,7}|#[xX][0-9a-fA-F]{1,6}|[a-zA-Z][a-zA-Z0-9]{1,31});/);
+      if (m) {
+        buf += decodeEntities(m[0]);
+        i += m[0].length;
+        continue;
+      }
+    }
+
+    buf += ch;
+    i++;
+  }
+  flush();
+  return items;
+}
+
+function delimiterToText(item: MdInline | MdDelimiter): MdInline {
+  return item.kind === 'delim' ? { kind: 'text', text: item.char.repeat(item.count) } : item;
+}
+
+// CommonMark "process emphasis": match closers left to right against the nearest eligible opener.
+function resolveEmphasis(items: Array<MdInline | MdDelimiter>): MdInline[] {
+  const list = [...items];
+  let c = 0;
+  while (c < list.length) {
+    const closer = list[c];
+    if (closer.kind !== 'delim' || !closer.canClose) {
+      c++;
+      continue;
+    }
+    let found = -1;
+    for (let o = c - 1; o >= 0; o--) {
+      const opener = list[o];
+      if (opener.kind !== 'delim' || opener.char !== closer.char || !opener.canOpen || opener.count === 0) continue;
+      if (closer.char === '~') {
+        if (opener.count !== closer.count) continue;
+      } else if (
+        (opener.canClose || closer.canOpen) &&
+        (opener.origCount + closer.origCount) % 3 === 0 &&
+        !(opener.origCount % 3 === 0 && closer.origCount % 3 === 0)
+      ) {
+        continue;
+      }
+      found = o;
+      break;
+    }
+    if (found < 0) {
+      c++;
+      continue;
+    }
+
+    const opener = list[found] as MdDelimiter;
+    const use = closer.char === '~' ? closer.count : opener.count >= 2 && closer.count >= 2 ? 2 : 1;
+    const mark: AdfMark = { type: closer.char === '~' ? 'strike' : use === 2 ? 'strong' : 'em' };
+    const node: MdInline = { kind: 'marked', mark, children: list.slice(found + 1, c).map(delimiterToText) };
+    opener.count -= use;
+    closer.count -= use;
+    const replacement: Array<MdInline | MdDelimiter> = [];
+    if (opener.count > 0) replacement.push(opener);
+    replacement.push(node);
+    if (closer.count > 0) replacement.push(closer);
+    list.splice(found, c - found + 1, ...replacement);
+    c = found + replacement.length - (closer.count > 0 ? 1 : 0);
+  }
+  return list.map(delimiterToText);
+}
+
+function parseInline(text: string, ctx: MdContext, inLink = false): MdInline[] {
+  return resolveEmphasis(tokenizeInline(text, ctx, inLink));
+}
+
+function sameMarks(a: AdfMark[] | undefined, b: AdfMark[] | undefined): boolean {
+  return JSON.stringify(a ?? []) === JSON.stringify(b ?? []);
+}
+
+function inlineToAdf(nodes: MdInline[], marks: AdfMark[] = []): AdfNode[] {
+  const out: AdfNode[] = [];
+  const pushText = (text: string, textMarks: AdfMark[]) => {
+    if (!text) return;
+    const last = out[out.length - 1];
+    if (last && last.type === 'text' && sameMarks(last.marks, textMarks)) {
+      last.text += text;
+      return;
+    }
+    out.push(textMarks.length ? { type: 'text', text, marks: textMarks } : { type: 'text', text });
+  };
+
+  for (const node of nodes) {
+    if (node.kind === 'text') {
+      pushText(node.text, marks);
+    } else if (node.kind === 'code') {
+      // ADF only allows the code mark to be combined with link.
+      pushText(node.text, [...marks.filter((m) => m.type === 'link'), { type: 'code' }]);
+    } else if (node.kind === 'break') {
+      out.push({ type: 'hardBreak' });
+    } else {
+      const nextMarks = marks.some((m) => m.type === node.mark.type) ? marks : [...marks, node.mark];
+      for (const child of inlineToAdf(node.children, nextMarks)) {
+        if (child.type === 'text') pushText(child.text ?? '', child.marks ?? []);
+        else out.push(child);
+      }
+    }
+  }
+  return out;
+}
+
+const LIST_ITEM_CHILDREN = new Set(['paragraph', 'bulletList', 'orderedList', 'codeBlock', 'mediaSingle']);
+const BLOCKQUOTE_CHILDREN = new Set(['paragraph', 'bulletList', 'orderedList', 'codeBlock', 'mediaSingle', 'mediaGroup']);
+
+function inlineText(nodes: AdfNode[] | undefined): AdfNode[] {
+  return (nodes ?? []).flatMap((n) => (n.type === 'paragraph' || n.type === 'heading' ? n.content ?? [] : []));
+}
+
+function inlineContent(node: AdfNode): AdfNode[] {
+  if (node.type === 'text' || node.type === 'hardBreak') return [node];
+  return (node.content ?? []).flatMap(inlineContent);
+}
+
+// Rewrites blocks that ADF does not allow inside a given container into allowed equivalents.
+function coerceBlocks(nodes: AdfNode[], allowed: Set<string>): AdfNode[] {
+  return nodes.flatMap((node): AdfNode[] => {
+    if (allowed.has(node.type)) return [node];
+    switch (node.type) {
+      case 'heading':
+        return [{ type: 'paragraph', content: node.content ?? [] }];
+      case 'blockquote':
+        return coerceBlocks(node.content ?? [], allowed);
+      case 'taskList':
+        return coerceBlocks(
+          [
+            {
+              type: 'bulletList',
+              content: (node.content ?? []).map((item) => ({
+                type: 'listItem',
+                content:
+                  item.type === 'taskItem'
+                    ? [
+                        {
+                          type: 'paragraph',
+                          content: [
+                            { type: 'text', text: item.attrs?.state === 'DONE' ? '[x] ' : '[ ] ' },
+                            ...(item.content ?? []),
+                          ],
+                        },
+                      ]
+                    : coerceBlocks([item], LIST_ITEM_CHILDREN),
+              })),
+            },
+          ],
+          allowed
+        );
+      case 'table':
+        return (node.content ?? []).map((row) => ({
+          type: 'paragraph',
+          content: (row.content ?? []).flatMap((cell, idx) => [
+            ...(idx > 0 ? [{ type: 'text', text: ' | ' }] : []),
+            ...inlineText(cell.content),
+          ]),
+        }));
+      case 'rule':
+        return [{ type: 'paragraph', content: [{ type: 'text', text: '---' }] }];
+      default: {
+        // Anything else keeps its text as a paragraph; never drop content silently.
+        const content = inlineContent(node);
+        if (!content.length) throw new Error(`Cannot convert Markdown: a ${node.type} is not allowed here`);
+        return [{ type: 'paragraph', content }];
+      }
+    }
+  });
+}
+
+function blocksToAdf(blocks: MdBlock[], ctx: MdContext): AdfNode[] {
+  return blocks.flatMap((block) => blockToAdf(block, ctx));
+}
+
+function blockToAdf(block: MdBlock, ctx: MdContext): AdfNode[] {
+  switch (block.kind) {
+    case 'paragraph':
+      return [{ type: 'paragraph', content: inlineToAdf(parseInline(block.text, ctx)) }];
+    case 'heading':
+      return [{ type: 'heading', attrs: { level: block.level }, content: inlineToAdf(parseInline(block.text, ctx)) }];
+    case 'code':
+      return [
+        {
+          type: 'codeBlock',
+          attrs: block.language ? { language: block.language } : {},
+          content: block.text ? [{ type: 'text', text: block.text }] : [],
+        },
+      ];
+    case 'rule':
+      return [{ type: 'rule' }];
+    case 'quote': {
+      const content = coerceBlocks(blocksToAdf(block.children, ctx), BLOCKQUOTE_CHILDREN);
+      return [{ type: 'blockquote', content: content.length ? content : [{ type: 'paragraph', content: [] }] }];
+    }
+    case 'table': {
+      const row = (cells: string[], cellType: string): AdfNode => ({
+        type: 'tableRow',
+        content: cells.map((cell) => ({
+          type: cellType,
+          attrs: {},
+          content: [{ type: 'paragraph', content: inlineToAdf(parseInline(cell, ctx)) }],
+        })),
+      });
+      return [
+        {
+          type: 'table',
+          attrs: { isNumberColumnEnabled: false, layout: 'default' },
+          content: [row(block.header, 'tableHeader'), ...block.rows.map((r) => row(r, 'tableCell'))],
+        },
+      ];
+    }
+    case 'list':
+      if (block.items.length && block.items.every((item) => item.task)) return [taskListToAdf(block.items, ctx)];
+      return [
+        {
+          type: block.ordered ? 'orderedList' : 'bulletList',
+          ...(block.ordered ? { attrs: { order: block.start } } : {}),
+          content: block.items.map((item) => {
+            const content = coerceBlocks(blocksToAdf(item.children, ctx), LIST_ITEM_CHILDREN);
+            if (!content.length || (content[0].type !== 'paragraph' && content[0].type !== 'codeBlock')) {
+              content.unshift({ type: 'paragraph', content: [] });
+            }
+            return { type: 'listItem', content };
+          }),
+        },
+      ];
+  }
+}
+
+function taskListToAdf(items: MdListItem[], ctx: MdContext): AdfNode {
+  const localId = `task-${ctx.nextLocalId++}`;
+  const content: AdfNode[] = [];
+  for (const item of items) {
+    const [first, ...rest] = item.children;
+    const taskContent = first ? inlineText(blockToAdf(first, ctx)) : [];
+    const nested: AdfNode[] = [];
+    for (const child of rest) {
+      if (child.kind === 'list' && child.items.every((i) => i.task)) {
+        nested.push(taskListToAdf(child.items, ctx));
+        continue;
+      }
+      // taskItem only holds inline content, so further paragraphs are joined with hard breaks.
+      const extra = inlineText(blockToAdf(child, ctx));
+      if (extra.length) taskContent.push({ type: 'hardBreak' }, ...extra);
+    }
+    content.push({
+      type: 'taskItem',
+      attrs: { localId: `task-${ctx.nextLocalId++}`, state: item.task },
+      content: taskContent,
+    });
+    content.push(...nested);
+  }
+  return { type: 'taskList', attrs: { localId }, content };
+}
+
+export function markdownToAdf(markdown: string): AdfDoc {
+  const ctx: MdContext = { linkDefs: new Map(), nextLocalId: 1 };
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n').map(expandLeadingTabs);
+  const blocks = parseBlocks(lines, ctx);
+  return { type: 'doc', version: 1, content: blocksToAdf(blocks, ctx) };
+}
+
+// ---------------------------------------------------------------------------
+// ADF -> Markdown / plain text
+//
+// Rendering is lossy by design: the goal is a compact, readable representation
+// for models, not a byte-exact round trip. Unknown nodes fall back to their
+// children or attrs.text so new Atlassian node types never drop content.
+// ---------------------------------------------------------------------------
+
+export type AdfRenderFormat = 'markdown' | 'text';
+
+const PANEL_LABELS: Record<string, string> = {
+  info: 'Info',
+  note: 'Note',
+  warning: 'Warning',
+  success: 'Success',
+  error: 'Error',
+  tip: 'Tip',
+  custom: 'Note',
+};
+
+function asNodes(value: unknown): AdfNode[] {
+  return Array.isArray(value) ? (value.filter((n) => n && typeof n === 'object') as AdfNode[]) : [];
+}
+
+function attrString(node: AdfNode, key: string): string | undefined {
+  const v = node.attrs?.[key];
+  return typeof v === 'string' || typeof v === 'number' ? String(v) : undefined;
+}
+
+function escapeMarkdownText(text: string): string {
+  return text
+    .replace(/[\\`*[\]]/g, '\\$&')
+    .replace(/(^|[^a-zA-Z0-9])_|_(?=[^a-zA-Z0-9]|$)/g, (m) => m.replace('_', '\\_'))
+    .replace(/~~/g, '\\~\\~');
+}
+
+function escapeLineStart(text: string): string {
+  return text.replace(/^(\s*)(#{1,6}(?=\s)|>|[-+](?=\s)|\d+(?=[.)]\s))/gm, (_m, ws: string, marker: string) =>
+    /^\d/.test(marker) ? `${ws}${marker}\\` : `${ws}\\${marker}`
+  );
+}
+
+function indentLines(text: string, prefix: string, firstPrefix = prefix): string {
+  return text
+    .split('\n')
+    .map((line, idx) => (idx === 0 ? firstPrefix : line ? prefix : prefix.trimEnd()) + line)
+    .join('\n');
+}
+
+function applyMarks(text: string, marks: AdfMark[] | undefined, format: AdfRenderFormat): string {
+  if (format === 'text' || !marks?.length) return format === 'text' ? text : escapeMarkdownText(text);
+  const types = new Set(marks.map((m) => m.type));
+  const [, lead, core, trail] = text.match(/^(\s*)([\s\S]*?)(\s*)$/) ?? ['', '', text, ''];
+  if (!core) return text;
+
+  let out: string;
+  if (types.has('code')) {
+    const longest = Math.max(0, ...(core.match(/`+/g) ?? []).map((r) => r.length));
+    const fence = '`'.repeat(longest + 1);
+    out = /^`|`$/.test(core) ? `${fence} ${core} ${fence}` : `${fence}${core}${fence}`;
+  } else {
+    out = escapeMarkdownText(core);
+    if (types.has('em')) out = `*${out}*`;
+    if (types.has('strong')) out = `**${out}**`;
+    if (types.has('strike')) out = `~~${out}~~`;
+  }
+  const link = marks.find((m) => m.type === 'link');
+  const href = link?.attrs?.href;
+  if (typeof href === 'string') out = `[${out}](${href.replace(/[()\s]/g, encodeURIComponent)})`;
+  return `${lead}${out}${trail}`;
+}
+
+function renderInline(nodes: AdfNode[], format: AdfRenderFormat): string {
+  // Merge adjacent text nodes with identical marks so markers are not repeated mid-word.
+  const merged: AdfNode[] = [];
+  for (const node of nodes) {
+    const last = merged[merged.length - 1];
+    if (node.type === 'text' && last?.type === 'text' && sameMarks(last.marks, node.marks)) {
+      merged[merged.length - 1] = { ...last, text: (last.text ?? '') + (node.text ?? '') };
+    } else {
+      merged.push(node);
+    }
+  }
+  return merged.map((node) => renderInlineNode(node, format)).join('');
+}
+
+function renderInlineNode(node: AdfNode, format: AdfRenderFormat): string {
+  switch (node.type) {
+    case 'text':
+      return applyMarks(node.text ?? '', node.marks, format);
+    case 'hardBreak':
+      return format === 'markdown' ? '\\\n' : '\n';
+    case 'mention': {
+      const label = attrString(node, 'text') ?? attrString(node, 'id') ?? 'unknown';
+      return label.startsWith('@') ? label : `@${label}`;
+    }
+    case 'emoji':
+      return attrString(node, 'text') ?? attrString(node, 'shortName') ?? '';
+    case 'date': {
+      const ts = Number(attrString(node, 'timestamp'));
+      return Number.isFinite(ts) ? new Date(ts).toISOString().slice(0, 10) : '';
+    }
+    case 'status':
+      return `[${attrString(node, 'text') ?? ''}]`;
+    case 'inlineCard': {
+      const url = attrString(node, 'url');
+      return url ? (format === 'markdown' ? `<${url}>` : url) : '';
+    }
+    case 'mediaInline':
+      return renderMedia(node, format);
+    case 'placeholder':
+      return '';
+    default:
+      if (node.content) return renderInline(asNodes(node.content), format);
+      return attrString(node, 'text') ?? '';
+  }
+}
+
+function renderMedia(node: AdfNode, format: AdfRenderFormat): string {
+  const name = attrString(node, 'alt') ?? attrString(node, 'id') ?? 'file';
+  const url = attrString(node, 'url');
+  if (attrString(node, 'type') === 'external' && url) {
+    return format === 'markdown' ? `![${escapeMarkdownText(name === 'file' ? '' : name)}](${url})` : url;
+  }
+  return `[attachment: ${name}]`;
+}
+
+function renderBlocks(nodes: AdfNode[], format: AdfRenderFormat, separator = '\n\n'): string {
+  return nodes
+    .map((node) => renderBlock(node, format))
+    .filter((text) => text !== '')
+    .join(separator);
+}
+
+function renderListItems(
+  items: AdfNode[],
+  format: AdfRenderFormat,
+  marker: (item: AdfNode, idx: number) => string
+): string {
+  return items
+    .map((item, idx) => {
+      const m = marker(item, idx);
+      const body = item.type === 'taskItem' || item.type === 'decisionItem'
+        ? renderInline(asNodes(item.content), format)
+        : renderBlocks(asNodes(item.content), format, '\n');
+      return indentLines(body, ' '.repeat(m.length), m);
+    })
+    .join('\n');
+}
+
+function renderTable(node: AdfNode, format: AdfRenderFormat): string {
+  const rows = asNodes(node.content).map((row) =>
+    asNodes(row.content).map((cell) => renderBlocks(asNodes(cell.content), format, ' ').replace(/\n+/g, ' ').trim())
+  );
+  if (!rows.length) return '';
+  if (format === 'text') return rows.map((cells) => cells.join(' | ')).join('\n');
+
+  const width = Math.max(...rows.map((r) => r.length));
+  const line = (cells: string[]) =>
+    `| ${Array.from({ length: width }, (_, i) => (cells[i] ?? '').replace(/\|/g, '\\|')).join(' | ')} |`;
+  return [line(rows[0]), `|${' --- |'.repeat(width)}`, ...rows.slice(1).map(line)].join('\n');
+}
+
+function renderBlock(node: AdfNode, format: AdfRenderFormat): string {
+  const children = asNodes(node.content);
+  switch (node.type) {
+    case 'paragraph': {
+      const text = renderInline(children, format);
+      return format === 'markdown' ? escapeLineStart(text) : text;
+    }
+    case 'heading': {
+      const text = renderInline(children, format);
+      const level = Math.min(6, Math.max(1, Number(node.attrs?.level) || 1));
+      return format === 'markdown' ? `${'#'.repeat(level)} ${text}` : text;
+    }
+    case 'bulletList':
+      return renderListItems(children, format, () => '- ');
+    case 'orderedList': {
+      const start = Number(node.attrs?.order) || 1;
+      return renderListItems(children, format, (_item, idx) => `${start + idx}. `);
+    }
+    case 'taskList':
+      return children
+        .map((child) =>
+          child.type === 'taskList'
+            ? indentLines(renderBlock(child, format), '  ')
+            : renderListItems([child], format, (item) => (item.attrs?.state === 'DONE' ? '- [x] ' : '- [ ] '))
+        )
+        .join('\n');
+    case 'decisionList':
+      return renderListItems(children, format, () => '- Decision: ');
+    case 'codeBlock': {
+      const text = children.map((c) => c.text ?? '').join('');
+      if (format === 'text') return text;
+      const longest = Math.max(2, ...(text.match(/`+/g) ?? []).map((r) => r.length));
+      const fence = '`'.repeat(longest + 1);
+      return `${fence}${attrString(node, 'language') ?? ''}\n${text}\n${fence}`;
+    }
+    case 'blockquote':
+      return indentLines(renderBlocks(children, format), '> ');
+    case 'panel': {
+      const label = PANEL_LABELS[attrString(node, 'panelType') ?? 'info'] ?? 'Note';
+      const body = renderBlocks(children, format);
+      return format === 'markdown' ? indentLines(`**${label}:**\n${body}`, '> ') : `[${label}] ${body}`;
+    }
+    case 'expand':
+    case 'nestedExpand': {
+      const title = attrString(node, 'title');
+      const body = renderBlocks(children, format);
+      if (!title) return body;
+      return format === 'markdown' ? `**${escapeMarkdownText(title)}**\n\n${body}` : `${title}\n${body}`;
+    }
+    case 'rule':
+      return '---';
+    case 'table':
+      return renderTable(node, format);
+    case 'mediaSingle':
+    case 'mediaGroup':
+      return children.map((child) => renderMedia(child, format)).join('\n');
+    case 'media':
+      return renderMedia(node, format);
+    case 'blockCard':
+    case 'embedCard': {
+      const url = attrString(node, 'url');
+      return url ? (format === 'markdown' ? `<${url}>` : url) : '';
+    }
+    default:
+      // Inline nodes at block level (and unknown containers) degrade to their inline rendering.
+      if (children.some((c) => c.type === 'text')) return renderInline(children, format);
+      if (children.length) return renderBlocks(children, format);
+      return renderInlineNode(node, format);
+  }
+}
+
+export function adfToMarkdown(doc: unknown): string {
+  if (!doc || typeof doc !== 'object') return '';
+  return renderBlocks(asNodes((doc as AdfNode).content), 'markdown');
+}
+
+export function adfToText(doc: unknown): string {
+  if (!doc || typeof doc !== 'object') return '';
+  return renderBlocks(asNodes((doc as AdfNode).content), 'text');
+}
+
+function isAdfDocValue(value: unknown): value is AdfDoc {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const v = value as Record<string, unknown>;
+  return v.type === 'doc' && Array.isArray(v.content);
+}
+
+/**
+ * Deep-copies a Jira response, replacing every ADF doc (description, comment bodies,
+ * customfield_* rich text, ...) with its Markdown or plain text rendering.
+ */
+export function renderAdfInValue(value: unknown, format: AdfRenderFormat): unknown {
+  if (isAdfDocValue(value)) return format === 'markdown' ? adfToMarkdown(value) : adfToText(value);
+  if (Array.isArray(value)) return value.map((v) => renderAdfInValue(v, format));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, renderAdfInValue(v, format)]));
+  }
+  return value;
+}
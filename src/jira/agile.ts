@@ -0,0 +1,132 @@
+import { JiraClient, Query } from './client.js';
+
+/**
+ * Jira Software endpoints live under their own base path on the same site, so they
+ * share JiraClient's auth, retries and JiraHttpError handling.
+ */
+export const AGILE_API = '/rest/agile/1.0';
+
+/** The agile API accepts at most this many issues per move/rank request. */
+export const AGILE_ISSUES_PER_REQUEST = 50;
+
+export type SprintState = 'active' | 'future' | 'closed';
+
+export type AgilePage<T> = { startAt?: number; maxResults?: number; total?: number; isLast?: boolean; values?: T[] };
+
+export type JiraBoard = {
+  id: number;
+  name: string;
+  type: string;
+  location?: { projectId?: number; projectKey?: string; projectName?: string; displayName?: string };
+};
+
+export type JiraSprint = {
+  id: number;
+  name: string;
+  state: SprintState;
+  startDate?: string;
+  endDate?: string;
+  completeDate?: string;
+  goal?: string;
+  originBoardId?: number;
+};
+
+export type RankResult = { issues: string[]; errors: Array<{ issueKey: string; errors: string[] }> };
+
+export function agilePath(path: string): string {
+  return `${AGILE_API}${path}`;
+}
+
+export function summarizeBoard(b: JiraBoard) {
+  return {
+    id: b.id,
+    name: b.name,
+    type: b.type,
+    projectKey: b.location?.projectKey,
+    projectName: b.location?.projectName ?? b.location?.displayName,
+  };
+}
+
+export function summarizeSprint(s: JiraSprint) {
+  return {
+    id: s.id,
+    name: s.name,
+    state: s.state,
+    startDate: s.startDate,
+    endDate: s.endDate,
+    completeDate: s.completeDate,
+    goal: s.goal || undefined,
+    originBoardId: s.originBoardId,
+  };
+}
+
+function chunk<T>(items: T[], size: number): T[][] {
+  const out: T[][] = [];
+  for (let i = 0; i < items.length; i += size) out.push(items.slice(i, i + size));
+  return out;
+}
+
+/**
+ * Moves issues into a sprint, or to the backlog when `sprintId` is null, in chunks of
+ * AGILE_ISSUES_PER_REQUEST. Rank options are applied per chunk so that the overall
+ * order of `issueKeys` is preserved.
+ */
+export async function moveIssuesToSprint(
+  jira: JiraClient,
+  sprintId: number | null,
+  issueKeys: string[],
+  rank: { rankBeforeIssue?: string; rankAfterIssue?: string } = {}
+): Promise<void> {
+  const path = sprintId === null ? agilePath('/backlog/issue') : agilePath(`/sprint/${sprintId}/issue`);
+  let rankAfterIssue = rank.rankAfterIssue;
+  for (const issues of chunk(issueKeys, AGILE_ISSUES_PER_REQUEST)) {
+    const body: Record<string, unknown> = { issues };
+    if (rank.rankBeforeIssue) body.rankBeforeIssue = rank.rankBeforeIssue;
+    if (rankAfterIssue) body.rankAfterIssue = rankAfterIssue;
+    await jira.postJson(path, body);
+    if (rankAfterIssue) rankAfterIssue = issues[issues.length - 1];
+  }
+}
+
+/**
+ * Ranks issues before or after another issue via PUT /issue/rank. Jira answers 207
+ * when only some issues could be ranked; those per-issue errors are returned.
+ */
+export async function rankIssues(
+  jira: JiraClient,
+  issueKeys: string[],
+  target: { rankBeforeIssue?: string; rankAfterIssue?: string }
+): Promise<RankResult> {
+  const result: RankResult = { issues: [], errors: [] };
+  let rankAfterIssue = target.rankAfterIssue;
+  for (const issues of chunk(issueKeys, AGILE_ISSUES_PER_REQUEST)) {
+    const body: Record<string, unknown> = { issues };
+    if (target.rankBeforeIssue) body.rankBeforeIssue = target.rankBeforeIssue;
+    if (rankAfterIssue) body.rankAfterIssue = rankAfterIssue;
+    const res = await jira.putJson<{ entries?: Array<{ issueKey: string; status: number; errors?: string[] }> }>(
+      agilePath('/issue/rank'),
+      body
+    );
+    const failed = (res.entries ?? []).filter((e) => e.status >= 400);
+    for (const e of failed) result.errors.push({ issueKey: e.issueKey, errors: e.errors ?? [] });
+    result.issues.push(...issues.filter((key) => !failed.some((e) => e.issueKey === key)));
+    if (rankAfterIssue) rankAfterIssue = issues[issues.length - 1];
+  }
+  return result;
+}
+
+/** Keys of the issues in a sprint that are not done (statusCategory != Done), following pagination. */
+export async function listOpenSprintIssueKeys(jira: JiraClient, sprintId: number): Promise<string[]> {
+  const keys: string[] = [];
+  for (let startAt = 0; ; ) {
+    const query: Query = { jql: 'statusCategory != Done', fields: 'status', startAt, maxResults: 100 };
+    const page = await jira.getJson<{ issues?: Array<{ key: string }>; total?: number }>(
+      agilePath(`/sprint/${sprintId}/issue`),
+      query
+    );
+    const issues = page.issues ?? [];
+    keys.push(...issues.map((i) => i.key));
+    startAt += issues.length;
+    if (!issues.length || page.total === undefined || startAt >= page.total) return keys;
+  }
+}
@@ -0,0 +1,141 @@
+import { mkdir, readFile, realpath, stat, writeFile } from 'node:fs/promises';
+import { basename, dirname, isAbsolute, join, relative, resolve, sep } from 'node:path';
+import { JiraClient } from './client.js';
+
+export type JiraAttachment = {
+  id: string;
+  filename: string;
+  mimeType?: string;
+  size?: number;
+  created?: string;
+  author?: { accountId?: string; displayName?: string };
+  content?: string;
+  thumbnail?: string;
+};
+
+export type AttachmentSummary = {
+  id: string;
+  filename: string;
+  mimeType?: string;
+  size?: number;
+  created?: string;
+  author?: string;
+  authorAccountId?: string;
+};
+
+export function summarizeAttachment(a: JiraAttachment): AttachmentSummary {
+  return {
+    id: String(a.id),
+    filename: a.filename,
+    mimeType: a.mimeType,
+    size: a.size,
+    created: a.created,
+    author: a.author?.displayName,
+    authorAccountId: a.author?.accountId,
+  };
+}
+
+export type AttachmentSource =
+  | { filePath: string; filename?: string; mimeType?: string }
+  | { base64: string; filename: string; mimeType?: string };
+
+function isInside(baseDir: string, path: string): boolean {
+  const rel = relative(baseDir, path);
+  return rel === '' || (rel.split(sep)[0] !== '..' && !isAbsolute(rel));
+}
+
+/**
+ * Resolves a local path (relative paths against `baseDir`) and checks that it stays inside
+ * `baseDir`, also once symlinks are followed. Paths that do not exist yet are checked
+ * through their nearest existing ancestor.
+ */
+export async function confinePath(baseDir: string, path: string): Promise<string> {
+  const base = await realpath(resolve(baseDir));
+  const outside = () => new Error(`Path ${path} is outside JIRA_ATTACHMENT_DIR (${base})`);
+  const target = resolve(base, path);
+  if (!isInside(base, target)) throw outside();
+
+  const missing: string[] = [];
+  for (let existing = target; ; existing = dirname(existing)) {
+    const real = await realpath(existing).catch((error: NodeJS.ErrnoException) => {
+      if (error.code !== 'ENOENT') throw error;
+      return undefined;
+    });
+    if (real !== undefined) {
+      if (!isInside(base, real)) throw outside();
+      return join(real, ...missing);
+    }
+    missing.unshift(basename(existing));
+  }
+}
+
+/**
+ * Reads an attachment source into memory. Local paths must lie inside `baseDir`
+ * (JIRA_ATTACHMENT_DIR); without one, only base64 content is accepted.
+ */
+export async function readAttachmentSource(
+  source: AttachmentSource,
+  baseDir?: string
+): Promise<{ filename: string; data: Uint8Array; mimeType?: string }> {
+  if ('filePath' in source) {
+    if (!baseDir) throw new Error('Local files are disabled (JIRA_ATTACHMENT_DIR is not set); send base64 content');
+    const path = await confinePath(baseDir, source.filePath);
+    const info = await stat(path);
+    if (!info.isFile()) throw new Error(`Not a regular file: ${path}`);
+    return { filename: source.filename ?? basename(path), data: await readFile(path), mimeType: source.mimeType };
+  }
+  const data = Buffer.from(source.base64.replace(/^data:[^;,]*;base64,/, ''), 'base64');
+  if (!data.length) throw new Error('base64 content is empty or not valid base64');
+  return { filename: source.filename, data, mimeType: source.mimeType };
+}
+
+/** Uploads files to an issue in one multipart request; Jira returns the created attachments. */
+export async function uploadAttachments(
+  jira: JiraClient,
+  issueKey: string,
+  files: Array<{ filename: string; data: Uint8Array; mimeType?: string }>
+): Promise<JiraAttachment[]> {
+  const form = new FormData();
+  for (const f of files) {
+    form.append('file', new Blob([f.data], { type: f.mimeType || 'application/octet-stream' }), f.filename);
+  }
+  const created = await jira.postMultipart<JiraAttachment[]>(
+    `/rest/api/3/issue/${encodeURIComponent(issueKey)}/attachments`,
+    form
+  );
+  return Array.isArray(created) ? created : [];
+}
+
+/**
+ * Downloads attachment content to `outputPath`, which must lie inside `baseDir`
+ * (JIRA_ATTACHMENT_DIR; relative paths resolve against it). When `outputPath` is an
+ * existing directory (or ends with a path separator) the attachment's own filename is
+ * used inside it. Existing files are only replaced with `overwrite`.
+ */
+export async function downloadAttachment(
+  jira: JiraClient,
+  attachmentId: string,
+  outputPath: string,
+  baseDir: string,
+  overwrite = false
+): Promise<{ path: string; bytes: number; attachment: AttachmentSummary }> {
+  let target = await confinePath(baseDir, outputPath);
+  const meta = await jira.getJson<JiraAttachment>(`/rest/api/3/attachment/${encodeURIComponent(attachmentId)}`);
+
+  const existing = await stat(target).catch(() => undefined);
+  if (existing?.isDirectory() || /[\\/]$/.test(outputPath)) {
+    target = await confinePath(baseDir, join(target, basename(meta.filename)));
+  }
+  const clash = await stat(target).catch(() => undefined);
+  if (clash && !overwrite) throw new Error(`File already exists: ${target} (pass overwrite=true to replace it)`);
+
+  // Data Center has no content endpoint; it serves attachments from their download URL.
+  const contentPath =
+    jira.deployment === 'datacenter'
+      ? `/secure/attachment/${encodeURIComponent(attachmentId)}/${encodeURIComponent(meta.filename)}`
+      : `/rest/api/3/attachment/content/${encodeURIComponent(attachmentId)}`;
+  const { data } = await jira.getBytes(contentPath);
+  await mkdir(dirname(target), { recursive: true });
+  await writeFile(target, data);
+  return { path: target, bytes: data.length, attachment: summarizeAttachment(meta) };
+}
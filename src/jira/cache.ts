@@ -0,0 +1,148 @@
+import { JiraClient, Query, readNonNegativeIntEnv } from './client.js';
+
+export type CacheResource = 'fields' | 'users' | 'projects' | 'issueTypes' | 'workflows' | 'linkTypes';
+
+export const CACHE_RESOURCES: readonly CacheResource[] = ['fields', 'users', 'projects', 'issueTypes', 'workflows', 'linkTypes'];
+
+export interface MetadataCacheConfig {
+  /** Upper bound on cached responses across all resources; least recently used entries are evicted first. */
+  maxEntries: number;
+  /** Time-to-live per resource in milliseconds. 0 disables caching for that resource. */
+  ttlMs: Record<CacheResource, number>;
+}
+
+export const DEFAULT_CACHE_CONFIG: MetadataCacheConfig = {
+  maxEntries: 500,
+  ttlMs: {
+    fields: 10 * 60_000,
+    users: 5 * 60_000,
+    projects: 30 * 60_000,
+    issueTypes: 30 * 60_000,
+    workflows: 30 * 60_000,
+    linkTypes: 60 * 60_000,
+  },
+};
+
+export type CacheResourceStats = { entries: number; hits: number; misses: number; ttlMs: number };
+
+export type CacheStats = {
+  maxEntries: number;
+  entries: number;
+  evictions: number;
+  resources: Record<CacheResource, CacheResourceStats>;
+};
+
+type CacheEntry = { resource: CacheResource; path: string; value: Promise<unknown>; expiresAt: number };
+
+function cacheKey(resource: CacheResource, path: string, query?: Query): string {
+  const params = Object.entries(query ?? {})
+    .filter(([, v]) => v !== undefined)
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([k, v]) => `${k}=${String(v)}`)
+    .join('&');
+  return `${resource} ${path}?${params}`;
+}
+
+/**
+ * Caches rarely-changing metadata GETs (field list, user search, projects, issue types,
+ * workflows, issue link types) in front of JiraClient. Entries expire per resource and the
+ * whole cache is LRU-bounded. Concurrent lookups of the same key share one request;
+ * failures are never cached.
+ *
+ * Cached values are shared between callers and must be treated as read-only.
+ */
+export class MetadataCache {
+  private config: MetadataCacheConfig;
+  private entries = new Map<string, CacheEntry>();
+  private counters = new Map<CacheResource, { hits: number; misses: number }>();
+  private evictions = 0;
+
+  constructor(
+    private jira: JiraClient,
+    config?: { maxEntries?: number; ttlMs?: Partial<Record<CacheResource, number>> }
+  ) {
+    this.config = {
+      maxEntries: config?.maxEntries ?? DEFAULT_CACHE_CONFIG.maxEntries,
+      ttlMs: { ...DEFAULT_CACHE_CONFIG.ttlMs, ...config?.ttlMs },
+    };
+    for (const resource of CACHE_RESOURCES) this.counters.set(resource, { hits: 0, misses: 0 });
+  }
+
+  async getJson<T>(resource: CacheResource, path: string, query?: Query): Promise<T> {
+    const counter = this.counters.get(resource)!;
+    const ttlMs = this.config.ttlMs[resource];
+    if (ttlMs <= 0 || this.config.maxEntries <= 0) {
+      counter.misses++;
+      return this.jira.getJson<T>(path, query);
+    }
+
+    const key = cacheKey(resource, path, query);
+    const now = Date.now();
+    const cached = this.entries.get(key);
+    if (cached && cached.expiresAt > now) {
+      // Re-insert to mark as most recently used.
+      this.entries.delete(key);
+      this.entries.set(key, cached);
+      counter.hits++;
+      return cached.value as Promise<T>;
+    }
+
+    counter.misses++;
+    const entry: CacheEntry = { resource, path, value: this.jira.getJson<T>(path, query), expiresAt: now + ttlMs };
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.evictOverflow();
+    entry.value.catch(() => {
+      if (this.entries.get(key) === entry) this.entries.delete(key);
+    });
+    return entry.value as Promise<T>;
+  }
+
+  /**
+   * Drops cached entries, optionally limited to one resource and to paths starting
+   * with `pathPrefix`. Returns the number of entries removed.
+   */
+  invalidate(resource?: CacheResource, pathPrefix?: string): number {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (resource && entry.resource !== resource) continue;
+      if (pathPrefix && !entry.path.startsWith(pathPrefix)) continue;
+      this.entries.delete(key);
+      removed++;
+    }
+    return removed;
+  }
+
+  stats(): CacheStats {
+    const resources = {} as Record<CacheResource, CacheResourceStats>;
+    for (const resource of CACHE_RESOURCES) {
+      const { hits, misses } = this.counters.get(resource)!;
+      resources[resource] = { entries: 0, hits, misses, ttlMs: this.config.ttlMs[resource] };
+    }
+    for (const entry of this.entries.values()) resources[entry.resource].entries++;
+    return { maxEntries: this.config.maxEntries, entries: this.entries.size, evictions: this.evictions, resources };
+  }
+
+  private evictOverflow(): void {
+    while (this.entries.size > this.config.maxEntries) {
+      const oldest = this.entries.keys().next().value as string;
+      this.entries.delete(oldest);
+      this.evictions++;
+    }
+  }
+}
+
+export function metadataCacheConfigFromEnv(): MetadataCacheConfig {
+  const ttl = DEFAULT_CACHE_CONFIG.ttlMs;
+  return {
+    maxEntries: readNonNegativeIntEnv('JIRA_CACHE_MAX_ENTRIES', DEFAULT_CACHE_CONFIG.maxEntries),
+    ttlMs: {
+      fields: readNonNegativeIntEnv('JIRA_CACHE_TTL_FIELDS_MS', ttl.fields),
+      users: readNonNegativeIntEnv('JIRA_CACHE_TTL_USERS_MS', ttl.users),
+      projects: readNonNegativeIntEnv('JIRA_CACHE_TTL_PROJECTS_MS', ttl.projects),
+      issueTypes: readNonNegativeIntEnv('JIRA_CACHE_TTL_ISSUE_TYPES_MS', ttl.issueTypes),
+      workflows: readNonNegativeIntEnv('JIRA_CACHE_TTL_WORKFLOWS_MS', ttl.workflows),
+      linkTypes: readNonNegativeIntEnv('JIRA_CACHE_TTL_LINK_TYPES_MS', ttl.linkTypes),
+    },
+  };
+}
@@ -0,0 +1,152 @@
+import { adfToText } from './adf.js';
+
+export type ChangelogItem = {
+  field: string;
+  fieldId?: string;
+  fieldtype?: string;
+  from?: string | null;
+  fromString?: string | null;
+  to?: string | null;
+  toString?: string | null;
+};
+
+export type ChangelogHistory = {
+  id: string;
+  author?: { accountId?: string; displayName?: string };
+  created: string;
+  items: ChangelogItem[];
+};
+
+export type TimelineEntry = {
+  id: string;
+  timestamp: string;
+  author?: string;
+  authorAccountId?: string;
+  field: string;
+  fieldId?: string;
+  from?: string | null;
+  to?: string | null;
+  /** Line diff for rich-text fields, in place of from/to. */
+  diff?: string;
+};
+
+export type TimelineFilter = { fields?: string[]; sinceMs?: number; untilMs?: number };
+
+const RICH_TEXT_FIELDS = new Set(['description', 'environment']);
+
+// Beyond this many line comparisons the diff falls back to replacing the whole text.
+const MAX_DIFF_CELLS = 4_000_000;
+
+/** Changelog values of ADF fields are sometimes stored as serialized ADF; render those as text. */
+export function changelogText(value: string | null | undefined): string {
+  if (!value) return '';
+  const trimmed = value.trim();
+  if (trimmed.startsWith('{') && trimmed.includes('"type"')) {
+    try {
+      const parsed = JSON.parse(trimmed) as { type?: string };
+      if (parsed?.type === 'doc') return adfToText(parsed);
+    } catch {
+      // Not JSON; use the string as is.
+    }
+  }
+  return value;
+}
+
+// `toString` is inherited from Object.prototype when Jira omits it, so check the type.
+function stringValue(value: unknown): string | null {
+  return typeof value === 'string' ? value : null;
+}
+
+function isRichText(item: ChangelogItem, from: string, to: string): boolean {
+  const id = (item.fieldId ?? item.field).toLowerCase();
+  const renderedFromAdf = from !== (stringValue(item.fromString) ?? '') || to !== (stringValue(item.toString) ?? '');
+  return RICH_TEXT_FIELDS.has(id) || renderedFromAdf || from.includes('\n') || to.includes('\n');
+}
+
+/**
+ * Line diff of two texts (LCS), printed with "- "/"+ " for removed/added lines and
+ * "  " for unchanged context. Unchanged runs longer than `context` lines on either side
+ * of a change are collapsed to "…".
+ */
+export function diffText(before: string, after: string, context = 2): string {
+  const a = before ? before.split('\n') : [];
+  const b = after ? after.split('\n') : [];
+  const ops: Array<[' ' | '-' | '+', string]> = [];
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    for (const line of a) ops.push(['-', line]);
+    for (const line of b) ops.push(['+', line]);
+  } else {
+    // lcs[i][j] = length of the longest common subsequence of a[i:] and b[j:]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        ops.push([' ', a[i++]]);
+        j++;
+      } else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        ops.push(['-', a[i++]]);
+      } else {
+        ops.push(['+', b[j++]]);
+      }
+    }
+  }
+
+  const changed = ops.map((op, idx) => (op[0] !== ' ' ? idx : -1)).filter((idx) => idx >= 0);
+  const near = (idx: number) => changed.some((c) => Math.abs(c - idx) <= context);
+  const lines: string[] = [];
+  ops.forEach(([op, line], idx) => {
+    if (op !== ' ' || near(idx)) lines.push(`${op} ${line}`);
+    else if (lines[lines.length - 1] !== '…') lines.push('…');
+  });
+  return lines.join('\n');
+}
+
+function matchesField(item: ChangelogItem, wanted: Set<string>): boolean {
+  return wanted.has(item.field.toLowerCase()) || (!!item.fieldId && wanted.has(item.fieldId.toLowerCase()));
+}
+
+/**
+ * Flattens changelog histories into one entry per changed field, oldest first.
+ * `fields` matches the changelog's field name ("Story Points", "status") or field id.
+ */
+export function toTimeline(
+  histories: ChangelogHistory[],
+  filter: TimelineFilter = {},
+  diffContext = 2
+): TimelineEntry[] {
+  const wanted = filter.fields?.length ? new Set(filter.fields.map((f) => f.trim().toLowerCase())) : undefined;
+  const entries: TimelineEntry[] = [];
+  for (const h of histories) {
+    const at = Date.parse(h.created);
+    if (filter.sinceMs !== undefined && at < filter.sinceMs) continue;
+    if (filter.untilMs !== undefined && at > filter.untilMs) continue;
+    for (const item of h.items ?? []) {
+      if (wanted && !matchesField(item, wanted)) continue;
+      const entry: TimelineEntry = {
+        id: h.id,
+        timestamp: h.created,
+        author: h.author?.displayName,
+        authorAccountId: h.author?.accountId,
+        field: item.field,
+        fieldId: item.fieldId,
+      };
+      const from = changelogText(stringValue(item.fromString));
+      const to = changelogText(stringValue(item.toString));
+      if (isRichText(item, from, to)) {
+        entry.diff = diffText(from, to, diffContext);
+      } else {
+        entry.from = stringValue(item.fromString) ?? stringValue(item.from);
+        entry.to = stringValue(item.toString) ?? stringValue(item.to);
+      }
+      entries.push(entry);
+    }
+  }
+  return entries.sort((x, y) => Date.parse(x.timestamp) - Date.parse(y.timestamp));
+}
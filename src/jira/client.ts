@@ -1,24 +1,52 @@
+import { JiraDeployment, parseDeployment, toDataCenterRequest } from './datacenter.js';
+
 export type JiraAuthConfig =
   | { type: 'basic'; email: string; apiToken: string }
   | { type: 'bearer'; token: string };
 
+export interface JiraRetryConfig {
+  /** Retries after the first attempt; 0 disables retrying. */
+  maxRetries: number;
+  /** Base delay for exponential backoff (doubled per attempt, with jitter). */
+  baseDelayMs: number;
+  /** Upper bound for any single wait, including server-provided Retry-After values. */
+  maxDelayMs: number;
+}
+
 export interface JiraClientConfig {
   baseUrl: string;
   auth: JiraAuthConfig;
   timeoutMs?: number;
+  retry?: Partial<JiraRetryConfig>;
+  /** 'datacenter' sends every request through the REST API v2 translation in datacenter.ts. */
+  deployment?: JiraDeployment;
+}
+
+export interface JiraRequestOptions {
+  /**
+   * Allow retrying a POST on 429/5xx. Only set this for POSTs without side effects
+   * (e.g. JQL search); GET and PUT are always retryable.
+   */
+  retrySafe?: boolean;
 }
 
+export const DEFAULT_RETRY_CONFIG: JiraRetryConfig = { maxRetries: 3, baseDelayMs: 500, maxDelayMs: 30_000 };
+
+export type Query = Record<string, string | number | boolean | undefined>;
+
 export class JiraHttpError extends Error {
   public status: number;
   public url: string;
   public bodyText?: string;
+  public retries: number;
 
-  constructor(message: string, opts: { status: number; url: string; bodyText?: string }) {
+  constructor(message: string, opts: { status: number; url: string; bodyText?: string; retries?: number }) {
     super(message);
     this.name = 'JiraHttpError';
     this.status = opts.status;
     this.url = opts.url;
     this.bodyText = opts.bodyText;
+    this.retries = opts.retries ?? 0;
   }
 }
 
@@ -45,14 +73,56 @@ async function readBodyTextSafely(res: Response): Promise<string | undefined> {
   }
 }
 
+function isRetryableStatus(status: number): boolean {
+  return status === 429 || (status >= 500 && status !== 501 && status !== 505);
+}
+
+/**
+ * Reads the server-requested wait from Retry-After (seconds or HTTP date) or
+ * X-RateLimit-Reset (ISO timestamp, as sent by Jira Cloud, or epoch seconds).
+ */
+export function retryDelayFromHeaders(headers: Headers, now = Date.now()): number | undefined {
+  const retryAfter = headers.get('retry-after')?.trim();
+  if (retryAfter) {
+    if (/^\d+(\.\d+)?$/.test(retryAfter)) return Math.round(Number(retryAfter) * 1000);
+    const at = Date.parse(retryAfter);
+    if (!Number.isNaN(at)) return Math.max(0, at - now);
+  }
+  const reset = headers.get('x-ratelimit-reset')?.trim();
+  if (reset) {
+    if (/^\d+$/.test(reset)) return Math.max(0, Number(reset) * 1000 - now);
+    const at = Date.parse(reset);
+    if (!Number.isNaN(at)) return Math.max(0, at - now);
+  }
+  return undefined;
+}
+
+function backoffDelay(attempt: number, retry: JiraRetryConfig): number {
+  const exp = Math.min(retry.maxDelayMs, retry.baseDelayMs * 2 ** attempt);
+  // "Equal jitter": keep at least half the exponential delay, randomize the rest.
+  return exp / 2 + Math.random() * (exp / 2);
+}
+
+const sleep = (ms: number) => new Promise<void>((resolve) => setTimeout(resolve, ms));
+
 export class JiraClient {
-  private config: JiraClientConfig;
+  private config: JiraClientConfig & { retry: JiraRetryConfig };
 
   constructor(config: JiraClientConfig) {
-    this.config = { ...config, baseUrl: normalizeBaseUrl(config.baseUrl), timeoutMs: config.timeoutMs ?? 30_000 };
+    this.config = {
+      ...config,
+      baseUrl: normalizeBaseUrl(config.baseUrl),
+      timeoutMs: config.timeoutMs ?? 30_000,
+      // Retrying is opt-in for directly constructed clients; jiraClientFromEnv enables it by default.
+      retry: { ...DEFAULT_RETRY_CONFIG, maxRetries: 0, ...config.retry },
+    };
   }
 
-  private url(path: string, query?: Record<string, string | number | boolean | undefined>): string {
+  get deployment(): JiraDeployment {
+    return this.config.deployment ?? 'cloud';
+  }
+
+  private url(path: string, query?: Query): string {
     const url = new URL(this.config.baseUrl + path);
     if (query) {
       for (const [k, v] of Object.entries(query)) {
@@ -63,124 +133,208 @@ export class JiraClient {
     return url.toString();
   }
 
-  async getJson<T>(path: string, query?: Record<string, string | number | boolean | undefined>): Promise<T> {
+  /**
+   * Sends one request, retrying 429/5xx responses and network failures when the
+   * request is retryable. Timeouts are not retried. `parse` runs while the
+   * per-attempt timeout is still armed so slow bodies are covered too.
+   */
+  private async request<T>(
+    method: 'GET' | 'PUT' | 'POST' | 'DELETE',
+    path: string,
+    query: Query | undefined,
+    body: unknown,
+    retryable: boolean,
+    parse: (res: Response) => Promise<T>,
+    extraHeaders?: Record<string, string>
+  ): Promise<T> {
+    if (this.deployment === 'datacenter') {
+      const server = toDataCenterRequest(method, path, query, body);
+      const parseCloud = parse;
+      ({ path, query, body } = server);
+      parse = async (res) => server.toCloud(await parseCloud(res)) as T;
+    }
     const url = this.url(path, query);
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), this.config.timeoutMs);
-    try {
-      const res = await fetch(url, {
-        method: 'GET',
-        headers: {
+    const retry = this.config.retry;
+    const maxRetries = retryable ? retry.maxRetries : 0;
+
+    for (let attempt = 0; ; attempt++) {
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), this.config.timeoutMs);
+      let waitMs: number;
+      try {
+        const headers: Record<string, string> = {
           Accept: 'application/json',
           Authorization: buildAuthHeader(this.config.auth),
-        },
-        signal: controller.signal,
-      });
-      if (!res.ok) {
+          ...extraHeaders,
+        };
+        // FormData bodies get their multipart Content-Type (with boundary) from fetch.
+        const isForm = body instanceof FormData;
+        if (body !== undefined && !isForm) headers['Content-Type'] = 'application/json';
+        let res: Response;
+        try {
+          res = await fetch(url, {
+            method,
+            headers,
+            ...(body !== undefined ? { body: isForm ? (body as FormData) : JSON.stringify(body) } : {}),
+            signal: controller.signal,
+          });
+        } catch (error) {
+          // fetch() rejects with TypeError on network failures; aborts (timeouts) are final.
+          if (!(error instanceof TypeError) || attempt >= maxRetries) throw error;
+          await sleep(backoffDelay(attempt, retry));
+          continue;
+        }
+
+        if (res.ok) return await parse(res);
+
         const bodyText = await readBodyTextSafely(res);
-        throw new JiraHttpError(`Jira GET failed: ${res.status} ${res.statusText}`, { status: res.status, url, bodyText });
+        if (!isRetryableStatus(res.status) || attempt >= maxRetries) {
+          throw new JiraHttpError(`Jira ${method} failed: ${res.status} ${res.statusText}`, {
+            status: res.status,
+            url,
+            bodyText,
+            retries: attempt,
+          });
+        }
+        const requested = retryDelayFromHeaders(res.headers);
+        waitMs = Math.min(retry.maxDelayMs, requested ?? backoffDelay(attempt, retry));
+      } finally {
+        clearTimeout(timeout);
       }
-      return (await res.json()) as T;
-    } finally {
-      clearTimeout(timeout);
+      await sleep(waitMs);
     }
   }
 
-  async putJson<TResponse = unknown>(
-    path: string,
-    body: unknown,
-    query?: Record<string, string | number | boolean | undefined>
-  ): Promise<TResponse> {
-    const url = this.url(path, query);
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), this.config.timeoutMs);
-    try {
-      const res = await fetch(url, {
-        method: 'PUT',
-        headers: {
-          Accept: 'application/json',
-          'Content-Type': 'application/json',
-          Authorization: buildAuthHeader(this.config.auth),
-        },
-        body: JSON.stringify(body),
-        signal: controller.signal,
-      });
+  async getJson<T>(path: string, query?: Query): Promise<T> {
+    return this.request('GET', path, query, undefined, true, async (res) => (await res.json()) as T);
+  }
 
+  async putJson<TResponse = unknown>(path: string, body: unknown, query?: Query): Promise<TResponse> {
+    return this.request('PUT', path, query, body, true, async (res) => {
       // Jira issue edit often returns 204 No Content.
       if (res.status === 204) return {} as TResponse;
-
-      if (!res.ok) {
-        const bodyText = await readBodyTextSafely(res);
-        throw new JiraHttpError(`Jira PUT failed: ${res.status} ${res.statusText}`, { status: res.status, url, bodyText });
-      }
-
       // Some endpoints return JSON even on success.
       const contentType = res.headers.get('content-type') || '';
       if (contentType.includes('application/json')) return (await res.json()) as TResponse;
       return {} as TResponse;
-    } finally {
-      clearTimeout(timeout);
-    }
+    });
   }
 
   async postJson<TResponse = unknown>(
     path: string,
     body: unknown,
-    query?: Record<string, string | number | boolean | undefined>
+    query?: Query,
+    options?: JiraRequestOptions
   ): Promise<TResponse> {
-    const url = this.url(path, query);
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), this.config.timeoutMs);
-    try {
-      const res = await fetch(url, {
-        method: 'POST',
-        headers: {
-          Accept: 'application/json',
-          'Content-Type': 'application/json',
-          Authorization: buildAuthHeader(this.config.auth),
-        },
-        body: JSON.stringify(body),
-        signal: controller.signal,
-      });
-
+    return this.request('POST', path, query, body, options?.retrySafe === true, async (res) => {
       // Some Jira endpoints return 204 No Content.
       if (res.status === 204) return {} as TResponse;
+      const contentType = res.headers.get('content-type') || '';
+      if (contentType.includes('application/json')) return (await res.json()) as TResponse;
+      return {} as TResponse;
+    });
+  }
 
-      if (!res.ok) {
-        const bodyText = await readBodyTextSafely(res);
-        throw new JiraHttpError(`Jira POST failed: ${res.status} ${res.statusText}`, {
-          status: res.status,
-          url,
-          bodyText,
-        });
-      }
+  /**
+   * Uploads multipart/form-data (e.g. attachments). Jira requires the
+   * `X-Atlassian-Token: no-check` header to skip its XSRF check for these requests.
+   */
+  async postMultipart<TResponse = unknown>(path: string, form: FormData, query?: Query): Promise<TResponse> {
+    return this.request(
+      'POST',
+      path,
+      query,
+      form,
+      false,
+      async (res) => {
+        const contentType = res.headers.get('content-type') || '';
+        if (contentType.includes('application/json')) return (await res.json()) as TResponse;
+        return {} as TResponse;
+      },
+      { 'X-Atlassian-Token': 'no-check' }
+    );
+  }
 
+  /** Fetches a binary body (e.g. attachment content), following redirects to the media service. */
+  async getBytes(path: string, query?: Query): Promise<{ data: Uint8Array; contentType?: string }> {
+    return this.request(
+      'GET',
+      path,
+      query,
+      undefined,
+      true,
+      async (res) => ({
+        data: new Uint8Array(await res.arrayBuffer()),
+        contentType: res.headers.get('content-type') ?? undefined,
+      }),
+      { Accept: '*/*' }
+    );
+  }
+
+  async deleteJson<TResponse = unknown>(path: string, query?: Query): Promise<TResponse> {
+    return this.request('DELETE', path, query, undefined, true, async (res) => {
+      // Jira deletes usually return 204 No Content.
+      if (res.status === 204) return {} as TResponse;
       const contentType = res.headers.get('content-type') || '';
       if (contentType.includes('application/json')) return (await res.json()) as TResponse;
       return {} as TResponse;
-    } finally {
-      clearTimeout(timeout);
-    }
+    });
   }
 }
 
+export function readNonNegativeIntEnv(name: string, fallback: number): number {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') return fallback;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`Invalid env var ${name}: expected a non-negative integer, got "${raw}"`);
+  }
+  return value;
+}
+
+const TRUE_VALUES = new Set(['1', 'true', 'yes', 'on']);
+const FALSE_VALUES = new Set(['0', 'false', 'no', 'off']);
+
+export function readBooleanEnv(name: string, fallback: boolean): boolean {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') return fallback;
+  const value = raw.trim().toLowerCase();
+  if (TRUE_VALUES.has(value)) return true;
+  if (FALSE_VALUES.has(value)) return false;
+  throw new Error(`Invalid env var ${name}: expected 1/0, true/false, yes/no or on/off, got "${raw}"`);
+}
+
+export function retryConfigFromEnv(): JiraRetryConfig {
+  return {
+    maxRetries: readNonNegativeIntEnv('JIRA_MAX_RETRIES', DEFAULT_RETRY_CONFIG.maxRetries),
+    baseDelayMs: readNonNegativeIntEnv('JIRA_RETRY_BASE_DELAY_MS', DEFAULT_RETRY_CONFIG.baseDelayMs),
+    maxDelayMs: readNonNegativeIntEnv('JIRA_RETRY_MAX_DELAY_MS', DEFAULT_RETRY_CONFIG.maxDelayMs),
+  };
+}
+
 export function jiraClientFromEnv(): JiraClient {
   const baseUrl = process.env.JIRA_BASE_URL;
   if (!baseUrl) throw new Error('Missing required env var: JIRA_BASE_URL');
 
-  const bearer = process.env.JIRA_BEARER_TOKEN;
+  const deployment = parseDeployment(process.env.JIRA_DEPLOYMENT, 'env var JIRA_DEPLOYMENT');
+  // Data Center Personal Access Tokens are sent as bearer tokens.
+  const bearer = process.env.JIRA_BEARER_TOKEN || process.env.JIRA_PAT;
   const email = process.env.JIRA_EMAIL;
   const apiToken = process.env.JIRA_API_TOKEN;
 
+  const retry = retryConfigFromEnv();
+
   if (bearer) {
-    return new JiraClient({ baseUrl, auth: { type: 'bearer', token: bearer } });
+    return new JiraClient({ baseUrl, auth: { type: 'bearer', token: bearer }, retry, deployment });
   }
 
   if (!email || !apiToken) {
-    throw new Error('Missing auth env vars: set either JIRA_BEARER_TOKEN or (JIRA_EMAIL + JIRA_API_TOKEN)');
+    throw new Error(
+      deployment === 'datacenter'
+        ? 'Missing auth env vars: set JIRA_PAT (a Personal Access Token) or (JIRA_EMAIL + JIRA_API_TOKEN)'
+        : 'Missing auth env vars: set either JIRA_BEARER_TOKEN or (JIRA_EMAIL + JIRA_API_TOKEN)'
+    );
   }
 
-  return new JiraClient({ baseUrl, auth: { type: 'basic', email, apiToken } });
+  return new JiraClient({ baseUrl, auth: { type: 'basic', email, apiToken }, retry, deployment });
 }
-
-
@@ -0,0 +1,309 @@
+import { MetadataCache } from './cache.js';
+import { JiraClient } from './client.js';
+import { CreateMetaField, CreateMetaIssueType, findIssueType, getCreateFields, listCreateIssueTypes } from './createmeta.js';
+import { FieldCatalog } from './fields.js';
+import { listLinkTypes, resolveLinkType } from './links.js';
+
+// Fields Jira computes or that belong to the source issue itself; never copied.
+const NOT_CLONED = new Set([
+  'project',
+  'issuetype',
+  'status',
+  'statusCategory',
+  'statuscategorychangedate',
+  'resolution',
+  'resolutiondate',
+  'created',
+  'updated',
+  'creator',
+  'lastViewed',
+  'votes',
+  'watches',
+  'worklog',
+  'comment',
+  'attachment',
+  'issuelinks',
+  'subtasks',
+  'timespent',
+  'timeestimate',
+  'timeoriginalestimate',
+  'aggregatetimespent',
+  'aggregatetimeestimate',
+  'aggregatetimeoriginalestimate',
+  'aggregateprogress',
+  'progress',
+  'workratio',
+  'thumbnail',
+]);
+
+export type UncopiedField = { field: string; name?: string; reason: string };
+
+export type CloneResult = {
+  source: string;
+  key: string;
+  id: string;
+  project: string;
+  issueType: string;
+  copiedFields: string[];
+  uncopiedFields: UncopiedField[];
+};
+
+export class CloneError extends Error {
+  public details: Record<string, unknown>;
+
+  constructor(message: string, details: Record<string, unknown>) {
+    super(message);
+    this.name = 'CloneError';
+    this.details = details;
+  }
+}
+
+type SourceIssue = {
+  key: string;
+  fields: Record<string, unknown> & {
+    summary?: string;
+    project: { key: string };
+    issuetype: { id: string; name: string; subtask?: boolean };
+    subtasks?: Array<{ key: string }>;
+  };
+};
+
+function isEmpty(value: unknown): boolean {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function refLabel(value: unknown): string {
+  if (value && typeof value === 'object') {
+    const v = value as Record<string, unknown>;
+    return String(v.name ?? v.value ?? v.key ?? v.id ?? JSON.stringify(v));
+  }
+  return String(value);
+}
+
+function matchAllowed(value: unknown, allowed: Array<Record<string, unknown>>): Record<string, unknown> | undefined {
+  const v = (value && typeof value === 'object' ? value : { value }) as Record<string, unknown>;
+  const byId = v.id !== undefined ? allowed.find((a) => String(a.id) === String(v.id)) : undefined;
+  if (byId) return byId;
+  const label = String(v.name ?? v.value ?? '').toLowerCase();
+  return label ? allowed.find((a) => String(a.name ?? a.value ?? '').toLowerCase() === label) : undefined;
+}
+
+function shapeRef(value: unknown): unknown {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+  const v = value as Record<string, unknown>;
+  if (v.type === 'doc') return value;
+  if (typeof v.accountId === 'string') return { accountId: v.accountId };
+  if (v.id !== undefined) {
+    const child = v.child ? { child: shapeRef(v.child) } : {};
+    return { id: String(v.id), ...child };
+  }
+  return value;
+}
+
+/**
+ * Converts a value read from GET /issue into the shape the create endpoint accepts for
+ * the target field, or explains why it cannot be copied. Values with allowed-value lists
+ * (options, components, versions, priorities) are matched by id, then by name, so they
+ * survive a move to another project.
+ */
+function toCreateValue(fieldId: string, value: unknown, meta: CreateMetaField): { value: unknown } | { reason: string } {
+  if (fieldId === 'timetracking') {
+    const t = value as { originalEstimate?: string; remainingEstimate?: string };
+    const out = { originalEstimate: t.originalEstimate, remainingEstimate: t.remainingEstimate };
+    return out.originalEstimate || out.remainingEstimate ? { value: out } : { reason: 'no estimates set' };
+  }
+  if (fieldId === 'parent') return { value: { key: (value as { key: string }).key } };
+  if (meta.schema?.custom?.endsWith(':gh-sprint')) {
+    const open = (value as Array<{ id: number; state?: string }>).filter((s) => s.state !== 'closed');
+    return open.length ? { value: open[open.length - 1].id } : { reason: 'only closed sprints' };
+  }
+  if (meta.allowedValues?.length) {
+    const items = Array.isArray(value) ? value : [value];
+    const matched: unknown[] = [];
+    for (const item of items) {
+      const allowed = matchAllowed(item, meta.allowedValues);
+      if (!allowed) return { reason: `value "${refLabel(item)}" is not allowed in the target` };
+      const child = (item as { child?: unknown })?.child;
+      matched.push({ id: String(allowed.id), ...(child ? { child: shapeRef(child) } : {}) });
+    }
+    return { value: Array.isArray(value) ? matched : matched[0] };
+  }
+  return { value: Array.isArray(value) ? value.map(shapeRef) : shapeRef(value) };
+}
+
+export type CloneOptions = {
+  issueKey: string;
+  targetProject?: string;
+  targetIssueType?: string;
+  /** Field ids or names to copy; defaults to every creatable field with a value. */
+  fields?: string[];
+  /** Source field -> target field (ids or names), for custom fields that differ between projects. */
+  fieldMap?: Record<string, string>;
+  /** Values set on the root clone after copying (keys may be ids or names). */
+  overrides?: Record<string, unknown>;
+  summaryPrefix?: string;
+  includeSubtasks?: boolean;
+  linkToSource?: boolean;
+  /** Checks every create payload, and the source before it is linked, ahead of the request (a write guard). */
+  guard?: {
+    checkCreate(fields: Record<string, unknown>): Promise<void>;
+    checkIssues(idsOrKeys: string[]): Promise<void>;
+  };
+};
+
+export type CloneIssueResult = CloneResult & {
+  link?: { linkType: string; relation: string } | { error: string };
+  subtasks?: Array<CloneResult | { source: string; error: string }>;
+};
+
+/**
+ * Clones an issue by reading it, translating each value into its create-time shape and
+ * filtering against the target's create metadata. Fields that are not on the target
+ * create screen (or whose values are not allowed there) are reported rather than sent.
+ * Required target fields left empty fail before anything is created.
+ */
+export async function cloneIssue(
+  jira: JiraClient,
+  cache: MetadataCache,
+  fieldCatalog: FieldCatalog,
+  opts: CloneOptions
+): Promise<CloneIssueResult> {
+  const fieldMap: Record<string, string> = {};
+  for (const [from, to] of Object.entries(opts.fieldMap ?? {})) {
+    fieldMap[await fieldCatalog.resolveKey(from)] = await fieldCatalog.resolveKey(to);
+  }
+  const selected = opts.fields ? await Promise.all(opts.fields.map((f) => fieldCatalog.resolveKey(f))) : undefined;
+  const overrides = opts.overrides ? (await fieldCatalog.resolveKeys(opts.overrides)).values : undefined;
+
+  const cloneOne = async (
+    sourceKey: string,
+    target: { project?: string; issueType?: string; parentKey?: string; summaryPrefix?: string; overrides?: Record<string, unknown> }
+  ): Promise<CloneResult> => {
+    const source = await jira.getJson<SourceIssue>(`/rest/api/3/issue/${encodeURIComponent(sourceKey)}`);
+    const project = target.project ?? source.fields.project.key;
+    const types = await listCreateIssueTypes(cache, project);
+    const issueType = pickIssueType(types, target.issueType, source, !!target.parentKey);
+    if (!issueType) {
+      throw new CloneError(`Issue type "${target.issueType ?? source.fields.issuetype.name}" is not available in ${project}`, {
+        source: sourceKey,
+        project,
+        issueTypes: types.map((t) => t.name),
+      });
+    }
+    const meta = new Map((await getCreateFields(cache, project, issueType.id)).map((f) => [f.fieldId, f]));
+
+    const fields: Record<string, unknown> = { project: { key: project }, issuetype: { id: issueType.id } };
+    const copiedFields: string[] = [];
+    const uncopiedFields: UncopiedField[] = [];
+    for (const sourceId of selected ?? Object.keys(source.fields)) {
+      const targetId = fieldMap[sourceId] ?? sourceId;
+      // Also for an explicit `fields` list: project and issue type come from the clone target,
+      // and the rest are set by Jira.
+      if (NOT_CLONED.has(sourceId) || NOT_CLONED.has(targetId)) {
+        if (selected) uncopiedFields.push({ field: sourceId, reason: 'never cloned (set by the clone target or by Jira)' });
+        continue;
+      }
+      const value = source.fields[sourceId];
+      if (isEmpty(value)) {
+        if (selected) uncopiedFields.push({ field: sourceId, reason: 'empty in the source issue' });
+        continue;
+      }
+      const fieldMeta = meta.get(targetId);
+      if (!fieldMeta) {
+        uncopiedFields.push({ field: sourceId, reason: `not on the create screen of ${project} / ${issueType.name}` });
+        continue;
+      }
+      if (targetId === 'parent' && target.parentKey) continue;
+      const converted = toCreateValue(targetId, value, fieldMeta);
+      if ('reason' in converted) {
+        uncopiedFields.push({ field: sourceId, name: fieldMeta.name, reason: converted.reason });
+        continue;
+      }
+      fields[targetId] = converted.value;
+      copiedFields.push(targetId === sourceId ? sourceId : `${sourceId} -> ${targetId}`);
+    }
+
+    if (target.parentKey) fields.parent = { key: target.parentKey };
+    if (target.summaryPrefix && typeof source.fields.summary === 'string') {
+      fields.summary = `${target.summaryPrefix}${source.fields.summary}`;
+    }
+    Object.assign(fields, target.overrides);
+
+    const missing = [...meta.values()].filter((f) => f.required && !f.hasDefaultValue && isEmpty(fields[f.fieldId]));
+    if (missing.length) {
+      throw new CloneError(
+        `Cannot clone ${sourceKey}: required fields of ${project} / ${issueType.name} have no value: ${missing.map((f) => f.name).join(', ')}`,
+        {
+          source: sourceKey,
+          missingRequired: missing.map((f) => ({ id: f.fieldId, name: f.name })),
+          uncopiedFields,
+          hint: 'Provide them via overrides, or map source fields with fieldMap',
+        }
+      );
+    }
+
+    await opts.guard?.checkCreate(fields);
+    const created = await jira.postJson<{ id: string; key: string }>('/rest/api/3/issue', { fields });
+    return {
+      source: sourceKey,
+      key: created.key,
+      id: created.id,
+      project,
+      issueType: issueType.name,
+      copiedFields,
+      uncopiedFields,
+    };
+  };
+
+  const root = await cloneOne(opts.issueKey, {
+    project: opts.targetProject,
+    issueType: opts.targetIssueType,
+    summaryPrefix: opts.summaryPrefix,
+    overrides,
+  });
+  const result: CloneIssueResult = { ...root };
+
+  if (opts.linkToSource !== false) {
+    try {
+      await opts.guard?.checkIssues([opts.issueKey]);
+      const { type } = resolveLinkType(await listLinkTypes(cache), 'clones');
+      // "<inwardIssue> clones <outwardIssue>"
+      await jira.postJson('/rest/api/3/issueLink', {
+        type: { name: type.name },
+        inwardIssue: { key: root.key },
+        outwardIssue: { key: opts.issueKey },
+      });
+      result.link = { linkType: type.name, relation: `${root.key} ${type.outward} ${opts.issueKey}` };
+    } catch (error) {
+      result.link = { error: error instanceof Error ? error.message : String(error) };
+    }
+  }
+
+  if (opts.includeSubtasks) {
+    const source = await jira.getJson<SourceIssue>(`/rest/api/3/issue/${encodeURIComponent(opts.issueKey)}`, {
+      fields: 'subtasks',
+    });
+    result.subtasks = [];
+    for (const subtask of source.fields.subtasks ?? []) {
+      try {
+        result.subtasks.push(await cloneOne(subtask.key, { project: root.project, parentKey: root.key }));
+      } catch (error) {
+        result.subtasks.push({ source: subtask.key, error: error instanceof Error ? error.message : String(error) });
+      }
+    }
+  }
+
+  return result;
+}
+
+function pickIssueType(
+  types: CreateMetaIssueType[],
+  requested: string | undefined,
+  source: SourceIssue,
+  isSubtask: boolean
+): CreateMetaIssueType | undefined {
+  if (requested) return findIssueType(types, requested);
+  const sameType = findIssueType(types, source.fields.issuetype.id) ?? findIssueType(types, source.fields.issuetype.name);
+  if (sameType) return sameType;
+  return isSubtask ? types.find((t) => t.subtask) : undefined;
+}
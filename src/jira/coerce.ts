@@ -0,0 +1,194 @@
+import { MetadataCache } from './cache.js';
+import { JiraClient } from './client.js';
+import { formatJiraDateTime, parseStartTime } from './worklogs.js';
+
+export type EditMetaField = {
+  name: string;
+  key?: string;
+  required?: boolean;
+  schema?: { type?: string; items?: string; system?: string; custom?: string };
+  allowedValues?: Array<Record<string, unknown>>;
+  operations?: string[];
+};
+
+export type EditMeta = { fields?: Record<string, EditMetaField> };
+
+export type Coercion = { field: string; name?: string; from: unknown; to: unknown };
+
+export type JiraUser = {
+  accountId: string;
+  /** Username; Data Center only. */
+  name?: string;
+  displayName?: string;
+  active?: boolean;
+  emailAddress?: string;
+};
+
+export class CoercionError extends Error {
+  public field: string;
+  public value: unknown;
+  public candidates?: string[];
+
+  constructor(message: string, opts: { field: string; value: unknown; candidates?: string[] }) {
+    super(message);
+    this.name = 'CoercionError';
+    this.field = opts.field;
+    this.value = opts.value;
+    this.candidates = opts.candidates;
+  }
+}
+
+// Fields whose plain string values are already the right shape, so they never need editmeta.
+const PLAIN_TEXT_FIELDS = new Set(['summary', 'description', 'environment', 'labels']);
+
+// Cloud account ids: 24 hex chars (legacy) or "<digits>:<uuid>".
+const ACCOUNT_ID_RE = /^([0-9a-f]{24}|\d+:[0-9a-f-]{36})$/i;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const NAMED_REF_TYPES = new Set(['version', 'component', 'priority', 'resolution']);
+const CASCADE_SEPARATOR_RE = /\s*(?:>|\/)\s*/;
+
+function hasFriendlyValue(value: unknown): boolean {
+  return typeof value === 'string' || (Array.isArray(value) && value.some((v) => typeof v === 'string'));
+}
+
+/** True when some value is a plain string that editmeta-based coercion might need to reshape. */
+export function needsCoercion(fields: Record<string, unknown>): boolean {
+  return Object.entries(fields).some(([key, value]) => !PLAIN_TEXT_FIELDS.has(key) && hasFriendlyValue(value));
+}
+
+export async function getEditMeta(jira: JiraClient, issueKey: string): Promise<EditMeta> {
+  return jira.getJson<EditMeta>(`/rest/api/3/issue/${encodeURIComponent(issueKey)}/editmeta`);
+}
+
+function optionLabel(option: Record<string, unknown>): string {
+  return String(option.value ?? option.name ?? option.key ?? option.id);
+}
+
+function matchOption(
+  field: string,
+  options: Array<Record<string, unknown>>,
+  text: string
+): Record<string, unknown> {
+  const wanted = text.trim().toLowerCase();
+  const match =
+    options.find((o) => String(o.id) === text.trim()) ?? options.find((o) => optionLabel(o).toLowerCase() === wanted);
+  if (match) return match;
+  throw new CoercionError(`"${text}" is not an allowed value for ${field}`, {
+    field,
+    value: text,
+    candidates: options.slice(0, 50).map(optionLabel),
+  });
+}
+
+/**
+ * Picks the user a query refers to: an exact email (or Data Center username) match, else
+ * the only candidate with that exact display name. Fuzzy matches are never picked, not even
+ * a single one; the error lists them as candidates instead.
+ */
+export async function resolveUserAccountId(cache: MetadataCache, field: string, query: string): Promise<string> {
+  const users = await cache.getJson<JiraUser[]>('users', '/rest/api/3/user/search', { query, maxResults: 20 });
+  const active = users.filter((u) => u.active !== false);
+  const q = query.trim().toLowerCase();
+  const exact = active.find((u) => u.emailAddress?.toLowerCase() === q || u.name?.toLowerCase() === q);
+  if (exact) return exact.accountId;
+  const byName = active.filter((u) => u.displayName?.toLowerCase() === q);
+  if (byName.length === 1) return byName[0].accountId;
+  const message = !active.length
+    ? `No active user matches "${query}" for ${field}`
+    : active.length > 1
+      ? `"${query}" matches several users for ${field}`
+      : `"${query}" is not the exact email or display name of a user for ${field}`;
+  throw new CoercionError(message, {
+    field,
+    value: query,
+    candidates: active.slice(0, 10).map((u) => `${u.displayName ?? '?'} (${u.emailAddress ?? u.accountId})`),
+  });
+}
+
+function toDate(field: string, text: string, withTime: boolean): string {
+  if (!withTime && DATE_RE.test(text.trim())) return text.trim();
+  let date: Date;
+  try {
+    date = parseStartTime(text);
+  } catch {
+    throw new CoercionError(`Cannot read "${text}" as a date for ${field}`, { field, value: text });
+  }
+  if (withTime) return formatJiraDateTime(date);
+  const pad = (n: number) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+async function coerceScalar(
+  cache: MetadataCache,
+  name: string,
+  meta: EditMetaField,
+  type: string | undefined,
+  value: string
+): Promise<unknown> {
+  if (type === 'user') {
+    const text = value.trim();
+    return { accountId: ACCOUNT_ID_RE.test(text) ? text : await resolveUserAccountId(cache, name, text) };
+  }
+  if (meta.allowedValues?.length) return { id: String(matchOption(name, meta.allowedValues, value).id) };
+  if (type === 'number') {
+    const n = Number(value.trim());
+    if (value.trim() === '' || Number.isNaN(n)) {
+      throw new CoercionError(`${name} needs a number, got "${value}"`, { field: name, value });
+    }
+    return n;
+  }
+  // Without allowedValues in editmeta, fall back to the reference-by-name shapes Jira accepts.
+  if (type === 'option') return { value };
+  if (type && NAMED_REF_TYPES.has(type)) return { name: value };
+  if (type === 'date') return toDate(name, value, false);
+  if (type === 'datetime') return toDate(name, value, true);
+  return value;
+}
+
+async function coerceValue(cache: MetadataCache, meta: EditMetaField, value: unknown): Promise<unknown> {
+  const schema = meta.schema ?? {};
+  if (schema.type === 'option-with-child' && (typeof value === 'string' || Array.isArray(value))) {
+    // "Parent > Child", "Parent / Child" or ["Parent", "Child"]
+    const [parentText, childText] = Array.isArray(value) ? value.map(String) : value.split(CASCADE_SEPARATOR_RE);
+    const parent = matchOption(meta.name, meta.allowedValues ?? [], parentText);
+    if (childText === undefined) return { id: String(parent.id) };
+    const children = (parent.children as Array<Record<string, unknown>> | undefined) ?? [];
+    return { id: String(parent.id), child: { id: String(matchOption(meta.name, children, childText).id) } };
+  }
+  if (schema.type === 'array') {
+    if (typeof value === 'string') value = [value];
+    if (!Array.isArray(value)) return value;
+    return Promise.all(
+      value.map((v) => (typeof v === 'string' ? coerceScalar(cache, meta.name, meta, schema.items, v) : v))
+    );
+  }
+  return typeof value === 'string' ? coerceScalar(cache, meta.name, meta, schema.type, value) : value;
+}
+
+/**
+ * Rewrites friendly values into the JSON shapes the issue's edit screen expects:
+ * option/version/component names to `{id}`, emails or names to `{accountId}`,
+ * numeric strings to numbers and relative or ISO dates to Jira's date formats.
+ * Values that are already objects are left alone. Returns what was changed.
+ */
+export async function coerceFields(
+  cache: MetadataCache,
+  editMeta: EditMeta,
+  fields: Record<string, unknown>
+): Promise<{ fields: Record<string, unknown>; coercions: Coercion[] }> {
+  const out: Record<string, unknown> = {};
+  const coercions: Coercion[] = [];
+  for (const [key, value] of Object.entries(fields)) {
+    const meta = editMeta.fields?.[key];
+    if (!meta || PLAIN_TEXT_FIELDS.has(key) || !hasFriendlyValue(value)) {
+      out[key] = value;
+      continue;
+    }
+    const coerced = await coerceValue(cache, meta, value);
+    out[key] = coerced;
+    if (JSON.stringify(coerced) !== JSON.stringify(value)) {
+      coercions.push({ field: key, name: meta.name, from: value, to: coerced });
+    }
+  }
+  return { fields: out, coercions };
+}
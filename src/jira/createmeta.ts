@@ -0,0 +1,223 @@
+import { MetadataCache } from './cache.js';
+
+export type CreateMetaIssueType = {
+  id: string;
+  name: string;
+  subtask?: boolean;
+  hierarchyLevel?: number;
+  description?: string;
+};
+
+export type CreateMetaField = {
+  fieldId: string;
+  key?: string;
+  name: string;
+  required: boolean;
+  hasDefaultValue?: boolean;
+  schema?: { type?: string; items?: string; system?: string; custom?: string; customId?: number };
+  allowedValues?: Array<Record<string, unknown>>;
+  operations?: string[];
+};
+
+const CREATE_META_PAGE_SIZE = 200;
+
+/** Issue types that can be created in a project (cached with the other issue type metadata). */
+export async function listCreateIssueTypes(cache: MetadataCache, project: string): Promise<CreateMetaIssueType[]> {
+  const page = await cache.getJson<{ issueTypes?: CreateMetaIssueType[] }>(
+    'issueTypes',
+    `/rest/api/3/issue/createmeta/${encodeURIComponent(project)}/issuetypes`,
+    { maxResults: CREATE_META_PAGE_SIZE }
+  );
+  return page.issueTypes ?? [];
+}
+
+/** Finds an issue type by id or case-insensitive name. */
+export function findIssueType(types: CreateMetaIssueType[], nameOrId: string): CreateMetaIssueType | undefined {
+  const wanted = nameOrId.trim().toLowerCase();
+  return types.find((t) => t.id === nameOrId.trim()) ?? types.find((t) => t.name.toLowerCase() === wanted);
+}
+
+/** Fields on the create screen for a project + issue type, following pagination. */
+export async function getCreateFields(
+  cache: MetadataCache,
+  project: string,
+  issueTypeId: string
+): Promise<CreateMetaField[]> {
+  const path = `/rest/api/3/issue/createmeta/${encodeURIComponent(project)}/issuetypes/${encodeURIComponent(issueTypeId)}`;
+  const fields: CreateMetaField[] = [];
+  for (let startAt = 0; ; ) {
+    const page = await cache.getJson<{ fields?: CreateMetaField[]; results?: CreateMetaField[]; total?: number }>(
+      'issueTypes',
+      path,
+      { startAt, maxResults: CREATE_META_PAGE_SIZE }
+    );
+    // The endpoint has returned the list as both `fields` and `results` over time.
+    const batch = page.fields ?? page.results ?? [];
+    fields.push(...batch);
+    startAt += batch.length;
+    if (!batch.length || page.total === undefined || startAt >= page.total) return fields;
+  }
+}
+
+export type CreateFieldProblem = {
+  field: string;
+  name?: string;
+  problem: 'missing_required' | 'unknown_field' | 'invalid_value';
+  message: string;
+  allowedValues?: string[];
+};
+
+export class CreateValidationError extends Error {
+  public problems: CreateFieldProblem[];
+  public project?: string;
+  public issueType?: string;
+
+  constructor(message: string, opts: { problems: CreateFieldProblem[]; project?: string; issueType?: string }) {
+    super(message);
+    this.name = 'CreateValidationError';
+    this.problems = opts.problems;
+    this.project = opts.project;
+    this.issueType = opts.issueType;
+  }
+}
+
+// Allowed-value lists in errors are cut to this many labels.
+const MAX_LISTED_VALUES = 50;
+
+function isEmptyValue(value: unknown): boolean {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function refOf(value: unknown): { id?: string; label?: string } {
+  if (value && typeof value === 'object') {
+    const v = value as Record<string, unknown>;
+    const label = v.name ?? v.value ?? v.key;
+    return {
+      id: v.id === undefined ? undefined : String(v.id),
+      label: label === undefined ? undefined : String(label),
+    };
+  }
+  return { label: value === undefined || value === null ? undefined : String(value) };
+}
+
+export function allowedValueLabel(allowed: Record<string, unknown>): string {
+  return String(allowed.name ?? allowed.value ?? allowed.key ?? allowed.id);
+}
+
+function findAllowed(
+  allowedValues: Array<Record<string, unknown>>,
+  value: unknown
+): Record<string, unknown> | undefined {
+  const { id, label } = refOf(value);
+  if (id !== undefined) return allowedValues.find((a) => String(a.id) === id);
+  const wanted = label?.trim().toLowerCase();
+  return wanted === undefined ? undefined : allowedValues.find((a) => allowedValueLabel(a).toLowerCase() === wanted);
+}
+
+function listAllowed(allowedValues: Array<Record<string, unknown>>): string[] {
+  const labels = allowedValues.slice(0, MAX_LISTED_VALUES).map(allowedValueLabel);
+  if (allowedValues.length > MAX_LISTED_VALUES) labels.push(`…(${allowedValues.length - MAX_LISTED_VALUES} more)`);
+  return labels;
+}
+
+function checkAllowed(meta: CreateMetaField, value: unknown, problems: CreateFieldProblem[]): void {
+  const allowedValues = meta.allowedValues ?? [];
+  for (const item of Array.isArray(value) ? value : [value]) {
+    const match = findAllowed(allowedValues, item);
+    const child = item && typeof item === 'object' ? (item as { child?: unknown }).child : undefined;
+    const children = match?.children as Array<Record<string, unknown>> | undefined;
+    if (match && (child === undefined || !children || findAllowed(children, child))) continue;
+    const bad = match ? child : item;
+    const { id, label } = refOf(bad);
+    problems.push({
+      field: meta.fieldId,
+      name: meta.name,
+      problem: 'invalid_value',
+      message: `"${label ?? id}" is not an allowed value for ${meta.name}`,
+      allowedValues: listAllowed(match ? (children ?? []) : allowedValues),
+    });
+  }
+}
+
+/**
+ * Checks create-time fields (and update operations) against the create screen:
+ * required fields without a value or default, fields that are not on the screen,
+ * and choices that are not among a field's allowed values.
+ */
+export function validateCreateFields(
+  meta: CreateMetaField[],
+  fields: Record<string, unknown>,
+  update?: Record<string, unknown>
+): CreateFieldProblem[] {
+  const byId = new Map(meta.map((f) => [f.fieldId, f]));
+  const problems: CreateFieldProblem[] = [];
+
+  for (const f of meta) {
+    if (!f.required || f.hasDefaultValue || !isEmptyValue(fields[f.fieldId]) || update?.[f.fieldId]) continue;
+    problems.push({ field: f.fieldId, name: f.name, problem: 'missing_required', message: `${f.name} is required` });
+  }
+
+  for (const key of [...Object.keys(fields), ...Object.keys(update ?? {})]) {
+    if (key === 'project' || key === 'issuetype' || byId.has(key)) continue;
+    problems.push({
+      field: key,
+      problem: 'unknown_field',
+      message: `${key} is not on the create screen for this project and issue type`,
+    });
+  }
+
+  for (const [key, value] of Object.entries(fields)) {
+    const f = byId.get(key);
+    if (f?.allowedValues?.length && !isEmptyValue(value)) checkAllowed(f, value, problems);
+  }
+
+  return problems;
+}
+
+/**
+ * Pre-flight check for a create payload: resolves its project and issue type, loads the
+ * create metadata and throws CreateValidationError listing every problem found.
+ */
+export async function preflightCreate(
+  cache: MetadataCache,
+  fields: Record<string, unknown>,
+  update?: Record<string, unknown>
+): Promise<void> {
+  const project = refOf(fields.project);
+  const projectIdOrKey = project.id ?? project.label;
+  if (!projectIdOrKey || isEmptyValue(fields.issuetype)) {
+    throw new CreateValidationError('fields must include project and issuetype', {
+      problems: (['project', 'issuetype'] as const)
+        .filter((key) => isEmptyValue(fields[key]))
+        .map((key) => ({ field: key, problem: 'missing_required' as const, message: `${key} is required` })),
+    });
+  }
+
+  const issueTypeRef = refOf(fields.issuetype);
+  const requestedType = issueTypeRef.id ?? issueTypeRef.label ?? '';
+  const types = await listCreateIssueTypes(cache, projectIdOrKey);
+  const issueType = findIssueType(types, requestedType);
+  if (!issueType) {
+    throw new CreateValidationError(`Issue type "${requestedType}" cannot be created in ${projectIdOrKey}`, {
+      project: projectIdOrKey,
+      problems: [
+        {
+          field: 'issuetype',
+          problem: 'invalid_value',
+          message: `"${requestedType}" is not an issue type of ${projectIdOrKey}`,
+          allowedValues: types.map((t) => t.name),
+        },
+      ],
+    });
+  }
+
+  const problems = validateCreateFields(await getCreateFields(cache, projectIdOrKey, issueType.id), fields, update);
+  if (problems.length) {
+    const summary = problems.map((p) => p.message).join('; ');
+    throw new CreateValidationError(`Create validation failed for ${projectIdOrKey} / ${issueType.name}: ${summary}`, {
+      problems,
+      project: projectIdOrKey,
+      issueType: issueType.name,
+    });
+  }
+}
@@ -0,0 +1,205 @@
+import type { Query } from './client.js';
+import { adfToWiki } from './wiki.js';
+
+export type JiraDeployment = 'cloud' | 'datacenter';
+
+export function parseDeployment(raw: string | undefined, source: string): JiraDeployment {
+  const value = raw?.trim().toLowerCase();
+  if (!value || value === 'cloud') return 'cloud';
+  if (value === 'datacenter' || value === 'data-center' || value === 'server') return 'datacenter';
+  throw new Error(`Invalid ${source} "${raw}": expected cloud or datacenter`);
+}
+
+/** A Cloud request rewritten for Data Center, plus how to map the response back to the Cloud shape. */
+export type DataCenterRequest = {
+  path: string;
+  query?: Query;
+  body?: unknown;
+  toCloud: (data: unknown) => unknown;
+};
+
+const CLOUD_API = '/rest/api/3/';
+const SERVER_API = '/rest/api/2/';
+
+// Cloud-only APIs without a Data Center counterpart.
+const CLOUD_ONLY_PATHS = [/^bulk\//, /^workflow\/search$/, /^workflowscheme\/project$/];
+
+type Page = { issues?: unknown[]; total?: number; startAt?: number };
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return !!value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function isAdfDoc(value: Record<string, unknown>): boolean {
+  return value.type === 'doc' && Array.isArray(value.content);
+}
+
+/**
+ * Rewrites a request body for Data Center: ADF docs become wiki markup strings and
+ * `{ accountId }` user references become `{ name }` (Data Center identifies users by username).
+ */
+export function toServerBody(value: unknown): unknown {
+  if (Array.isArray(value)) return value.map(toServerBody);
+  if (!isPlainObject(value)) return value;
+  if (isAdfDoc(value)) return adfToWiki(value);
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k === 'accountId' ? 'name' : k, toServerBody(v)]));
+}
+
+/**
+ * Gives every Data Center user object in a response an `accountId` (its username), so code
+ * and tool output written against Cloud's accountId-based users keep working unchanged.
+ */
+export function normalizeServerUsers(value: unknown): unknown {
+  if (Array.isArray(value)) return value.map(normalizeServerUsers);
+  if (!isPlainObject(value)) return value;
+  const out = Object.fromEntries(Object.entries(value).map(([k, v]) => [k, normalizeServerUsers(v)]));
+  const isUser = typeof out.self === 'string' && out.self.includes('/user?') && typeof out.name === 'string';
+  if (isUser && out.accountId === undefined) out.accountId = out.name;
+  return out;
+}
+
+function serverQuery(query: Query | undefined, renames: Record<string, string> = {}): Query | undefined {
+  if (!query) return undefined;
+  const all: Record<string, string> = { accountId: 'username', ...renames };
+  return Object.fromEntries(Object.entries(query).map(([k, v]) => [all[k] ?? k, v]));
+}
+
+function searchBody(body: unknown): Record<string, unknown> {
+  const b = (isPlainObject(body) ? body : {}) as Record<string, unknown>;
+  const expand = typeof b.expand === 'string' ? b.expand.split(',').map((e) => e.trim()).filter(Boolean) : b.expand;
+  return {
+    jql: b.jql,
+    startAt: Number(b.nextPageToken) || 0,
+    maxResults: b.maxResults,
+    fields: b.fields,
+    expand,
+    properties: b.properties,
+    fieldsByKeys: b.fieldsByKeys,
+  };
+}
+
+/** Maps a startAt/total search page to the nextPageToken/isLast shape of Cloud's /search/jql. */
+function toTokenPage(startAt: number) {
+  return (data: unknown) => {
+    const page = (data ?? {}) as Page;
+    const next = startAt + (page.issues?.length ?? 0);
+    const more = !!page.issues?.length && next < (page.total ?? 0);
+    return { ...page, isLast: !more, ...(more ? { nextPageToken: String(next) } : {}) };
+  };
+}
+
+function pageOf(values: unknown[], query: Query | undefined) {
+  const startAt = Number(query?.startAt) || 0;
+  const maxResults = Number(query?.maxResults) || 50;
+  const slice = values.slice(startAt, startAt + maxResults);
+  return { values: slice, startAt, maxResults, total: values.length, isLast: startAt + slice.length >= values.length };
+}
+
+function renamed(from: string, to: string) {
+  return (data: unknown) => {
+    if (!isPlainObject(data) || data[to] !== undefined) return data;
+    const { [from]: values, ...rest } = data;
+    return { ...rest, [to]: values };
+  };
+}
+
+/**
+ * Translates a request written against Jira Cloud's REST API v3 into its Jira Data Center /
+ * Server (REST API v2) equivalent. Most endpoints only change version; search, user search,
+ * project search, changelogs, worklog filters and create metadata also change shape, and Cloud-only APIs
+ * (bulk edit, workflow search) fail with a clear error instead of a 404.
+ */
+export function toDataCenterRequest(
+  method: string,
+  path: string,
+  query: Query | undefined,
+  body: unknown
+): DataCenterRequest {
+  const passThrough = { path, query: serverQuery(query), body: toServerBody(body), toCloud: normalizeServerUsers };
+  if (!path.startsWith(CLOUD_API)) return passThrough;
+  const rest = path.slice(CLOUD_API.length);
+  const v2 = { ...passThrough, path: SERVER_API + rest };
+  const then = (fn: (data: unknown) => unknown) => (data: unknown) => fn(normalizeServerUsers(data));
+
+  if (CLOUD_ONLY_PATHS.some((re) => re.test(rest))) {
+    throw new Error(`${method} ${path} is only available on Jira Cloud (JIRA_DEPLOYMENT=datacenter)`);
+  }
+  if (rest === 'search/jql') {
+    const search = searchBody(body);
+    return { ...v2, path: `${SERVER_API}search`, body: search, toCloud: then(toTokenPage(search.startAt as number)) };
+  }
+  if (rest === 'search/approximate-count') {
+    const jql = isPlainObject(body) ? body.jql : undefined;
+    return {
+      ...v2,
+      path: `${SERVER_API}search`,
+      body: { jql, maxResults: 0 },
+      toCloud: (data) => ({ count: ((data ?? {}) as Page).total ?? 0 }),
+    };
+  }
+  if (rest === 'user/search') {
+    return { ...v2, query: serverQuery(query, { query: 'username' }) };
+  }
+  if (rest === 'project/search') {
+    const filter = typeof query?.query === 'string' ? query.query.trim().toLowerCase() : '';
+    return {
+      ...v2,
+      path: `${SERVER_API}project`,
+      query: undefined,
+      toCloud: then((data) => {
+        const all = (Array.isArray(data) ? data : []) as Array<{ key?: string; name?: string }>;
+        const matching = filter
+          ? all.filter((p) => p.key?.toLowerCase().includes(filter) || p.name?.toLowerCase().includes(filter))
+          : all;
+        return pageOf(matching, query);
+      }),
+    };
+  }
+  const changelog = rest.match(/^issue\/([^/]+)\/changelog$/);
+  if (changelog) {
+    return {
+      ...v2,
+      path: `${SERVER_API}issue/${changelog[1]}`,
+      query: { expand: 'changelog', fields: 'summary' },
+      // The expansion already holds the whole changelog, so return everything from startAt
+      // as the last page instead of fetching the issue again for each page.
+      toCloud: then((data) => {
+        const histories = ((data ?? {}) as { changelog?: { histories?: unknown[] } }).changelog?.histories ?? [];
+        return pageOf(histories, { startAt: query?.startAt, maxResults: histories.length });
+      }),
+    };
+  }
+  // Data Center returns every worklog of the issue and has no started filters; apply them here
+  // and page the filtered list, so startAt/maxResults count matching worklogs as on Cloud.
+  const worklogs = rest.match(/^issue\/[^/]+\/worklog$/);
+  if (worklogs && method === 'GET') {
+    const after = Number(query?.startedAfter ?? Number.NEGATIVE_INFINITY);
+    const before = Number(query?.startedBefore ?? Number.POSITIVE_INFINITY);
+    const clientParams = new Set(['startedAfter', 'startedBefore', 'startAt', 'maxResults']);
+    const serverParams = Object.entries(query ?? {}).filter(([k]) => !clientParams.has(k));
+    return {
+      ...v2,
+      query: serverQuery(Object.fromEntries(serverParams)),
+      toCloud: then((data) => {
+        if (!isPlainObject(data) || !Array.isArray(data.worklogs)) return data;
+        const matching = (data.worklogs as Array<{ started?: string }>).filter((w) => {
+          const started = Date.parse(w.started ?? '');
+          return started >= after && started < before;
+        });
+        const { values, ...page } = pageOf(matching, {
+          startAt: query?.startAt,
+          maxResults: query?.maxResults ?? matching.length,
+        });
+        return { ...data, ...page, worklogs: values };
+      }),
+    };
+  }
+  // Data Center's paginated create metadata returns both lists as `values`.
+  if (/^issue\/createmeta\/[^/]+\/issuetypes$/.test(rest)) {
+    return { ...v2, toCloud: then(renamed('values', 'issueTypes')) };
+  }
+  if (/^issue\/createmeta\/[^/]+\/issuetypes\/[^/]+$/.test(rest)) {
+    return { ...v2, toCloud: then(renamed('values', 'fields')) };
+  }
+  return v2;
+}
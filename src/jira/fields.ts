@@ -0,0 +1,153 @@
+import { MetadataCache } from './cache.js';
+
+export type JiraField = {
+  id: string;
+  key?: string;
+  name: string;
+  custom?: boolean;
+  searchable?: boolean;
+  clauseNames?: string[];
+  schema?: { type?: string; items?: string; system?: string; custom?: string; customId?: number };
+};
+
+export type FieldCandidate = { id: string; name: string; type?: string };
+
+export class FieldResolutionError extends Error {
+  public field: string;
+  public candidates: FieldCandidate[];
+
+  constructor(message: string, opts: { field: string; candidates: FieldCandidate[] }) {
+    super(message);
+    this.name = 'FieldResolutionError';
+    this.field = opts.field;
+    this.candidates = opts.candidates;
+  }
+}
+
+// System field ids that can be used without a /field lookup.
+const SYSTEM_FIELD_IDS = new Set([
+  'project',
+  'issuetype',
+  'summary',
+  'description',
+  'environment',
+  'assignee',
+  'reporter',
+  'priority',
+  'labels',
+  'components',
+  'fixVersions',
+  'versions',
+  'duedate',
+  'parent',
+  'security',
+  'timetracking',
+  'issuelinks',
+  'comment',
+  'worklog',
+  'attachment',
+  'resolution',
+  'status',
+]);
+
+const CUSTOM_FIELD_ID_RE = /^customfield_\d+$/;
+const CLAUSE_ID_RE = /^cf\[(\d+)\]$/i;
+
+function normalizeName(name: string): string {
+  return name.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function toCandidate(f: JiraField): FieldCandidate {
+  return { id: f.id, name: f.name, type: f.schema?.custom ?? f.schema?.type };
+}
+
+type FieldMatch = { id?: string; ambiguous: JiraField[]; similar: JiraField[] };
+
+function matchField(fields: JiraField[], key: string): FieldMatch {
+  if (fields.some((f) => f.id === key)) return { id: key, ambiguous: [], similar: [] };
+
+  const wanted = normalizeName(key);
+  const byName = fields.filter((f) => normalizeName(f.name) === wanted);
+  if (byName.length === 1) return { id: byName[0].id, ambiguous: [], similar: [] };
+  if (byName.length > 1) return { ambiguous: byName, similar: [] };
+
+  const byId = fields.filter((f) => f.id.toLowerCase() === wanted || f.key?.toLowerCase() === wanted);
+  if (byId.length === 1) return { id: byId[0].id, ambiguous: [], similar: [] };
+
+  const similar = fields
+    .filter((f) => normalizeName(f.name).includes(wanted) || wanted.includes(normalizeName(f.name)))
+    .slice(0, 10);
+  return { ambiguous: [], similar };
+}
+
+/**
+ * View of /rest/api/3/field (cached by MetadataCache) used to translate display names
+ * ("Story Points") into field ids (customfield_10016) for write tools.
+ */
+export class FieldCatalog {
+  constructor(private cache: MetadataCache) {}
+
+  async list(): Promise<JiraField[]> {
+    return this.cache.getJson<JiraField[]>('fields', '/rest/api/3/field');
+  }
+
+  invalidate(): void {
+    this.cache.invalidate('fields');
+  }
+
+  /** True when the key is already usable as a field id without a lookup. */
+  static isFieldId(key: string): boolean {
+    return SYSTEM_FIELD_IDS.has(key) || CUSTOM_FIELD_ID_RE.test(key);
+  }
+
+  /** Resolves a single field id or display name to its id. */
+  async resolveKey(key: string): Promise<string> {
+    if (FieldCatalog.isFieldId(key)) return key;
+    const clause = key.trim().match(CLAUSE_ID_RE);
+    if (clause) return `customfield_${clause[1]}`;
+
+    let match = matchField(await this.list(), key);
+    if (!match.id && !match.ambiguous.length) {
+      // The field may have been created since the list was cached; look once more.
+      this.invalidate();
+      match = matchField(await this.list(), key);
+    }
+    if (match.id) return match.id;
+    if (match.ambiguous.length) {
+      throw new FieldResolutionError(
+        `Field name "${key}" is ambiguous (${match.ambiguous.length} fields share it); use one of the field ids instead`,
+        { field: key, candidates: match.ambiguous.map(toCandidate) }
+      );
+    }
+    throw new FieldResolutionError(`Unknown field "${key}" (no field id or name matches)`, {
+      field: key,
+      candidates: match.similar.map(toCandidate),
+    });
+  }
+
+  /**
+   * Rewrites the keys of a fields/update object from display names to ids.
+   * Returns the rewritten object plus a name -> id map of the keys that changed.
+   */
+  async resolveKeys<T>(
+    values: Record<string, T>
+  ): Promise<{ values: Record<string, T>; resolved: Record<string, string> }> {
+    const out: Record<string, T> = {};
+    const resolved: Record<string, string> = {};
+    const sources = new Map<string, string>();
+    for (const [key, value] of Object.entries(values)) {
+      const id = await this.resolveKey(key);
+      const previous = sources.get(id);
+      if (previous !== undefined) {
+        throw new FieldResolutionError(`Fields "${previous}" and "${key}" both refer to ${id}`, {
+          field: key,
+          candidates: [],
+        });
+      }
+      sources.set(id, key);
+      out[id] = value;
+      if (id !== key) resolved[key] = id;
+    }
+    return { values: out, resolved };
+  }
+}
@@ -0,0 +1,173 @@
+import { JiraClient } from './client.js';
+import { FieldCatalog, JiraField } from './fields.js';
+
+const EPIC_LINK_SCHEMA = 'com.pyxis.greenhopper.jira:gh-epic-link';
+
+// Keys per `parent in (...)` clause, to keep the JQL well under Jira's length limits.
+const KEYS_PER_QUERY = 50;
+
+type TreeIssue = {
+  key: string;
+  fields: {
+    summary?: string;
+    status?: { name?: string; statusCategory?: { name?: string } };
+    issuetype?: { name?: string };
+    assignee?: { displayName?: string } | null;
+    parent?: { key: string };
+    subtasks?: Array<{ key: string }>;
+    [epicLink: string]: unknown;
+  };
+};
+
+export type StatusCategoryCounts = Record<string, number>;
+
+export type IssueTreeNode = {
+  key: string;
+  summary?: string;
+  type?: string;
+  status?: string;
+  statusCategory?: string;
+  assignee?: string;
+  /** Counts of all descendants by status category (only on walked descendants). */
+  rollup?: { total: number; byStatusCategory: StatusCategoryCounts };
+  children?: IssueTreeNode[];
+};
+
+export type IssueTree = {
+  focus: string;
+  /** Root of the returned tree: the highest ancestor reached, or the focus issue. */
+  tree: IssueTreeNode;
+  ancestors: string[];
+  epicLinkField?: string;
+  issueCount: number;
+  truncated: boolean;
+};
+
+export type IssueTreeOptions = { issueKey: string; depth: number; ancestorDepth: number; maxIssues: number };
+
+export async function findEpicLinkField(fieldCatalog: FieldCatalog): Promise<JiraField | undefined> {
+  return (await fieldCatalog.list()).find((f) => f.schema?.custom === EPIC_LINK_SCHEMA);
+}
+
+function toNode(issue: TreeIssue): IssueTreeNode {
+  const f = issue.fields;
+  return {
+    key: issue.key,
+    summary: f.summary,
+    type: f.issuetype?.name,
+    status: f.status?.name,
+    statusCategory: f.status?.statusCategory?.name,
+    assignee: f.assignee?.displayName ?? undefined,
+  };
+}
+
+function parentKeyOf(issue: TreeIssue, epicLinkField: string | undefined): string | undefined {
+  if (issue.fields.parent?.key) return issue.fields.parent.key;
+  const epic = epicLinkField ? issue.fields[epicLinkField] : undefined;
+  return typeof epic === 'string' && epic ? epic : undefined;
+}
+
+function rollUp(node: IssueTreeNode): StatusCategoryCounts {
+  const counts: StatusCategoryCounts = {};
+  for (const child of node.children ?? []) {
+    const category = child.statusCategory ?? 'Unknown';
+    counts[category] = (counts[category] ?? 0) + 1;
+    for (const [k, n] of Object.entries(rollUp(child))) counts[k] = (counts[k] ?? 0) + n;
+  }
+  if (node.children?.length) {
+    node.rollup = { total: Object.values(counts).reduce((a, b) => a + b, 0), byStatusCategory: counts };
+  }
+  return counts;
+}
+
+async function searchChildren(
+  jira: JiraClient,
+  jql: string,
+  fields: string[],
+  limit: number
+): Promise<{ issues: TreeIssue[]; truncated: boolean }> {
+  const issues: TreeIssue[] = [];
+  let nextPageToken: string | undefined;
+  do {
+    const body: Record<string, unknown> = { jql, fields, maxResults: Math.min(100, Math.max(1, limit - issues.length)) };
+    if (nextPageToken) body.nextPageToken = nextPageToken;
+    const page = await jira.postJson<{ issues?: TreeIssue[]; nextPageToken?: string; isLast?: boolean }>(
+      '/rest/api/3/search/jql',
+      body,
+      undefined,
+      { retrySafe: true }
+    );
+    issues.push(...(page.issues ?? []));
+    nextPageToken = page.isLast || !page.issues?.length ? undefined : page.nextPageToken;
+  } while (nextPageToken && issues.length < limit);
+  return { issues: issues.slice(0, limit), truncated: !!nextPageToken || issues.length > limit };
+}
+
+/**
+ * Builds the hierarchy around an issue. Ancestors are followed through `parent`
+ * (and the legacy Epic Link field on company-managed projects) and shown as a single
+ * path; descendants are found level by level with one JQL search per level matching
+ * `parent` or Epic Link, which also covers subtasks.
+ */
+export async function getIssueTree(
+  jira: JiraClient,
+  fieldCatalog: FieldCatalog,
+  opts: IssueTreeOptions
+): Promise<IssueTree> {
+  const epicLink = await findEpicLinkField(fieldCatalog);
+  const fields = ['summary', 'status', 'issuetype', 'assignee', 'parent', 'subtasks', ...(epicLink ? [epicLink.id] : [])];
+  const getIssue = (key: string) =>
+    jira.getJson<TreeIssue>(`/rest/api/3/issue/${encodeURIComponent(key)}`, { fields: fields.join(',') });
+
+  const focusIssue = await getIssue(opts.issueKey);
+  const focus = toNode(focusIssue);
+  const seen = new Set([focusIssue.key]);
+
+  // Walk down one level at a time.
+  let truncated = false;
+  let level: IssueTreeNode[] = [focus];
+  const epicClause = epicLink ? `cf[${epicLink.schema?.customId ?? epicLink.id.replace('customfield_', '')}]` : undefined;
+  for (let depth = 0; depth < opts.depth && level.length && !truncated; depth++) {
+    const byKey = new Map(level.map((n) => [n.key, n]));
+    const next: IssueTreeNode[] = [];
+    for (let i = 0; i < level.length && !truncated; i += KEYS_PER_QUERY) {
+      const keys = level.slice(i, i + KEYS_PER_QUERY).map((n) => n.key).join(', ');
+      const jql = `(parent in (${keys})${epicClause ? ` OR ${epicClause} in (${keys})` : ''}) ORDER BY key ASC`;
+      const res = await searchChildren(jira, jql, fields, opts.maxIssues - seen.size);
+      truncated = res.truncated;
+      for (const issue of res.issues) {
+        if (seen.has(issue.key)) continue;
+        const parent = byKey.get(parentKeyOf(issue, epicLink?.id) ?? '');
+        if (!parent) continue;
+        seen.add(issue.key);
+        const node = toNode(issue);
+        (parent.children ??= []).push(node);
+        next.push(node);
+      }
+      if (seen.size >= opts.maxIssues) truncated = true;
+    }
+    level = next;
+  }
+  rollUp(focus);
+
+  // Walk up, wrapping the tree in each ancestor.
+  let tree = focus;
+  const ancestors: string[] = [];
+  let parentKey = parentKeyOf(focusIssue, epicLink?.id);
+  while (parentKey && ancestors.length < opts.ancestorDepth && !seen.has(parentKey)) {
+    const parentIssue = await getIssue(parentKey);
+    seen.add(parentIssue.key);
+    ancestors.push(parentIssue.key);
+    tree = { ...toNode(parentIssue), children: [tree] };
+    parentKey = parentKeyOf(parentIssue, epicLink?.id);
+  }
+
+  return {
+    focus: focusIssue.key,
+    tree,
+    ancestors,
+    ...(epicLink ? { epicLinkField: epicLink.id } : {}),
+    issueCount: seen.size,
+    truncated,
+  };
+}
@@ -0,0 +1,125 @@
+import { MetadataCache } from './cache.js';
+
+export type JiraIssueLinkType = { id: string; name: string; inward: string; outward: string };
+
+export type LinkDirection = 'outward' | 'inward';
+
+export type LinkTypeCandidate = { name: string; inward: string; outward: string };
+
+export class LinkTypeResolutionError extends Error {
+  public linkType: string;
+  public candidates: LinkTypeCandidate[];
+
+  constructor(message: string, opts: { linkType: string; candidates: LinkTypeCandidate[] }) {
+    super(message);
+    this.name = 'LinkTypeResolutionError';
+    this.linkType = opts.linkType;
+    this.candidates = opts.candidates;
+  }
+}
+
+function normalize(text: string): string {
+  return text.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function toCandidate(t: JiraIssueLinkType): LinkTypeCandidate {
+  return { name: t.name, inward: t.inward, outward: t.outward };
+}
+
+export async function listLinkTypes(cache: MetadataCache): Promise<JiraIssueLinkType[]> {
+  const res = await cache.getJson<{ issueLinkTypes?: JiraIssueLinkType[] }>('linkTypes', '/rest/api/3/issueLinkType');
+  return res.issueLinkTypes ?? [];
+}
+
+/**
+ * Finds a link type by its name ("Blocks") or by one of its phrases ("blocks",
+ * "is blocked by"), case-insensitively. Matching the inward phrase implies the
+ * inward direction; a type name defaults to outward unless `direction` is given.
+ */
+export function resolveLinkType(
+  types: JiraIssueLinkType[],
+  linkType: string,
+  direction?: LinkDirection
+): { type: JiraIssueLinkType; direction: LinkDirection } {
+  const wanted = normalize(linkType);
+
+  const byName = types.filter((t) => normalize(t.name) === wanted);
+  if (byName.length === 1) return { type: byName[0], direction: direction ?? 'outward' };
+
+  const byPhrase = types.flatMap((t) => {
+    const matches: Array<{ type: JiraIssueLinkType; direction: LinkDirection }> = [];
+    if (normalize(t.outward) === wanted) matches.push({ type: t, direction: 'outward' });
+    if (normalize(t.inward) === wanted) matches.push({ type: t, direction: 'inward' });
+    return matches;
+  });
+  // Symmetric types (e.g. "relates to" both ways) match twice; the direction is then irrelevant.
+  const distinct = byPhrase.filter((m, i) => byPhrase.findIndex((o) => o.type.id === m.type.id) === i);
+  if (distinct.length === 1) {
+    const phrase = distinct[0];
+    const symmetric = normalize(phrase.type.inward) === normalize(phrase.type.outward);
+    if (direction && !symmetric && direction !== phrase.direction) {
+      throw new LinkTypeResolutionError(
+        `Link phrase "${linkType}" is the ${phrase.direction} description of "${phrase.type.name}" but direction "${direction}" was requested`,
+        { linkType, candidates: [toCandidate(phrase.type)] }
+      );
+    }
+    return phrase;
+  }
+
+  const matches = byName.length > 1 ? byName : distinct.map((m) => m.type);
+  if (matches.length > 1) {
+    throw new LinkTypeResolutionError(`Link type "${linkType}" is ambiguous`, {
+      linkType,
+      candidates: matches.map(toCandidate),
+    });
+  }
+  throw new LinkTypeResolutionError(`Unknown link type "${linkType}"`, { linkType, candidates: types.map(toCandidate) });
+}
+
+export type IssueLinkEntry = {
+  id: string;
+  type: { name: string; inward: string; outward: string };
+  inwardIssue?: LinkedIssue;
+  outwardIssue?: LinkedIssue;
+};
+
+type LinkedIssue = {
+  key: string;
+  fields?: { summary?: string; status?: { name?: string }; issuetype?: { name?: string }; priority?: { name?: string } };
+};
+
+export type CompactIssueLink = {
+  id: string;
+  type: string;
+  direction: LinkDirection;
+  /** Reads as "<issue> <relation> <key>", e.g. "is blocked by". */
+  relation: string;
+  key: string;
+  summary?: string;
+  status?: string;
+  issueType?: string;
+};
+
+/**
+ * Flattens the `issuelinks` field. An entry carrying `outwardIssue` means
+ * "this issue <outward phrase> that issue"; `inwardIssue` means "<inward phrase>".
+ */
+export function compactIssueLinks(links: IssueLinkEntry[]): CompactIssueLink[] {
+  return links.flatMap((link) => {
+    const other = link.outwardIssue ?? link.inwardIssue;
+    if (!other) return [];
+    const direction: LinkDirection = link.outwardIssue ? 'outward' : 'inward';
+    return [
+      {
+        id: String(link.id),
+        type: link.type.name,
+        direction,
+        relation: direction === 'outward' ? link.type.outward : link.type.inward,
+        key: other.key,
+        summary: other.fields?.summary,
+        status: other.fields?.status?.name,
+        issueType: other.fields?.issuetype?.name,
+      },
+    ];
+  });
+}
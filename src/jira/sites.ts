@@ -0,0 +1,253 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { readFileSync } from 'node:fs';
+import { MetadataCache, MetadataCacheConfig } from './cache.js';
+import { JiraAuthConfig, JiraClient, JiraRetryConfig } from './client.js';
+import { JiraDeployment, parseDeployment } from './datacenter.js';
+
+export type SiteProfile = { baseUrl: string; auth: JiraAuthConfig; deployment?: JiraDeployment };
+
+export type SiteProfiles = { defaultSite: string; sites: Record<string, SiteProfile> };
+
+/** One configured Jira site. Each site has its own client (credentials) and metadata cache. */
+export type JiraSite = {
+  name: string;
+  baseUrl?: string;
+  authType?: JiraAuthConfig['type'];
+  deployment?: JiraDeployment;
+  jira: JiraClient;
+  cache: MetadataCache;
+};
+
+export class SiteError extends Error {
+  public site: string;
+  public sites: string[];
+
+  constructor(message: string, opts: { site: string; sites: string[] }) {
+    super(message);
+    this.name = 'SiteError';
+    this.site = opts.site;
+    this.sites = opts.sites;
+  }
+}
+
+const SITE_NAME_RE = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+function unquote(text: string, line: number): string {
+  if (text.startsWith('"')) {
+    try {
+      return JSON.parse(text) as string;
+    } catch {
+      // JSON.parse messages quote the input, which may be a secret.
+      throw new Error(`Invalid YAML at line ${line}: malformed double-quoted string`);
+    }
+  }
+  if (text.startsWith("'")) {
+    if (!text.endsWith("'") || text.length < 2) throw new Error(`Invalid YAML at line ${line}: unterminated string`);
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  return text;
+}
+
+function stripComment(line: string): string {
+  let quote: string | undefined;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quote) {
+      if (c === quote) quote = undefined;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+/**
+ * Parses the YAML subset profile files need: nested mappings by indentation with string
+ * scalars (plain, 'single' or "double" quoted) and comments. Anything else (lists, anchors,
+ * multi-line strings) is rejected.
+ */
+export function parseSimpleYaml(text: string): Record<string, unknown> {
+  const root: Record<string, unknown> = {};
+  // Open mappings, innermost last, with the column their keys start at (root: the first key's).
+  const stack: Array<{ indent?: number; map: Record<string, unknown> }> = [{ map: root }];
+  let pending: { key: string; indent: number; parent: Record<string, unknown> } | undefined;
+
+  text.split(/\r?\n/).forEach((raw, idx) => {
+    const lineNo = idx + 1;
+    const line = stripComment(raw).trimEnd();
+    if (!line.trim() || line.trim() === '---') return;
+    const indent = line.length - line.trimStart().length;
+    if (line.slice(0, indent).includes('\t')) throw new Error(`Invalid YAML at line ${lineNo}: tabs are not allowed`);
+    const match = line.trim().match(/^("[^"]*"|'[^']*'|[^:'"]+?)\s*:(?:\s+(.*))?$/);
+    if (!match) throw new Error(`Unsupported YAML at line ${lineNo}: expected "key: value"`);
+
+    if (pending) {
+      if (indent <= pending.indent) throw new Error(`Invalid YAML at line ${lineNo}: "${pending.key}" has no value`);
+      const child: Record<string, unknown> = {};
+      pending.parent[pending.key] = child;
+      stack.push({ indent, map: child });
+      pending = undefined;
+    }
+    while (stack.length > 1 && indent < stack[stack.length - 1].indent!) stack.pop();
+    const frame = stack[stack.length - 1];
+    frame.indent ??= indent;
+    if (indent !== frame.indent) throw new Error(`Invalid YAML at line ${lineNo}: inconsistent indentation`);
+
+    const key = unquote(match[1], lineNo);
+    const value = match[2]?.trim();
+    if (!value) pending = { key, indent, parent: frame.map };
+    else if (/^[[{|>&*!]|^- /.test(value)) {
+      throw new Error(`Unsupported YAML at line ${lineNo}: only plain or quoted scalar values are supported`);
+    } else frame.map[key] = unquote(value, lineNo);
+  });
+  if (pending) throw new Error(`Invalid YAML: "${pending.key}" has no value`);
+  return root;
+}
+
+function readSecret(site: string, entry: Record<string, unknown>, field: string): string | undefined {
+  const direct = entry[field];
+  if (typeof direct === 'string' && direct) return direct;
+  const envName = entry[`${field}Env`];
+  if (typeof envName !== 'string' || !envName) return undefined;
+  const value = process.env[envName];
+  if (!value) throw new Error(`Site "${site}": env var ${envName} (${field}Env) is not set`);
+  return value;
+}
+
+/**
+ * Validates a parsed profiles document:
+ * `{ defaultSite?, sites: { <name>: { baseUrl, deployment?, email + apiToken | bearerToken } } }`.
+ * Secrets may be given indirectly as `apiTokenEnv` / `bearerTokenEnv` (an env var name);
+ * Data Center Personal Access Tokens go in bearerToken.
+ * Error messages name the site and field but never include secret values.
+ */
+export function parseSiteProfiles(doc: unknown): SiteProfiles {
+  const root = (doc && typeof doc === 'object' ? doc : {}) as Record<string, unknown>;
+  const entries = root.sites;
+  if (!entries || typeof entries !== 'object' || !Object.keys(entries).length) {
+    throw new Error('Site profiles must define at least one site under "sites"');
+  }
+  const sites: Record<string, SiteProfile> = {};
+  for (const [name, value] of Object.entries(entries as Record<string, unknown>)) {
+    if (!SITE_NAME_RE.test(name)) throw new Error(`Invalid site name "${name}": use letters, digits, "_", "-" or "."`);
+    const entry = (value && typeof value === 'object' ? value : {}) as Record<string, unknown>;
+    if (typeof entry.baseUrl !== 'string' || !entry.baseUrl) throw new Error(`Site "${name}": baseUrl is required`);
+    const bearer = readSecret(name, entry, 'bearerToken');
+    const apiToken = readSecret(name, entry, 'apiToken');
+    const email = typeof entry.email === 'string' ? entry.email : undefined;
+    let auth: JiraAuthConfig;
+    if (bearer) auth = { type: 'bearer', token: bearer };
+    else if (email && apiToken) auth = { type: 'basic', email, apiToken };
+    else throw new Error(`Site "${name}": set either bearerToken or (email + apiToken)`);
+    sites[name] = { baseUrl: entry.baseUrl, auth };
+    if (entry.deployment !== undefined) {
+      sites[name].deployment = parseDeployment(String(entry.deployment), `site "${name}" deployment`);
+    }
+  }
+  const defaultSite = typeof root.defaultSite === 'string' ? root.defaultSite : Object.keys(sites)[0];
+  if (!sites[defaultSite]) throw new Error(`defaultSite "${defaultSite}" is not one of the configured sites`);
+  return { defaultSite, sites };
+}
+
+/**
+ * Reads profiles from `JIRA_PROFILES` (inline JSON) or `JIRA_PROFILES_FILE` (a .json,
+ * .yaml or .yml file). Returns undefined when neither is set (single-site env config).
+ */
+export function siteProfilesFromEnv(): SiteProfiles | undefined {
+  const inline = process.env.JIRA_PROFILES?.trim();
+  const file = process.env.JIRA_PROFILES_FILE?.trim();
+  if (inline && file) throw new Error('Set only one of JIRA_PROFILES or JIRA_PROFILES_FILE');
+  if (inline) {
+    try {
+      return parseSiteProfiles(JSON.parse(inline));
+    } catch (error) {
+      if (error instanceof SyntaxError) throw new Error('Invalid env var JIRA_PROFILES: not valid JSON');
+      throw error;
+    }
+  }
+  if (!file) return undefined;
+  const text = readFileSync(file, 'utf8');
+  if (/\.ya?ml$/i.test(file)) return parseSiteProfiles(parseSimpleYaml(text));
+  try {
+    return parseSiteProfiles(JSON.parse(text));
+  } catch (error) {
+    if (error instanceof SyntaxError) throw new Error(`Invalid JSON in JIRA_PROFILES_FILE ${file}`);
+    throw error;
+  }
+}
+
+/** A view of an object that forwards every property access to whatever `target()` returns now. */
+function forwarding<T extends object>(target: () => T): T {
+  return new Proxy({} as T, {
+    get(_, prop) {
+      const current = target();
+      const value = Reflect.get(current, prop, current);
+      return typeof value === 'function' ? value.bind(current) : value;
+    },
+  });
+}
+
+/**
+ * The configured sites. A tool call runs inside `run(site, ...)`; `client()` and `cache()`
+ * return stand-ins that forward to the selected site's own JiraClient and MetadataCache,
+ * so requests, cached metadata and credentials never cross sites.
+ */
+export class JiraSites {
+  private byName: Map<string, JiraSite>;
+  private selected = new AsyncLocalStorage<JiraSite>();
+
+  constructor(
+    sites: JiraSite[],
+    public readonly defaultSite: string = sites[0]?.name
+  ) {
+    this.byName = new Map(sites.map((s) => [s.name, s]));
+    if (!this.byName.has(defaultSite)) throw new Error(`Unknown default site "${defaultSite}"`);
+  }
+
+  static fromProfiles(
+    profiles: SiteProfiles,
+    opts: { retry?: Partial<JiraRetryConfig>; cache?: MetadataCacheConfig } = {}
+  ): JiraSites {
+    const sites = Object.entries(profiles.sites).map(([name, profile]) => {
+      const { baseUrl, auth, deployment } = profile;
+      const jira = new JiraClient({ baseUrl, auth, deployment, retry: opts.retry });
+      const cache = new MetadataCache(jira, opts.cache);
+      return { name, baseUrl, authType: auth.type, deployment: jira.deployment, jira, cache };
+    });
+    return new JiraSites(sites, profiles.defaultSite);
+  }
+
+  get names(): string[] {
+    return [...this.byName.keys()];
+  }
+
+  get(name?: string): JiraSite {
+    const site = this.byName.get(name?.trim() || this.defaultSite);
+    if (!site) {
+      throw new SiteError(`Unknown site "${name}". Configured sites: ${this.names.join(', ')}`, {
+        site: name ?? '',
+        sites: this.names,
+      });
+    }
+    return site;
+  }
+
+  /** Runs `fn` with `name` (or the default site) selected for client() and cache(). */
+  run<T>(name: string | undefined, fn: () => T): T {
+    return this.selected.run(this.get(name), fn);
+  }
+
+  current(): JiraSite {
+    return this.selected.getStore() ?? this.get();
+  }
+
+  client(): JiraClient {
+    return forwarding(() => this.current().jira);
+  }
+
+  cache(): MetadataCache {
+    return forwarding(() => this.current().cache);
+  }
+}
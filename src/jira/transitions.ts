@@ -0,0 +1,342 @@
+import { MetadataCache } from './cache.js';
+import { JiraClient } from './client.js';
+
+type StatusRef = { id: string; name: string };
+
+export type IssueTransition = {
+  id: string;
+  name: string;
+  to?: StatusRef;
+  fields?: Record<string, { required?: boolean; hasDefaultValue?: boolean; name?: string }>;
+};
+
+/**
+ * A workflow transition; an empty `from` means it is global (available from every status).
+ * `screenId` and `requiredFieldIds` (from "field required" validators) describe what the
+ * transition asks for, for hops the issue cannot list yet.
+ */
+export type WorkflowEdge = {
+  id: string;
+  name: string;
+  from: string[];
+  to: string;
+  screenId?: string;
+  requiredFieldIds?: string[];
+};
+
+type WorkflowValidator = { type?: string; configuration?: { fieldIds?: string[]; fieldId?: string } };
+
+export type WorkflowGraph = { workflowName: string; statuses: Map<string, string>; edges: WorkflowEdge[] };
+
+export type TransitionHop = { transitionId: string; name: string; from: StatusRef; to: StatusRef };
+
+export type MissingTransitionField = { id: string; name?: string; transitionId: string; transitionName: string };
+
+export class TransitionError extends Error {
+  public details: Record<string, unknown>;
+
+  constructor(message: string, details: Record<string, unknown>) {
+    super(message);
+    this.name = 'TransitionError';
+    this.details = details;
+  }
+}
+
+function sameStatus(status: StatusRef | undefined, wanted: string): boolean {
+  if (!status) return false;
+  const w = wanted.trim().toLowerCase();
+  return status.id === wanted.trim() || status.name.trim().toLowerCase() === w;
+}
+
+/**
+ * Loads the workflow an issue type uses in a project from its workflow scheme.
+ * Both endpoints need the "Administer Jira" or project admin permission, and
+ * team-managed projects have no workflow scheme; callers treat failures as
+ * "no multi-step path available".
+ */
+export async function loadWorkflowGraph(
+  cache: MetadataCache,
+  projectId: string,
+  issueTypeId: string
+): Promise<WorkflowGraph> {
+  const schemes = await cache.getJson<{
+    values?: Array<{ workflowScheme?: { defaultWorkflow?: string; issueTypeMappings?: Record<string, string> } }>;
+  }>('workflows', '/rest/api/3/workflowscheme/project', { projectId });
+  const scheme = schemes.values?.[0]?.workflowScheme;
+  const workflowName = scheme?.issueTypeMappings?.[issueTypeId] ?? scheme?.defaultWorkflow;
+  if (!workflowName) throw new Error(`No workflow scheme found for project ${projectId}`);
+
+  const search = await cache.getJson<{
+    values?: Array<{
+      statuses?: Array<{ id: string; name: string }>;
+      transitions?: Array<{
+        id: string | number;
+        name: string;
+        from?: Array<string | number>;
+        to?: string | number;
+        screen?: { id?: string | number };
+        rules?: { validators?: WorkflowValidator[] };
+      }>;
+    }>;
+  }>('workflows', '/rest/api/3/workflow/search', { workflowName, expand: 'transitions,transitions.rules,statuses' });
+  const workflow = search.values?.[0];
+  if (!workflow) throw new Error(`Workflow "${workflowName}" not found`);
+
+  return {
+    workflowName,
+    statuses: new Map((workflow.statuses ?? []).map((s) => [String(s.id), s.name])),
+    edges: (workflow.transitions ?? [])
+      .filter((t) => t.to !== undefined && t.to !== '')
+      .map((t) => {
+        const required = (t.rules?.validators ?? [])
+          .filter((v) => /FieldRequired/i.test(v.type ?? ''))
+          .flatMap((v) => v.configuration?.fieldIds ?? (v.configuration?.fieldId ? [v.configuration.fieldId] : []));
+        return {
+          id: String(t.id),
+          name: t.name,
+          from: (t.from ?? []).map(String),
+          to: String(t.to),
+          ...(t.screen?.id !== undefined ? { screenId: String(t.screen.id) } : {}),
+          ...(required.length ? { requiredFieldIds: required } : {}),
+        };
+      }),
+  };
+}
+
+/**
+ * What a workflow transition will require, for a hop the issue cannot list yet: fields of
+ * "field required" validators, plus fields on its screen that the issue's field
+ * configuration (editmeta) makes required. Resolution is required whenever it is on a
+ * transition screen. Screens that cannot be read (admin only) contribute nothing.
+ */
+async function workflowTransitionFields(
+  jira: JiraClient,
+  cache: MetadataCache,
+  edge: WorkflowEdge,
+  editMeta: () => Promise<Record<string, { required?: boolean; name?: string }>>
+): Promise<IssueTransition['fields']> {
+  const fields: NonNullable<IssueTransition['fields']> = {};
+  for (const id of edge.requiredFieldIds ?? []) fields[id] = { required: true };
+  if (!edge.screenId) return fields;
+
+  let screenFields: Array<{ id: string; name?: string }> = [];
+  try {
+    const screenPath = `/rest/api/3/screens/${encodeURIComponent(edge.screenId)}/tabs`;
+    const tabs = await cache.getJson<Array<{ id: string | number }>>('workflows', screenPath);
+    for (const tab of tabs) {
+      screenFields.push(
+        ...(await cache.getJson<Array<{ id: string; name?: string }>>('workflows', `${screenPath}/${tab.id}/fields`))
+      );
+    }
+  } catch {
+    screenFields = [];
+  }
+  const meta = screenFields.length ? await editMeta() : {};
+  for (const field of screenFields) {
+    if (field.id === 'resolution' || meta[field.id]?.required) {
+      fields[field.id] = { required: true, name: field.name ?? meta[field.id]?.name };
+    }
+  }
+  return fields;
+}
+
+/** Breadth-first search for the shortest chain of transitions between two statuses. */
+export function findStatusPath(graph: WorkflowGraph, fromStatusId: string, toStatusId: string): WorkflowEdge[] | undefined {
+  if (fromStatusId === toStatusId) return [];
+  const reachedVia = new Map<string, { edge: WorkflowEdge; previous: string }>();
+  const queue = [fromStatusId];
+  while (queue.length) {
+    const status = queue.shift()!;
+    for (const edge of graph.edges) {
+      if (edge.to === fromStatusId || reachedVia.has(edge.to)) continue;
+      if (edge.from.length && !edge.from.includes(status)) continue;
+      reachedVia.set(edge.to, { edge, previous: status });
+      if (edge.to === toStatusId) {
+        const path: WorkflowEdge[] = [];
+        for (let s = toStatusId; s !== fromStatusId; ) {
+          const step = reachedVia.get(s)!;
+          path.unshift(step.edge);
+          s = step.previous;
+        }
+        return path;
+      }
+      queue.push(edge.to);
+    }
+  }
+  return undefined;
+}
+
+/** Required transition-screen fields that have no default and were not provided. */
+export function missingRequiredFields(transition: IssueTransition, provided: Set<string>): MissingTransitionField[] {
+  return Object.entries(transition.fields ?? {})
+    .filter(([id, meta]) => meta.required && !meta.hasDefaultValue && !provided.has(id))
+    .map(([id, meta]) => ({ id, name: meta.name, transitionId: transition.id, transitionName: transition.name }));
+}
+
+export type TransitionToStatusResult = {
+  issueKey: string;
+  fromStatus: StatusRef;
+  toStatus: StatusRef;
+  hops: TransitionHop[];
+  workflowName?: string;
+  /** With dryRun: the transition requests that would have been sent, in order. */
+  requests?: Array<{ method: 'POST'; path: string; body: Record<string, unknown> }>;
+};
+
+/**
+ * Moves an issue to the status named `toStatus`. A direct transition is used when one is
+ * available; otherwise the shortest chain through the project workflow is applied hop by hop.
+ *
+ * Required fields of every hop are checked before the first one is applied: the first hop
+ * against its transition screen, later hops against the workflow definition (see
+ * workflowTransitionFields), and each hop again against its own screen once reached. Provided
+ * fields/update entries are sent on the first hop whose screen has them, and everything
+ * left over is sent on the final hop. With `dryRun`, the hops are planned the same way but
+ * returned as `requests` instead of being sent.
+ */
+export async function transitionToStatus(
+  jira: JiraClient,
+  cache: MetadataCache,
+  opts: {
+    issueKey: string;
+    toStatus: string;
+    fields?: Record<string, unknown>;
+    update?: Record<string, unknown>;
+    dryRun?: boolean;
+  }
+): Promise<TransitionToStatusResult> {
+  const { issueKey, toStatus } = opts;
+  const issuePath = `/rest/api/3/issue/${encodeURIComponent(issueKey)}`;
+  const issue = await jira.getJson<{
+    fields: { status: StatusRef; project: { id: string }; issuetype: { id: string } };
+  }>(issuePath, { fields: 'status,project,issuetype' });
+  const fromStatus = { id: issue.fields.status.id, name: issue.fields.status.name };
+  if (sameStatus(fromStatus, toStatus)) return { issueKey, fromStatus, toStatus: fromStatus, hops: [] };
+
+  const getTransitions = async () =>
+    (
+      await jira.getJson<{ transitions?: IssueTransition[] }>(`${issuePath}/transitions`, {
+        expand: 'transitions.fields',
+      })
+    ).transitions ?? [];
+
+  let available = await getTransitions();
+  const direct = available.find((t) => sameStatus(t.to, toStatus));
+  let plan: Array<{ id: string; name: string; to: string }>;
+  let graph: WorkflowGraph | undefined;
+  let laterHops: WorkflowEdge[] = [];
+
+  if (direct) {
+    plan = [{ id: direct.id, name: direct.name, to: direct.to!.id }];
+  } else {
+    const reachable = available.filter((t) => t.to).map((t) => ({ transition: t.name, status: t.to!.name }));
+    try {
+      graph = await loadWorkflowGraph(cache, issue.fields.project.id, issue.fields.issuetype.id);
+    } catch (error) {
+      throw new TransitionError(
+        `No transition leads from "${fromStatus.name}" to "${toStatus}" and the workflow could not be read to find a multi-step path`,
+        { issueKey, fromStatus, reachable, workflowError: error instanceof Error ? error.message : String(error) }
+      );
+    }
+    const target = [...graph.statuses].find(([id, name]) => sameStatus({ id, name }, toStatus));
+    if (!target) {
+      throw new TransitionError(`Status "${toStatus}" is not part of workflow "${graph.workflowName}"`, {
+        issueKey,
+        fromStatus,
+        workflowStatuses: [...graph.statuses.values()],
+      });
+    }
+    const path = findStatusPath(graph, fromStatus.id, target[0]);
+    if (!path) {
+      throw new TransitionError(`Workflow "${graph.workflowName}" has no path from "${fromStatus.name}" to "${target[1]}"`, {
+        issueKey,
+        fromStatus,
+        reachable,
+      });
+    }
+    plan = path;
+    laterHops = path.slice(1);
+  }
+
+  const provided = new Set([...Object.keys(opts.fields ?? {}), ...Object.keys(opts.update ?? {})]);
+  const first = available.find((t) => t.id === plan[0].id) ?? available.find((t) => t.to?.id === plan[0].to);
+  const missingOnPath = first ? missingRequiredFields(first, provided) : [];
+  let editMeta: Promise<Record<string, { required?: boolean; name?: string }>> | undefined;
+  const loadEditMeta = () =>
+    (editMeta ??= jira
+      .getJson<{ fields?: Record<string, { required?: boolean; name?: string }> }>(`${issuePath}/editmeta`)
+      .then((m) => m.fields ?? {}));
+  for (const edge of laterHops) {
+    const fields = await workflowTransitionFields(jira, cache, edge, loadEditMeta);
+    missingOnPath.push(...missingRequiredFields({ id: edge.id, name: edge.name, fields }, provided));
+  }
+  if (missingOnPath.length) {
+    throw new TransitionError(
+      `The path to "${toStatus}" requires fields that were not provided: ${missingOnPath.map((m) => `${m.name ?? m.id} (${m.transitionName})`).join(', ')}`,
+      { issueKey, missingFields: missingOnPath, appliedHops: [] }
+    );
+  }
+
+  const sentFields = new Set<string>();
+  const hops: TransitionHop[] = [];
+  const requests: NonNullable<TransitionToStatusResult['requests']> = [];
+  let current = fromStatus;
+
+  for (const [index, step] of plan.entries()) {
+    // A dry run never leaves the current status, so later hops come from the workflow
+    // graph and their screens (required fields) cannot be checked.
+    if (index > 0) {
+      available = opts.dryRun
+        ? [{ id: step.id, name: step.name, to: { id: step.to, name: graph?.statuses.get(step.to) ?? step.to } }]
+        : await getTransitions();
+    }
+    const transition = available.find((t) => t.id === step.id) ?? available.find((t) => t.to?.id === step.to);
+    if (!transition) {
+      throw new TransitionError(`Transition "${step.name}" is not available from "${current.name}"`, {
+        issueKey,
+        appliedHops: hops,
+        available: available.map((t) => ({ id: t.id, name: t.name, to: t.to?.name })),
+      });
+    }
+    const missing = missingRequiredFields(transition, provided);
+    if (missing.length) {
+      throw new TransitionError(
+        `Transition "${transition.name}" requires fields that were not provided: ${missing.map((m) => m.name ?? m.id).join(', ')}`,
+        { issueKey, missingFields: missing, appliedHops: hops }
+      );
+    }
+
+    const isLast = index === plan.length - 1;
+    const take = (values?: Record<string, unknown>) => {
+      if (!values) return undefined;
+      const out: Record<string, unknown> = {};
+      for (const [id, value] of Object.entries(values)) {
+        if (sentFields.has(id) || !(isLast || transition.fields?.[id])) continue;
+        out[id] = value;
+      }
+      return Object.keys(out).length ? out : undefined;
+    };
+    const body: Record<string, unknown> = { transition: { id: transition.id } };
+    const fields = take(opts.fields);
+    const update = take(opts.update);
+    if (fields) body.fields = fields;
+    if (update) body.update = update;
+
+    if (opts.dryRun) requests.push({ method: 'POST', path: `${issuePath}/transitions`, body });
+    else await jira.postJson(`${issuePath}/transitions`, body);
+    for (const id of [...Object.keys(fields ?? {}), ...Object.keys(update ?? {})]) sentFields.add(id);
+
+    const to = transition.to ?? { id: step.to, name: graph?.statuses.get(step.to) ?? step.to };
+    hops.push({ transitionId: transition.id, name: transition.name, from: current, to: { id: to.id, name: to.name } });
+    current = { id: to.id, name: to.name };
+  }
+
+  return {
+    issueKey,
+    fromStatus,
+    toStatus: current,
+    hops,
+    ...(graph ? { workflowName: graph.workflowName } : {}),
+    ...(opts.dryRun ? { requests } : {}),
+  };
+}
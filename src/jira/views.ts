@@ -0,0 +1,151 @@
+import { adfToText } from './adf.js';
+
+/**
+ * How issue reads are shaped: `raw` is Jira's JSON as returned, `standard` keeps its
+ * structure without self links, avatars and empty fields, and `compact` flattens each
+ * issue to a few named values.
+ */
+export type IssueView = 'compact' | 'standard' | 'raw';
+
+export const ISSUE_VIEWS: readonly IssueView[] = ['compact', 'standard', 'raw'];
+
+export function parseIssueView(raw: string | undefined, source: string): IssueView | undefined {
+  const value = raw?.trim().toLowerCase();
+  if (!value) return undefined;
+  if ((ISSUE_VIEWS as readonly string[]).includes(value)) return value as IssueView;
+  throw new Error(`Invalid ${source} "${raw}": expected ${ISSUE_VIEWS.join(', ')}`);
+}
+
+// Links and images that cost tokens without telling a model anything.
+const NOISE_KEYS = new Set(['self', 'avatarUrls', 'iconUrl', 'expand']);
+
+// Fields every compact issue is built from; other system fields only appear when requested.
+const COMPACT_FIELDS = new Set(['summary', 'status', 'issuetype', 'priority', 'assignee', 'labels', 'parent', 'updated']);
+
+type JiraIssue = { key?: string; fields?: Record<string, unknown> };
+
+function isEmpty(value: unknown): boolean {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && !value.length);
+}
+
+function withoutUndefined<T extends Record<string, unknown>>(value: T): T {
+  return Object.fromEntries(Object.entries(value).filter(([, v]) => v !== undefined)) as T;
+}
+
+/** Deep-copies a Jira value without NOISE_KEYS and empty (null, "" or []) properties. */
+export function stripNoise(value: unknown): unknown {
+  if (Array.isArray(value)) return value.map(stripNoise);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([k, v]) => !NOISE_KEYS.has(k) && !isEmpty(v))
+      .map(([k, v]) => [k, stripNoise(v)])
+  );
+}
+
+/**
+ * Reduces a field value to what a reader needs: users to their display name, options to
+ * their value ("Parent > Child" for cascading selects), named objects (versions,
+ * components, sprints...) to their name and ADF docs to plain text. Empty values become undefined.
+ */
+export function compactValue(value: unknown): unknown {
+  if (isEmpty(value)) return undefined;
+  if (Array.isArray(value)) {
+    const items = value.map(compactValue).filter((v) => v !== undefined);
+    return items.length ? items : undefined;
+  }
+  if (typeof value !== 'object') return value;
+  const v = value as Record<string, unknown>;
+  if (v.type === 'doc' && Array.isArray(v.content)) return adfToText(v) || undefined;
+  if (typeof v.displayName === 'string') return v.displayName;
+  if (typeof v.value === 'string') {
+    const child = compactValue(v.child);
+    return child === undefined ? v.value : `${v.value} > ${child}`;
+  }
+  if (typeof v.name === 'string') return v.name;
+  if (typeof v.key === 'string') return v.key;
+  const rest = Object.entries(v)
+    .filter(([k]) => !NOISE_KEYS.has(k))
+    .map(([k, item]) => [k, compactValue(item)] as const)
+    .filter(([, item]) => item !== undefined);
+  return rest.length ? Object.fromEntries(rest) : undefined;
+}
+
+export type CompactIssue = {
+  key?: string;
+  summary?: string;
+  status?: string;
+  type?: string;
+  priority?: string;
+  assignee?: string;
+  labels?: string[];
+  parent?: string;
+  updated?: string;
+  /** Non-empty custom fields by display name ("Name (customfield_N)" when names collide). */
+  customFields?: Record<string, unknown>;
+  /** Other system fields that were asked for explicitly, by field id. */
+  [fieldId: string]: unknown;
+};
+
+/**
+ * Flattens an issue for the compact view. `fieldNames` maps customfield ids to display
+ * names (from /field); `requested` lists field ids the caller asked for, which are kept
+ * alongside the compact set.
+ */
+export function compactIssue(
+  issue: JiraIssue,
+  fieldNames: Record<string, string> = {},
+  requested: string[] = []
+): CompactIssue {
+  const f = issue.fields ?? {};
+  const ref = (value: unknown, prop: string) =>
+    value && typeof value === 'object' ? ((value as Record<string, unknown>)[prop] as string | undefined) : undefined;
+
+  const customFields: Record<string, unknown> = {};
+  for (const [id, raw] of Object.entries(f)) {
+    if (!id.startsWith('customfield_')) continue;
+    const value = compactValue(raw);
+    if (value === undefined) continue;
+    const name = fieldNames[id] ?? id;
+    customFields[name in customFields ? `${name} (${id})` : name] = value;
+  }
+
+  const extra: Record<string, unknown> = {};
+  for (const id of requested) {
+    if (COMPACT_FIELDS.has(id) || id.startsWith('customfield_') || !(id in f)) continue;
+    extra[id] = compactValue(f[id]);
+  }
+
+  return withoutUndefined({
+    key: issue.key,
+    summary: f.summary as string | undefined,
+    status: ref(f.status, 'name'),
+    type: ref(f.issuetype, 'name'),
+    priority: ref(f.priority, 'name'),
+    assignee: ref(f.assignee, 'displayName'),
+    labels: isEmpty(f.labels) ? undefined : (f.labels as string[]),
+    parent: ref(f.parent, 'key'),
+    updated: f.updated as string | undefined,
+    ...withoutUndefined(extra),
+    customFields: Object.keys(customFields).length ? customFields : undefined,
+  });
+}
+
+/** True when the compact view of these issues needs custom field names. */
+export function hasCustomFields(issues: unknown[]): boolean {
+  return issues.some((issue) =>
+    Object.keys((issue as JiraIssue)?.fields ?? {}).some((id) => id.startsWith('customfield_'))
+  );
+}
+
+/** Applies a view to one issue (see IssueView). */
+export function applyIssueView(
+  issue: unknown,
+  view: IssueView,
+  fieldNames?: Record<string, string>,
+  requested?: string[]
+): unknown {
+  if (view === 'raw') return issue;
+  if (view === 'standard') return stripNoise(issue);
+  return compactIssue(issue as JiraIssue, fieldNames, requested);
+}
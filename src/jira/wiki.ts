@@ -0,0 +1,490 @@
+import { AdfMark, AdfNode, AdfRenderFormat, markdownToAdf } from './adf.js';
+
+// ---------------------------------------------------------------------------
+// ADF -> Jira wiki markup
+//
+// Jira Data Center stores rich text as wiki markup strings instead of ADF docs.
+// Write tools keep building ADF (from Markdown or as given) and this renderer
+// turns it into the equivalent markup right before the request is sent.
+// ---------------------------------------------------------------------------
+
+const PANEL_MACROS: Record<string, string> = {
+  info: 'info',
+  note: 'note',
+  warning: 'warning',
+  error: 'warning',
+  success: 'tip',
+  tip: 'tip',
+};
+
+function asNodes(value: unknown): AdfNode[] {
+  return Array.isArray(value) ? (value.filter((n) => n && typeof n === 'object') as AdfNode[]) : [];
+}
+
+function attrString(node: AdfNode, key: string): string | undefined {
+  const v = node.attrs?.[key];
+  return typeof v === 'string' || typeof v === 'number' ? String(v) : undefined;
+}
+
+/** Escapes characters that always start markup, and mark characters at word boundaries. */
+function escapeWikiText(text: string): string {
+  return text
+    .replace(/[\\{}[\]|!]/g, '\\$&')
+    .replace(/(^|[\s(])[*_+\-^~](?=\S)|(?<=\S)[*_+\-^~](?=$|[\s.,;:!?)])/g, (m) => m.replace(/[*_+\-^~]/, '\\$&'));
+}
+
+function escapeLineStart(text: string): string {
+  return text.replace(/^(\s*)(h[1-6]\.|bq\.|[*#-]+(?=\s)|-{4})/gm, '$1\\$2');
+}
+
+function applyWikiMarks(text: string, marks: AdfMark[] | undefined): string {
+  const types = new Set(marks?.map((m) => m.type));
+  const [, lead, core, trail] = text.match(/^(\s*)([\s\S]*?)(\s*)$/) ?? ['', '', text, ''];
+  if (!core) return text;
+
+  let out: string;
+  if (types.has('code')) {
+    out = `{{${core.replace(/[{}]/g, '\\$&')}}}`;
+  } else {
+    out = escapeWikiText(core);
+    if (types.has('em')) out = `_${out}_`;
+    if (types.has('strong')) out = `*${out}*`;
+    if (types.has('strike')) out = `-${out}-`;
+    if (types.has('underline')) out = `+${out}+`;
+    const subsup = marks?.find((m) => m.type === 'subsup')?.attrs?.type;
+    if (subsup === 'sub') out = `~${out}~`;
+    if (subsup === 'sup') out = `^${out}^`;
+    const color = marks?.find((m) => m.type === 'textColor')?.attrs?.color;
+    if (typeof color === 'string') out = `{color:${color}}${out}{color}`;
+  }
+  const href = marks?.find((m) => m.type === 'link')?.attrs?.href;
+  if (typeof href === 'string') out = `[${out}|${href}]`;
+  return `${lead}${out}${trail}`;
+}
+
+function sameMarks(a: AdfMark[] | undefined, b: AdfMark[] | undefined): boolean {
+  return JSON.stringify(a ?? []) === JSON.stringify(b ?? []);
+}
+
+function renderWikiInline(nodes: AdfNode[]): string {
+  const merged: AdfNode[] = [];
+  for (const node of nodes) {
+    const last = merged[merged.length - 1];
+    if (node.type === 'text' && last?.type === 'text' && sameMarks(last.marks, node.marks)) {
+      merged[merged.length - 1] = { ...last, text: (last.text ?? '') + (node.text ?? '') };
+    } else {
+      merged.push(node);
+    }
+  }
+  return merged.map(renderWikiInlineNode).join('');
+}
+
+function renderWikiInlineNode(node: AdfNode): string {
+  switch (node.type) {
+    case 'text':
+      return applyWikiMarks(node.text ?? '', node.marks);
+    case 'hardBreak':
+      return '\n';
+    case 'mention': {
+      const id = attrString(node, 'id');
+      return id ? `[~${id}]` : escapeWikiText(attrString(node, 'text') ?? '');
+    }
+    case 'emoji':
+      return attrString(node, 'text') ?? attrString(node, 'shortName') ?? '';
+    case 'date': {
+      const ts = Number(attrString(node, 'timestamp'));
+      return Number.isFinite(ts) ? new Date(ts).toISOString().slice(0, 10) : '';
+    }
+    case 'status':
+      return `*${escapeWikiText(attrString(node, 'text') ?? '')}*`;
+    case 'inlineCard': {
+      const url = attrString(node, 'url');
+      return url ? `[${url}]` : '';
+    }
+    case 'mediaInline':
+      return renderWikiMedia(node);
+    case 'placeholder':
+      return '';
+    default:
+      if (node.content) return renderWikiInline(asNodes(node.content));
+      return escapeWikiText(attrString(node, 'text') ?? '');
+  }
+}
+
+function renderWikiMedia(node: AdfNode): string {
+  const url = attrString(node, 'url');
+  if (attrString(node, 'type') === 'external' && url) return `!${url}!`;
+  const name = attrString(node, 'alt');
+  return name ? `!${name}!` : '';
+}
+
+function renderWikiBlocks(nodes: AdfNode[], separator = '\n\n'): string {
+  return nodes
+    .map((node) => renderWikiBlock(node))
+    .filter((text) => text !== '')
+    .join(separator);
+}
+
+/** Wiki lists nest by repeating the marker (`**`, `#*`), so the whole prefix is threaded down. */
+function renderWikiList(node: AdfNode, prefix: string): string {
+  return asNodes(node.content)
+    .map((item) => {
+      const lines: string[] = [];
+      let head = item.type === 'taskItem' ? (item.attrs?.state === 'DONE' ? '\\[x\\] ' : '\\[ \\] ') : '';
+      if (item.type === 'decisionItem') head = 'Decision: ';
+      const children = item.type === 'taskItem' || item.type === 'decisionItem'
+        ? [{ type: 'paragraph', content: asNodes(item.content) }]
+        : asNodes(item.content);
+      let first = true;
+      for (const child of children) {
+        if (child.type === 'bulletList' || child.type === 'orderedList' || child.type === 'taskList') {
+          lines.push(renderWikiList(child, prefix + (child.type === 'orderedList' ? '#' : '*')));
+          continue;
+        }
+        const text = child.type === 'paragraph' ? renderWikiInline(asNodes(child.content)) : renderWikiBlock(child);
+        lines.push(first ? `${prefix} ${head}${text}` : text);
+        first = false;
+      }
+      if (first) lines.unshift(`${prefix} ${head}`.trimEnd());
+      return lines.join('\n');
+    })
+    .join('\n');
+}
+
+function renderWikiTable(node: AdfNode): string {
+  return asNodes(node.content)
+    .map((row) => {
+      const cells = asNodes(row.content);
+      if (!cells.length) return '';
+      const out = cells.map((cell) => {
+        const text = renderWikiBlocks(asNodes(cell.content), '\n').replace(/\n+/g, ' \\\\ ').trim();
+        return `${cell.type === 'tableHeader' ? '||' : '|'}${text || ' '}`;
+      });
+      return out.join('') + (cells[cells.length - 1].type === 'tableHeader' ? '||' : '|');
+    })
+    .filter(Boolean)
+    .join('\n');
+}
+
+function renderWikiBlock(node: AdfNode): string {
+  const children = asNodes(node.content);
+  switch (node.type) {
+    case 'paragraph':
+      return escapeLineStart(renderWikiInline(children));
+    case 'heading': {
+      const level = Math.min(6, Math.max(1, Number(node.attrs?.level) || 1));
+      return `h${level}. ${renderWikiInline(children)}`;
+    }
+    case 'bulletList':
+    case 'taskList':
+    case 'decisionList':
+      return renderWikiList(node, '*');
+    case 'orderedList':
+      return renderWikiList(node, '#');
+    case 'codeBlock': {
+      const text = children.map((c) => c.text ?? '').join('');
+      const language = attrString(node, 'language');
+      return language ? `{code:${language}}\n${text}\n{code}` : `{noformat}\n${text}\n{noformat}`;
+    }
+    case 'blockquote':
+      return `{quote}\n${renderWikiBlocks(children)}\n{quote}`;
+    case 'panel': {
+      const macro = PANEL_MACROS[attrString(node, 'panelType') ?? 'info'] ?? 'panel';
+      return `{${macro}}\n${renderWikiBlocks(children)}\n{${macro}}`;
+    }
+    case 'expand':
+    case 'nestedExpand': {
+      const title = attrString(node, 'title');
+      const body = renderWikiBlocks(children);
+      return title ? `*${escapeWikiText(title)}*\n\n${body}` : body;
+    }
+    case 'rule':
+      return '----';
+    case 'table':
+      return renderWikiTable(node);
+    case 'mediaSingle':
+    case 'mediaGroup':
+      return children.map(renderWikiMedia).filter(Boolean).join('\n');
+    case 'media':
+      return renderWikiMedia(node);
+    case 'blockCard':
+    case 'embedCard': {
+      const url = attrString(node, 'url');
+      return url ? `[${url}]` : '';
+    }
+    default:
+      if (children.some((c) => c.type === 'text')) return renderWikiInline(children);
+      if (children.length) return renderWikiBlocks(children);
+      return renderWikiInlineNode(node);
+  }
+}
+
+export function adfToWiki(doc: unknown): string {
+  if (!doc || typeof doc !== 'object') return '';
+  return renderWikiBlocks(asNodes((doc as AdfNode).content));
+}
+
+export function markdownToWiki(markdown: string): string {
+  return adfToWiki(markdownToAdf(markdown));
+}
+
+// ---------------------------------------------------------------------------
+// Jira wiki markup -> Markdown / plain text
+//
+// The read-side counterpart of adf.ts's renderers for Data Center responses.
+// Same contract: compact and readable rather than a faithful round trip, and
+// unrecognised macros degrade to their text.
+// ---------------------------------------------------------------------------
+
+const MACRO_LABELS: Record<string, string> = { info: 'Info', note: 'Note', warning: 'Warning', tip: 'Tip' };
+
+const BLOCK_MACRO_RE = /^\s*\{(code|noformat|quote|panel|info|note|warning|tip)(?::([^}]*))?\}(.*)$/;
+const LIST_RE = /^\s*([*#-]+)\s+(.*)$/;
+const HEADING_RE = /^\s*h([1-6])\.\s*(.*)$/;
+
+// Placeholders keep already-rendered inline pieces away from the emphasis rules.
+const HOLE = '\u0000';
+
+function renderWikiTextInline(text: string, format: AdfRenderFormat): string {
+  const held: string[] = [];
+  const hold = (value: string) => `${HOLE}${held.push(value) - 1}${HOLE}`;
+
+  let out = text.replace(
+    /\\([\\{}[\]*_+\-^~|!#?])|\{\{(.+?)\}\}|\[([^[\]\n]+)\]|!([^!\s|][^!\n|]*)(?:\|[^!\n]*)?!|\{color(?::[^}]*)?\}/g,
+    (m, escaped: string, mono: string, link: string, image: string) => {
+      if (escaped !== undefined) {
+        if (escaped === '\\') return hold('\n');
+        return hold(format === 'markdown' && /[\\*_[\]#]/.test(escaped) ? `\\${escaped}` : escaped);
+      }
+      if (mono !== undefined) return hold(format === 'markdown' ? `\`${mono}\`` : mono);
+      if (image !== undefined) {
+        if (/^https?:\/\//.test(image)) return hold(format === 'markdown' ? `![](${image})` : image);
+        return hold(`[attachment: ${image}]`);
+      }
+      if (link !== undefined) return hold(renderWikiLink(link, format));
+      return '';
+    }
+  );
+
+  const emphasis = (marker: string, to: (inner: string) => string) => {
+    const c = marker.replace(/[*+^]/g, '\\$&');
+    const re = new RegExp(`(^|[^\\w${c}])${c}(?=[^\\s${c}])([^${c}\\n]*?[^\\s${c}])${c}(?![\\w${c}])`, 'g');
+    out = out.replace(re, (_m, before: string, inner: string) => before + to(inner));
+  };
+  const md = format === 'markdown';
+  emphasis('*', (inner) => (md ? `**${inner}**` : inner));
+  emphasis('_', (inner) => (md ? `*${inner}*` : inner));
+  emphasis('-', (inner) => (md ? `~~${inner}~~` : inner));
+  emphasis('+', (inner) => inner);
+  emphasis('^', (inner) => inner);
+  emphasis('~', (inner) => inner);
+  out = out.replace(/\?\?(\S(?:[^?\n]*\S)?)\?\?/g, (_m, inner: string) => (md ? `*${inner}*` : inner));
+
+  return out.replace(new RegExp(`${HOLE}(\\d+)${HOLE}`, 'g'), (_m, idx: string) => held[Number(idx)]);
+}
+
+function renderWikiLink(body: string, format: AdfRenderFormat): string {
+  if (body.startsWith('~')) return `@${body.slice(1)}`;
+  if (body.startsWith('^')) return `[attachment: ${body.slice(1)}]`;
+  const [label, href] = body.split('|');
+  if (href === undefined) {
+    const url = label.trim();
+    return /^(https?:|mailto:)/.test(url) && format === 'markdown' ? `<${url}>` : url;
+  }
+  const text = renderWikiTextInline(label, format);
+  if (format === 'text') return text;
+  return `[${text}](${href.trim().replace(/[()\s]/g, encodeURIComponent)})`;
+}
+
+function splitWikiRow(line: string): { header: boolean; cells: string[] } {
+  const header = line.trimStart().startsWith('||');
+  const cells: string[] = [];
+  let current = '';
+  let depth = 0;
+  const body = line.trim().replace(/^\|\|?/, '').replace(/\|\|?$/, '');
+  for (let i = 0; i < body.length; i++) {
+    const c = body[i];
+    if (c === '\\' && i + 1 < body.length) {
+      current += c + body[++i];
+    } else if (c === '[' || c === '{') {
+      depth++;
+      current += c;
+    } else if ((c === ']' || c === '}') && depth > 0) {
+      depth--;
+      current += c;
+    } else if (c === '|' && depth === 0) {
+      cells.push(current);
+      current = '';
+      if (body[i + 1] === '|') i++;
+    } else {
+      current += c;
+    }
+  }
+  cells.push(current);
+  return { header, cells: cells.map((cell) => cell.trim()) };
+}
+
+function renderWikiRows(rows: string[], format: AdfRenderFormat): string {
+  const cells = rows.map((row) => splitWikiRow(row).cells.map((c) => renderWikiTextInline(c, format)));
+  if (format === 'text') return cells.map((r) => r.join(' | ')).join('\n');
+  const width = Math.max(...cells.map((r) => r.length));
+  const line = (r: string[]) =>
+    `| ${Array.from({ length: width }, (_, i) => (r[i] ?? '').replace(/\|/g, '\\|')).join(' | ')} |`;
+  return [line(cells[0]), `|${' --- |'.repeat(width)}`, ...cells.slice(1).map(line)].join('\n');
+}
+
+function quoteLines(text: string): string {
+  return text
+    .split('\n')
+    .map((line) => (line ? `> ${line}` : '>'))
+    .join('\n');
+}
+
+/** Finds the `{name}` that closes a block macro opened at `lines[start]`; returns its line and the body lines. */
+function findMacroEnd(
+  lines: string[],
+  start: number,
+  name: string,
+  firstRest: string
+): { end: number; body: string[] } {
+  const close = `{${name}}`;
+  const body: string[] = [];
+  for (let i = start; i < lines.length; i++) {
+    const line = i === start ? firstRest : lines[i];
+    const at = line.indexOf(close);
+    if (at >= 0) {
+      if (line.slice(0, at)) body.push(line.slice(0, at));
+      return { end: i, body };
+    }
+    if (i !== start || line) body.push(line);
+  }
+  return { end: lines.length - 1, body };
+}
+
+function renderWikiLines(lines: string[], format: AdfRenderFormat): string {
+  const blocks: string[] = [];
+  let paragraph: string[] = [];
+  const flush = () => {
+    if (paragraph.length) blocks.push(paragraph.map((l) => renderWikiTextInline(l.trim(), format)).join('\n'));
+    paragraph = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const macro = line.match(BLOCK_MACRO_RE);
+    if (macro) {
+      flush();
+      const [, name, params = '', rest] = macro;
+      const { end, body } = findMacroEnd(lines, i, name, rest);
+      i = end;
+      if (name === 'code' || name === 'noformat') {
+        const text = body.join('\n');
+        if (format === 'text') {
+          blocks.push(text);
+          continue;
+        }
+        const language = name === 'code' ? params.split('|').find((p) => !p.includes('=')) ?? '' : '';
+        const fence = '`'.repeat(Math.max(2, ...(text.match(/`+/g) ?? []).map((r) => r.length)) + 1);
+        blocks.push(`${fence}${language}\n${text}\n${fence}`);
+        continue;
+      }
+      const inner = renderWikiLines(body, format);
+      if (name === 'quote') {
+        blocks.push(format === 'markdown' ? quoteLines(inner) : inner);
+        continue;
+      }
+      const title = params.match(/(?:^|\|)title=([^|]*)/)?.[1];
+      const label = title ?? MACRO_LABELS[name] ?? 'Note';
+      blocks.push(format === 'markdown' ? quoteLines(`**${label}:**\n${inner}`) : `[${label}] ${inner}`);
+      continue;
+    }
+
+    const trimmed = line.trim();
+    if (!trimmed) {
+      flush();
+      continue;
+    }
+    const heading = line.match(HEADING_RE);
+    if (heading) {
+      flush();
+      const text = renderWikiTextInline(heading[2], format);
+      blocks.push(format === 'markdown' ? `${'#'.repeat(Number(heading[1]))} ${text}` : text);
+      continue;
+    }
+    if (/^bq\.\s/.test(trimmed)) {
+      flush();
+      const text = renderWikiTextInline(trimmed.slice(3).trim(), format);
+      blocks.push(format === 'markdown' ? quoteLines(text) : text);
+      continue;
+    }
+    if (/^-{4,}$/.test(trimmed)) {
+      flush();
+      blocks.push('---');
+      continue;
+    }
+    if (trimmed.startsWith('|')) {
+      flush();
+      const rows: string[] = [];
+      while (i < lines.length && lines[i].trim().startsWith('|')) rows.push(lines[i++]);
+      i--;
+      blocks.push(renderWikiRows(rows, format));
+      continue;
+    }
+    if (LIST_RE.test(line) && !/^-{2,}\s/.test(trimmed)) {
+      flush();
+      const items: string[] = [];
+      // Per nesting level: the next number for ordered levels and the marker width to indent by.
+      const levels: Array<{ next: number; width: number }> = [];
+      let match: RegExpMatchArray | null;
+      while (i < lines.length && (match = lines[i].match(LIST_RE))) {
+        const [, markers, text] = match;
+        levels.length = Math.min(levels.length, markers.length);
+        while (levels.length < markers.length) levels.push({ next: 1, width: 2 });
+        const level = levels[markers.length - 1];
+        const marker = markers.endsWith('#') ? `${level.next++}. ` : '- ';
+        level.width = marker.length;
+        const indent = levels.slice(0, -1).reduce((sum, l) => sum + l.width, 0);
+        items.push(`${' '.repeat(indent)}${marker}${renderWikiTextInline(text, format)}`);
+        i++;
+      }
+      i--;
+      blocks.push(items.join('\n'));
+      continue;
+    }
+    paragraph.push(line);
+  }
+  flush();
+  return blocks.join('\n\n');
+}
+
+export function wikiToMarkdown(wiki: string): string {
+  return renderWikiLines(wiki.split(/\r?\n/), 'markdown');
+}
+
+export function wikiToText(wiki: string): string {
+  return renderWikiLines(wiki.split(/\r?\n/), 'text');
+}
+
+// Data Center rich text lives in these string properties (issue fields and comment / worklog bodies).
+const WIKI_TEXT_KEYS = new Set(['description', 'environment', 'body', 'comment']);
+
+/**
+ * Deep-copies a Jira Data Center response, rendering the wiki markup in description,
+ * environment and comment bodies as Markdown or plain text (renderAdfInValue's counterpart).
+ */
+export function renderWikiInValue(value: unknown, format: AdfRenderFormat): unknown {
+  if (Array.isArray(value)) return value.map((v) => renderWikiInValue(v, format));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [
+        k,
+        typeof v === 'string' && WIKI_TEXT_KEYS.has(k)
+          ? format === 'markdown'
+            ? wikiToMarkdown(v)
+            : wikiToText(v)
+          : renderWikiInValue(v, format),
+      ])
+    );
+  }
+  return value;
+}
@@ -0,0 +1,204 @@
+/**
+ * Human-friendly durations and start times for worklogs, plus per-user aggregation.
+ *
+ * Durations are sent to Jira as strings in the caller's own units ("1w 2d 3h 30m"), so Jira
+ * applies the site's working-day/week settings; hours are never rolled up into days. Seconds
+ * computed here (for summaries and validation) assume Jira's defaults of 8h days and 5d weeks.
+ */
+
+const UNIT_SECONDS: Record<string, number> = { w: 5 * 8 * 3600, d: 8 * 3600, h: 3600, m: 60 };
+
+const UNIT_ALIASES: Record<string, string> = {
+  w: 'w',
+  wk: 'w',
+  wks: 'w',
+  week: 'w',
+  weeks: 'w',
+  d: 'd',
+  day: 'd',
+  days: 'd',
+  h: 'h',
+  hr: 'h',
+  hrs: 'h',
+  hour: 'h',
+  hours: 'h',
+  m: 'm',
+  min: 'm',
+  mins: 'm',
+  minute: 'm',
+  minutes: 'm',
+};
+
+export type ParsedDuration = { seconds: number; jira: string };
+
+/**
+ * Parses durations like "1h 30m", "2d", "1.5h", "90 minutes" or "1w 2d". A bare number
+ * is read as hours. Returns the seconds (8h days, 5d weeks) and Jira notation that keeps
+ * the given weeks and days as they are ("10h" stays "10h", "90 minutes" becomes "1h 30m").
+ */
+export function parseDuration(text: string): ParsedDuration {
+  const input = text.trim().toLowerCase();
+  if (!input) throw new Error('Duration is empty');
+  if (/^\d+(\.\d+)?$/.test(input)) return parseDuration(`${input}h`);
+
+  const parts = [...input.matchAll(/(\d+(?:\.\d+)?)\s*([a-z]+)\s*,?\s*/g)];
+  const consumed = parts.map((p) => p[0]).join('');
+  if (!parts.length || consumed.replace(/\s|,/g, '') !== input.replace(/\s|,/g, '')) {
+    throw new Error(`Invalid duration "${text}": use units w, d, h and m, e.g. "1h 30m" or "2d"`);
+  }
+
+  const totals: Record<string, number> = { w: 0, d: 0, h: 0, m: 0 };
+  for (const [, amount, unitText] of parts) {
+    const unit = UNIT_ALIASES[unitText];
+    if (!unit) throw new Error(`Invalid duration "${text}": unknown unit "${unitText}"`);
+    totals[unit] += Number(amount);
+  }
+  const seconds = Math.round(Object.entries(totals).reduce((sum, [u, n]) => sum + n * UNIT_SECONDS[u], 0) / 60) * 60;
+  if (seconds <= 0) throw new Error(`Invalid duration "${text}": must be at least one minute`);
+
+  // Weeks and days depend on the site's settings, so only hours and minutes are normalized.
+  const minutes = Math.round(totals.h * 60 + totals.m);
+  const jira = [
+    totals.w ? `${round(totals.w)}w` : '',
+    totals.d ? `${round(totals.d)}d` : '',
+    minutes ? formatDuration(minutes * 60) : '',
+  ];
+  return { seconds, jira: jira.filter(Boolean).join(' ') };
+}
+
+function round(n: number): number {
+  return Math.round(n * 1000) / 1000;
+}
+
+/** Formats seconds as hours and minutes, e.g. "10h 30m". */
+export function formatDuration(seconds: number): string {
+  const minutes = Math.round(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes - hours * 60;
+  if (!hours) return `${rest}m`;
+  return rest ? `${hours}h ${rest}m` : `${hours}h`;
+}
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+function parseClock(text: string | undefined): [number, number] | undefined {
+  if (!text) return undefined;
+  const m = text.trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+  if (!m) throw new Error(`Invalid time of day "${text}"`);
+  let hours = Number(m[1]);
+  const minutes = Number(m[2] ?? 0);
+  const meridiem = m[3]?.toLowerCase();
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) throw new Error(`Invalid time of day "${text}"`);
+  return [hours, minutes];
+}
+
+/**
+ * Parses start times in the server's local time zone: ISO timestamps, "now",
+ * "today 09:00", "yesterday 14:00", "3 days ago", weekday names ("monday 10am",
+ * the most recent past one) and dates like "2025-03-01 13:30". Without a time of
+ * day, relative dates start at 09:00.
+ */
+export function parseStartTime(text: string, now = new Date()): Date {
+  const input = text.trim().toLowerCase();
+  if (input === 'now') return new Date(now);
+
+  const relative = input.match(/^(today|yesterday|(\d+)\s+days?\s+ago|[a-z]+day)(?:\s+(?:at\s+)?(.+))?$/);
+  if (relative) {
+    const [, day, daysAgo, clock] = relative;
+    const date = new Date(now);
+    if (day === 'yesterday') date.setDate(date.getDate() - 1);
+    else if (daysAgo) date.setDate(date.getDate() - Number(daysAgo));
+    else if (day !== 'today') {
+      const weekday = WEEKDAYS.indexOf(day);
+      if (weekday < 0) throw new Error(`Invalid start time "${text}"`);
+      const back = (date.getDay() - weekday + 7) % 7 || 7;
+      date.setDate(date.getDate() - back);
+    }
+    const [hours, minutes] = parseClock(clock) ?? [9, 0];
+    date.setHours(hours, minutes, 0, 0);
+    return date;
+  }
+
+  const local = input.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ t](\d{1,2}:\d{2})(?::\d{2})?)?$/);
+  if (local) {
+    const [hours, minutes] = parseClock(local[4]) ?? [9, 0];
+    return new Date(Number(local[1]), Number(local[2]) - 1, Number(local[3]), hours, minutes);
+  }
+
+  const parsed = new Date(text.trim());
+  if (Number.isNaN(parsed.getTime())) {
+    throw new Error(`Invalid start time "${text}": use ISO 8601, "today 09:00", "yesterday 14:00" or "2025-03-01 13:30"`);
+  }
+  return parsed;
+}
+
+const pad = (n: number, width = 2) => String(Math.abs(n)).padStart(width, '0');
+
+/** Formats a date the way the worklog API expects: 2025-03-01T13:30:00.000+0100 (local offset). */
+export function formatJiraDateTime(date: Date): string {
+  const offset = -date.getTimezoneOffset();
+  const sign = offset >= 0 ? '+' : '-';
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}` +
+    `${sign}${pad(Math.floor(Math.abs(offset) / 60))}${pad(Math.abs(offset) % 60)}`
+  );
+}
+
+export type JiraWorklog = {
+  id: string;
+  issueId?: string;
+  author?: { accountId?: string; displayName?: string; emailAddress?: string };
+  comment?: unknown;
+  started: string;
+  timeSpent?: string;
+  timeSpentSeconds: number;
+  created?: string;
+  updated?: string;
+};
+
+export type UserWorklogSummary = {
+  accountId?: string;
+  displayName?: string;
+  timeSpentSeconds: number;
+  timeSpent: string;
+  worklogs: number;
+  issues: Array<{ key: string; timeSpentSeconds: number; timeSpent: string }>;
+};
+
+/** Aggregates worklogs per author (sorted by time logged, most first) and per issue within each author. */
+export function summarizeWorklogsByUser(entries: Array<{ issueKey: string; worklog: JiraWorklog }>): UserWorklogSummary[] {
+  const byUser = new Map<string, { summary: UserWorklogSummary; issues: Map<string, number> }>();
+  for (const { issueKey, worklog } of entries) {
+    const id = worklog.author?.accountId ?? worklog.author?.displayName ?? 'unknown';
+    let user = byUser.get(id);
+    if (!user) {
+      user = {
+        summary: {
+          accountId: worklog.author?.accountId,
+          displayName: worklog.author?.displayName,
+          timeSpentSeconds: 0,
+          timeSpent: '',
+          worklogs: 0,
+          issues: [],
+        },
+        issues: new Map(),
+      };
+      byUser.set(id, user);
+    }
+    user.summary.timeSpentSeconds += worklog.timeSpentSeconds;
+    user.summary.worklogs++;
+    user.issues.set(issueKey, (user.issues.get(issueKey) ?? 0) + worklog.timeSpentSeconds);
+  }
+  return [...byUser.values()]
+    .map(({ summary, issues }) => ({
+      ...summary,
+      timeSpent: formatDuration(summary.timeSpentSeconds),
+      issues: [...issues]
+        .sort((a, b) => b[1] - a[1])
+        .map(([key, seconds]) => ({ key, timeSpentSeconds: seconds, timeSpent: formatDuration(seconds) })),
+    }))
+    .sort((a, b) => b.timeSpentSeconds - a.timeSpentSeconds);
+}
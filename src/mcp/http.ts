@@ -0,0 +1,300 @@
+import { randomUUID, timingSafeEqual } from 'node:crypto';
+import { IncomingMessage, Server, ServerResponse, createServer } from 'node:http';
+import { AddressInfo } from 'node:net';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { readNonNegativeIntEnv } from '../jira/client.js';
+
+export const MCP_HTTP_PATH = '/mcp';
+export const HEALTH_PATH = '/healthz';
+
+// Large enough for base64 attachment uploads.
+const MAX_BODY_BYTES = 32 * 1024 * 1024;
+
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', '::1', 'localhost']);
+
+// Host header names accepted by default on a loopback bind.
+const LOOPBACK_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+const WILDCARD_HOSTS = new Set(['0.0.0.0', '::', '']);
+
+const DEFAULT_SESSION_IDLE_MS = 30 * 60 * 1000;
+const DEFAULT_MAX_SESSIONS = 100;
+// Upper bound on how often idle sessions are swept.
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+export type HttpTransportConfig = {
+  host: string;
+  port: number;
+  /** Clients must send it as `Authorization: Bearer <token>` or `X-MCP-Secret: <token>`. */
+  authToken?: string;
+  /** Sessions without a request for this long are closed; 0 keeps them until DELETE. */
+  sessionIdleMs?: number;
+  /** New sessions beyond this many open ones are refused with 503. */
+  maxSessions?: number;
+  /**
+   * Host header names (without port) accepted, against DNS rebinding. Defaults to the
+   * loopback names on a loopback bind and to `host` otherwise; required on 0.0.0.0 / ::.
+   */
+  allowedHosts?: string[];
+  /** Browser origins accepted besides the server's own (requests without Origin always pass). */
+  allowedOrigins?: string[];
+};
+
+function readListEnv(name: string): string[] | undefined {
+  const list = process.env[name]
+    ?.split(/[\s,]+/)
+    .map((v) => v.trim())
+    .filter(Boolean);
+  return list?.length ? list : undefined;
+}
+
+export function httpTransportConfigFromEnv(): HttpTransportConfig {
+  return {
+    host: process.env.JIRA_MCP_HTTP_HOST?.trim() || '127.0.0.1',
+    port: readNonNegativeIntEnv('JIRA_MCP_HTTP_PORT', 3000),
+    authToken: process.env.JIRA_MCP_HTTP_TOKEN?.trim() || undefined,
+    sessionIdleMs: readNonNegativeIntEnv('JIRA_MCP_HTTP_SESSION_IDLE_MS', DEFAULT_SESSION_IDLE_MS),
+    maxSessions: readNonNegativeIntEnv('JIRA_MCP_HTTP_MAX_SESSIONS', DEFAULT_MAX_SESSIONS),
+    allowedHosts: readListEnv('JIRA_MCP_HTTP_ALLOWED_HOSTS'),
+    allowedOrigins: readListEnv('JIRA_MCP_HTTP_ALLOWED_ORIGINS'),
+  };
+}
+
+/** The hostname of a Host header value, lowercased ("[::1]" for IPv6), or undefined if unparsable. */
+function hostnameOf(host: string): string | undefined {
+  try {
+    return new URL(`http://${host}`).hostname.toLowerCase();
+  } catch {
+    return undefined;
+  }
+}
+
+/** Normalizes a configured host name the way hostnameOf reads Host headers ("::1" -> "[::1]"). */
+function normalizeHostname(name: string): string {
+  const isIpv6 = (name.match(/:/g) ?? []).length > 1 && !name.startsWith('[');
+  return hostnameOf(isIpv6 ? `[${name}]` : name) ?? name.toLowerCase();
+}
+
+type Session = { server: McpServer; transport: StreamableHTTPServerTransport; lastSeen: number; active: number };
+
+class HttpRequestError extends Error {
+  constructor(
+    public status: number,
+    message: string,
+    public code = -32000
+  ) {
+    super(message);
+    this.name = 'HttpRequestError';
+  }
+}
+
+function sendJson(res: ServerResponse, status: number, body: unknown, headers: Record<string, string> = {}): void {
+  res.writeHead(status, { 'content-type': 'application/json', ...headers }).end(JSON.stringify(body));
+}
+
+function sendRpcError(res: ServerResponse, error: HttpRequestError): void {
+  const headers: Record<string, string> = error.status === 401 ? { 'www-authenticate': 'Bearer' } : {};
+  sendJson(res, error.status, { jsonrpc: '2.0', error: { code: error.code, message: error.message }, id: null }, headers);
+}
+
+async function readJsonBody(req: IncomingMessage): Promise<unknown> {
+  const chunks: Buffer[] = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += (chunk as Buffer).length;
+    if (size > MAX_BODY_BYTES) throw new HttpRequestError(413, 'Request body too large');
+    chunks.push(chunk as Buffer);
+  }
+  if (!size) return undefined;
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    throw new HttpRequestError(400, 'Parse error: request body is not valid JSON', -32700);
+  }
+}
+
+function secretsMatch(given: string, expected: string): boolean {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+function presentedToken(req: IncomingMessage): string | undefined {
+  const auth = req.headers.authorization;
+  if (auth?.toLowerCase().startsWith('bearer ')) return auth.slice('bearer '.length).trim();
+  const secret = req.headers['x-mcp-secret'];
+  return typeof secret === 'string' ? secret.trim() : undefined;
+}
+
+/**
+ * Serves MCP over the Streamable HTTP transport at MCP_HTTP_PATH. Every session (started
+ * by an `initialize` request) gets its own McpServer from `createMcpServer` and is kept
+ * until the client deletes it, it sits idle for `sessionIdleMs`, or the server closes;
+ * HEALTH_PATH answers without auth.
+ */
+export class McpHttpServer {
+  private sessions = new Map<string, Session>();
+  private http: Server;
+  private closing = false;
+  private sweepTimer?: NodeJS.Timeout;
+  private allowedHosts: Set<string>;
+  // Requests other than GET (whose SSE streams stay open) that have not been answered yet.
+  private inFlight = 0;
+  private onDrained?: () => void;
+
+  constructor(
+    private createMcpServer: () => McpServer,
+    private config: HttpTransportConfig
+  ) {
+    if (!config.authToken && !LOOPBACK_HOSTS.has(config.host)) {
+      throw new Error(`JIRA_MCP_HTTP_TOKEN is required when listening on ${config.host} (not a loopback address)`);
+    }
+    let hosts = config.allowedHosts;
+    if (!hosts?.length) {
+      if (WILDCARD_HOSTS.has(config.host)) {
+        throw new Error(`JIRA_MCP_HTTP_ALLOWED_HOSTS is required when listening on ${config.host} (all interfaces)`);
+      }
+      hosts = LOOPBACK_HOSTS.has(config.host) ? LOOPBACK_HOSTNAMES : [config.host];
+    }
+    this.allowedHosts = new Set(hosts.map(normalizeHostname));
+    this.http = createServer((req, res) => {
+      if (req.method !== 'GET') {
+        this.inFlight++;
+        res.once('close', () => {
+          if (--this.inFlight === 0) this.onDrained?.();
+        });
+      }
+      this.handle(req, res).catch((error) => {
+        const failure =
+          error instanceof HttpRequestError
+            ? error
+            : new HttpRequestError(500, error instanceof Error ? error.message : String(error), -32603);
+        if (!res.headersSent) sendRpcError(res, failure);
+        else res.end();
+      });
+    });
+  }
+
+  get sessionCount(): number {
+    return this.sessions.size;
+  }
+
+  async listen(): Promise<string> {
+    await new Promise<void>((resolve, reject) => {
+      this.http.once('error', reject);
+      this.http.listen(this.config.port, this.config.host, () => {
+        this.http.off('error', reject);
+        resolve();
+      });
+    });
+    const idleMs = this.config.sessionIdleMs ?? DEFAULT_SESSION_IDLE_MS;
+    if (idleMs > 0) {
+      this.sweepTimer = setInterval(() => this.closeIdleSessions(), Math.min(idleMs, SWEEP_INTERVAL_MS));
+      this.sweepTimer.unref();
+    }
+    return this.url;
+  }
+
+  /** Closes sessions that have had no request (and none in flight) for `sessionIdleMs`. */
+  private closeIdleSessions(): void {
+    const idleMs = this.config.sessionIdleMs ?? DEFAULT_SESSION_IDLE_MS;
+    if (idleMs <= 0) return;
+    const cutoff = Date.now() - idleMs;
+    for (const [id, session] of this.sessions) {
+      if (session.active || session.lastSeen > cutoff) continue;
+      this.sessions.delete(id);
+      void session.server.close().catch(() => undefined);
+    }
+  }
+
+  get url(): string {
+    const { address, port } = this.http.address() as AddressInfo;
+    const host = address.includes(':') ? `[${address}]` : address;
+    return `http://${host}:${port}${MCP_HTTP_PATH}`;
+  }
+
+  private async handle(req: IncomingMessage, res: ServerResponse): Promise<void> {
+    const path = new URL(req.url ?? '/', 'http://localhost').pathname;
+    if (path === HEALTH_PATH && req.method === 'GET') {
+      sendJson(res, this.closing ? 503 : 200, { status: this.closing ? 'closing' : 'ok', sessions: this.sessions.size });
+      return;
+    }
+    if (path !== MCP_HTTP_PATH) throw new HttpRequestError(404, `Not found: ${path}`);
+    if (this.closing) throw new HttpRequestError(503, 'Server is shutting down');
+    this.checkHostAndOrigin(req);
+    if (this.config.authToken) {
+      const token = presentedToken(req);
+      if (!token || !secretsMatch(token, this.config.authToken)) throw new HttpRequestError(401, 'Unauthorized');
+    }
+
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+    const sessionId = req.headers['mcp-session-id'];
+    if (typeof sessionId === 'string') {
+      const session = this.sessions.get(sessionId);
+      if (!session) throw new HttpRequestError(404, 'Session not found', -32001);
+      session.active++;
+      try {
+        await session.transport.handleRequest(req, res, body);
+      } finally {
+        session.active--;
+        session.lastSeen = Date.now();
+      }
+      return;
+    }
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      throw new HttpRequestError(400, 'Bad request: no session; send an initialize request first');
+    }
+    await this.startSession(req, res, body);
+  }
+
+  /** Rejects requests addressed to another host name or sent by a foreign browser origin (DNS rebinding). */
+  private checkHostAndOrigin(req: IncomingMessage): void {
+    const host = req.headers.host;
+    const hostname = host ? hostnameOf(host) : undefined;
+    if (!hostname || !this.allowedHosts.has(hostname)) {
+      throw new HttpRequestError(403, `Invalid Host header: ${host ?? '(missing)'}`);
+    }
+    const origin = req.headers.origin;
+    if (origin && origin !== `http://${host}` && !this.config.allowedOrigins?.includes(origin)) {
+      throw new HttpRequestError(403, `Invalid Origin header: ${origin}`);
+    }
+  }
+
+  private async startSession(req: IncomingMessage, res: ServerResponse, body: unknown): Promise<void> {
+    const maxSessions = this.config.maxSessions ?? DEFAULT_MAX_SESSIONS;
+    if (this.sessions.size >= maxSessions) this.closeIdleSessions();
+    if (this.sessions.size >= maxSessions) {
+      throw new HttpRequestError(503, `Too many open sessions (${maxSessions}); end one with DELETE or retry later`);
+    }
+    const server = this.createMcpServer();
+    const transport: StreamableHTTPServerTransport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        this.sessions.set(id, { server, transport, lastSeen: Date.now(), active: 0 });
+      },
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) this.sessions.delete(transport.sessionId);
+    };
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  /**
+   * Stops accepting requests, waits for the ones in flight to be answered, closes every
+   * session, then the listener. Nothing is cut off here; callers bound the wait (see index.ts).
+   */
+  async close(): Promise<void> {
+    if (this.closing) return;
+    this.closing = true;
+    clearInterval(this.sweepTimer);
+    const stopped = new Promise<void>((resolve) => this.http.close(() => resolve()));
+    if (this.inFlight) await new Promise<void>((resolve) => (this.onDrained = resolve));
+    await Promise.allSettled([...this.sessions.values()].map((s) => s.server.close()));
+    this.sessions.clear();
+    this.http.closeIdleConnections();
+    await stopped;
+  }
+}
@@ -0,0 +1,327 @@
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { MetadataCache } from '../jira/cache.js';
+import { JiraClient, readBooleanEnv } from '../jira/client.js';
+
+/**
+ * Tools that never change anything in Jira or on the server's disk. Read-only mode
+ * registers only these, so a tool missing from this list is treated as mutating
+ * (jira_download_attachment writes local files, so it is not here).
+ */
+export const READ_ONLY_TOOLS: ReadonlySet<string> = new Set([
+  'jira_list_fields',
+  'jira_list_projects',
+  'jira_list_issue_types',
+  'jira_get_create_metadata',
+  'jira_get_issue',
+  'jira_get_issue_tree',
+  'jira_get_issue_changelog',
+  'jira_search_issues_jql',
+  'jira_count_issues_jql',
+  'jira_list_comments',
+  'jira_get_comment',
+  'jira_list_attachments',
+  'jira_list_issue_link_types',
+  'jira_list_issue_links',
+  'jira_get_transitions',
+  'jira_list_worklogs',
+  'jira_worklog_summary',
+  'jira_bulk_get_editable_fields',
+  'jira_list_boards',
+  'jira_list_sprints',
+  'jira_get_sprint_issues',
+  'jira_search_users',
+  'jira_resolve_user_account_id',
+  'jira_list_sites',
+  'jira_cache_stats',
+  // Only drops this process's in-memory cache.
+  'jira_cache_clear',
+]);
+
+export type ToolPolicy = {
+  /** Register only READ_ONLY_TOOLS. */
+  readOnly?: boolean;
+  /** Glob patterns (`*`, `?`); when non-empty, a tool must match one of them. */
+  allow?: string[];
+  /** Glob patterns; a tool matching any of them is not registered. */
+  deny?: string[];
+};
+
+function globToRegExp(pattern: string): RegExp {
+  const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function matchesAny(name: string, patterns: string[] | undefined): boolean {
+  return !!patterns?.some((p) => globToRegExp(p).test(name));
+}
+
+export function isToolAllowed(name: string, policy: ToolPolicy = {}): boolean {
+  if (policy.readOnly && !READ_ONLY_TOOLS.has(name)) return false;
+  if (policy.allow?.length && !matchesAny(name, policy.allow)) return false;
+  return !matchesAny(name, policy.deny);
+}
+
+function readListEnv(name: string, separator = /[\s,]+/): string[] | undefined {
+  const list = process.env[name]
+    ?.split(separator)
+    .map((p) => p.trim())
+    .filter(Boolean);
+  return list?.length ? list : undefined;
+}
+
+export type WritePolicy = {
+  /** Project keys (or ids) write tools may touch; any project when empty. */
+  allowedProjects?: string[];
+  /** Issue type names (or ids) write tools may not create, edit, comment on or transition. */
+  protectedIssueTypes?: string[];
+};
+
+export type WriteGuardViolation = 'project_not_allowed' | 'project_unknown' | 'protected_issue_type' | 'invalid_issue_key';
+
+export class WriteGuardError extends Error {
+  public details: {
+    reason: WriteGuardViolation;
+    issueKey?: string;
+    project?: string;
+    issueType?: string;
+    allowedProjects?: string[];
+    protectedIssueTypes?: string[];
+  };
+
+  constructor(message: string, details: WriteGuardError['details']) {
+    super(message);
+    this.name = 'WriteGuardError';
+    this.details = details;
+  }
+}
+
+type GuardedIssue = {
+  id?: string;
+  key: string;
+  fields?: { project?: { key?: string }; issuetype?: { id?: string; name?: string } };
+};
+
+// Issues per `issue in (...)` lookup.
+const ISSUES_PER_LOOKUP = 100;
+
+const NUMERIC_ID_RE = /^\d+$/;
+// Only these go into the lookup JQL.
+const ISSUE_KEY_RE = /^[A-Z][A-Z0-9_]*-\d+$/i;
+
+function refOf(value: unknown, keyProp: 'key' | 'name'): { label?: string; id?: string } {
+  if (typeof value === 'string') {
+    return NUMERIC_ID_RE.test(value.trim()) ? { id: value.trim() } : { label: value.trim() };
+  }
+  if (!value || typeof value !== 'object') return {};
+  const ref = value as Record<string, unknown>;
+  return {
+    label: typeof ref[keyProp] === 'string' ? (ref[keyProp] as string) : undefined,
+    id: ref.id === undefined ? undefined : String(ref.id),
+  };
+}
+
+/**
+ * Enforces a WritePolicy before write tools send anything. Projects come from issue keys
+ * or `fields.project`, so key-based checks need no request at all; issue ids, project or
+ * issue type ids and protected issue types on existing issues are looked up (reads only).
+ */
+export class WriteGuard {
+  private allowedProjects?: Set<string>;
+  private protectedIssueTypes?: Set<string>;
+
+  constructor(
+    private jira: JiraClient,
+    private cache: MetadataCache,
+    private policy: WritePolicy = {}
+  ) {
+    if (policy.allowedProjects?.length) {
+      this.allowedProjects = new Set(policy.allowedProjects.map((p) => p.trim().toUpperCase()));
+    }
+    if (policy.protectedIssueTypes?.length) {
+      this.protectedIssueTypes = new Set(policy.protectedIssueTypes.map((t) => t.trim().toLowerCase()));
+    }
+  }
+
+  get enabled(): boolean {
+    return !!(this.allowedProjects || this.protectedIssueTypes);
+  }
+
+  private checkProject(project: string, issueKey?: string): void {
+    if (!this.allowedProjects || this.allowedProjects.has(project.toUpperCase())) return;
+    throw new WriteGuardError(
+      `Project ${project} is not in JIRA_ALLOWED_PROJECTS${issueKey ? ` (issue ${issueKey})` : ''}`,
+      { reason: 'project_not_allowed', issueKey, project, allowedProjects: this.policy.allowedProjects }
+    );
+  }
+
+  private checkIssueType(type: { id?: string; name?: string }, issueKey?: string): void {
+    const protectedTypes = this.protectedIssueTypes;
+    if (!protectedTypes) return;
+    const hit = [type.name, type.id].find((v) => v !== undefined && protectedTypes.has(v.toLowerCase()));
+    if (hit === undefined) return;
+    const issueType = type.name ?? hit;
+    throw new WriteGuardError(
+      `Issue type ${issueType} is protected by JIRA_PROTECTED_ISSUE_TYPES${issueKey ? ` (issue ${issueKey})` : ''}`,
+      { reason: 'protected_issue_type', issueKey, issueType, protectedIssueTypes: this.policy.protectedIssueTypes }
+    );
+  }
+
+  private async lookUpIssues(idsOrKeys: string[]): Promise<GuardedIssue[]> {
+    const issues: GuardedIssue[] = [];
+    for (let i = 0; i < idsOrKeys.length; i += ISSUES_PER_LOOKUP) {
+      const chunk = idsOrKeys.slice(i, i + ISSUES_PER_LOOKUP);
+      const page = await this.jira.postJson<{ issues?: GuardedIssue[] }>(
+        '/rest/api/3/search/jql',
+        { jql: `issue in (${chunk.join(', ')})`, fields: ['project', 'issuetype'], maxResults: chunk.length },
+        undefined,
+        { retrySafe: true }
+      );
+      issues.push(...(page.issues ?? []));
+    }
+    return issues;
+  }
+
+  private async checkIssueTypeRef(value: unknown): Promise<void> {
+    if (!this.protectedIssueTypes || value === undefined) return;
+    const ref = refOf(value, 'name');
+    if (!ref.label && ref.id) {
+      const type = await this.cache.getJson<{ name?: string }>('issueTypes', `/rest/api/3/issuetype/${ref.id}`);
+      ref.label = type.name;
+    }
+    this.checkIssueType({ id: ref.id, name: ref.label });
+  }
+
+  /**
+   * Checks writes to existing issues. Anything that is not an issue key or numeric id is
+   * rejected. Keys are checked against the allowed projects up front; numeric ids, and every
+   * issue when issue types are protected, are looked up first, and an issue the lookup does
+   * not return fails as `project_unknown`. `issuetype` in `fields` (an issue type change)
+   * is checked as well.
+   */
+  async checkIssues(idsOrKeys: string[], fields?: Record<string, unknown>): Promise<void> {
+    if (!this.enabled) return;
+    const all = idsOrKeys.map((k) => k.trim());
+    const ids: string[] = [];
+    for (const idOrKey of all) {
+      if (NUMERIC_ID_RE.test(idOrKey)) {
+        ids.push(idOrKey);
+        continue;
+      }
+      if (!ISSUE_KEY_RE.test(idOrKey)) {
+        throw new WriteGuardError(`"${idOrKey}" is not an issue key or numeric issue id`, {
+          reason: 'invalid_issue_key',
+          issueKey: idOrKey,
+        });
+      }
+      this.checkProject(idOrKey.split('-')[0], idOrKey);
+    }
+    const lookUp = this.protectedIssueTypes ? all : ids;
+    if (lookUp.length) {
+      const found = await this.lookUpIssues(lookUp);
+      for (const issue of found) {
+        this.checkProject(issue.fields?.project?.key ?? issue.key.split('-')[0], issue.key);
+        if (issue.fields?.issuetype) this.checkIssueType(issue.fields.issuetype, issue.key);
+      }
+      const missing = lookUp.find(
+        (idOrKey) => !found.some((issue) => issue.id === idOrKey || issue.key.toLowerCase() === idOrKey.toLowerCase())
+      );
+      if (missing) {
+        throw new WriteGuardError(`Could not determine the project of issue ${missing}`, {
+          reason: 'project_unknown',
+          issueKey: missing,
+          allowedProjects: this.policy.allowedProjects,
+        });
+      }
+    }
+    await this.checkIssueTypeRef(fields?.issuetype);
+  }
+
+  /**
+   * Checks a write addressed by attachment id. Attachments do not say which issue they are
+   * on, so with a policy set the caller must name the issue, which has to hold the attachment.
+   */
+  async checkAttachment(attachmentId: string, issueKey?: string): Promise<void> {
+    if (!this.enabled) return;
+    if (!issueKey) {
+      throw new WriteGuardError('issueKey is required for attachment writes when a write policy is set', {
+        reason: 'project_unknown',
+        allowedProjects: this.policy.allowedProjects,
+      });
+    }
+    await this.checkIssues([issueKey]);
+    const issue = await this.jira.getJson<{ fields?: { attachment?: Array<{ id?: string }> } }>(
+      `/rest/api/3/issue/${encodeURIComponent(issueKey)}`,
+      { fields: 'attachment' }
+    );
+    if (!issue.fields?.attachment?.some((a) => String(a.id) === attachmentId)) {
+      throw new WriteGuardError(`Attachment ${attachmentId} is not on issue ${issueKey}`, {
+        reason: 'project_unknown',
+        issueKey,
+        allowedProjects: this.policy.allowedProjects,
+      });
+    }
+  }
+
+  /** Checks both issues of an existing link. */
+  async checkIssueLink(linkId: string): Promise<void> {
+    if (!this.enabled) return;
+    const link = await this.jira.getJson<{ inwardIssue?: { key?: string }; outwardIssue?: { key?: string } }>(
+      `/rest/api/3/issueLink/${encodeURIComponent(linkId)}`
+    );
+    const keys = [link.inwardIssue?.key, link.outwardIssue?.key].filter((k): k is string => !!k);
+    await this.checkIssues(keys);
+  }
+
+  /** Checks a create payload's `project` and `issuetype`. */
+  async checkCreate(fields: Record<string, unknown>): Promise<void> {
+    if (!this.enabled) return;
+    if (this.allowedProjects) {
+      const ref = refOf(fields.project, 'key');
+      let project = ref.label;
+      if (!project && ref.id) {
+        if (this.allowedProjects.has(ref.id)) project = ref.id;
+        else {
+          const found = await this.cache.getJson<{ key?: string }>('projects', `/rest/api/3/project/${ref.id}`);
+          project = found.key;
+        }
+      }
+      if (!project) {
+        throw new WriteGuardError('fields.project is required when JIRA_ALLOWED_PROJECTS is set', {
+          reason: 'project_unknown',
+          allowedProjects: this.policy.allowedProjects,
+        });
+      }
+      this.checkProject(project);
+    }
+    await this.checkIssueTypeRef(fields.issuetype);
+  }
+}
+
+export function writePolicyFromEnv(): WritePolicy {
+  return {
+    allowedProjects: readListEnv('JIRA_ALLOWED_PROJECTS'),
+    protectedIssueTypes: readListEnv('JIRA_PROTECTED_ISSUE_TYPES', /\s*,\s*/),
+  };
+}
+
+export function toolPolicyFromEnv(): ToolPolicy {
+  return {
+    readOnly: readBooleanEnv('JIRA_READ_ONLY', false),
+    allow: readListEnv('JIRA_TOOLS_ALLOW'),
+    deny: readListEnv('JIRA_TOOLS_DENY'),
+  };
+}
+
+/**
+ * Wraps an McpServer so that registerTool silently skips tools the policy excludes.
+ * Excluded tools are never registered, so clients do not see them in tools/list and
+ * calls to them fail as unknown tools.
+ */
+export function withToolPolicy(server: McpServer, policy: ToolPolicy | undefined): McpServer {
+  if (!policy) return server;
+  const filtered = Object.create(server) as McpServer;
+  const registerTool = server.registerTool.bind(server);
+  filtered.registerTool = ((name: string, config: never, cb: never) =>
+    isToolAllowed(name, policy) ? registerTool(name, config, cb) : undefined) as McpServer['registerTool'];
+  return filtered;
+}
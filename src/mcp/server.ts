@@ -1,8 +1,89 @@
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { z } from 'zod';
-import { JiraClient, JiraHttpError, jiraClientFromEnv } from '../jira/client.js';
-import { assertValidAdfDoc, looksLikeAdfDoc } from '../jira/adf.js';
+import {
+  JiraClient,
+  JiraHttpError,
+  Query,
+  jiraClientFromEnv,
+  readBooleanEnv,
+  retryConfigFromEnv,
+} from '../jira/client.js';
+import {
+  AgilePage,
+  JiraBoard,
+  JiraSprint,
+  SprintState,
+  agilePath,
+  listOpenSprintIssueKeys,
+  moveIssuesToSprint,
+  rankIssues,
+  summarizeBoard,
+  summarizeSprint,
+} from '../jira/agile.js';
+import {
+  AttachmentSource,
+  JiraAttachment,
+  downloadAttachment,
+  readAttachmentSource,
+  summarizeAttachment,
+  uploadAttachments,
+} from '../jira/attachments.js';
+import { CACHE_RESOURCES, CacheResource, MetadataCache, metadataCacheConfigFromEnv } from '../jira/cache.js';
+import { ChangelogHistory, toTimeline } from '../jira/changelog.js';
+import { CloneError, cloneIssue } from '../jira/clone.js';
+import { JiraDeployment, toDataCenterRequest } from '../jira/datacenter.js';
+import { Coercion, CoercionError, coerceFields, getEditMeta, needsCoercion } from '../jira/coerce.js';
+import {
+  CreateValidationError,
+  allowedValueLabel,
+  findIssueType,
+  getCreateFields,
+  listCreateIssueTypes,
+  preflightCreate,
+} from '../jira/createmeta.js';
+import { FieldCatalog, FieldResolutionError } from '../jira/fields.js';
+import { getIssueTree } from '../jira/hierarchy.js';
+import {
+  IssueLinkEntry,
+  LinkDirection,
+  LinkTypeResolutionError,
+  compactIssueLinks,
+  listLinkTypes,
+  resolveLinkType,
+} from '../jira/links.js';
+import { JiraSites, SiteError, siteProfilesFromEnv } from '../jira/sites.js';
+import { TransitionError, transitionToStatus } from '../jira/transitions.js';
+import {
+  JiraWorklog,
+  formatDuration,
+  formatJiraDateTime,
+  parseDuration,
+  parseStartTime,
+  summarizeWorklogsByUser,
+} from '../jira/worklogs.js';
+import {
+  AdfValidationError,
+  AdfValidationIssue,
+  adfToText,
+  assertValidAdfDoc,
+  looksLikeAdfDoc,
+  markdownToAdf,
+  renderAdfInValue,
+} from '../jira/adf.js';
+import { renderWikiInValue } from '../jira/wiki.js';
+import { IssueView, applyIssueView, hasCustomFields, parseIssueView } from '../jira/views.js';
+import { HttpTransportConfig, McpHttpServer, httpTransportConfigFromEnv } from './http.js';
+import {
+  READ_ONLY_TOOLS,
+  ToolPolicy,
+  WriteGuard,
+  WriteGuardError,
+  WritePolicy,
+  toolPolicyFromEnv,
+  withToolPolicy,
+  writePolicyFromEnv,
+} from './policy.js';
 
 type ToolResult = { content: Array<{ type: 'text'; text: string }>; isError?: boolean };
 
@@ -41,21 +122,508 @@ function errorToPublicJson(error: unknown): { message: string; details?: unknown
         status: error.status,
         url: error.url,
         bodyText: error.bodyText,
+        ...(error.retries ? { retries: error.retries } : {}),
       },
     };
   }
+  if (error instanceof AdfValidationError) {
+    return { message: error.message, details: { issues: error.issues } };
+  }
+  if (error instanceof FieldResolutionError) {
+    return { message: error.message, details: { field: error.field, candidates: error.candidates } };
+  }
+  if (error instanceof LinkTypeResolutionError) {
+    return { message: error.message, details: { linkType: error.linkType, candidates: error.candidates } };
+  }
+  if (error instanceof CoercionError) {
+    return {
+      message: error.message,
+      details: { field: error.field, value: error.value, candidates: error.candidates },
+    };
+  }
+  if (error instanceof CreateValidationError) {
+    return {
+      message: error.message,
+      details: { project: error.project, issueType: error.issueType, problems: error.problems },
+    };
+  }
+  if (error instanceof SiteError) {
+    return { message: error.message, details: { site: error.site, sites: error.sites } };
+  }
+  if (error instanceof TransitionError || error instanceof CloneError || error instanceof WriteGuardError) {
+    return { message: error.message, details: error.details };
+  }
   if (error instanceof Error) return { message: error.message };
   return { message: String(error) };
 }
 
+type BodyFormat = 'adf' | 'markdown' | 'text';
+
+const dryRunSchema = z
+  .boolean()
+  .optional()
+  .describe(
+    'If true, run all resolution and validation but return the HTTP request(s) that would be sent instead of sending them (default: JIRA_DRY_RUN)'
+  );
+
+type PlannedRequest = { method: 'POST' | 'PUT'; path: string; query?: Query; body: unknown };
+
+/** Planned requests as the client would send them: v2 paths and wiki markup bodies on Data Center. */
+function wireRequests<R extends PlannedRequest>(jira: JiraClient, requests: R[]): R[] {
+  if (jira.deployment !== 'datacenter') return requests;
+  return requests.map((request) => {
+    const server = toDataCenterRequest(request.method, request.path, request.query, request.body);
+    return { ...request, path: server.path, query: server.query, body: server.body };
+  });
+}
+
+function dryRunResult(jira: JiraClient, requests: PlannedRequest[], extra?: Record<string, unknown>): ToolResult {
+  return toToolResultJson({ dryRun: true, requests: wireRequests(jira, requests), ...extra });
+}
+
+/** Current vs. proposed values for a dry-run update; ADF values are compared as text. */
+async function previewFieldChanges(
+  jira: JiraClient,
+  issueKey: string,
+  fields: Record<string, unknown>,
+  update: Record<string, unknown> | undefined
+) {
+  const ids = [...new Set([...Object.keys(fields), ...Object.keys(update ?? {})])];
+  const issue = await jira.getJson<{ fields?: Record<string, unknown> }>(
+    `/rest/api/3/issue/${encodeURIComponent(issueKey)}`,
+    { fields: ids.join(',') }
+  );
+  const readable = (value: unknown) => (looksLikeAdfDoc(value) ? adfToText(value) : value ?? null);
+  return ids.map((id) => {
+    const before = readable(issue.fields?.[id]);
+    const after = id in fields ? readable(fields[id]) : { update: update?.[id] };
+    return { field: id, before, after, changed: JSON.stringify(before) !== JSON.stringify(after) };
+  });
+}
+
+const validateCreateSchema = z
+  .boolean()
+  .optional()
+  .default(false)
+  .describe(
+    'If true, checks the fields against the create metadata first and reports missing required fields, unknown fields and disallowed values without sending the create'
+  );
+
+const bodyFormatSchema = z
+  .enum(['adf', 'markdown', 'text'])
+  .optional()
+  .default('adf')
+  .describe(
+    'How to return rich-text values (description, comments, ADF custom fields): raw "adf" JSON (wiki markup on Jira Data Center), "markdown", or plain "text"'
+  );
+
+const issueViewSchema = z
+  .enum(['compact', 'standard', 'raw'])
+  .optional()
+  .describe(
+    'Issue shape: "compact" (flat key facts, custom fields by name, no links or avatars), "standard" (Jira\'s structure without self links, avatars and empty fields) or "raw" (as returned by Jira). Defaults to JIRA_ISSUE_VIEW, else raw'
+  );
+
+/** Data Center responses carry wiki markup strings where Cloud has ADF docs. */
+function renderBodies(value: unknown, bodyFormat: BodyFormat | undefined, deployment?: JiraDeployment): unknown {
+  if (!bodyFormat || bodyFormat === 'adf') return value;
+  return deployment === 'datacenter' ? renderWikiInValue(value, bodyFormat) : renderAdfInValue(value, bodyFormat);
+}
+
+/**
+ * Validates every ADF-looking value in a fields object. Problems from all fields are
+ * collected so a single round-trip reports everything that needs fixing.
+ */
 function validateAdfInFields(fields: Record<string, unknown>): void {
+  const failures: AdfValidationError[] = [];
   for (const [fieldIdOrName, value] of Object.entries(fields)) {
     if (!looksLikeAdfDoc(value)) continue;
-    assertValidAdfDoc(value, fieldIdOrName);
+    try {
+      assertValidAdfDoc(value, fieldIdOrName);
+    } catch (error) {
+      if (!(error instanceof AdfValidationError)) throw error;
+      failures.push(error);
+    }
+  }
+  if (failures.length === 1) throw failures[0];
+  if (failures.length > 1) {
+    const issues: AdfValidationIssue[] = failures.flatMap((f) => f.issues);
+    throw new AdfValidationError(
+      `ADF validation failed for ${failures.length} fields: ${failures.map((f) => f.message).join(' | ')}`,
+      issues
+    );
+  }
+}
+
+type CommentFormat = 'text' | 'markdown';
+
+/** Builds an ADF body from a plain-text or Markdown string; ADF objects pass through unchanged. */
+function toCommentBody(body: string | Record<string, unknown>, format: CommentFormat | undefined): unknown {
+  if (typeof body !== 'string') return body;
+  if (format === 'markdown') return markdownToAdf(body);
+  return { type: 'doc', version: 1, content: [{ type: 'paragraph', content: [{ type: 'text', text: body }] }] };
+}
+
+type CommentVisibility = { type: 'role' | 'group'; value?: string; identifier?: string };
+
+const commentVisibilitySchema = z
+  .object({
+    type: z.enum(['role', 'group']).describe('Restrict to a project role or a group'),
+    value: z.string().optional().describe('Role name (e.g. "Developers") or group name'),
+    identifier: z.string().optional().describe('Group id, preferred over the group name when known'),
+  })
+  .optional()
+  .describe('Optional visibility restriction, e.g. {"type":"role","value":"Developers"}');
+
+function toJiraVisibility(visibility: CommentVisibility): Record<string, string> {
+  if (!visibility.value && !visibility.identifier) {
+    throw new Error(`Comment visibility of type "${visibility.type}" needs a value (or identifier for groups)`);
+  }
+  if (visibility.type === 'role' && !visibility.value) throw new Error('Role visibility needs the role name as value');
+  return {
+    type: visibility.type,
+    ...(visibility.value ? { value: visibility.value } : {}),
+    ...(visibility.identifier ? { identifier: visibility.identifier } : {}),
+  };
+}
+
+type JiraComment = {
+  id: string;
+  author?: { accountId?: string; displayName?: string };
+  updateAuthor?: { accountId?: string; displayName?: string };
+  body?: unknown;
+  created?: string;
+  updated?: string;
+  visibility?: { type: string; value?: string; identifier?: string };
+  jsdPublic?: boolean;
+};
+
+function shapeComment(c: JiraComment, bodyFormat: BodyFormat | undefined, deployment?: JiraDeployment) {
+  return {
+    id: c.id,
+    author: c.author?.displayName,
+    authorAccountId: c.author?.accountId,
+    created: c.created,
+    updated: c.updated,
+    ...(c.updated && c.updated !== c.created && c.updateAuthor ? { updatedBy: c.updateAuthor.displayName } : {}),
+    ...(c.visibility ? { visibility: c.visibility } : {}),
+    body: renderBodies(c.body, bodyFormat, deployment),
+  };
+}
+
+const RICH_TEXT_SYSTEM_FIELDS = new Set(['description', 'environment']);
+const TEXTAREA_CUSTOM_FIELD_TYPE = 'com.atlassian.jira.plugin.system.customfieldtypes:textarea';
+
+/**
+ * Converts Markdown string values of rich-text fields (description, environment and
+ * multi-line customfield_* textareas) into ADF docs. Other string fields are left as-is.
+ */
+async function convertMarkdownFields(
+  fieldCatalog: FieldCatalog,
+  fields: Record<string, unknown>
+): Promise<{ fields: Record<string, unknown>; converted: string[] }> {
+  const stringFieldIds = Object.keys(fields).filter((id) => typeof fields[id] === 'string');
+  let textareaIds = new Set<string>();
+  if (stringFieldIds.some((id) => id.startsWith('customfield_'))) {
+    const all = await fieldCatalog.list();
+    textareaIds = new Set(all.filter((f) => f.schema?.custom === TEXTAREA_CUSTOM_FIELD_TYPE).map((f) => f.id));
+  }
+
+  const converted: string[] = [];
+  const out: Record<string, unknown> = { ...fields };
+  for (const id of stringFieldIds) {
+    if (!RICH_TEXT_SYSTEM_FIELDS.has(id) && !textareaIds.has(id)) continue;
+    out[id] = markdownToAdf(fields[id] as string);
+    converted.push(id);
+  }
+  return { fields: out, converted };
+}
+
+const DEFAULT_SEARCH_TOTAL = 1000;
+const MAX_SEARCH_TOTAL = 5000;
+
+type JqlSearchPage = {
+  issues?: unknown[];
+  nextPageToken?: string;
+  isLast?: boolean;
+  names?: Record<string, string>;
+  schema?: Record<string, unknown>;
+};
+
+/**
+ * Follows nextPageToken until the last page or maxTotal issues. Page sizes shrink near
+ * the limit so the returned continuation token resumes exactly after the last issue.
+ */
+async function searchAllPages(jira: JiraClient, firstBody: Record<string, unknown>, maxTotal: number) {
+  const pageSize = Number(firstBody.maxResults) || 50;
+  const issues: unknown[] = [];
+  let names: JqlSearchPage['names'];
+  let schema: JqlSearchPage['schema'];
+  let nextPageToken = firstBody.nextPageToken as string | undefined;
+  let pages = 0;
+
+  while (issues.length < maxTotal) {
+    const body: Record<string, unknown> = { ...firstBody, maxResults: Math.min(pageSize, maxTotal - issues.length) };
+    if (nextPageToken) body.nextPageToken = nextPageToken;
+    else delete body.nextPageToken;
+
+    const page = await jira.postJson<JqlSearchPage>('/rest/api/3/search/jql', body, undefined, { retrySafe: true });
+    pages++;
+    issues.push(...(page.issues ?? []));
+    names ??= page.names;
+    schema ??= page.schema;
+    nextPageToken = page.isLast || !page.issues?.length ? undefined : page.nextPageToken;
+    if (!nextPageToken) break;
+  }
+
+  return {
+    issues,
+    count: issues.length,
+    pages,
+    isLast: !nextPageToken,
+    truncated: !!nextPageToken,
+    ...(nextPageToken ? { nextPageToken } : {}),
+    ...(names ? { names } : {}),
+    ...(schema ? { schema } : {}),
+  };
+}
+
+type ResolvedFieldInput = {
+  fields: Record<string, unknown>;
+  update?: Record<string, unknown>;
+  resolved: Record<string, string>;
+};
+
+/** Translates field display names in fields/update keys to ids (see FieldCatalog). */
+async function resolveFieldNames(
+  fieldCatalog: FieldCatalog,
+  fields: Record<string, unknown>,
+  update?: Record<string, unknown>
+): Promise<ResolvedFieldInput> {
+  const f = await fieldCatalog.resolveKeys(fields);
+  const u = update ? await fieldCatalog.resolveKeys(update) : undefined;
+  return { fields: f.values, update: u?.values, resolved: { ...f.resolved, ...u?.resolved } };
+}
+
+function withResolvedFields(result: unknown, resolved: Record<string, string>): unknown {
+  if (!Object.keys(resolved).length) return result;
+  return { ...(result && typeof result === 'object' ? result : {}), resolvedFields: resolved };
+}
+
+type AdjustEstimate = 'auto' | 'leave' | 'new' | 'manual';
+
+const adjustEstimateSchema = z
+  .enum(['auto', 'leave', 'new', 'manual'])
+  .optional()
+  .describe(
+    'How to change the remaining estimate: "auto" (Jira default), "leave", "new" (set newEstimate) or "manual" (reduceBy/increaseBy)'
+  );
+
+/** Query params for the worklog endpoints' adjustEstimate options, validated up front. */
+function adjustEstimateQuery(args: {
+  adjustEstimate?: AdjustEstimate;
+  newEstimate?: string;
+  reduceBy?: string;
+  increaseBy?: string;
+}): Record<string, string | undefined> {
+  if (!args.adjustEstimate) return {};
+  const query: Record<string, string | undefined> = { adjustEstimate: args.adjustEstimate };
+  if (args.adjustEstimate === 'new') {
+    if (!args.newEstimate) throw new Error('adjustEstimate "new" requires newEstimate');
+    query.newEstimate = parseDuration(args.newEstimate).jira;
+  }
+  if (args.adjustEstimate === 'manual') {
+    const amount = args.reduceBy ?? args.increaseBy;
+    if (!amount) throw new Error('adjustEstimate "manual" requires reduceBy (add) or increaseBy (delete)');
+    query[args.reduceBy ? 'reduceBy' : 'increaseBy'] = parseDuration(amount).jira;
+  }
+  return query;
+}
+
+function shapeWorklog(w: JiraWorklog) {
+  return {
+    id: w.id,
+    author: w.author?.displayName,
+    authorAccountId: w.author?.accountId,
+    started: w.started,
+    timeSpent: w.timeSpent ?? formatDuration(w.timeSpentSeconds),
+    timeSpentSeconds: w.timeSpentSeconds,
+    ...(w.comment ? { comment: adfToText(w.comment) } : {}),
+  };
+}
+
+/** Epoch milliseconds for worklog startedAfter/startedBefore filters. */
+function startedFilterMs(value: string | undefined): number | undefined {
+  return value ? parseStartTime(value).getTime() : undefined;
+}
+
+type WorklogPage = { startAt: number; maxResults: number; total: number; worklogs: JiraWorklog[] };
+
+async function fetchAllWorklogs(jira: JiraClient, issueKey: string, startedAfter?: number, startedBefore?: number) {
+  const worklogs: JiraWorklog[] = [];
+  for (let startAt = 0; ; ) {
+    const page = await jira.getJson<WorklogPage>(`/rest/api/3/issue/${encodeURIComponent(issueKey)}/worklog`, {
+      startAt,
+      maxResults: 1000,
+      startedAfter,
+      startedBefore,
+    });
+    worklogs.push(...(page.worklogs ?? []));
+    startAt += page.worklogs?.length ?? 0;
+    if (!page.worklogs?.length || startAt >= page.total) return worklogs;
+  }
+}
+
+type ChangelogPage = { startAt: number; maxResults: number; total: number; isLast?: boolean; values: ChangelogHistory[] };
+
+async function fetchAllChangelog(jira: JiraClient, issueKey: string) {
+  const histories: ChangelogHistory[] = [];
+  for (let startAt = 0; ; ) {
+    const page = await jira.getJson<ChangelogPage>(`/rest/api/3/issue/${encodeURIComponent(issueKey)}/changelog`, {
+      startAt,
+      maxResults: 100,
+    });
+    histories.push(...(page.values ?? []));
+    startAt += page.values?.length ?? 0;
+    if (!page.values?.length || page.isLast || startAt >= page.total) return histories;
   }
 }
 
-export function registerJiraTools(server: McpServer, jira: JiraClient): void {
+/**
+ * A 400 from a write often means the metadata it was built from (field ids, issue types)
+ * is stale, so drop those entries and let the next attempt look them up again.
+ */
+function invalidateOnRejectedWrite(cache: MetadataCache, error: unknown): void {
+  if (!(error instanceof JiraHttpError) || error.status !== 400) return;
+  cache.invalidate('fields');
+  cache.invalidate('issueTypes');
+}
+
+/**
+ * Successful writes can change metadata too: a create may add allowed values (a new
+ * component or version) to the create metadata, and a transition was planned from cached
+ * workflow data that the next one should read fresh. Drop those entries.
+ */
+function invalidateAfterWrite(cache: MetadataCache, write: 'create' | 'transition'): void {
+  if (write === 'create') cache.invalidate('issueTypes', '/rest/api/3/issue/createmeta/');
+  else cache.invalidate('workflows');
+}
+
+const siteSchema = z
+  .string()
+  .optional()
+  .describe('Name of the Jira site profile to use (see jira_list_sites); defaults to the default site');
+
+/** Wraps an McpServer so that every tool registered through it takes `site` and runs with that site selected. */
+function withSiteArgument(server: McpServer, sites: JiraSites | undefined): McpServer {
+  if (!sites) return server;
+  const routed = Object.create(server) as McpServer;
+  const registerTool = server.registerTool.bind(server);
+  type Handler = (args: { site?: string }, extra: unknown) => unknown;
+  routed.registerTool = ((name: string, config: { inputSchema?: Record<string, unknown> }, cb: Handler) => {
+    const handler: Handler = (args, extra) => {
+      try {
+        sites.get(args.site);
+      } catch (error) {
+        return toToolError('Unknown site', errorToPublicJson(error));
+      }
+      return sites.run(args.site, () => cb(args, extra));
+    };
+    const withSite = { ...config, inputSchema: { ...config.inputSchema, site: siteSchema } };
+    return registerTool(name, withSite as never, handler as never);
+  }) as McpServer['registerTool'];
+  return routed;
+}
+
+// Write tools that take a dryRun argument; JIRA_DRY_RUN is its default.
+const DRY_RUN_TOOLS = new Set([
+  'jira_update_issue_fields',
+  'jira_create_issue',
+  'jira_add_comment',
+  'jira_transition_issue',
+  'jira_bulk_create_issues',
+  'jira_bulk_edit_issues',
+]);
+
+/**
+ * With the server-wide dry run on, write tools that cannot plan their requests refuse to
+ * run instead of writing, so JIRA_DRY_RUN never lets a write through unasked.
+ */
+function withDryRunDefault(server: McpServer, dryRun: boolean | undefined): McpServer {
+  if (!dryRun) return server;
+  const guarded = Object.create(server) as McpServer;
+  const registerTool = server.registerTool.bind(server);
+  guarded.registerTool = ((name: string, config: never, cb: never) => {
+    if (READ_ONLY_TOOLS.has(name) || DRY_RUN_TOOLS.has(name)) return registerTool(name, config, cb);
+    const refuse = () =>
+      toToolError(`${name} has no dry run and is disabled while JIRA_DRY_RUN is on`, {
+        dryRunTools: [...DRY_RUN_TOOLS],
+      });
+    return registerTool(name, config, refuse as never);
+  }) as McpServer['registerTool'];
+  return guarded;
+}
+
+export type JiraToolOptions = {
+  /**
+   * Default for the dryRun argument of write tools. When true, write tools without a
+   * dryRun argument refuse to run.
+   */
+  dryRun?: boolean;
+  /** Which tools to register; all of them when omitted. */
+  tools?: ToolPolicy;
+  /** Projects and issue types the issue write tools may touch. */
+  writes?: WritePolicy;
+  /**
+   * Configured sites. Every tool gets an optional `site` argument and runs with that site
+   * selected; pass `sites.client()` / `sites.cache()` as the client and cache.
+   */
+  sites?: JiraSites;
+  /** Default view of jira_get_issue and jira_search_issues_jql results; 'raw' when omitted. */
+  issueView?: IssueView;
+  /**
+   * The only directory tools may read and write files in (attachment `filePath` uploads
+   * and jira_download_attachment). Without one, neither is available; never set for the
+   * HTTP transport, whose clients are remote.
+   */
+  attachmentDir?: string;
+};
+
+export function jiraToolOptionsFromEnv(): JiraToolOptions {
+  return {
+    dryRun: readBooleanEnv('JIRA_DRY_RUN', false),
+    tools: toolPolicyFromEnv(),
+    writes: writePolicyFromEnv(),
+    issueView: parseIssueView(process.env.JIRA_ISSUE_VIEW, 'env var JIRA_ISSUE_VIEW'),
+    attachmentDir: process.env.JIRA_ATTACHMENT_DIR?.trim() || undefined,
+  };
+}
+
+export function registerJiraTools(
+  mcpServer: McpServer,
+  jira: JiraClient,
+  cache = new MetadataCache(jira),
+  options: JiraToolOptions = {}
+): void {
+    const server = withSiteArgument(
+      withDryRunDefault(withToolPolicy(mcpServer, options.tools), options.dryRun),
+      options.sites
+    );
+    const isDryRun = (requested: boolean | undefined) => requested ?? options.dryRun ?? false;
+    const guard = new WriteGuard(jira, cache, options.writes);
+    const fieldCatalog = new FieldCatalog(cache);
+
+    /** Shapes issues for the requested view, naming custom fields from the cached field list when compact. */
+    const viewIssues = async (issues: unknown[], requestedView: IssueView | undefined, fields?: string[]) => {
+      const view = requestedView ?? options.issueView ?? 'raw';
+      if (view === 'raw') return issues;
+      const names =
+        view === 'compact' && hasCustomFields(issues)
+          ? Object.fromEntries((await fieldCatalog.list()).map((f) => [f.id, f.name]))
+          : undefined;
+      return issues.map((issue) => applyIssueView(issue, view, names, fields));
+    };
+
     server.registerTool(
       'jira_list_fields',
       {
@@ -73,9 +641,7 @@ export function registerJiraTools(server: McpServer, jira: JiraClient): void {
       },
       async (args: { query?: string; includeSchema: boolean }) => {
         try {
-          const fields = await jira.getJson<
-            Array<{ id: string; name: string; custom?: boolean; schema?: unknown; searchable?: boolean }>
-          >('/rest/api/3/field');
+          const fields = await fieldCatalog.list();
           const q = args.query?.toLowerCase().trim();
           const filtered = q
             ? fields.filter((f) => f.id.toLowerCase().includes(q) || f.name.toLowerCase().includes(q))
@@ -94,12 +660,140 @@ export function registerJiraTools(server: McpServer, jira: JiraClient): void {
       }
     );
 
+    server.registerTool(
+      'jira_list_projects',
+      {
+        title: 'Jira: List Projects',
+        description:
+          'List projects visible to the caller via /rest/api/3/project/search (id, key, name, type). Results are cached; see jira_cache_clear.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          query: z.string().optional().describe('Optional filter matched by Jira against project key and name'),
+          maxResults: z.number().int().min(1).max(100).optional().default(50).describe('Max results (1-100)'),
+          startAt: z.number().int().min(0).optional().default(0).describe('Offset for pagination'),
+        } as any,
+      },
+      async (args: { query?: string; maxResults: number; startAt: number }) => {
+        try {
+          const page = await cache.getJson<{
+            values: Array<{ id: string; key: string; name: string; projectTypeKey?: string; simplified?: boolean }>;
+            total?: number;
+            isLast?: boolean;
+          }>('projects', '/rest/api/3/project/search', {
+            query: args.query,
+            maxResults: args.maxResults,
+            startAt: args.startAt,
+          });
+          const projects = page.values.map((p) => ({
+            id: p.id,
+            key: p.key,
+            name: p.name,
+            projectTypeKey: p.projectTypeKey,
+            simplified: p.simplified,
+          }));
+          return toToolResultJson({ count: projects.length, total: page.total, isLast: page.isLast, projects });
+        } catch (error) {
+          return toToolError('Failed to list projects', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_list_issue_types',
+      {
+        title: 'Jira: List Issue Types',
+        description:
+          'List the issue types that can be created in a project via /rest/api/3/issue/createmeta/{project}/issuetypes. Results are cached; see jira_cache_clear.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          projectIdOrKey: z.string().describe('Project key or id, e.g. WOR'),
+        } as any,
+      },
+      async (args: { projectIdOrKey: string }) => {
+        try {
+          const project = args.projectIdOrKey.trim();
+          const issueTypes = (await listCreateIssueTypes(cache, project)).map((t) => ({
+            id: t.id,
+            name: t.name,
+            subtask: t.subtask,
+            hierarchyLevel: t.hierarchyLevel,
+            description: t.description || undefined,
+          }));
+          return toToolResultJson({ project, count: issueTypes.length, issueTypes });
+        } catch (error) {
+          return toToolError('Failed to list issue types', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_get_create_metadata',
+      {
+        title: 'Jira: Get Create Metadata',
+        description:
+          'Describe the create screen of a project + issue type via /rest/api/3/issue/createmeta/{project}/issuetypes/{id}: every field with its id, name, type, whether it is required and its allowed values. Results are cached; see jira_cache_clear.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          projectIdOrKey: z.string().describe('Project key or id, e.g. WOR'),
+          issueType: z.string().describe('Issue type name or id, e.g. Bug'),
+          requiredOnly: z.boolean().optional().default(false).describe('Only return required fields'),
+          maxAllowedValues: z
+            .number()
+            .int()
+            .min(0)
+            .max(1000)
+            .optional()
+            .default(50)
+            .describe('Cap on allowed values listed per field (0 to omit them)'),
+        } as any,
+      },
+      async (args: { projectIdOrKey: string; issueType: string; requiredOnly?: boolean; maxAllowedValues?: number }) => {
+        try {
+          const project = args.projectIdOrKey.trim();
+          const types = await listCreateIssueTypes(cache, project);
+          const issueType = findIssueType(types, args.issueType);
+          if (!issueType) {
+            return toToolError(`Issue type "${args.issueType}" cannot be created in ${project}`, {
+              issueTypes: types.map((t) => ({ id: t.id, name: t.name })),
+            });
+          }
+
+          const maxAllowed = args.maxAllowedValues ?? 50;
+          const fields = (await getCreateFields(cache, project, issueType.id))
+            .filter((f) => !args.requiredOnly || f.required)
+            .map((f) => ({
+              id: f.fieldId,
+              name: f.name,
+              required: f.required,
+              hasDefaultValue: f.hasDefaultValue,
+              type: f.schema?.custom ?? (f.schema?.items ? `${f.schema.type}<${f.schema.items}>` : f.schema?.type),
+              ...(f.allowedValues?.length && maxAllowed
+                ? {
+                    allowedValues: f.allowedValues
+                      .slice(0, maxAllowed)
+                      .map((v) => ({ id: v.id === undefined ? undefined : String(v.id), name: allowedValueLabel(v) })),
+                    ...(f.allowedValues.length > maxAllowed ? { allowedValuesTruncated: true } : {}),
+                  }
+                : {}),
+            }));
+          return toToolResultJson({
+            project,
+            issueType: { id: issueType.id, name: issueType.name, subtask: issueType.subtask },
+            count: fields.length,
+            fields,
+          });
+        } catch (error) {
+          return toToolError('Failed to get create metadata', errorToPublicJson(error));
+        }
+      }
+    );
+
     server.registerTool(
       'jira_get_issue',
       {
         title: 'Jira: Get Issue',
         description:
-          'Fetch a Jira issue by key using /rest/api/3/issue/{key}. You can request specific fields/expand to reduce payload.',
+          'Fetch a Jira issue by key using /rest/api/3/issue/{key}. You can request specific fields/expand to reduce payload, bodyFormat="markdown"/"text" to render ADF rich text compactly, and view="compact" for a flat summary (key, summary, status, type, priority, assignee, labels, parent, updated, custom fields by name).',
         // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
         inputSchema: {
           issueKey: z.string().describe('Issue key, e.g. WOR-2367'),
@@ -108,32 +802,155 @@ export function registerJiraTools(server: McpServer, jira: JiraClient): void {
             .array(z.string())
             .optional()
             .describe('Optional expand list, e.g. ["names","schema","renderedFields","operations"]'),
+          bodyFormat: bodyFormatSchema,
+          view: issueViewSchema,
         } as any,
       },
-      async (args: { issueKey: string; fields?: string[]; expand?: string[] }) => {
+      async (args: {
+        issueKey: string;
+        fields?: string[];
+        expand?: string[];
+        bodyFormat?: BodyFormat;
+        view?: IssueView;
+      }) => {
         try {
           const issueKey = normalizeIssueKey(args.issueKey);
           const query: Record<string, string | undefined> = {};
           if (args.fields?.length) query.fields = args.fields.join(',');
           if (args.expand?.length) query.expand = args.expand.join(',');
           const issue = await jira.getJson<unknown>(`/rest/api/3/issue/${encodeURIComponent(issueKey)}`, query);
-          return toToolResultJson(issue);
+          const rendered = renderBodies(issue, args.bodyFormat, jira.deployment);
+          const [shaped] = await viewIssues([rendered], args.view, args.fields);
+          return toToolResultJson(shaped);
         } catch (error) {
           return toToolError('Failed to get issue', errorToPublicJson(error));
         }
       }
     );
 
+    server.registerTool(
+      'jira_get_issue_tree',
+      {
+        title: 'Jira: Get Issue Tree',
+        description:
+          'Show the hierarchy around an issue: its ancestors (via parent / Epic Link) and its children, grandchildren and subtasks down to depth, as a compact tree (key, summary, type, status, assignee) with descendant counts by status category.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          issueKey: z.string().describe('Issue key to start from, e.g. an epic WOR-100 or a story WOR-2367'),
+          depth: z
+            .number()
+            .int()
+            .min(0)
+            .max(5)
+            .optional()
+            .default(3)
+            .describe('How many levels of children to walk (epic -> story -> subtask is 2)'),
+          ancestorDepth: z
+            .number()
+            .int()
+            .min(0)
+            .max(5)
+            .optional()
+            .default(3)
+            .describe('How many levels of parents to include above the issue'),
+          maxIssues: z
+            .number()
+            .int()
+            .min(1)
+            .max(1000)
+            .optional()
+            .default(200)
+            .describe('Stop walking children after this many issues (result has truncated=true)'),
+        } as any,
+      },
+      async (args: { issueKey: string; depth?: number; ancestorDepth?: number; maxIssues?: number }) => {
+        try {
+          const result = await getIssueTree(jira, fieldCatalog, {
+            issueKey: normalizeIssueKey(args.issueKey),
+            depth: args.depth ?? 3,
+            ancestorDepth: args.ancestorDepth ?? 3,
+            maxIssues: args.maxIssues ?? 200,
+          });
+          return toToolResultJson(result);
+        } catch (error) {
+          return toToolError('Failed to get issue tree', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_get_issue_changelog',
+      {
+        title: 'Jira: Get Issue Changelog',
+        description:
+          'Who changed what and when: pages through /rest/api/3/issue/{key}/changelog and returns a timeline of field changes (from/to, author, timestamp), oldest first. Rich-text changes (description, ADF fields) are shown as a line diff.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          issueKey: z.string().describe('Issue key, e.g. WOR-2367'),
+          fields: z
+            .array(z.string())
+            .optional()
+            .describe('Only changes to these fields (changelog field name like "status" / "Story Points", or field id)'),
+          since: z.string().optional().describe('Only changes at/after this time (ISO or e.g. "yesterday", "7 days ago")'),
+          until: z.string().optional().describe('Only changes at/before this time'),
+          maxChanges: z
+            .number()
+            .int()
+            .min(1)
+            .max(1000)
+            .optional()
+            .default(200)
+            .describe('Return at most this many (most recent) changes'),
+          diffContext: z
+            .number()
+            .int()
+            .min(0)
+            .max(20)
+            .optional()
+            .default(2)
+            .describe('Unchanged lines shown around each rich-text change'),
+        } as any,
+      },
+      async (args: {
+        issueKey: string;
+        fields?: string[];
+        since?: string;
+        until?: string;
+        maxChanges?: number;
+        diffContext?: number;
+      }) => {
+        try {
+          const issueKey = normalizeIssueKey(args.issueKey);
+          const sinceMs = startedFilterMs(args.since);
+          const untilMs = startedFilterMs(args.until);
+          const histories = await fetchAllChangelog(jira, issueKey);
+          const timeline = toTimeline(histories, { fields: args.fields, sinceMs, untilMs }, args.diffContext ?? 2);
+          const maxChanges = args.maxChanges ?? 200;
+          const changes = timeline.slice(-maxChanges);
+          return toToolResultJson({
+            issueKey,
+            count: changes.length,
+            truncated: timeline.length > changes.length,
+            changes,
+          });
+        } catch (error) {
+          return toToolError('Failed to get issue changelog', errorToPublicJson(error));
+        }
+      }
+    );
+
     server.registerTool(
       'jira_update_issue_fields',
       {
         title: 'Jira: Update Issue Fields',
         description:
-          'Update Jira issue fields via /rest/api/3/issue/{key} PUT. Supports customfield_* and ADF docs. You must send correct field IDs and value shapes (e.g. user picker needs accountId).',
+          'Update Jira issue fields via /rest/api/3/issue/{key} PUT. Supports customfield_* and ADF docs. Field keys may be ids or display names (e.g. "Story Points"); the id each name resolved to is reported in resolvedFields. Plain strings for select, user, version, number and date fields are coerced to the right shape via editmeta (see coercions in the result). With format="markdown", string values of rich-text fields are converted from Markdown to ADF.',
         // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
         inputSchema: {
           issueKey: z.string().describe('Issue key, e.g. WOR-2367'),
-          fields: z.record(z.unknown()).describe('Fields object to set (e.g. { "customfield_10246": { accountId: "..." } })'),
+          fields: z
+            .record(z.unknown())
+            .describe('Fields object to set, keyed by field id or name (e.g. { "customfield_10246": { accountId: "..." }, "Story Points": 3 })'),
           update: z
             .record(z.unknown())
             .optional()
@@ -153,7 +970,22 @@ export function registerJiraTools(server: McpServer, jira: JiraClient): void {
             .boolean()
             .optional()
             .default(true)
-            .describe('If true, validates any ADF-like objects contain type/version/content'),
+            .describe('If true, validates any ADF-like objects against the ADF schema (node types, children, marks, required attrs)'),
+          format: z
+            .enum(['adf', 'markdown'])
+            .optional()
+            .default('adf')
+            .describe(
+              'How to interpret string values of rich-text fields (description, environment, multi-line custom fields). "markdown" converts them to ADF'
+            ),
+          coerceValues: z
+            .boolean()
+            .optional()
+            .default(true)
+            .describe(
+              'If true, plain string values are reshaped using the issue editmeta: option/version/component names -> {id}, emails/names -> {accountId}, numeric strings -> numbers, dates (e.g. "2026-03-01", "today") -> Jira format. Applied changes are reported in coercions'
+            ),
+          dryRun: dryRunSchema,
         } as any,
       },
       async (args: {
@@ -164,22 +996,59 @@ export function registerJiraTools(server: McpServer, jira: JiraClient): void {
         overrideScreenSecurity: boolean;
         overrideEditableFlag: boolean;
         validateAdf: boolean;
+        format?: 'adf' | 'markdown';
+        coerceValues?: boolean;
+        dryRun?: boolean;
       }) => {
         try {
           const issueKey = normalizeIssueKey(args.issueKey);
-          if (args.validateAdf) validateAdfInFields(args.fields);
-
-          const body: Record<string, unknown> = { fields: args.fields };
-          if (args.update) body.update = args.update;
+          const input = await resolveFieldNames(fieldCatalog, args.fields, args.update);
+          await guard.checkIssues([issueKey], input.fields);
+          const markdown =
+            args.format === 'markdown'
+              ? await convertMarkdownFields(fieldCatalog, input.fields)
+              : { fields: input.fields, converted: [] };
+          const { converted } = markdown;
+          let fields = markdown.fields;
+          let coercions: Coercion[] = [];
+          if (args.coerceValues !== false && needsCoercion(fields)) {
+            ({ fields, coercions } = await coerceFields(cache, await getEditMeta(jira, issueKey), fields));
+          }
+          if (args.validateAdf) validateAdfInFields(fields);
 
-          await jira.putJson(`/rest/api/3/issue/${encodeURIComponent(issueKey)}`, body, {
+          const body: Record<string, unknown> = { fields };
+          if (input.update) body.update = input.update;
+          const path = `/rest/api/3/issue/${encodeURIComponent(issueKey)}`;
+          const query = {
             notifyUsers: args.notifyUsers,
             overrideScreenSecurity: args.overrideScreenSecurity,
             overrideEditableFlag: args.overrideEditableFlag,
-          });
+          };
+          const report = {
+            ...(converted.length ? { convertedFromMarkdown: converted } : {}),
+            ...(coercions.length ? { coercions } : {}),
+          };
 
-          return toToolResultJson({ success: true, issueKey });
+          if (isDryRun(args.dryRun)) {
+            const changes = await previewFieldChanges(jira, issueKey, fields, input.update);
+            return toToolResultJson(
+              withResolvedFields(
+                {
+                  dryRun: true,
+                  issueKey,
+                  requests: wireRequests(jira, [{ method: 'PUT', path, query, body }]),
+                  changes,
+                  ...report,
+                },
+                input.resolved
+              )
+            );
+          }
+
+          await jira.putJson(path, body, query);
+          return toToolResultJson(withResolvedFields({ success: true, issueKey, ...report }, input.resolved));
         } catch (error) {
+          invalidateOnRejectedWrite(cache, error);
           return toToolError('Failed to update issue', errorToPublicJson(error));
         }
       }
@@ -190,164 +1059,1153 @@ export function registerJiraTools(server: McpServer, jira: JiraClient): void {
       {
         title: 'Jira: Search Issues (JQL)',
         description:
-          'Search issues using JQL via /rest/api/3/search. Returns a page of issues with selected fields.',
+          'Search issues using JQL via /rest/api/3/search/jql. Returns a page of issues plus nextPageToken; pass it back to get the next page, or set all=true to follow pages automatically (up to maxTotal). Use bodyFormat="markdown"/"text" to render ADF rich text compactly and view="compact" to flatten each issue to its key facts.',
         // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
         inputSchema: {
-          jql: z.string().describe('JQL query (e.g. project=WOR AND key=WOR-2367)'),
-          maxResults: z.number().int().min(1).max(100).optional().default(50).describe('Max results (1-100)'),
-          startAt: z.number().int().min(0).optional().default(0).describe('Pagination start offset'),
-          fields: z.array(z.string()).optional().describe('Optional list of fields (names or IDs) to include'),
+          jql: z.string().describe('JQL query (e.g. project=WOR AND key=WOR-2367). Must be bounded (have a search restriction)'),
+          maxResults: z.number().int().min(1).max(100).optional().default(50).describe('Page size (1-100)'),
+          nextPageToken: z
+            .string()
+            .optional()
+            .describe('Continuation token from a previous response (nextPageToken) to fetch the following page'),
+          fields: z
+            .array(z.string())
+            .optional()
+            .describe('Optional list of fields (names or IDs) to include. Defaults to all navigable fields'),
           expand: z.array(z.string()).optional().describe('Optional expand list'),
+          all: z
+            .boolean()
+            .optional()
+            .default(false)
+            .describe('If true, follow nextPageToken across pages and return one merged result'),
+          maxTotal: z
+            .number()
+            .int()
+            .min(1)
+            .max(MAX_SEARCH_TOTAL)
+            .optional()
+            .default(DEFAULT_SEARCH_TOTAL)
+            .describe(`With all=true, stop after this many issues and return a continuation token (max ${MAX_SEARCH_TOTAL})`),
+          bodyFormat: bodyFormatSchema,
+          view: issueViewSchema,
         } as any,
       },
       async (args: {
         jql: string;
         maxResults: number;
-        startAt: number;
+        nextPageToken?: string;
         fields?: string[];
         expand?: string[];
+        all?: boolean;
+        maxTotal?: number;
+        bodyFormat?: BodyFormat;
+        view?: IssueView;
       }) => {
         try {
           const body: Record<string, unknown> = {
             jql: args.jql,
-            maxResults: args.maxResults,
+            maxResults: args.maxResults ?? 50,
+            // The enhanced search endpoint returns only issue ids unless fields are requested.
+            fields: args.fields?.length ? args.fields : ['*navigable'],
+          };
+          if (args.nextPageToken) body.nextPageToken = args.nextPageToken;
+          // Unlike most endpoints, /search/jql takes expand as a comma-separated string.
+          if (args.expand?.length) body.expand = args.expand.join(',');
+
+          const result = args.all
+            ? await searchAllPages(jira, body, args.maxTotal ?? DEFAULT_SEARCH_TOTAL)
+            : await jira.postJson<JqlSearchPage>('/rest/api/3/search/jql', body, undefined, { retrySafe: true });
+          const rendered = renderBodies(result, args.bodyFormat, jira.deployment) as JqlSearchPage;
+          if (!rendered.issues) return toToolResultJson(rendered);
+          return toToolResultJson({ ...rendered, issues: await viewIssues(rendered.issues, args.view, args.fields) });
+        } catch (error) {
+          return toToolError('Failed to search issues (JQL)', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_count_issues_jql',
+      {
+        title: 'Jira: Count Issues (JQL)',
+        description:
+          'Get an approximate count of issues matching a JQL query via POST /rest/api/3/search/approximate-count. Use this before an all=true search to size it.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          jql: z.string().describe('JQL query (must be bounded, e.g. project=WOR)'),
+        } as any,
+      },
+      async (args: { jql: string }) => {
+        try {
+          const result = await jira.postJson<{ count?: number }>(
+            '/rest/api/3/search/approximate-count',
+            { jql: args.jql },
+            undefined,
+            { retrySafe: true }
+          );
+          return toToolResultJson({ jql: args.jql, count: result.count, approximate: true });
+        } catch (error) {
+          return toToolError('Failed to count issues (JQL)', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_create_issue',
+      {
+        title: 'Jira: Create Issue',
+        description:
+          'Create an issue via /rest/api/3/issue. Supply fields including project + issuetype and any customfield_* values (including ADF docs). Field keys may be ids or display names (reported in resolvedFields). With format="markdown", string values of rich-text fields are converted from Markdown to ADF.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          fields: z
+            .record(z.unknown())
+            .describe('Issue fields for creation, keyed by field id or name (must include project and issuetype)'),
+          validateAdf: z
+            .boolean()
+            .optional()
+            .default(true)
+            .describe('If true, validates any ADF-like objects against the ADF schema (node types, children, marks, required attrs)'),
+          format: z
+            .enum(['adf', 'markdown'])
+            .optional()
+            .default('adf')
+            .describe(
+              'How to interpret string values of rich-text fields (description, environment, multi-line custom fields). "markdown" converts them to ADF'
+            ),
+          validate: validateCreateSchema,
+          dryRun: dryRunSchema,
+        } as any,
+      },
+      async (args: {
+        fields: Record<string, unknown>;
+        validateAdf: boolean;
+        format?: 'adf' | 'markdown';
+        validate?: boolean;
+        dryRun?: boolean;
+      }) => {
+        try {
+          const input = await resolveFieldNames(fieldCatalog, args.fields);
+          await guard.checkCreate(input.fields);
+          const { fields } =
+            args.format === 'markdown' ? await convertMarkdownFields(fieldCatalog, input.fields) : { fields: input.fields };
+          if (args.validateAdf) validateAdfInFields(fields);
+          if (args.validate) await preflightCreate(cache, fields);
+          if (isDryRun(args.dryRun)) {
+            return toToolResultJson(
+              withResolvedFields(
+                {
+                  dryRun: true,
+                  requests: wireRequests(jira, [{ method: 'POST', path: '/rest/api/3/issue', body: { fields } }]),
+                },
+                input.resolved
+              )
+            );
+          }
+          const result = await jira.postJson<unknown>('/rest/api/3/issue', { fields });
+          invalidateAfterWrite(cache, 'create');
+          return toToolResultJson(withResolvedFields(result, input.resolved));
+        } catch (error) {
+          invalidateOnRejectedWrite(cache, error);
+          return toToolError('Failed to create issue', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_clone_issue',
+      {
+        title: 'Jira: Clone Issue',
+        description:
+          'Clone an issue: reads the source, copies its creatable fields (filtered against the target create metadata) and creates a new issue, optionally in another project/issue type with fieldMap remapping. Adds a "clones" link to the source and can clone subtasks. Reports fields that could not be copied.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          issueKey: z.string().describe('Source issue key, e.g. WOR-2367'),
+          targetProject: z.string().optional().describe('Project key for the clone (default: the source project)'),
+          targetIssueType: z
+            .string()
+            .optional()
+            .describe('Issue type name or id for the clone (default: the source issue type)'),
+          fields: z
+            .array(z.string())
+            .optional()
+            .describe('Field ids or names to copy (default: every field with a value that the target can accept)'),
+          fieldMap: z
+            .record(z.string())
+            .optional()
+            .describe('Source field -> target field (ids or names), e.g. {"Story Points": "Story point estimate"}'),
+          overrides: z
+            .record(z.unknown())
+            .optional()
+            .describe('Field values to set on the clone instead of the copied ones, keyed by field id or name'),
+          summaryPrefix: z.string().optional().default('').describe('Prefix for the clone summary, e.g. "CLONE - "'),
+          includeSubtasks: z.boolean().optional().default(false).describe('Also clone subtasks under the new issue'),
+          linkToSource: z.boolean().optional().default(true).describe('Add a "clones" link from the clone to the source'),
+          validateAdf: z
+            .boolean()
+            .optional()
+            .default(true)
+            .describe('If true, validates ADF overrides against the ADF schema'),
+        } as any,
+      },
+      async (args: {
+        issueKey: string;
+        targetProject?: string;
+        targetIssueType?: string;
+        fields?: string[];
+        fieldMap?: Record<string, string>;
+        overrides?: Record<string, unknown>;
+        summaryPrefix?: string;
+        includeSubtasks?: boolean;
+        linkToSource?: boolean;
+        validateAdf?: boolean;
+      }) => {
+        try {
+          if (args.overrides && args.validateAdf !== false) validateAdfInFields(args.overrides);
+          const result = await cloneIssue(jira, cache, fieldCatalog, {
+            ...args,
+            issueKey: normalizeIssueKey(args.issueKey),
+            targetProject: args.targetProject?.trim(),
+            guard,
+          });
+          invalidateAfterWrite(cache, 'create');
+          return toToolResultJson(result);
+        } catch (error) {
+          invalidateOnRejectedWrite(cache, error);
+          return toToolError('Failed to clone issue', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_add_comment',
+      {
+        title: 'Jira: Add Comment',
+        description:
+          'Add a comment to an issue via /rest/api/3/issue/{key}/comment. Body may be plain string, Markdown string (format="markdown") or ADF doc object. Optional visibility restricts it to a role or group.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          issueKey: z.string().describe('Issue key, e.g. WOR-2367'),
+          body: z
+            .union([z.string(), z.record(z.unknown())])
+            .describe('Comment body: plain text string, Markdown string or ADF doc object'),
+          validateAdf: z
+            .boolean()
+            .optional()
+            .default(true)
+            .describe('If true and body is object-like, validate it as an ADF doc'),
+          format: z
+            .enum(['text', 'markdown'])
+            .optional()
+            .default('text')
+            .describe('How to interpret a string body: "text" (single plain paragraph) or "markdown" (converted to ADF)'),
+          visibility: commentVisibilitySchema,
+          dryRun: dryRunSchema,
+        } as any,
+      },
+      async (args: {
+        issueKey: string;
+        body: string | Record<string, unknown>;
+        validateAdf: boolean;
+        format?: CommentFormat;
+        visibility?: CommentVisibility;
+        dryRun?: boolean;
+      }) => {
+        try {
+          const issueKey = normalizeIssueKey(args.issueKey);
+          await guard.checkIssues([issueKey]);
+          const commentBody = toCommentBody(args.body, args.format);
+
+          if (args.validateAdf && typeof commentBody === 'object') assertValidAdfDoc(commentBody, 'comment.body');
+
+          const payload: Record<string, unknown> = { body: commentBody };
+          if (args.visibility) payload.visibility = toJiraVisibility(args.visibility);
+          const path = `/rest/api/3/issue/${encodeURIComponent(issueKey)}/comment`;
+          if (isDryRun(args.dryRun)) return dryRunResult(jira, [{ method: 'POST', path, body: payload }], { issueKey });
+          const result = await jira.postJson<unknown>(path, payload);
+          return toToolResultJson(result);
+        } catch (error) {
+          return toToolError('Failed to add comment', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_list_comments',
+      {
+        title: 'Jira: List Comments',
+        description:
+          'List comments on an issue via /rest/api/3/issue/{key}/comment with pagination and ordering. Use bodyFormat="markdown"/"text" for compact bodies and authorAccountId to find a bot\'s own comments.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          issueKey: z.string().describe('Issue key, e.g. WOR-2367'),
+          startAt: z.number().int().min(0).optional().default(0).describe('Offset for pagination'),
+          maxResults: z.number().int().min(1).max(100).optional().default(50).describe('Max results (1-100)'),
+          orderBy: z
+            .enum(['created', '-created'])
+            .optional()
+            .default('created')
+            .describe('"created" (oldest first) or "-created" (newest first)'),
+          authorAccountId: z
+            .string()
+            .optional()
+            .describe('Only return comments by this author (filters the fetched page)'),
+          bodyFormat: bodyFormatSchema,
+        } as any,
+      },
+      async (args: {
+        issueKey: string;
+        startAt: number;
+        maxResults: number;
+        orderBy: 'created' | '-created';
+        authorAccountId?: string;
+        bodyFormat?: BodyFormat;
+      }) => {
+        try {
+          const issueKey = normalizeIssueKey(args.issueKey);
+          const page = await jira.getJson<{ startAt: number; total: number; comments: JiraComment[] }>(
+            `/rest/api/3/issue/${encodeURIComponent(issueKey)}/comment`,
+            { startAt: args.startAt, maxResults: args.maxResults, orderBy: args.orderBy }
+          );
+          const comments = (page.comments ?? [])
+            .filter((c) => !args.authorAccountId || c.author?.accountId === args.authorAccountId)
+            .map((c) => shapeComment(c, args.bodyFormat, jira.deployment));
+          const fetched = page.comments?.length ?? 0;
+          return toToolResultJson({
+            issueKey,
+            startAt: page.startAt,
+            total: page.total,
+            count: comments.length,
+            isLast: page.startAt + fetched >= page.total,
+            comments,
+          });
+        } catch (error) {
+          return toToolError('Failed to list comments', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_get_comment',
+      {
+        title: 'Jira: Get Comment',
+        description: 'Fetch a single comment via /rest/api/3/issue/{key}/comment/{id}.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          issueKey: z.string().describe('Issue key, e.g. WOR-2367'),
+          commentId: z.string().describe('Comment id'),
+          bodyFormat: bodyFormatSchema,
+        } as any,
+      },
+      async (args: { issueKey: string; commentId: string; bodyFormat?: BodyFormat }) => {
+        try {
+          const issueKey = normalizeIssueKey(args.issueKey);
+          const comment = await jira.getJson<JiraComment>(
+            `/rest/api/3/issue/${encodeURIComponent(issueKey)}/comment/${encodeURIComponent(args.commentId.trim())}`
+          );
+          return toToolResultJson({ issueKey, comment: shapeComment(comment, args.bodyFormat, jira.deployment) });
+        } catch (error) {
+          return toToolError('Failed to get comment', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_update_comment',
+      {
+        title: 'Jira: Update Comment',
+        description:
+          'Edit a comment via PUT /rest/api/3/issue/{key}/comment/{id}: replace its body (plain string, Markdown with format="markdown", or ADF) and/or set its visibility. When only visibility is given, the current body is kept.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          issueKey: z.string().describe('Issue key, e.g. WOR-2367'),
+          commentId: z.string().describe('Comment id (see jira_list_comments)'),
+          body: z
+            .union([z.string(), z.record(z.unknown())])
+            .optional()
+            .describe('New comment body: plain text string, Markdown string or ADF doc object'),
+          format: z
+            .enum(['text', 'markdown'])
+            .optional()
+            .default('text')
+            .describe('How to interpret a string body: "text" (single plain paragraph) or "markdown" (converted to ADF)'),
+          validateAdf: z
+            .boolean()
+            .optional()
+            .default(true)
+            .describe('If true, validate the body as an ADF doc before sending'),
+          visibility: commentVisibilitySchema,
+          notifyUsers: z.boolean().optional().default(true).describe('Whether Jira notifies watchers of the edit'),
+        } as any,
+      },
+      async (args: {
+        issueKey: string;
+        commentId: string;
+        body?: string | Record<string, unknown>;
+        format?: CommentFormat;
+        validateAdf: boolean;
+        visibility?: CommentVisibility;
+        notifyUsers: boolean;
+      }) => {
+        if (args.body === undefined && !args.visibility) {
+          return toToolError('Nothing to update: pass body and/or visibility');
+        }
+        try {
+          const issueKey = normalizeIssueKey(args.issueKey);
+          await guard.checkIssues([issueKey]);
+          const commentId = args.commentId.trim();
+          const path = `/rest/api/3/issue/${encodeURIComponent(issueKey)}/comment/${encodeURIComponent(commentId)}`;
+          const visibility = args.visibility ? toJiraVisibility(args.visibility) : undefined;
+
+          let commentBody: unknown;
+          if (args.body !== undefined) {
+            commentBody = toCommentBody(args.body, args.format);
+            if (args.validateAdf) assertValidAdfDoc(commentBody, 'comment.body');
+          } else {
+            // Jira requires a body on every comment update.
+            commentBody = (await jira.getJson<JiraComment>(path)).body;
+          }
+
+          const payload: Record<string, unknown> = { body: commentBody };
+          if (visibility) payload.visibility = visibility;
+          const comment = await jira.putJson<JiraComment>(path, payload, { notifyUsers: args.notifyUsers });
+          return toToolResultJson({ success: true, issueKey, commentId, comment });
+        } catch (error) {
+          return toToolError('Failed to update comment', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_delete_comment',
+      {
+        title: 'Jira: Delete Comment',
+        description: 'Delete a comment via DELETE /rest/api/3/issue/{key}/comment/{id}.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          issueKey: z.string().describe('Issue key, e.g. WOR-2367'),
+          commentId: z.string().describe('Comment id'),
+        } as any,
+      },
+      async (args: { issueKey: string; commentId: string }) => {
+        try {
+          const issueKey = normalizeIssueKey(args.issueKey);
+          await guard.checkIssues([issueKey]);
+          const commentId = args.commentId.trim();
+          await jira.deleteJson(
+            `/rest/api/3/issue/${encodeURIComponent(issueKey)}/comment/${encodeURIComponent(commentId)}`
+          );
+          return toToolResultJson({ success: true, issueKey, commentId });
+        } catch (error) {
+          return toToolError('Failed to delete comment', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_add_attachment',
+      {
+        title: 'Jira: Add Attachment',
+        description:
+          'Attach files to an issue via POST /rest/api/3/issue/{key}/attachments (multipart upload). Each file is either a local filePath or base64 content with a filename.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          issueKey: z.string().describe('Issue key, e.g. WOR-2367'),
+          files: z
+            .array(
+              z.object({
+                filePath: z
+                  .string()
+                  .optional()
+                  .describe('Local file path inside JIRA_ATTACHMENT_DIR (relative paths resolve against it)'),
+                base64: z.string().optional().describe('File content as base64 (a data: URL prefix is accepted)'),
+                filename: z
+                  .string()
+                  .optional()
+                  .describe('Attachment filename (required with base64; defaults to the file name for filePath)'),
+                mimeType: z.string().optional().describe('Optional MIME type, e.g. text/plain or image/png'),
+              })
+            )
+            .min(1)
+            .max(20)
+            .describe('Files to attach'),
+        } as any,
+      },
+      async (args: {
+        issueKey: string;
+        files: Array<{ filePath?: string; base64?: string; filename?: string; mimeType?: string }>;
+      }) => {
+        try {
+          const issueKey = normalizeIssueKey(args.issueKey);
+          const sources: AttachmentSource[] = [];
+          for (const [idx, f] of args.files.entries()) {
+            if (!f.filePath === !f.base64) {
+              return toToolError(`files[${idx}] must have exactly one of filePath or base64`);
+            }
+            if (f.base64 && !f.filename) return toToolError(`files[${idx}].filename is required with base64`);
+            if (f.filePath && !options.attachmentDir) {
+              return toToolError(
+                `files[${idx}].filePath is not available: local files need JIRA_ATTACHMENT_DIR (stdio only); send base64 content`
+              );
+            }
+            sources.push(
+              f.filePath
+                ? { filePath: f.filePath, filename: f.filename, mimeType: f.mimeType }
+                : { base64: f.base64!, filename: f.filename!, mimeType: f.mimeType }
+            );
+          }
+          await guard.checkIssues([issueKey]);
+          const files = await Promise.all(sources.map((source) => readAttachmentSource(source, options.attachmentDir)));
+          const created = await uploadAttachments(jira, issueKey, files);
+          return toToolResultJson({ issueKey, count: created.length, attachments: created.map(summarizeAttachment) });
+        } catch (error) {
+          return toToolError('Failed to add attachment', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_list_attachments',
+      {
+        title: 'Jira: List Attachments',
+        description: 'List an issue\'s attachments (id, filename, mimeType, size, created, author).',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          issueKey: z.string().describe('Issue key, e.g. WOR-2367'),
+        } as any,
+      },
+      async (args: { issueKey: string }) => {
+        try {
+          const issueKey = normalizeIssueKey(args.issueKey);
+          const issue = await jira.getJson<{ fields?: { attachment?: JiraAttachment[] } }>(
+            `/rest/api/3/issue/${encodeURIComponent(issueKey)}`,
+            { fields: 'attachment' }
+          );
+          const attachments = (issue.fields?.attachment ?? []).map(summarizeAttachment);
+          return toToolResultJson({ issueKey, count: attachments.length, attachments });
+        } catch (error) {
+          return toToolError('Failed to list attachments', errorToPublicJson(error));
+        }
+      }
+    );
+
+    const attachmentDir = options.attachmentDir;
+    if (attachmentDir) {
+      server.registerTool(
+        'jira_download_attachment',
+        {
+          title: 'Jira: Download Attachment',
+          description:
+            'Download attachment content via /rest/api/3/attachment/content/{id} and write it to a local path. If outputPath is a directory, the attachment filename is used.',
+          // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+          inputSchema: {
+            attachmentId: z.string().describe('Attachment id (see jira_list_attachments)'),
+            outputPath: z
+              .string()
+              .describe('File or directory inside JIRA_ATTACHMENT_DIR to write to (relative paths resolve against it)'),
+            overwrite: z.boolean().optional().default(false).describe('Replace an existing file at the target path'),
+          } as any,
+        },
+        async (args: { attachmentId: string; outputPath: string; overwrite: boolean }) => {
+          try {
+            const result = await downloadAttachment(
+              jira,
+              args.attachmentId.trim(),
+              args.outputPath,
+              attachmentDir,
+              args.overwrite
+            );
+            return toToolResultJson(result);
+          } catch (error) {
+            return toToolError('Failed to download attachment', errorToPublicJson(error));
+          }
+        }
+      );
+    }
+
+    server.registerTool(
+      'jira_delete_attachment',
+      {
+        title: 'Jira: Delete Attachment',
+        description: 'Delete an attachment via DELETE /rest/api/3/attachment/{id}.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          attachmentId: z.string().describe('Attachment id (see jira_list_attachments)'),
+          issueKey: z
+            .string()
+            .optional()
+            .describe('Issue the attachment is on; required when JIRA_ALLOWED_PROJECTS/JIRA_PROTECTED_ISSUE_TYPES is set'),
+        } as any,
+      },
+      async (args: { attachmentId: string; issueKey?: string }) => {
+        try {
+          const attachmentId = args.attachmentId.trim();
+          await guard.checkAttachment(attachmentId, args.issueKey ? normalizeIssueKey(args.issueKey) : undefined);
+          await jira.deleteJson(`/rest/api/3/attachment/${encodeURIComponent(attachmentId)}`);
+          return toToolResultJson({ success: true, attachmentId });
+        } catch (error) {
+          return toToolError('Failed to delete attachment', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_list_issue_link_types',
+      {
+        title: 'Jira: List Issue Link Types',
+        description:
+          'List issue link types from /rest/api/3/issueLinkType with their inward/outward phrases (e.g. Blocks: "blocks" / "is blocked by").',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {} as any,
+      },
+      async () => {
+        try {
+          const types = await listLinkTypes(cache);
+          return toToolResultJson({
+            count: types.length,
+            linkTypes: types.map((t) => ({ id: t.id, name: t.name, inward: t.inward, outward: t.outward })),
+          });
+        } catch (error) {
+          return toToolError('Failed to list issue link types', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_create_issue_link',
+      {
+        title: 'Jira: Link Issues',
+        description:
+          'Link two issues via POST /rest/api/3/issueLink so that "<issueKey> <linkType> <targetIssueKey>" holds, e.g. WOR-1 "is blocked by" WOR-2. linkType may be a type name ("Blocks") or an inward/outward phrase ("blocks", "is blocked by"), case-insensitive.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          issueKey: z.string().describe('Issue the relation is stated from, e.g. WOR-1'),
+          linkType: z
+            .string()
+            .describe('Link type name or phrase, e.g. "Blocks", "is blocked by", "duplicates", "relates to"'),
+          targetIssueKey: z.string().describe('Issue the relation points to, e.g. WOR-2'),
+          direction: z
+            .enum(['outward', 'inward'])
+            .optional()
+            .describe('Only needed with a type name: "outward" uses the outward phrase (default), "inward" the inward one'),
+        } as any,
+      },
+      async (args: { issueKey: string; linkType: string; targetIssueKey: string; direction?: LinkDirection }) => {
+        try {
+          const issueKey = normalizeIssueKey(args.issueKey);
+          const targetIssueKey = normalizeIssueKey(args.targetIssueKey);
+          await guard.checkIssues([issueKey, targetIssueKey]);
+          const { type, direction } = resolveLinkType(await listLinkTypes(cache), args.linkType, args.direction);
+          // Jira reads a link as "<inwardIssue> <outward phrase> <outwardIssue>".
+          const [inwardIssue, outwardIssue] =
+            direction === 'outward' ? [issueKey, targetIssueKey] : [targetIssueKey, issueKey];
+          await jira.postJson('/rest/api/3/issueLink', {
+            type: { name: type.name },
+            inwardIssue: { key: inwardIssue },
+            outwardIssue: { key: outwardIssue },
+          });
+          const relation = direction === 'outward' ? type.outward : type.inward;
+          return toToolResultJson({
+            success: true,
+            linkType: type.name,
+            direction,
+            relation: `${issueKey} ${relation} ${targetIssueKey}`,
+          });
+        } catch (error) {
+          return toToolError('Failed to link issues', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_list_issue_links',
+      {
+        title: 'Jira: List Issue Links',
+        description:
+          'List an issue\'s links in a compact shape: link id, type, direction, relation phrase and the linked issue key/summary/status.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          issueKey: z.string().describe('Issue key, e.g. WOR-2367'),
+        } as any,
+      },
+      async (args: { issueKey: string }) => {
+        try {
+          const issueKey = normalizeIssueKey(args.issueKey);
+          const issue = await jira.getJson<{ fields?: { issuelinks?: IssueLinkEntry[] } }>(
+            `/rest/api/3/issue/${encodeURIComponent(issueKey)}`,
+            { fields: 'issuelinks' }
+          );
+          const links = compactIssueLinks(issue.fields?.issuelinks ?? []);
+          return toToolResultJson({
+            issueKey,
+            count: links.length,
+            outward: links.filter((l) => l.direction === 'outward'),
+            inward: links.filter((l) => l.direction === 'inward'),
+          });
+        } catch (error) {
+          return toToolError('Failed to list issue links', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_delete_issue_link',
+      {
+        title: 'Jira: Delete Issue Link',
+        description:
+          'Delete an issue link via DELETE /rest/api/3/issueLink/{linkId} (link ids come from jira_list_issue_links).',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          linkId: z.string().describe('Issue link id'),
+        } as any,
+      },
+      async (args: { linkId: string }) => {
+        try {
+          const linkId = args.linkId.trim();
+          await guard.checkIssueLink(linkId);
+          await jira.deleteJson(`/rest/api/3/issueLink/${encodeURIComponent(linkId)}`);
+          return toToolResultJson({ success: true, linkId });
+        } catch (error) {
+          return toToolError('Failed to delete issue link', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_get_transitions',
+      {
+        title: 'Jira: Get Transitions',
+        description: 'Get available transitions for an issue via /rest/api/3/issue/{key}/transitions.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          issueKey: z.string().describe('Issue key, e.g. WOR-2367'),
+          expand: z.array(z.string()).optional().describe('Optional expand list'),
+        } as any,
+      },
+      async (args: { issueKey: string; expand?: string[] }) => {
+        try {
+          const issueKey = normalizeIssueKey(args.issueKey);
+          const query: Record<string, string | undefined> = {};
+          if (args.expand?.length) query.expand = args.expand.join(',');
+          const result = await jira.getJson<unknown>(
+            `/rest/api/3/issue/${encodeURIComponent(issueKey)}/transitions`,
+            query
+          );
+          return toToolResultJson(result);
+        } catch (error) {
+          return toToolError('Failed to get transitions', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_transition_issue',
+      {
+        title: 'Jira: Transition Issue',
+        description:
+          'Transition an issue via /rest/api/3/issue/{key}/transitions. Provide a transition id (from jira_get_transitions) or toStatus: the target status name. With toStatus, a direct transition is used when available, otherwise the shortest chain through the project workflow is applied and each hop is reported. Missing required transition-screen fields are reported before a hop is applied.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          issueKey: z.string().describe('Issue key, e.g. WOR-2367'),
+          transitionId: z.string().optional().describe('Transition id to apply (omit when using toStatus)'),
+          toStatus: z
+            .string()
+            .optional()
+            .describe('Target status name (case-insensitive) or id, e.g. "Done" (omit when using transitionId)'),
+          fields: z
+            .record(z.unknown())
+            .optional()
+            .describe('Optional fields to set during transition, keyed by field id or name'),
+          update: z.record(z.unknown()).optional().describe('Optional update object to apply during transition'),
+          dryRun: dryRunSchema,
+        } as any,
+      },
+      async (args: {
+        issueKey: string;
+        transitionId?: string;
+        toStatus?: string;
+        fields?: Record<string, unknown>;
+        update?: Record<string, unknown>;
+        dryRun?: boolean;
+      }) => {
+        if (!args.transitionId === !args.toStatus) {
+          return toToolError('Provide exactly one of transitionId or toStatus');
+        }
+        try {
+          const issueKey = normalizeIssueKey(args.issueKey);
+          const input = await resolveFieldNames(fieldCatalog, args.fields ?? {}, args.update);
+          await guard.checkIssues([issueKey], input.fields);
+          const dryRun = isDryRun(args.dryRun);
+
+          if (args.toStatus) {
+            const result = await transitionToStatus(jira, cache, {
+              issueKey,
+              toStatus: args.toStatus,
+              fields: args.fields ? input.fields : undefined,
+              update: input.update,
+              dryRun,
+            });
+            if (!dryRun && result.hops.length) invalidateAfterWrite(cache, 'transition');
+            const transitionId = result.hops.length ? result.hops[result.hops.length - 1].transitionId : undefined;
+            const outcome = dryRun ? { dryRun: true } : { success: true };
+            return toToolResultJson(
+              withResolvedFields(
+                {
+                  ...outcome,
+                  ...result,
+                  ...(result.requests ? { requests: wireRequests(jira, result.requests) } : {}),
+                  ...(transitionId ? { transitionId } : { alreadyInStatus: true }),
+                },
+                input.resolved
+              )
+            );
+          }
+
+          const body: Record<string, unknown> = { transition: { id: args.transitionId } };
+          if (args.fields) body.fields = input.fields;
+          if (input.update) body.update = input.update;
+          const path = `/rest/api/3/issue/${encodeURIComponent(issueKey)}/transitions`;
+
+          if (dryRun) {
+            return toToolResultJson(
+              withResolvedFields(
+                { dryRun: true, issueKey, requests: wireRequests(jira, [{ method: 'POST', path, body }]) },
+                input.resolved
+              )
+            );
+          }
+          await jira.postJson(path, body);
+          invalidateAfterWrite(cache, 'transition');
+          return toToolResultJson(
+            withResolvedFields({ success: true, issueKey, transitionId: args.transitionId }, input.resolved)
+          );
+        } catch (error) {
+          invalidateOnRejectedWrite(cache, error);
+          return toToolError('Failed to transition issue', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_add_worklog',
+      {
+        title: 'Jira: Add Worklog',
+        description:
+          'Log work on an issue via POST /rest/api/3/issue/{key}/worklog. timeSpent accepts "1h 30m", "2d", "45m"; started accepts ISO timestamps or "yesterday 14:00", "today 9am", "monday 10:00" (server local time; default now).',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          issueKey: z.string().describe('Issue key, e.g. WOR-2367'),
+          timeSpent: z.string().describe('Duration, e.g. "1h 30m", "2d", "90m"'),
+          started: z.string().optional().describe('When the work started, e.g. "yesterday 14:00" or an ISO timestamp'),
+          comment: z
+            .union([z.string(), z.record(z.unknown())])
+            .optional()
+            .describe('Optional worklog comment: plain text, Markdown (format="markdown") or ADF doc'),
+          format: z
+            .enum(['text', 'markdown'])
+            .optional()
+            .default('text')
+            .describe('How to interpret a string comment'),
+          adjustEstimate: adjustEstimateSchema,
+          newEstimate: z.string().optional().describe('Remaining estimate to set when adjustEstimate="new"'),
+          reduceBy: z
+            .string()
+            .optional()
+            .describe('Amount to reduce the remaining estimate by when adjustEstimate="manual"'),
+        } as any,
+      },
+      async (args: {
+        issueKey: string;
+        timeSpent: string;
+        started?: string;
+        comment?: string | Record<string, unknown>;
+        format?: CommentFormat;
+        adjustEstimate?: AdjustEstimate;
+        newEstimate?: string;
+        reduceBy?: string;
+      }) => {
+        try {
+          const issueKey = normalizeIssueKey(args.issueKey);
+          await guard.checkIssues([issueKey]);
+          const body: Record<string, unknown> = {
+            timeSpent: parseDuration(args.timeSpent).jira,
+            started: formatJiraDateTime(args.started ? parseStartTime(args.started) : new Date()),
+          };
+          if (args.comment !== undefined) {
+            body.comment = toCommentBody(args.comment, args.format);
+            assertValidAdfDoc(body.comment, 'worklog.comment');
+          }
+          const worklog = await jira.postJson<JiraWorklog>(
+            `/rest/api/3/issue/${encodeURIComponent(issueKey)}/worklog`,
+            body,
+            adjustEstimateQuery(args)
+          );
+          return toToolResultJson({ issueKey, worklog: shapeWorklog(worklog) });
+        } catch (error) {
+          return toToolError('Failed to add worklog', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_list_worklogs',
+      {
+        title: 'Jira: List Worklogs',
+        description:
+          'List worklogs on an issue via /rest/api/3/issue/{key}/worklog (author, started, timeSpent, comment as text), optionally limited to a start-time range.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          issueKey: z.string().describe('Issue key, e.g. WOR-2367'),
+          startedAfter: z.string().optional().describe('Only worklogs started at/after this time, e.g. "monday 00:00"'),
+          startedBefore: z.string().optional().describe('Only worklogs started before this time'),
+          startAt: z.number().int().min(0).optional().default(0).describe('Offset for pagination'),
+          maxResults: z.number().int().min(1).max(1000).optional().default(100).describe('Max results (1-1000)'),
+        } as any,
+      },
+      async (args: {
+        issueKey: string;
+        startedAfter?: string;
+        startedBefore?: string;
+        startAt: number;
+        maxResults: number;
+      }) => {
+        try {
+          const issueKey = normalizeIssueKey(args.issueKey);
+          const page = await jira.getJson<WorklogPage>(`/rest/api/3/issue/${encodeURIComponent(issueKey)}/worklog`, {
             startAt: args.startAt,
-          };
-          if (args.fields?.length) body.fields = args.fields;
-          if (args.expand?.length) body.expand = args.expand;
-
-          const result = await jira.postJson<unknown>('/rest/api/3/search', body);
-          return toToolResultJson(result);
+            maxResults: args.maxResults,
+            startedAfter: startedFilterMs(args.startedAfter),
+            startedBefore: startedFilterMs(args.startedBefore),
+          });
+          const worklogs = (page.worklogs ?? []).map(shapeWorklog);
+          const totalSeconds = worklogs.reduce((sum, w) => sum + w.timeSpentSeconds, 0);
+          return toToolResultJson({
+            issueKey,
+            startAt: page.startAt,
+            total: page.total,
+            count: worklogs.length,
+            timeSpent: formatDuration(totalSeconds),
+            worklogs,
+          });
         } catch (error) {
-          return toToolError('Failed to search issues (JQL)', errorToPublicJson(error));
+          return toToolError('Failed to list worklogs', errorToPublicJson(error));
         }
       }
     );
 
     server.registerTool(
-      'jira_create_issue',
+      'jira_update_worklog',
       {
-        title: 'Jira: Create Issue',
+        title: 'Jira: Update Worklog',
         description:
-          'Create an issue via /rest/api/3/issue. Supply fields including project + issuetype and any customfield_* values (including ADF docs).',
+          'Update a worklog via PUT /rest/api/3/issue/{key}/worklog/{id}. Only the given values (timeSpent, started, comment) change.',
         // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
         inputSchema: {
-          fields: z.record(z.unknown()).describe('Issue fields for creation (must include project and issuetype)'),
-          validateAdf: z
-            .boolean()
+          issueKey: z.string().describe('Issue key, e.g. WOR-2367'),
+          worklogId: z.string().describe('Worklog id (see jira_list_worklogs)'),
+          timeSpent: z.string().optional().describe('New duration, e.g. "2h"'),
+          started: z.string().optional().describe('New start time, e.g. "yesterday 14:00"'),
+          comment: z
+            .union([z.string(), z.record(z.unknown())])
             .optional()
-            .default(true)
-            .describe('If true, validates any ADF-like objects contain type/version/content'),
+            .describe('New comment: plain text, Markdown (format="markdown") or ADF doc'),
+          format: z
+            .enum(['text', 'markdown'])
+            .optional()
+            .default('text')
+            .describe('How to interpret a string comment'),
+          adjustEstimate: adjustEstimateSchema,
+          newEstimate: z.string().optional().describe('Remaining estimate to set when adjustEstimate="new"'),
         } as any,
       },
-      async (args: { fields: Record<string, unknown>; validateAdf: boolean }) => {
+      async (args: {
+        issueKey: string;
+        worklogId: string;
+        timeSpent?: string;
+        started?: string;
+        comment?: string | Record<string, unknown>;
+        format?: CommentFormat;
+        adjustEstimate?: AdjustEstimate;
+        newEstimate?: string;
+      }) => {
         try {
-          if (args.validateAdf) validateAdfInFields(args.fields);
-          const result = await jira.postJson<unknown>('/rest/api/3/issue', { fields: args.fields });
-          return toToolResultJson(result);
+          const issueKey = normalizeIssueKey(args.issueKey);
+          const body: Record<string, unknown> = {};
+          if (args.timeSpent) body.timeSpent = parseDuration(args.timeSpent).jira;
+          if (args.started) body.started = formatJiraDateTime(parseStartTime(args.started));
+          if (args.comment !== undefined) {
+            body.comment = toCommentBody(args.comment, args.format);
+            assertValidAdfDoc(body.comment, 'worklog.comment');
+          }
+          if (!Object.keys(body).length) return toToolError('Nothing to update: pass timeSpent, started or comment');
+          if (args.adjustEstimate === 'manual') return toToolError('adjustEstimate "manual" is not supported when updating');
+          await guard.checkIssues([issueKey]);
+
+          const worklog = await jira.putJson<JiraWorklog>(
+            `/rest/api/3/issue/${encodeURIComponent(issueKey)}/worklog/${encodeURIComponent(args.worklogId.trim())}`,
+            body,
+            adjustEstimateQuery(args)
+          );
+          return toToolResultJson({ issueKey, worklog: shapeWorklog(worklog) });
         } catch (error) {
-          return toToolError('Failed to create issue', errorToPublicJson(error));
+          return toToolError('Failed to update worklog', errorToPublicJson(error));
         }
       }
     );
 
     server.registerTool(
-      'jira_add_comment',
+      'jira_delete_worklog',
       {
-        title: 'Jira: Add Comment',
-        description:
-          'Add a comment to an issue via /rest/api/3/issue/{key}/comment. Body may be plain string or ADF doc object.',
+        title: 'Jira: Delete Worklog',
+        description: 'Delete a worklog via DELETE /rest/api/3/issue/{key}/worklog/{id}.',
         // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
         inputSchema: {
           issueKey: z.string().describe('Issue key, e.g. WOR-2367'),
-          body: z
-            .union([z.string(), z.record(z.unknown())])
-            .describe('Comment body: plain text string or ADF doc object'),
-          validateAdf: z
-            .boolean()
+          worklogId: z.string().describe('Worklog id (see jira_list_worklogs)'),
+          adjustEstimate: adjustEstimateSchema,
+          newEstimate: z.string().optional().describe('Remaining estimate to set when adjustEstimate="new"'),
+          increaseBy: z
+            .string()
             .optional()
-            .default(true)
-            .describe('If true and body is object-like, validate it as an ADF doc'),
+            .describe('Amount to add back to the remaining estimate when adjustEstimate="manual"'),
         } as any,
       },
-      async (args: { issueKey: string; body: string | Record<string, unknown>; validateAdf: boolean }) => {
+      async (args: {
+        issueKey: string;
+        worklogId: string;
+        adjustEstimate?: AdjustEstimate;
+        newEstimate?: string;
+        increaseBy?: string;
+      }) => {
         try {
           const issueKey = normalizeIssueKey(args.issueKey);
-          const commentBody =
-            typeof args.body === 'string'
-              ? { type: 'doc', version: 1, content: [{ type: 'paragraph', content: [{ type: 'text', text: args.body }] }] }
-              : args.body;
-
-          if (args.validateAdf && typeof commentBody === 'object') assertValidAdfDoc(commentBody, 'comment.body');
-
-          const result = await jira.postJson<unknown>(
-            `/rest/api/3/issue/${encodeURIComponent(issueKey)}/comment`,
-            { body: commentBody }
+          const worklogId = args.worklogId.trim();
+          await guard.checkIssues([issueKey]);
+          await jira.deleteJson(
+            `/rest/api/3/issue/${encodeURIComponent(issueKey)}/worklog/${encodeURIComponent(worklogId)}`,
+            adjustEstimateQuery(args)
           );
-          return toToolResultJson(result);
+          return toToolResultJson({ success: true, issueKey, worklogId });
         } catch (error) {
-          return toToolError('Failed to add comment', errorToPublicJson(error));
+          return toToolError('Failed to delete worklog', errorToPublicJson(error));
         }
       }
     );
 
     server.registerTool(
-      'jira_get_transitions',
+      'jira_set_estimates',
       {
-        title: 'Jira: Get Transitions',
-        description: 'Get available transitions for an issue via /rest/api/3/issue/{key}/transitions.',
+        title: 'Jira: Set Time Estimates',
+        description:
+          'Set an issue\'s original and/or remaining estimate (timetracking field), e.g. originalEstimate="3d", remainingEstimate="1d 4h". Returns the resulting time tracking.',
         // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
         inputSchema: {
           issueKey: z.string().describe('Issue key, e.g. WOR-2367'),
-          expand: z.array(z.string()).optional().describe('Optional expand list'),
+          originalEstimate: z.string().optional().describe('Original estimate, e.g. "3d"'),
+          remainingEstimate: z.string().optional().describe('Remaining estimate, e.g. "1d 4h"'),
         } as any,
       },
-      async (args: { issueKey: string; expand?: string[] }) => {
+      async (args: { issueKey: string; originalEstimate?: string; remainingEstimate?: string }) => {
         try {
           const issueKey = normalizeIssueKey(args.issueKey);
-          const query: Record<string, string | undefined> = {};
-          if (args.expand?.length) query.expand = args.expand.join(',');
-          const result = await jira.getJson<unknown>(
-            `/rest/api/3/issue/${encodeURIComponent(issueKey)}/transitions`,
-            query
-          );
-          return toToolResultJson(result);
+          const timetracking: Record<string, string> = {};
+          if (args.originalEstimate) timetracking.originalEstimate = parseDuration(args.originalEstimate).jira;
+          if (args.remainingEstimate) timetracking.remainingEstimate = parseDuration(args.remainingEstimate).jira;
+          if (!Object.keys(timetracking).length) {
+            return toToolError('Nothing to update: pass originalEstimate and/or remainingEstimate');
+          }
+          await guard.checkIssues([issueKey]);
+          const path = `/rest/api/3/issue/${encodeURIComponent(issueKey)}`;
+          await jira.putJson(path, { fields: { timetracking } });
+          const issue = await jira.getJson<{ fields?: { timetracking?: unknown } }>(path, { fields: 'timetracking' });
+          return toToolResultJson({ success: true, issueKey, timetracking: issue.fields?.timetracking ?? timetracking });
         } catch (error) {
-          return toToolError('Failed to get transitions', errorToPublicJson(error));
+          return toToolError('Failed to set estimates', errorToPublicJson(error));
         }
       }
     );
 
     server.registerTool(
-      'jira_transition_issue',
+      'jira_worklog_summary',
       {
-        title: 'Jira: Transition Issue',
+        title: 'Jira: Worklog Summary by User',
         description:
-          'Transition an issue via /rest/api/3/issue/{key}/transitions. Provide a transition id (use jira_get_transitions first).',
+          'Sum logged time per user across the issues matching a JQL query (e.g. for weekly timesheets), optionally limited to a start-time range and to specific users.',
         // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
         inputSchema: {
-          issueKey: z.string().describe('Issue key, e.g. WOR-2367'),
-          transitionId: z.string().describe('Transition id to apply'),
-          fields: z.record(z.unknown()).optional().describe('Optional fields to set during transition'),
-          update: z.record(z.unknown()).optional().describe('Optional update object to apply during transition'),
+          jql: z.string().describe('JQL selecting the issues, e.g. "project = WOR AND worklogDate >= startOfWeek()"'),
+          startedAfter: z
+            .string()
+            .optional()
+            .describe('Only count worklogs started at/after this time, e.g. "monday 00:00"'),
+          startedBefore: z.string().optional().describe('Only count worklogs started before this time'),
+          accountIds: z.array(z.string()).optional().describe('Only include these authors'),
+          maxIssues: z
+            .number()
+            .int()
+            .min(1)
+            .max(MAX_SEARCH_TOTAL)
+            .optional()
+            .default(500)
+            .describe(`Max issues to scan (default 500, max ${MAX_SEARCH_TOTAL})`),
         } as any,
       },
       async (args: {
-        issueKey: string;
-        transitionId: string;
-        fields?: Record<string, unknown>;
-        update?: Record<string, unknown>;
+        jql: string;
+        startedAfter?: string;
+        startedBefore?: string;
+        accountIds?: string[];
+        maxIssues: number;
       }) => {
         try {
-          const issueKey = normalizeIssueKey(args.issueKey);
-          const body: Record<string, unknown> = { transition: { id: args.transitionId } };
-          if (args.fields) body.fields = args.fields;
-          if (args.update) body.update = args.update;
+          const after = startedFilterMs(args.startedAfter);
+          const before = startedFilterMs(args.startedBefore);
+          const search = await searchAllPages(
+            jira,
+            { jql: args.jql, fields: ['worklog'], maxResults: 100 },
+            args.maxIssues
+          );
+
+          const entries: Array<{ issueKey: string; worklog: JiraWorklog }> = [];
+          for (const issue of search.issues as Array<{
+            key: string;
+            fields?: { worklog?: { total: number; worklogs: JiraWorklog[] } };
+          }>) {
+            const embedded = issue.fields?.worklog;
+            // The search response embeds at most 20 worklogs per issue; fetch the rest when there are more.
+            const worklogs =
+              embedded && embedded.total <= embedded.worklogs.length
+                ? embedded.worklogs
+                : await fetchAllWorklogs(jira, issue.key, after, before);
+            for (const worklog of worklogs) {
+              const started = Date.parse(worklog.started);
+              if (after !== undefined && started < after) continue;
+              if (before !== undefined && started >= before) continue;
+              if (args.accountIds?.length && !args.accountIds.includes(worklog.author?.accountId ?? '')) continue;
+              entries.push({ issueKey: issue.key, worklog });
+            }
+          }
 
-          await jira.postJson(`/rest/api/3/issue/${encodeURIComponent(issueKey)}/transitions`, body);
-          return toToolResultJson({ success: true, issueKey, transitionId: args.transitionId });
+          const users = summarizeWorklogsByUser(entries);
+          const totalSeconds = users.reduce((sum, u) => sum + u.timeSpentSeconds, 0);
+          return toToolResultJson({
+            jql: args.jql,
+            issuesScanned: search.count,
+            truncated: search.truncated,
+            ...(args.startedAfter || args.startedBefore
+              ? {
+                  range: {
+                    startedAfter: after !== undefined ? new Date(after).toISOString() : undefined,
+                    startedBefore: before !== undefined ? new Date(before).toISOString() : undefined,
+                  },
+                }
+              : {}),
+            totalSeconds,
+            total: formatDuration(totalSeconds),
+            users,
+          });
         } catch (error) {
-          return toToolError('Failed to transition issue', errorToPublicJson(error));
+          return toToolError('Failed to summarize worklogs', errorToPublicJson(error));
         }
       }
     );
@@ -363,7 +2221,7 @@ export function registerJiraTools(server: McpServer, jira: JiraClient): void {
           issueUpdates: z
             .array(
               z.object({
-                fields: z.record(z.unknown()).describe('Issue fields for creation'),
+                fields: z.record(z.unknown()).describe('Issue fields for creation, keyed by field id or name'),
                 update: z.record(z.unknown()).optional().describe('Optional Jira update object for creation'),
               })
             )
@@ -375,15 +2233,40 @@ export function registerJiraTools(server: McpServer, jira: JiraClient): void {
             .optional()
             .default(true)
             .describe('If true, validates any ADF-like objects inside each issue fields object'),
+          validate: validateCreateSchema,
+          dryRun: dryRunSchema,
         } as any,
       },
       async (args: {
         issueUpdates: Array<{ fields: Record<string, unknown>; update?: Record<string, unknown> }>;
         validateAdf: boolean;
+        validate?: boolean;
+        dryRun?: boolean;
       }) => {
         try {
+          const issueUpdates: Array<{ fields: Record<string, unknown>; update?: Record<string, unknown> }> = [];
+          const resolvedFields: Array<Record<string, string>> = [];
+          for (const [idx, u] of args.issueUpdates.entries()) {
+            let input: ResolvedFieldInput;
+            try {
+              input = await resolveFieldNames(fieldCatalog, u.fields, u.update);
+            } catch (e) {
+              return toToolError(`Field resolution failed for issueUpdates[${idx}]`, errorToPublicJson(e));
+            }
+            issueUpdates.push(input.update ? { fields: input.fields, update: input.update } : { fields: input.fields });
+            resolvedFields.push(input.resolved);
+          }
+          // Checked on field ids, so a display-name key ("Project", "Issue Type") cannot slip past.
+          for (const [idx, u] of issueUpdates.entries()) {
+            try {
+              await guard.checkCreate(u.fields);
+            } catch (e) {
+              return toToolError(`Write policy rejected issueUpdates[${idx}]`, errorToPublicJson(e));
+            }
+          }
+
           if (args.validateAdf) {
-            for (const [idx, u] of args.issueUpdates.entries()) {
+            for (const [idx, u] of issueUpdates.entries()) {
               try {
                 validateAdfInFields(u.fields);
               } catch (e) {
@@ -392,11 +2275,36 @@ export function registerJiraTools(server: McpServer, jira: JiraClient): void {
             }
           }
 
-          const result = await jira.postJson<unknown>('/rest/api/3/issue/bulk', {
-            issueUpdates: args.issueUpdates,
-          });
-          return toToolResultJson(result);
+          if (args.validate) {
+            const failed: Array<{ index: number; message: string; details?: unknown }> = [];
+            for (const [idx, u] of issueUpdates.entries()) {
+              try {
+                await preflightCreate(cache, u.fields, u.update);
+              } catch (e) {
+                if (!(e instanceof CreateValidationError)) throw e;
+                failed.push({ index: idx, ...errorToPublicJson(e) });
+              }
+            }
+            if (failed.length) {
+              return toToolError(`Create validation failed for ${failed.length} of ${issueUpdates.length} issueUpdates`, {
+                entries: failed,
+              });
+            }
+          }
+
+          const anyResolved = resolvedFields.some((r) => Object.keys(r).length);
+          if (isDryRun(args.dryRun)) {
+            return dryRunResult(
+              jira,
+              [{ method: 'POST', path: '/rest/api/3/issue/bulk', body: { issueUpdates } }],
+              anyResolved ? { resolvedFields } : undefined
+            );
+          }
+          const result = await jira.postJson<unknown>('/rest/api/3/issue/bulk', { issueUpdates });
+          invalidateAfterWrite(cache, 'create');
+          return toToolResultJson(anyResolved ? { ...(result as Record<string, unknown>), resolvedFields } : result);
         } catch (error) {
+          invalidateOnRejectedWrite(cache, error);
           return toToolError('Failed to bulk create issues', errorToPublicJson(error));
         }
       }
@@ -473,6 +2381,7 @@ export function registerJiraTools(server: McpServer, jira: JiraClient): void {
             .optional()
             .default(true)
             .describe('If true, validates any ADF-like objects inside editedFieldsInput'),
+          dryRun: dryRunSchema,
         } as any,
       },
       async (args: {
@@ -481,8 +2390,10 @@ export function registerJiraTools(server: McpServer, jira: JiraClient): void {
         editedFieldsInput: Record<string, unknown>;
         sendBulkNotification: boolean;
         validateAdf: boolean;
+        dryRun?: boolean;
       }) => {
         try {
+          await guard.checkIssues(args.selectedIssueIdsOrKeys);
           if (args.validateAdf) validateAdfInFields(args.editedFieldsInput);
 
           const payload = {
@@ -492,6 +2403,9 @@ export function registerJiraTools(server: McpServer, jira: JiraClient): void {
             sendBulkNotification: args.sendBulkNotification,
           };
 
+          if (isDryRun(args.dryRun)) {
+            return dryRunResult(jira, [{ method: 'POST', path: '/rest/api/3/bulk/issues/fields', body: payload }]);
+          }
           const result = await jira.postJson<unknown>('/rest/api/3/bulk/issues/fields', payload);
           return toToolResultJson(result);
         } catch (error) {
@@ -500,6 +2414,299 @@ export function registerJiraTools(server: McpServer, jira: JiraClient): void {
       }
     );
 
+    server.registerTool(
+      'jira_list_boards',
+      {
+        title: 'Jira: List Boards',
+        description:
+          'List Jira Software boards via /rest/agile/1.0/board, optionally for one project. Board ids are needed by the sprint tools.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          projectKey: z.string().optional().describe('Only boards that show this project (key or id)'),
+          type: z.enum(['scrum', 'kanban', 'simple']).optional().describe('Only boards of this type'),
+          name: z.string().optional().describe('Only boards whose name contains this text'),
+          maxResults: z.number().int().min(1).max(50).optional().default(50).describe('Page size (1-50)'),
+          startAt: z.number().int().min(0).optional().default(0).describe('Offset for pagination'),
+        } as any,
+      },
+      async (args: { projectKey?: string; type?: string; name?: string; maxResults?: number; startAt?: number }) => {
+        try {
+          const page = await jira.getJson<AgilePage<JiraBoard>>(agilePath('/board'), {
+            projectKeyOrId: args.projectKey?.trim(),
+            type: args.type,
+            name: args.name,
+            maxResults: args.maxResults ?? 50,
+            startAt: args.startAt ?? 0,
+          });
+          const boards = (page.values ?? []).map(summarizeBoard);
+          return toToolResultJson({ count: boards.length, isLast: page.isLast, boards });
+        } catch (error) {
+          return toToolError('Failed to list boards', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_list_sprints',
+      {
+        title: 'Jira: List Sprints',
+        description: 'List sprints of a board via /rest/agile/1.0/board/{boardId}/sprint, filtered by state.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          boardId: z.number().int().describe('Board id (from jira_list_boards)'),
+          state: z
+            .array(z.enum(['active', 'future', 'closed']))
+            .optional()
+            .default(['active', 'future'])
+            .describe('Sprint states to include'),
+          maxResults: z.number().int().min(1).max(50).optional().default(50).describe('Page size (1-50)'),
+          startAt: z.number().int().min(0).optional().default(0).describe('Offset for pagination'),
+        } as any,
+      },
+      async (args: { boardId: number; state?: SprintState[]; maxResults?: number; startAt?: number }) => {
+        try {
+          const page = await jira.getJson<AgilePage<JiraSprint>>(agilePath(`/board/${args.boardId}/sprint`), {
+            state: (args.state?.length ? args.state : ['active', 'future']).join(','),
+            maxResults: args.maxResults ?? 50,
+            startAt: args.startAt ?? 0,
+          });
+          const sprints = (page.values ?? []).map(summarizeSprint);
+          return toToolResultJson({ boardId: args.boardId, count: sprints.length, isLast: page.isLast, sprints });
+        } catch (error) {
+          return toToolError('Failed to list sprints', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_get_sprint_issues',
+      {
+        title: 'Jira: Get Sprint Issues',
+        description: 'Get the issues in a sprint via /rest/agile/1.0/sprint/{sprintId}/issue, optionally narrowed by JQL.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          sprintId: z.number().int().describe('Sprint id (from jira_list_sprints)'),
+          jql: z.string().optional().describe('Optional JQL filter applied within the sprint, e.g. assignee = currentUser()'),
+          fields: z
+            .array(z.string())
+            .optional()
+            .describe('Fields to include (default: summary, status, issuetype, priority, assignee)'),
+          maxResults: z.number().int().min(1).max(100).optional().default(50).describe('Page size (1-100)'),
+          startAt: z.number().int().min(0).optional().default(0).describe('Offset for pagination'),
+          bodyFormat: bodyFormatSchema,
+        } as any,
+      },
+      async (args: {
+        sprintId: number;
+        jql?: string;
+        fields?: string[];
+        maxResults?: number;
+        startAt?: number;
+        bodyFormat?: BodyFormat;
+      }) => {
+        try {
+          const fields = args.fields?.length ? args.fields : ['summary', 'status', 'issuetype', 'priority', 'assignee'];
+          const result = await jira.getJson<unknown>(agilePath(`/sprint/${args.sprintId}/issue`), {
+            jql: args.jql,
+            fields: fields.join(','),
+            maxResults: args.maxResults ?? 50,
+            startAt: args.startAt ?? 0,
+          });
+          return toToolResultJson(renderBodies(result, args.bodyFormat, jira.deployment));
+        } catch (error) {
+          return toToolError('Failed to get sprint issues', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_move_issues_to_sprint',
+      {
+        title: 'Jira: Move Issues To Sprint',
+        description:
+          'Move issues into a sprint via POST /rest/agile/1.0/sprint/{sprintId}/issue, optionally ranking them before/after another issue. Larger lists are sent in chunks of 50.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          sprintId: z.number().int().describe('Target sprint id'),
+          issueKeys: z.array(z.string()).min(1).describe('Issue keys to move'),
+          rankBeforeIssue: z.string().optional().describe('Rank the moved issues before this issue'),
+          rankAfterIssue: z.string().optional().describe('Rank the moved issues after this issue'),
+        } as any,
+      },
+      async (args: { sprintId: number; issueKeys: string[]; rankBeforeIssue?: string; rankAfterIssue?: string }) => {
+        if (args.rankBeforeIssue && args.rankAfterIssue) {
+          return toToolError('Provide at most one of rankBeforeIssue or rankAfterIssue');
+        }
+        try {
+          const issueKeys = args.issueKeys.map(normalizeIssueKey);
+          await guard.checkIssues(issueKeys);
+          await moveIssuesToSprint(jira, args.sprintId, issueKeys, {
+            rankBeforeIssue: args.rankBeforeIssue?.trim(),
+            rankAfterIssue: args.rankAfterIssue?.trim(),
+          });
+          return toToolResultJson({ success: true, sprintId: args.sprintId, moved: issueKeys });
+        } catch (error) {
+          return toToolError('Failed to move issues to sprint', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_move_issues_to_backlog',
+      {
+        title: 'Jira: Move Issues To Backlog',
+        description:
+          'Move issues out of their sprint into the backlog via POST /rest/agile/1.0/backlog/issue. Larger lists are sent in chunks of 50.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          issueKeys: z.array(z.string()).min(1).describe('Issue keys to move'),
+        } as any,
+      },
+      async (args: { issueKeys: string[] }) => {
+        try {
+          const issueKeys = args.issueKeys.map(normalizeIssueKey);
+          await guard.checkIssues(issueKeys);
+          await moveIssuesToSprint(jira, null, issueKeys);
+          return toToolResultJson({ success: true, moved: issueKeys });
+        } catch (error) {
+          return toToolError('Failed to move issues to backlog', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_rank_issues',
+      {
+        title: 'Jira: Rank Issues',
+        description:
+          'Rank issues before or after another issue via PUT /rest/agile/1.0/issue/rank. The issues keep their given order. Per-issue failures are reported in errors.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          issueKeys: z.array(z.string()).min(1).describe('Issue keys to rank, in the desired order'),
+          rankBeforeIssue: z.string().optional().describe('Place the issues before this issue'),
+          rankAfterIssue: z.string().optional().describe('Place the issues after this issue'),
+        } as any,
+      },
+      async (args: { issueKeys: string[]; rankBeforeIssue?: string; rankAfterIssue?: string }) => {
+        if (!args.rankBeforeIssue === !args.rankAfterIssue) {
+          return toToolError('Provide exactly one of rankBeforeIssue or rankAfterIssue');
+        }
+        try {
+          const issueKeys = args.issueKeys.map(normalizeIssueKey);
+          await guard.checkIssues(issueKeys);
+          const result = await rankIssues(jira, issueKeys, {
+            rankBeforeIssue: args.rankBeforeIssue?.trim(),
+            rankAfterIssue: args.rankAfterIssue?.trim(),
+          });
+          return toToolResultJson({ success: result.errors.length === 0, ranked: result.issues, errors: result.errors });
+        } catch (error) {
+          return toToolError('Failed to rank issues', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_create_sprint',
+      {
+        title: 'Jira: Create Sprint',
+        description: 'Create a future sprint on a board via POST /rest/agile/1.0/sprint.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          boardId: z.number().int().describe('Board id the sprint belongs to (originBoardId)'),
+          name: z.string().min(1).describe('Sprint name'),
+          goal: z.string().optional().describe('Sprint goal'),
+          startDate: z.string().optional().describe('Planned start (ISO 8601, e.g. 2026-03-02T09:00:00.000Z)'),
+          endDate: z.string().optional().describe('Planned end (ISO 8601)'),
+        } as any,
+      },
+      async (args: { boardId: number; name: string; goal?: string; startDate?: string; endDate?: string }) => {
+        try {
+          const body: Record<string, unknown> = { name: args.name, originBoardId: args.boardId };
+          if (args.goal) body.goal = args.goal;
+          if (args.startDate) body.startDate = args.startDate;
+          if (args.endDate) body.endDate = args.endDate;
+          const sprint = await jira.postJson<JiraSprint>(agilePath('/sprint'), body);
+          return toToolResultJson({ success: true, sprint: summarizeSprint(sprint) });
+        } catch (error) {
+          return toToolError('Failed to create sprint', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_start_sprint',
+      {
+        title: 'Jira: Start Sprint',
+        description:
+          'Start a future sprint via POST /rest/agile/1.0/sprint/{sprintId} (state=active). Jira requires start and end dates; they default to now and now + durationDays.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          sprintId: z.number().int().describe('Sprint id'),
+          startDate: z.string().optional().describe('Start (ISO 8601, default now)'),
+          endDate: z.string().optional().describe('End (ISO 8601); overrides durationDays'),
+          durationDays: z.number().int().min(1).max(365).optional().default(14).describe('Sprint length when endDate is omitted'),
+          goal: z.string().optional().describe('Sprint goal to set when starting'),
+        } as any,
+      },
+      async (args: { sprintId: number; startDate?: string; endDate?: string; durationDays?: number; goal?: string }) => {
+        try {
+          const start = args.startDate ? new Date(args.startDate) : new Date();
+          if (Number.isNaN(start.getTime())) return toToolError(`Invalid startDate: ${args.startDate}`);
+          const end = args.endDate
+            ? new Date(args.endDate)
+            : new Date(start.getTime() + (args.durationDays ?? 14) * 86_400_000);
+          if (Number.isNaN(end.getTime())) return toToolError(`Invalid endDate: ${args.endDate}`);
+
+          const body: Record<string, unknown> = {
+            state: 'active',
+            startDate: start.toISOString(),
+            endDate: end.toISOString(),
+          };
+          if (args.goal) body.goal = args.goal;
+          const sprint = await jira.postJson<JiraSprint>(agilePath(`/sprint/${args.sprintId}`), body);
+          return toToolResultJson({ success: true, sprint: summarizeSprint(sprint) });
+        } catch (error) {
+          return toToolError('Failed to start sprint', errorToPublicJson(error));
+        }
+      }
+    );
+
+    server.registerTool(
+      'jira_close_sprint',
+      {
+        title: 'Jira: Close Sprint',
+        description:
+          'Close an active sprint via POST /rest/agile/1.0/sprint/{sprintId} (state=closed). Optionally moves issues that are not done to another sprint or the backlog first.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          sprintId: z.number().int().describe('Sprint id'),
+          moveOpenIssuesTo: z
+            .union([z.number().int(), z.literal('backlog')])
+            .optional()
+            .describe('Sprint id or "backlog" to receive issues whose status category is not Done'),
+        } as any,
+      },
+      async (args: { sprintId: number; moveOpenIssuesTo?: number | 'backlog' }) => {
+        try {
+          let movedIssues: string[] | undefined;
+          if (args.moveOpenIssuesTo !== undefined) {
+            movedIssues = await listOpenSprintIssueKeys(jira, args.sprintId);
+            await guard.checkIssues(movedIssues);
+            const target = args.moveOpenIssuesTo === 'backlog' ? null : args.moveOpenIssuesTo;
+            if (movedIssues.length) await moveIssuesToSprint(jira, target, movedIssues);
+          }
+          const sprint = await jira.postJson<JiraSprint>(agilePath(`/sprint/${args.sprintId}`), { state: 'closed' });
+          return toToolResultJson({
+            success: true,
+            sprint: summarizeSprint(sprint),
+            ...(movedIssues ? { movedIssues, movedTo: args.moveOpenIssuesTo } : {}),
+          });
+        } catch (error) {
+          return toToolError('Failed to close sprint', errorToPublicJson(error));
+        }
+      }
+    );
+
     server.registerTool(
       'jira_search_users',
       {
@@ -519,14 +2726,14 @@ export function registerJiraTools(server: McpServer, jira: JiraClient): void {
       },
       async (args: { query: string; maxResults: number; includeInactive: boolean }) => {
         try {
-          const users = await jira.getJson<
+          const users = await cache.getJson<
             Array<{
               accountId: string;
               displayName?: string;
               active?: boolean;
               emailAddress?: string;
             }>
-          >('/rest/api/3/user/search', { query: args.query, maxResults: args.maxResults });
+          >('users', '/rest/api/3/user/search', { query: args.query, maxResults: args.maxResults });
 
           const filtered = args.includeInactive ? users : users.filter((u) => u.active !== false);
           const shaped = filtered.map((u) => ({
@@ -562,14 +2769,14 @@ export function registerJiraTools(server: McpServer, jira: JiraClient): void {
       },
       async (args: { query: string; requireEmailMatch: boolean; includeInactive: boolean }) => {
         try {
-          const users = await jira.getJson<
+          const users = await cache.getJson<
             Array<{
               accountId: string;
               displayName?: string;
               active?: boolean;
               emailAddress?: string;
             }>
-          >('/rest/api/3/user/search', { query: args.query, maxResults: 20 });
+          >('users', '/rest/api/3/user/search', { query: args.query, maxResults: 20 });
 
           const candidates = args.includeInactive ? users : users.filter((u) => u.active !== false);
           if (candidates.length === 0) return toToolError('No users found for query', { query: args.query });
@@ -601,23 +2808,114 @@ export function registerJiraTools(server: McpServer, jira: JiraClient): void {
         }
       }
     );
+
+    server.registerTool(
+      'jira_cache_stats',
+      {
+        title: 'Jira: Cache Stats',
+        description:
+          'Show the metadata cache (fields, users, projects, issue types, workflows, link types): entry counts, hits/misses and TTL per resource, and LRU evictions.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {} as any,
+      },
+      async () => toToolResultJson(cache.stats())
+    );
+
+    server.registerTool(
+      'jira_cache_clear',
+      {
+        title: 'Jira: Clear Cache',
+        description:
+          'Drop cached metadata so the next lookup hits Jira again, e.g. after adding a custom field, component, issue type or workflow step. Clears everything unless a resource is given.',
+        // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+        inputSchema: {
+          resource: z
+            .enum(CACHE_RESOURCES as [CacheResource, ...CacheResource[]])
+            .optional()
+            .describe('Only clear this resource: fields, users, projects, issueTypes, workflows or linkTypes'),
+        } as any,
+      },
+      async (args: { resource?: CacheResource }) => {
+        const cleared = cache.invalidate(args.resource);
+        return toToolResultJson({ cleared, resource: args.resource ?? 'all', stats: cache.stats() });
+      }
+    );
+
+    const sites = options.sites;
+    if (sites) {
+      // Registered without the site argument: it describes all sites.
+      withToolPolicy(mcpServer, options.tools).registerTool(
+        'jira_list_sites',
+        {
+          title: 'Jira: List sites',
+          description:
+            'List the configured Jira site profiles (name, base URL, auth type, cloud or datacenter deployment, default). Pass a name as the site argument of any other tool.',
+          // Cast to avoid TS "excessively deep" instantiation issues from SDK generics + Zod types.
+          inputSchema: {} as any,
+        },
+        async () =>
+          toToolResultJson({
+            defaultSite: sites.defaultSite,
+            sites: sites.names.map((name) => {
+              const site = sites.get(name);
+              const { baseUrl, authType: auth, deployment } = site;
+              return { name, baseUrl, auth, deployment, default: name === sites.defaultSite };
+            }),
+          })
+      );
+    }
 }
 
+export type JiraTransport = 'stdio' | 'http';
+
 export class JiraMcpServer {
-  private server: McpServer;
-  private transport: StdioServerTransport;
   private jira: JiraClient;
+  private cache: MetadataCache;
+  private options: JiraToolOptions;
+  private server?: McpServer;
+  private http?: McpHttpServer;
 
   constructor() {
-    this.server = new McpServer({ name: 'jira-api-mcp-wrapper', version: '0.1.0' });
-    this.transport = new StdioServerTransport();
-    this.jira = jiraClientFromEnv();
-    registerJiraTools(this.server, this.jira);
+    this.options = jiraToolOptionsFromEnv();
+    const profiles = siteProfilesFromEnv();
+    if (profiles) {
+      const sites = JiraSites.fromProfiles(profiles, {
+        retry: retryConfigFromEnv(),
+        cache: metadataCacheConfigFromEnv(),
+      });
+      this.jira = sites.client();
+      this.cache = sites.cache();
+      this.options.sites = sites;
+    } else {
+      this.jira = jiraClientFromEnv();
+      this.cache = new MetadataCache(this.jira, metadataCacheConfigFromEnv());
+    }
   }
 
-  async start(): Promise<void> {
-    await this.server.connect(this.transport);
+  /** An McpServer with the Jira tools. The HTTP transport creates one per session; all share the cache. */
+  createServer(): McpServer {
+    const server = new McpServer({ name: 'jira-api-mcp-wrapper', version: '0.1.0' });
+    registerJiraTools(server, this.jira, this.cache, this.options);
+    return server;
   }
-}
 
+  /** Starts serving; for HTTP, resolves to the MCP endpoint URL once listening. */
+  async start(
+    transport: JiraTransport = 'stdio',
+    http: Partial<HttpTransportConfig> = {}
+  ): Promise<string | undefined> {
+    if (transport === 'http') {
+      this.options = { ...this.options, attachmentDir: undefined };
+      this.http = new McpHttpServer(() => this.createServer(), { ...httpTransportConfigFromEnv(), ...http });
+      return this.http.listen();
+    }
+    this.server = this.createServer();
+    await this.server.connect(new StdioServerTransport());
+    return undefined;
+  }
 
+  async close(): Promise<void> {
+    await this.http?.close();
+    await this.server?.close();
+  }
+}
@@ -42,6 +42,29 @@ export class FakeJiraClient {
     return { recorded: true, method: 'PUT', path, body, query };
   }
 
+  async postMultipart(path, form, query) {
+    const files = form.getAll('file').map((f) => ({ name: f.name, type: f.type, size: f.size, blob: f }));
+    this.calls.push({ method: 'POST', path, files, query, multipart: true });
+    if (this.responses.has(path)) {
+      return this.responses.get(path);
+    }
+    return { recorded: true, method: 'POST', path, query };
+  }
+
+  async getBytes(path, query) {
+    this.calls.push({ method: 'GET', path, query, binary: true });
+    const data = this.responses.get(path) ?? new Uint8Array();
+    return { data, contentType: 'application/octet-stream' };
+  }
+
+  async deleteJson(path, query) {
+    this.calls.push({ method: 'DELETE', path, query });
+    if (this.responses.has(path)) {
+      return this.responses.get(path);
+    }
+    return {};
+  }
+
   setResponse(path, response) {
     this.responses.set(path, response);
   }
@@ -68,8 +91,8 @@ export class TestMcpServer {
     };
   }
   
-  registerTools(jira) {
-    registerJiraTools(this.server, jira);
+  registerTools(jira, options) {
+    registerJiraTools(this.server, jira, undefined, options);
   }
   
   async callTool(toolName, args) {
@@ -84,9 +107,9 @@ export class TestMcpServer {
 /**
  * Build a test server with fake Jira client
  */
-export function buildTestServer(fakeJira) {
+export function buildTestServer(fakeJira, options) {
   const testServer = new TestMcpServer();
-  testServer.registerTools(fakeJira);
+  testServer.registerTools(fakeJira, options);
   return testServer;
 }
 
@@ -0,0 +1,244 @@
+/**
+ * Contract tests for the Streamable HTTP transport
+ *
+ * These run a real HTTP listener on a random local port and talk to it with the SDK client.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from 'node:http';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { McpHttpServer } from '../../dist/mcp/http.js';
+import { registerJiraTools } from '../../dist/mcp/server.js';
+import { FakeJiraClient, parseToolText } from './helpers.js';
+
+const TOKEN = 'test-secret';
+
+async function startHttp(fakeJira, config = {}) {
+  const http = new McpHttpServer(
+    () => {
+      const server = new McpServer({ name: 'test', version: '0.1.0' });
+      registerJiraTools(server, fakeJira);
+      return server;
+    },
+    { host: '127.0.0.1', port: 0, authToken: TOKEN, ...config }
+  );
+  const url = await http.listen();
+  return { http, url };
+}
+
+async function connectClient(url, headers = { authorization: `Bearer ${TOKEN}` }) {
+  const client = new Client({ name: 'test-client', version: '0.1.0' });
+  const transport = new StreamableHTTPClientTransport(new URL(url), { requestInit: { headers } });
+  await client.connect(transport);
+  return { client, transport };
+}
+
+test('tools can be listed and called over an HTTP session', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/issue/TEST-1', { key: 'TEST-1', fields: { summary: 'Over HTTP' } });
+  const { http, url } = await startHttp(fakeJira);
+  try {
+    const { client, transport } = await connectClient(url);
+    assert.ok(transport.sessionId, 'server should assign a session id');
+    assert.equal(http.sessionCount, 1);
+
+    const { tools } = await client.listTools();
+    assert.ok(tools.some((t) => t.name === 'jira_get_issue'));
+
+    const result = await client.callTool({ name: 'jira_get_issue', arguments: { issueKey: 'TEST-1' } });
+    assert.equal(parseToolText(result).fields.summary, 'Over HTTP');
+
+    await transport.terminateSession();
+    await client.close();
+    assert.equal(http.sessionCount, 0, 'DELETE should end the session');
+  } finally {
+    await http.close();
+  }
+});
+
+test('each client gets its own session', async () => {
+  const { http, url } = await startHttp(new FakeJiraClient());
+  try {
+    const a = await connectClient(url);
+    const b = await connectClient(url, { 'x-mcp-secret': TOKEN });
+    assert.notEqual(a.transport.sessionId, b.transport.sessionId);
+    assert.equal(http.sessionCount, 2);
+    await a.client.close();
+    await b.client.close();
+  } finally {
+    await http.close();
+  }
+});
+
+test('requests without the token are rejected with 401', async () => {
+  const { http, url } = await startHttp(new FakeJiraClient());
+  try {
+    const init = {
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'x', version: '1' } },
+    };
+    const headers = { 'content-type': 'application/json', accept: 'application/json, text/event-stream' };
+    const missing = await fetch(url, { method: 'POST', headers, body: JSON.stringify(init) });
+    assert.equal(missing.status, 401);
+    assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+
+    const wrong = await fetch(url, {
+      method: 'POST',
+      headers: { ...headers, authorization: 'Bearer nope' },
+      body: JSON.stringify(init),
+    });
+    assert.equal(wrong.status, 401);
+    assert.equal(http.sessionCount, 0);
+  } finally {
+    await http.close();
+  }
+});
+
+test('unknown sessions get 404 and non-initialize requests without a session get 400', async () => {
+  const { http, url } = await startHttp(new FakeJiraClient());
+  try {
+    const headers = {
+      authorization: `Bearer ${TOKEN}`,
+      'content-type': 'application/json',
+      accept: 'application/json, text/event-stream',
+    };
+    const body = JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+
+    const unknown = await fetch(url, { method: 'POST', headers: { ...headers, 'mcp-session-id': 'nope' }, body });
+    assert.equal(unknown.status, 404);
+    assert.equal((await unknown.json()).error.message, 'Session not found');
+
+    const noSession = await fetch(url, { method: 'POST', headers, body });
+    assert.equal(noSession.status, 400);
+  } finally {
+    await http.close();
+  }
+});
+
+/** Opens a session with a bare initialize POST, like a client that then disappears. */
+async function initializeOnly(url) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: {
+      authorization: `Bearer ${TOKEN}`,
+      'content-type': 'application/json',
+      accept: 'application/json, text/event-stream',
+    },
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'x', version: '1' } },
+    }),
+  });
+  await res.text();
+  return res;
+}
+
+test('idle sessions are closed and new sessions beyond maxSessions are refused', async () => {
+  const { http, url } = await startHttp(new FakeJiraClient(), { sessionIdleMs: 150, maxSessions: 1 });
+  try {
+    assert.equal((await initializeOnly(url)).status, 200);
+    assert.equal(http.sessionCount, 1);
+    const refused = await initializeOnly(url);
+    assert.equal(refused.status, 503);
+
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    assert.equal(http.sessionCount, 0, 'the idle session should have been swept');
+    assert.equal((await initializeOnly(url)).status, 200);
+    assert.equal(http.sessionCount, 1);
+  } finally {
+    await http.close();
+  }
+});
+
+test('/healthz answers without auth; close() ends sessions and stops listening', async () => {
+  const { http, url } = await startHttp(new FakeJiraClient());
+  const healthUrl = new URL('/healthz', url);
+  const res = await fetch(healthUrl);
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { status: 'ok', sessions: 0 });
+
+  const { client } = await connectClient(url);
+  await http.close();
+  assert.equal(http.sessionCount, 0, 'close() should end open sessions');
+  await client.close();
+  await assert.rejects(fetch(healthUrl), 'listener should be closed');
+});
+
+test('close() lets requests in flight finish', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.getJson = async (path) => {
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    return { key: 'TEST-1', fields: { summary: 'Slow' }, path };
+  };
+  const { http, url } = await startHttp(fakeJira);
+  const { client } = await connectClient(url);
+
+  const call = client.callTool({ name: 'jira_get_issue', arguments: { issueKey: 'TEST-1' } });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  await http.close();
+
+  assert.equal(parseToolText(await call).fields.summary, 'Slow');
+  await client.close();
+});
+
+/** POSTs an initialize request with raw headers (fetch does not let tests set Host). */
+function rawInitialize(url, headers) {
+  const body = JSON.stringify({
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'initialize',
+    params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'x', version: '1' } },
+  });
+  return new Promise((resolve, reject) => {
+    const req = request(url, {
+      method: 'POST',
+      headers: {
+        authorization: `Bearer ${TOKEN}`,
+        'content-type': 'application/json',
+        accept: 'application/json, text/event-stream',
+        ...headers,
+      },
+    });
+    req.on('response', (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+test('requests for other host names or from foreign origins are rejected (DNS rebinding)', async () => {
+  const { http, url } = await startHttp(new FakeJiraClient(), { allowedOrigins: ['http://app.example'] });
+  try {
+    const port = new URL(url).port;
+    assert.equal(await rawInitialize(url, { host: `evil.example:${port}` }), 403);
+    assert.equal(await rawInitialize(url, { host: `localhost:${port}`, origin: 'http://evil.example' }), 403);
+    assert.equal(http.sessionCount, 0);
+
+    assert.equal(await rawInitialize(url, { host: `localhost:${port}`, origin: 'http://app.example' }), 200);
+    assert.equal(await rawInitialize(url, { host: `127.0.0.1:${port}`, origin: `http://127.0.0.1:${port}` }), 200);
+  } finally {
+    await http.close();
+  }
+});
+
+test('binding all interfaces requires an explicit host list', () => {
+  const create = (config) => new McpHttpServer(() => new McpServer({ name: 'test', version: '0.1.0' }), config);
+  assert.throws(() => create({ host: '0.0.0.0', port: 0, authToken: TOKEN }), /JIRA_MCP_HTTP_ALLOWED_HOSTS is required/);
+  assert.doesNotThrow(() => create({ host: '0.0.0.0', port: 0, authToken: TOKEN, allowedHosts: ['jira-mcp.internal'] }));
+});
+
+test('a token is required when listening on a non-loopback address', () => {
+  assert.throws(
+    () => new McpHttpServer(() => new McpServer({ name: 'test', version: '0.1.0' }), { host: '0.0.0.0', port: 0 }),
+    /JIRA_MCP_HTTP_TOKEN is required/
+  );
+});
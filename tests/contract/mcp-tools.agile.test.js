@@ -0,0 +1,128 @@
+/**
+ * Contract tests for Jira Software (agile) tools
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeJiraClient, parseToolText, expectIsError, buildTestServer, callTool } from './helpers.js';
+
+test('jira_list_boards filters by project and returns compact boards', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/agile/1.0/board', {
+    isLast: true,
+    values: [
+      { id: 7, name: 'WOR board', type: 'scrum', self: 'x', location: { projectKey: 'WOR', projectName: 'Work', avatarURI: 'a' } },
+    ],
+  });
+  const server = buildTestServer(fakeJira);
+  const parsed = parseToolText(await callTool(server, 'jira_list_boards', { projectKey: ' WOR ' }));
+
+  assert.deepEqual(parsed.boards, [{ id: 7, name: 'WOR board', type: 'scrum', projectKey: 'WOR', projectName: 'Work' }]);
+  assert.equal(fakeJira.calls[0].query.projectKeyOrId, 'WOR');
+});
+
+test('jira_list_sprints defaults to active and future sprints', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/agile/1.0/board/7/sprint', {
+    isLast: true,
+    values: [{ id: 11, name: 'Sprint 11', state: 'active', goal: '', originBoardId: 7, self: 'x' }],
+  });
+  const server = buildTestServer(fakeJira);
+  const parsed = parseToolText(await callTool(server, 'jira_list_sprints', { boardId: 7 }));
+
+  assert.equal(fakeJira.calls[0].query.state, 'active,future');
+  assert.equal(parsed.sprints[0].name, 'Sprint 11');
+  assert.equal(parsed.sprints[0].goal, undefined);
+});
+
+test('jira_get_sprint_issues passes jql and default fields', async () => {
+  const fakeJira = new FakeJiraClient();
+  const server = buildTestServer(fakeJira);
+  await callTool(server, 'jira_get_sprint_issues', { sprintId: 11, jql: 'assignee = currentUser()' });
+
+  const call = fakeJira.calls[0];
+  assert.equal(call.path, '/rest/agile/1.0/sprint/11/issue');
+  assert.equal(call.query.jql, 'assignee = currentUser()');
+  assert.equal(call.query.fields, 'summary,status,issuetype,priority,assignee');
+});
+
+test('jira_move_issues_to_sprint chunks by 50 and keeps rankAfterIssue order', async () => {
+  const fakeJira = new FakeJiraClient();
+  const server = buildTestServer(fakeJira);
+  const issueKeys = Array.from({ length: 60 }, (_, i) => `A-${i + 1}`);
+  const result = await callTool(server, 'jira_move_issues_to_sprint', { sprintId: 11, issueKeys, rankAfterIssue: 'A-100' });
+
+  expectIsError(result, false);
+  const posts = fakeJira.calls.filter((c) => c.method === 'POST');
+  assert.equal(posts.length, 2);
+  assert.equal(posts[0].path, '/rest/agile/1.0/sprint/11/issue');
+  assert.equal(posts[0].body.issues.length, 50);
+  assert.equal(posts[0].body.rankAfterIssue, 'A-100');
+  assert.equal(posts[1].body.rankAfterIssue, 'A-50');
+});
+
+test('jira_move_issues_to_backlog posts to the backlog endpoint', async () => {
+  const fakeJira = new FakeJiraClient();
+  const server = buildTestServer(fakeJira);
+  await callTool(server, 'jira_move_issues_to_backlog', { issueKeys: ['A-1'] });
+
+  assert.equal(fakeJira.calls[0].path, '/rest/agile/1.0/backlog/issue');
+  assert.deepEqual(fakeJira.calls[0].body, { issues: ['A-1'] });
+});
+
+test('jira_rank_issues requires exactly one target and reports per-issue failures', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/agile/1.0/issue/rank', {
+    entries: [
+      { issueId: 1, issueKey: 'A-1', status: 200 },
+      { issueId: 2, issueKey: 'A-2', status: 403, errors: ['No permission'] },
+    ],
+  });
+  const server = buildTestServer(fakeJira);
+
+  expectIsError(await callTool(server, 'jira_rank_issues', { issueKeys: ['A-1'] }), true);
+
+  const parsed = parseToolText(
+    await callTool(server, 'jira_rank_issues', { issueKeys: ['A-1', 'A-2'], rankBeforeIssue: 'A-9' })
+  );
+  assert.equal(parsed.success, false);
+  assert.deepEqual(parsed.ranked, ['A-1']);
+  assert.deepEqual(parsed.errors, [{ issueKey: 'A-2', errors: ['No permission'] }]);
+  assert.deepEqual(fakeJira.calls[0].body, { issues: ['A-1', 'A-2'], rankBeforeIssue: 'A-9' });
+});
+
+test('jira_create_sprint and jira_start_sprint send sprint payloads', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/agile/1.0/sprint', { id: 12, name: 'Sprint 12', state: 'future', originBoardId: 7 });
+  fakeJira.setResponse('/rest/agile/1.0/sprint/12', { id: 12, name: 'Sprint 12', state: 'active' });
+  const server = buildTestServer(fakeJira);
+
+  const created = parseToolText(await callTool(server, 'jira_create_sprint', { boardId: 7, name: 'Sprint 12' }));
+  assert.equal(created.sprint.id, 12);
+  assert.deepEqual(fakeJira.calls[0].body, { name: 'Sprint 12', originBoardId: 7 });
+
+  await callTool(server, 'jira_start_sprint', { sprintId: 12, startDate: '2026-03-02T09:00:00.000Z', durationDays: 7 });
+  assert.deepEqual(fakeJira.calls[1].body, {
+    state: 'active',
+    startDate: '2026-03-02T09:00:00.000Z',
+    endDate: '2026-03-09T09:00:00.000Z',
+  });
+});
+
+test('jira_close_sprint moves open issues before closing', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/agile/1.0/sprint/11/issue', { total: 2, issues: [{ key: 'A-1' }, { key: 'A-2' }] });
+  fakeJira.setResponse('/rest/agile/1.0/sprint/11', { id: 11, name: 'Sprint 11', state: 'closed' });
+  const server = buildTestServer(fakeJira);
+
+  const parsed = parseToolText(await callTool(server, 'jira_close_sprint', { sprintId: 11, moveOpenIssuesTo: 12 }));
+  assert.deepEqual(parsed.movedIssues, ['A-1', 'A-2']);
+  assert.equal(fakeJira.calls[0].query.jql, 'statusCategory != Done');
+  assert.deepEqual(
+    fakeJira.calls.filter((c) => c.method === 'POST').map((c) => [c.path, c.body]),
+    [
+      ['/rest/agile/1.0/sprint/12/issue', { issues: ['A-1', 'A-2'] }],
+      ['/rest/agile/1.0/sprint/11', { state: 'closed' }],
+    ]
+  );
+});
@@ -0,0 +1,186 @@
+/**
+ * Contract tests for attachment tools
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, realpath, rm, symlink, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { FakeJiraClient, parseToolText, expectIsError, buildTestServer, callTool } from './helpers.js';
+
+let dir;
+
+test.beforeEach(async () => {
+  dir = await realpath(await mkdtemp(join(tmpdir(), 'jira-attach-')));
+});
+
+test.afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+const ATTACHMENT = {
+  id: '10100',
+  filename: 'build.log',
+  mimeType: 'text/plain',
+  size: 5,
+  created: '2025-01-01T00:00:00.000+0000',
+  author: { accountId: 'abc', displayName: 'Ann', avatarUrls: {} },
+  content: 'https://example.atlassian.net/rest/api/3/attachment/content/10100',
+  self: 'https://example.atlassian.net/rest/api/3/attachment/10100',
+};
+
+test('jira_add_attachment uploads a local file and base64 content as multipart', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/issue/TEST-1/attachments', [
+    ATTACHMENT,
+    { ...ATTACHMENT, id: '10101', filename: 'shot.png' },
+  ]);
+  const logPath = join(dir, 'build.log');
+  await writeFile(logPath, 'hello');
+
+  const server = buildTestServer(fakeJira, { attachmentDir: dir });
+  const result = await callTool(server, 'jira_add_attachment', {
+    issueKey: 'TEST-1',
+    files: [
+      { filePath: 'build.log' },
+      { base64: 'data:image/png;base64,iVBORw0K', filename: 'shot.png', mimeType: 'image/png' },
+    ],
+  });
+
+  expectIsError(result, false);
+  const parsed = parseToolText(result);
+  assert.equal(parsed.count, 2);
+  assert.deepEqual(parsed.attachments[0], {
+    id: '10100',
+    filename: 'build.log',
+    mimeType: 'text/plain',
+    size: 5,
+    created: '2025-01-01T00:00:00.000+0000',
+    author: 'Ann',
+    authorAccountId: 'abc',
+  });
+
+  const call = fakeJira.calls[0];
+  assert.equal(call.multipart, true);
+  assert.equal(call.path, '/rest/api/3/issue/TEST-1/attachments');
+  assert.deepEqual(
+    call.files.map((f) => [f.name, f.type, f.size]),
+    [
+      ['build.log', 'application/octet-stream', 5],
+      ['shot.png', 'image/png', 6],
+    ]
+  );
+  assert.equal(await call.files[0].blob.text(), 'hello');
+});
+
+test('jira_add_attachment rejects entries without exactly one source', async () => {
+  const fakeJira = new FakeJiraClient();
+  const server = buildTestServer(fakeJira, { attachmentDir: dir });
+
+  const both = await callTool(server, 'jira_add_attachment', {
+    issueKey: 'TEST-1',
+    files: [{ filePath: '/tmp/x', base64: 'aGk=', filename: 'x' }],
+  });
+  expectIsError(both, true);
+  assert.equal(parseToolText(both).error, 'files[0] must have exactly one of filePath or base64');
+
+  const noName = await callTool(server, 'jira_add_attachment', { issueKey: 'TEST-1', files: [{ base64: 'aGk=' }] });
+  expectIsError(noName, true);
+
+  const missing = await callTool(server, 'jira_add_attachment', {
+    issueKey: 'TEST-1',
+    files: [{ filePath: join(dir, 'nope.txt') }],
+  });
+  expectIsError(missing, true);
+  assert.equal(fakeJira.calls.length, 0, 'nothing is uploaded');
+});
+
+test('without an attachment directory, filePath uploads are refused and downloads are not registered', async () => {
+  const fakeJira = new FakeJiraClient();
+  const server = buildTestServer(fakeJira);
+
+  const result = await callTool(server, 'jira_add_attachment', {
+    issueKey: 'TEST-1',
+    files: [{ filePath: join(dir, 'notes.txt') }],
+  });
+  expectIsError(result, true);
+  assert.match(parseToolText(result).error, /filePath is not available: local files need JIRA_ATTACHMENT_DIR/);
+  await assert.rejects(
+    callTool(server, 'jira_download_attachment', { attachmentId: '1', outputPath: dir }),
+    /not found/
+  );
+  assert.equal(fakeJira.calls.length, 0);
+});
+
+test('jira_list_attachments returns compact attachment metadata', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/issue/TEST-1', { key: 'TEST-1', fields: { attachment: [ATTACHMENT] } });
+
+  const server = buildTestServer(fakeJira);
+  const parsed = parseToolText(await callTool(server, 'jira_list_attachments', { issueKey: 'TEST-1' }));
+
+  assert.equal(parsed.count, 1);
+  assert.equal(parsed.attachments[0].filename, 'build.log');
+  assert.equal(parsed.attachments[0].self, undefined);
+  assert.equal(fakeJira.calls[0].query.fields, 'attachment');
+});
+
+test('jira_download_attachment writes content into a directory using the attachment filename', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/attachment/10100', ATTACHMENT);
+  fakeJira.setResponse('/rest/api/3/attachment/content/10100', new TextEncoder().encode('hello'));
+
+  const server = buildTestServer(fakeJira, { attachmentDir: dir });
+  const args = { attachmentId: '10100', outputPath: '.', overwrite: false };
+  const result = await callTool(server, 'jira_download_attachment', args);
+
+  expectIsError(result, false);
+  const parsed = parseToolText(result);
+  assert.equal(parsed.path, join(dir, 'build.log'));
+  assert.equal(parsed.bytes, 5);
+  assert.equal(await readFile(parsed.path, 'utf8'), 'hello');
+
+  const again = await callTool(server, 'jira_download_attachment', args);
+  expectIsError(again, true);
+  assert.match(parseToolText(again).extra.message, /already exists/);
+
+  const replaced = await callTool(server, 'jira_download_attachment', { ...args, overwrite: true });
+  expectIsError(replaced, false);
+});
+
+test('attachment paths may not leave the attachment directory, also through symlinks', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/attachment/10100', ATTACHMENT);
+  fakeJira.setResponse('/rest/api/3/attachment/content/10100', new TextEncoder().encode('hello'));
+  const base = join(dir, 'base');
+  const outside = join(dir, 'outside');
+  await mkdir(base);
+  await mkdir(outside);
+  await writeFile(join(outside, 'secret.txt'), 'secret');
+  await symlink(outside, join(base, 'link'));
+
+  const server = buildTestServer(fakeJira, { attachmentDir: base });
+  for (const filePath of ['../outside/secret.txt', join(outside, 'secret.txt'), 'link/secret.txt']) {
+    const result = await callTool(server, 'jira_add_attachment', { issueKey: 'TEST-1', files: [{ filePath }] });
+    expectIsError(result, true);
+    assert.match(parseToolText(result).extra.message, /is outside JIRA_ATTACHMENT_DIR/, filePath);
+  }
+  for (const outputPath of ['../outside/', 'link/new/build.log']) {
+    const result = await callTool(server, 'jira_download_attachment', { attachmentId: '10100', outputPath });
+    expectIsError(result, true);
+    assert.match(parseToolText(result).extra.message, /is outside JIRA_ATTACHMENT_DIR/, outputPath);
+  }
+  assert.equal(fakeJira.calls.length, 0, 'nothing is uploaded or downloaded');
+});
+
+test('jira_delete_attachment sends DELETE', async () => {
+  const fakeJira = new FakeJiraClient();
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_delete_attachment', { attachmentId: ' 10100 ' });
+
+  expectIsError(result, false);
+  assert.deepEqual(parseToolText(result), { success: true, attachmentId: '10100' });
+  assert.equal(fakeJira.calls[0].method, 'DELETE');
+  assert.equal(fakeJira.calls[0].path, '/rest/api/3/attachment/10100');
+});
@@ -69,3 +69,24 @@ test('jira_bulk_edit_issues calls POST with selectedIssueIdsOrKeys, selectedActi
   assert.equal(fakeJira.calls[0].body.sendBulkNotification, false, 'should include notification flag');
 });
 
+
+test('jira_bulk_create_issues resolves field names per entry and reports the failing index', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/field', [{ id: 'customfield_10016', name: 'Story Points' }]);
+  fakeJira.setResponse('/rest/api/3/issue/bulk', { issues: [] });
+
+  const server = buildTestServer(fakeJira);
+  const ok = await callTool(server, 'jira_bulk_create_issues', {
+    issueUpdates: [{ fields: { summary: 'a' } }, { fields: { summary: 'b', 'Story Points': 2 } }],
+  });
+  const parsed = parseToolText(ok);
+  assert.deepEqual(parsed.resolvedFields, [{}, { 'Story Points': 'customfield_10016' }]);
+  const post = fakeJira.calls.find((c) => c.path === '/rest/api/3/issue/bulk');
+  assert.deepEqual(post.body.issueUpdates[1].fields, { summary: 'b', customfield_10016: 2 });
+
+  const bad = await callTool(server, 'jira_bulk_create_issues', {
+    issueUpdates: [{ fields: { summary: 'a' } }, { fields: { 'No Such Field': 1 } }],
+  });
+  expectIsError(bad, true);
+  assert.equal(parseToolText(bad).error, 'Field resolution failed for issueUpdates[1]');
+});
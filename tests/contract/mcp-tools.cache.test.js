@@ -0,0 +1,128 @@
+/**
+ * Contract tests for the metadata cache and the tools built on it
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { JiraHttpError } from '../../dist/jira/client.js';
+import { FakeJiraClient, parseToolText, expectIsError, buildTestServer, callTool } from './helpers.js';
+
+function countCalls(fakeJira, path) {
+  return fakeJira.calls.filter((c) => c.path === path).length;
+}
+
+test('jira_list_fields and field-name resolution share one cached /field lookup', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/field', [{ id: 'customfield_10016', name: 'Story Points' }]);
+  fakeJira.setResponse('/rest/api/3/issue/TEST-1', {});
+
+  const server = buildTestServer(fakeJira);
+  await callTool(server, 'jira_list_fields', { includeSchema: false });
+  await callTool(server, 'jira_list_fields', { query: 'story', includeSchema: false });
+  await callTool(server, 'jira_update_issue_fields', { issueKey: 'TEST-1', fields: { 'Story Points': 1 } });
+
+  assert.equal(countCalls(fakeJira, '/rest/api/3/field'), 1);
+});
+
+test('user lookups are cached per query', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/user/search', [{ accountId: 'abc', displayName: 'Ann', active: true }]);
+
+  const server = buildTestServer(fakeJira);
+  await callTool(server, 'jira_resolve_user_account_id', { query: 'ann', requireEmailMatch: false, includeInactive: false });
+  await callTool(server, 'jira_resolve_user_account_id', { query: 'ann', requireEmailMatch: false, includeInactive: false });
+  await callTool(server, 'jira_search_users', { query: 'ann', maxResults: 10, includeInactive: false });
+
+  assert.equal(countCalls(fakeJira, '/rest/api/3/user/search'), 2, 'different maxResults is a different key');
+});
+
+test('jira_cache_stats reports hits and misses, jira_cache_clear forces a refetch', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/field', [{ id: 'summary', name: 'Summary' }]);
+
+  const server = buildTestServer(fakeJira);
+  await callTool(server, 'jira_list_fields', { includeSchema: false });
+  await callTool(server, 'jira_list_fields', { includeSchema: false });
+
+  const stats = parseToolText(await callTool(server, 'jira_cache_stats', {}));
+  assert.equal(stats.entries, 1);
+  assert.equal(stats.resources.fields.hits, 1);
+  assert.equal(stats.resources.fields.misses, 1);
+
+  const cleared = await callTool(server, 'jira_cache_clear', { resource: 'users' });
+  assert.equal(parseToolText(cleared).cleared, 0);
+
+  const all = parseToolText(await callTool(server, 'jira_cache_clear', {}));
+  assert.equal(all.cleared, 1);
+  assert.equal(all.resource, 'all');
+  await callTool(server, 'jira_list_fields', { includeSchema: false });
+  assert.equal(countCalls(fakeJira, '/rest/api/3/field'), 2);
+});
+
+test('a 400 from a write drops cached fields so the next call looks them up again', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/field', [{ id: 'customfield_10016', name: 'Story Points' }]);
+  fakeJira.putJson = async (path, body, query) => {
+    fakeJira.calls.push({ method: 'PUT', path, body, query });
+    throw new JiraHttpError('Jira PUT failed: 400 Bad Request', { status: 400, url: path, bodyText: '{}' });
+  };
+
+  const server = buildTestServer(fakeJira);
+  const args = { issueKey: 'TEST-1', fields: { 'Story Points': 1 } };
+  expectIsError(await callTool(server, 'jira_update_issue_fields', args), true);
+  expectIsError(await callTool(server, 'jira_update_issue_fields', args), true);
+
+  assert.equal(countCalls(fakeJira, '/rest/api/3/field'), 2);
+});
+
+test('jira_list_projects shapes /project/search results', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/project/search', {
+    total: 1,
+    isLast: true,
+    values: [{ id: '10000', key: 'WOR', name: 'Work', projectTypeKey: 'software', avatarUrls: {}, self: 'x' }],
+  });
+
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_list_projects', { query: 'wor', maxResults: 50, startAt: 0 });
+
+  expectIsError(result, false);
+  const parsed = parseToolText(result);
+  assert.deepEqual(parsed.projects, [{ id: '10000', key: 'WOR', name: 'Work', projectTypeKey: 'software' }]);
+  assert.equal(fakeJira.calls[0].query.query, 'wor');
+});
+
+test('jira_list_issue_types reads create metadata issue types for the project', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/issue/createmeta/WOR/issuetypes', {
+    issueTypes: [
+      { id: '1', name: 'Task', subtask: false, hierarchyLevel: 0, description: '' },
+      { id: '2', name: 'Sub-task', subtask: true, hierarchyLevel: -1 },
+    ],
+  });
+
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_list_issue_types', { projectIdOrKey: ' WOR ' });
+  await callTool(server, 'jira_list_issue_types', { projectIdOrKey: 'WOR' });
+
+  const parsed = parseToolText(result);
+  assert.equal(parsed.count, 2);
+  assert.deepEqual(parsed.issueTypes[1], { id: '2', name: 'Sub-task', subtask: true, hierarchyLevel: -1 });
+  assert.equal(fakeJira.calls.length, 1, 'second call is served from the cache');
+});
+
+test('a successful create drops cached create metadata', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/issue/createmeta/WOR/issuetypes', { issueTypes: [{ id: '1', name: 'Task' }] });
+  fakeJira.setResponse('/rest/api/3/issue', { id: '10001', key: 'WOR-1' });
+
+  const server = buildTestServer(fakeJira);
+  await callTool(server, 'jira_list_issue_types', { projectIdOrKey: 'WOR' });
+  const created = await callTool(server, 'jira_create_issue', {
+    fields: { project: { key: 'WOR' }, issuetype: { id: '1' }, summary: 'New' },
+  });
+  expectIsError(created, false);
+  await callTool(server, 'jira_list_issue_types', { projectIdOrKey: 'WOR' });
+
+  assert.equal(countCalls(fakeJira, '/rest/api/3/issue/createmeta/WOR/issuetypes'), 2);
+});
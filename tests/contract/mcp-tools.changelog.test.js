@@ -0,0 +1,76 @@
+/**
+ * Contract tests for jira_get_issue_changelog
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeJiraClient, parseToolText, expectIsError, buildTestServer, callTool } from './helpers.js';
+
+function history(id, created, items) {
+  return { id, created, author: { displayName: 'Ada', accountId: 'acc-1', avatarUrls: {} }, items };
+}
+
+test('jira_get_issue_changelog pages through the changelog and keeps the most recent changes', async () => {
+  const fakeJira = new FakeJiraClient();
+  const pages = [
+    {
+      startAt: 0,
+      maxResults: 100,
+      total: 2,
+      isLast: false,
+      values: [history('1', '2026-01-01T10:00:00.000+0000', [{ field: 'status', fromString: 'To Do', toString: 'In Progress' }])],
+    },
+    {
+      startAt: 1,
+      maxResults: 100,
+      total: 2,
+      isLast: true,
+      values: [history('2', '2026-01-03T10:00:00.000+0000', [{ field: 'status', fromString: 'In Progress', toString: 'Done' }])],
+    },
+  ];
+  const originalGet = fakeJira.getJson.bind(fakeJira);
+  fakeJira.getJson = async (path, query) => {
+    await originalGet(path, query);
+    return pages[query.startAt];
+  };
+  const server = buildTestServer(fakeJira);
+
+  const result = await callTool(server, 'jira_get_issue_changelog', { issueKey: 'A-1', maxChanges: 1 });
+  expectIsError(result, false);
+  const parsed = parseToolText(result);
+  assert.equal(parsed.truncated, true);
+  assert.deepEqual(parsed.changes.map((c) => c.to), ['Done']);
+  assert.deepEqual(
+    fakeJira.calls.map((c) => [c.path, c.query.startAt]),
+    [
+      ['/rest/api/3/issue/A-1/changelog', 0],
+      ['/rest/api/3/issue/A-1/changelog', 1],
+    ]
+  );
+});
+
+test('jira_get_issue_changelog shows ADF description edits as a text diff', async () => {
+  const doc = (text) =>
+    JSON.stringify({ type: 'doc', version: 1, content: [{ type: 'paragraph', content: [{ type: 'text', text }] }] });
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/issue/A-1/changelog', {
+    startAt: 0,
+    maxResults: 100,
+    total: 1,
+    isLast: true,
+    values: [
+      history('1', '2026-01-01T10:00:00.000+0000', [
+        { field: 'Acceptance', fieldId: 'customfield_10100', fromString: doc('Old criteria'), toString: doc('New criteria') },
+        { field: 'labels', fieldId: 'labels', fromString: '', toString: 'ops' },
+      ]),
+    ],
+  });
+  const server = buildTestServer(fakeJira);
+
+  const parsed = parseToolText(
+    await callTool(server, 'jira_get_issue_changelog', { issueKey: 'A-1', fields: ['Acceptance'] })
+  );
+  assert.equal(parsed.count, 1);
+  assert.match(parsed.changes[0].diff, /^- Old criteria\n\+ New criteria/);
+  assert.ok(!parsed.changes[0].diff.includes('"type"'));
+});
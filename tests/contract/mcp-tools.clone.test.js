@@ -0,0 +1,217 @@
+/**
+ * Contract tests for jira_clone_issue
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeJiraClient, parseToolText, expectIsError, buildTestServer, callTool } from './helpers.js';
+
+const FIELDS = [
+  { id: 'summary', name: 'Summary', schema: { type: 'string' } },
+  { id: 'description', name: 'Description', schema: { type: 'string' } },
+  { id: 'priority', name: 'Priority', schema: { type: 'priority' } },
+  { id: 'labels', name: 'Labels', schema: { type: 'array' } },
+  { id: 'customfield_10010', name: 'Story Points', schema: { type: 'number' } },
+  { id: 'customfield_20010', name: 'Story point estimate', schema: { type: 'number' } },
+  { id: 'customfield_10050', name: 'Team', schema: { type: 'option' } },
+];
+
+const DESCRIPTION = { type: 'doc', version: 1, content: [{ type: 'paragraph', content: [{ type: 'text', text: 'Steps' }] }] };
+
+const SOURCE = {
+  key: 'A-1',
+  fields: {
+    summary: 'Template',
+    description: DESCRIPTION,
+    project: { key: 'A', id: '100' },
+    issuetype: { id: '1', name: 'Task' },
+    status: { name: 'In Progress' },
+    priority: { id: '3', name: 'Medium', self: 'x' },
+    labels: ['ops'],
+    assignee: { accountId: 'acc-1', displayName: 'Ada', avatarUrls: {} },
+    customfield_10010: 5,
+    customfield_10050: { id: '900', value: 'Blue', self: 'y' },
+    created: '2026-01-01T00:00:00.000+0000',
+    subtasks: [{ key: 'A-2' }],
+  },
+};
+
+function createMeta(fields) {
+  return { fields: fields.map((f) => ({ required: false, ...f })), total: fields.length };
+}
+
+function cloneJira() {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/field', FIELDS);
+  fakeJira.setResponse('/rest/api/3/issue/A-1', SOURCE);
+  fakeJira.setResponse('/rest/api/3/issue/A-2', {
+    key: 'A-2',
+    fields: { summary: 'Sub', project: { key: 'A' }, issuetype: { id: '5', name: 'Sub-task', subtask: true } },
+  });
+  fakeJira.setResponse('/rest/api/3/issue/createmeta/A/issuetypes', {
+    issueTypes: [
+      { id: '1', name: 'Task' },
+      { id: '5', name: 'Sub-task', subtask: true },
+    ],
+  });
+  fakeJira.setResponse(
+    '/rest/api/3/issue/createmeta/A/issuetypes/1',
+    createMeta([
+      { fieldId: 'summary', name: 'Summary', required: true },
+      { fieldId: 'description', name: 'Description' },
+      { fieldId: 'priority', name: 'Priority', allowedValues: [{ id: '3', name: 'Medium' }] },
+      { fieldId: 'labels', name: 'Labels' },
+      { fieldId: 'customfield_10010', name: 'Story Points' },
+    ])
+  );
+  fakeJira.setResponse(
+    '/rest/api/3/issue/createmeta/A/issuetypes/5',
+    createMeta([
+      { fieldId: 'summary', name: 'Summary', required: true },
+      { fieldId: 'parent', name: 'Parent', required: true },
+    ])
+  );
+  fakeJira.setResponse('/rest/api/3/issueLinkType', {
+    issueLinkTypes: [{ id: '10', name: 'Cloners', inward: 'is cloned by', outward: 'clones' }],
+  });
+  fakeJira.setResponse('/rest/api/3/issue', { id: '2001', key: 'A-10' });
+  fakeJira.setResponse('/rest/api/3/issueLink', {});
+  return fakeJira;
+}
+
+function creates(fakeJira) {
+  return fakeJira.calls.filter((c) => c.method === 'POST' && c.path === '/rest/api/3/issue');
+}
+
+test('jira_clone_issue copies creatable fields, reports the rest and links to the source', async () => {
+  const fakeJira = cloneJira();
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_clone_issue', { issueKey: ' A-1 ', summaryPrefix: 'CLONE - ' });
+
+  expectIsError(result, false);
+  const parsed = parseToolText(result);
+  assert.equal(parsed.key, 'A-10');
+  assert.equal(parsed.source, 'A-1');
+
+  const [create] = creates(fakeJira);
+  assert.deepEqual(create.body.fields, {
+    project: { key: 'A' },
+    issuetype: { id: '1' },
+    summary: 'CLONE - Template',
+    description: DESCRIPTION,
+    priority: { id: '3' },
+    labels: ['ops'],
+    customfield_10010: 5,
+  });
+  assert.deepEqual(
+    parsed.uncopiedFields.map((f) => f.field).sort(),
+    ['assignee', 'customfield_10050']
+  );
+  assert.equal(parsed.link.relation, 'A-10 clones A-1');
+
+  const link = fakeJira.calls.find((c) => c.path === '/rest/api/3/issueLink');
+  assert.deepEqual(link.body, { type: { name: 'Cloners' }, inwardIssue: { key: 'A-10' }, outwardIssue: { key: 'A-1' } });
+});
+
+test('jira_clone_issue retargets another project with field remapping and allowed-value matching by name', async () => {
+  const fakeJira = cloneJira();
+  fakeJira.setResponse('/rest/api/3/issue/createmeta/B/issuetypes', { issueTypes: [{ id: '7', name: 'Story' }] });
+  fakeJira.setResponse(
+    '/rest/api/3/issue/createmeta/B/issuetypes/7',
+    createMeta([
+      { fieldId: 'summary', name: 'Summary', required: true },
+      { fieldId: 'priority', name: 'Priority', allowedValues: [{ id: '30', name: 'medium' }] },
+      { fieldId: 'customfield_20010', name: 'Story point estimate' },
+    ])
+  );
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_clone_issue', {
+    issueKey: 'A-1',
+    targetProject: 'B',
+    targetIssueType: 'story',
+    fields: ['Summary', 'Priority', 'Story Points'],
+    fieldMap: { 'Story Points': 'Story point estimate' },
+    linkToSource: false,
+  });
+
+  expectIsError(result, false);
+  const [create] = creates(fakeJira);
+  assert.deepEqual(create.body.fields, {
+    project: { key: 'B' },
+    issuetype: { id: '7' },
+    summary: 'Template',
+    priority: { id: '30' },
+    customfield_20010: 5,
+  });
+  assert.deepEqual(parseToolText(result).copiedFields, ['summary', 'priority', 'customfield_10010 -> customfield_20010']);
+  assert.ok(!fakeJira.calls.some((c) => c.path === '/rest/api/3/issueLink'));
+});
+
+test('jira_clone_issue keeps project and issue type of the target when they are listed in fields', async () => {
+  const fakeJira = cloneJira();
+  fakeJira.setResponse('/rest/api/3/issue/createmeta/B/issuetypes', { issueTypes: [{ id: '7', name: 'Task' }] });
+  fakeJira.setResponse(
+    '/rest/api/3/issue/createmeta/B/issuetypes/7',
+    createMeta([
+      { fieldId: 'project', name: 'Project', required: true },
+      { fieldId: 'issuetype', name: 'Issue Type', required: true },
+      { fieldId: 'summary', name: 'Summary', required: true },
+    ])
+  );
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_clone_issue', {
+    issueKey: 'A-1',
+    targetProject: 'B',
+    fields: ['summary', 'project', 'issuetype', 'status'],
+    linkToSource: false,
+  });
+
+  expectIsError(result, false);
+  const [create] = creates(fakeJira);
+  assert.deepEqual(create.body.fields, { project: { key: 'B' }, issuetype: { id: '7' }, summary: 'Template' });
+  assert.deepEqual(
+    parseToolText(result).uncopiedFields.map((f) => f.field),
+    ['project', 'issuetype', 'status']
+  );
+});
+
+test('jira_clone_issue fails before creating when a required target field has no value', async () => {
+  const fakeJira = cloneJira();
+  fakeJira.setResponse('/rest/api/3/issue/createmeta/B/issuetypes', { issueTypes: [{ id: '7', name: 'Task' }] });
+  fakeJira.setResponse(
+    '/rest/api/3/issue/createmeta/B/issuetypes/7',
+    createMeta([
+      { fieldId: 'summary', name: 'Summary', required: true },
+      { fieldId: 'components', name: 'Components', required: true, allowedValues: [{ id: '1', name: 'API' }] },
+    ])
+  );
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_clone_issue', { issueKey: 'A-1', targetProject: 'B' });
+
+  expectIsError(result, true);
+  const details = parseToolText(result).extra.details;
+  assert.deepEqual(details.missingRequired, [{ id: 'components', name: 'Components' }]);
+  assert.equal(creates(fakeJira).length, 0);
+});
+
+test('jira_clone_issue clones subtasks under the new parent', async () => {
+  const fakeJira = cloneJira();
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_clone_issue', {
+    issueKey: 'A-1',
+    includeSubtasks: true,
+    linkToSource: false,
+    overrides: { Summary: 'Fresh copy' },
+  });
+
+  expectIsError(result, false);
+  const [root, sub] = creates(fakeJira);
+  assert.equal(root.body.fields.summary, 'Fresh copy');
+  assert.deepEqual(sub.body.fields, {
+    project: { key: 'A' },
+    issuetype: { id: '5' },
+    summary: 'Sub',
+    parent: { key: 'A-10' },
+  });
+  assert.equal(parseToolText(result).subtasks[0].source, 'A-2');
+});
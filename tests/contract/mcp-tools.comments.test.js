@@ -51,3 +51,148 @@ test('jira_add_comment object body is passed through unchanged', async () => {
   assert.deepEqual(fakeJira.calls[0].body.body, adfBody, 'should pass through ADF object unchanged');
 });
 
+
+test('jira_add_comment format=markdown converts string body to structured ADF', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/issue/TEST-1/comment', { id: '12345' });
+
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_add_comment', {
+    issueKey: 'TEST-1',
+    body: '## Findings\n\n- **one**\n- two',
+    format: 'markdown',
+    validateAdf: true,
+  });
+
+  expectIsError(result, false);
+  const body = fakeJira.calls[0].body.body;
+  assert.equal(body.type, 'doc');
+  assert.deepEqual(body.content.map((n) => n.type), ['heading', 'bulletList'], 'should convert markdown blocks');
+  assert.deepEqual(body.content[1].content[0].content[0].content[0].marks, [{ type: 'strong' }]);
+});
+
+const DOC = (text) => ({ type: 'doc', version: 1, content: [{ type: 'paragraph', content: [{ type: 'text', text }] }] });
+
+test('jira_add_comment sends a role visibility restriction', async () => {
+  const fakeJira = new FakeJiraClient();
+  const server = buildTestServer(fakeJira);
+  await callTool(server, 'jira_add_comment', {
+    issueKey: 'TEST-1',
+    body: 'internal note',
+    validateAdf: true,
+    visibility: { type: 'role', value: 'Developers' },
+  });
+
+  assert.deepEqual(fakeJira.calls[0].body.visibility, { type: 'role', value: 'Developers' });
+});
+
+const BOT = { accountId: 'bot', displayName: 'Review Bot' };
+
+test('jira_list_comments pages, orders, filters by author and renders bodies', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/issue/TEST-1/comment', {
+    startAt: 0,
+    maxResults: 2,
+    total: 3,
+    comments: [
+      { id: '1', author: BOT, body: DOC('LGTM'), created: 'c1', updated: 'c1' },
+      { id: '2', author: { accountId: 'ann', displayName: 'Ann' }, body: DOC('Thanks'), created: 'c2', updated: 'c2' },
+    ],
+  });
+
+  const server = buildTestServer(fakeJira);
+  const parsed = parseToolText(
+    await callTool(server, 'jira_list_comments', {
+      issueKey: 'TEST-1',
+      startAt: 0,
+      maxResults: 2,
+      orderBy: '-created',
+      authorAccountId: 'bot',
+      bodyFormat: 'markdown',
+    })
+  );
+
+  assert.deepEqual(fakeJira.calls[0].query, { startAt: 0, maxResults: 2, orderBy: '-created' });
+  assert.equal(parsed.total, 3);
+  assert.equal(parsed.isLast, false);
+  assert.deepEqual(parsed.comments, [
+    { id: '1', author: 'Review Bot', authorAccountId: 'bot', created: 'c1', updated: 'c1', body: 'LGTM' },
+  ]);
+});
+
+test('jira_get_comment fetches one comment', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/issue/TEST-1/comment/7', {
+    id: '7',
+    body: DOC('hi'),
+    visibility: { type: 'group', value: 'staff' },
+  });
+
+  const server = buildTestServer(fakeJira);
+  const parsed = parseToolText(
+    await callTool(server, 'jira_get_comment', { issueKey: 'TEST-1', commentId: '7', bodyFormat: 'text' })
+  );
+
+  assert.equal(parsed.comment.body, 'hi');
+  assert.deepEqual(parsed.comment.visibility, { type: 'group', value: 'staff' });
+});
+
+test('jira_update_comment converts Markdown, validates ADF and passes notifyUsers', async () => {
+  const fakeJira = new FakeJiraClient();
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_update_comment', {
+    issueKey: 'TEST-1',
+    commentId: '7',
+    body: '**Updated** review',
+    format: 'markdown',
+    validateAdf: true,
+    notifyUsers: false,
+  });
+
+  expectIsError(result, false);
+  const call = fakeJira.calls[0];
+  assert.equal(call.method, 'PUT');
+  assert.equal(call.path, '/rest/api/3/issue/TEST-1/comment/7');
+  assert.deepEqual(call.query, { notifyUsers: false });
+  assert.deepEqual(call.body.body.content[0].content[0], { type: 'text', text: 'Updated', marks: [{ type: 'strong' }] });
+
+  const invalid = await callTool(server, 'jira_update_comment', {
+    issueKey: 'TEST-1',
+    commentId: '7',
+    body: { type: 'doc', version: 1, content: [{ type: 'bogus' }] },
+    validateAdf: true,
+    notifyUsers: true,
+  });
+  expectIsError(invalid, true);
+  assert.equal(fakeJira.calls.length, 1, 'invalid ADF is not sent');
+});
+
+test('jira_update_comment with only visibility keeps the existing body', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/issue/TEST-1/comment/7', { id: '7', body: DOC('keep me') });
+
+  const server = buildTestServer(fakeJira);
+  await callTool(server, 'jira_update_comment', {
+    issueKey: 'TEST-1',
+    commentId: '7',
+    visibility: { type: 'group', identifier: 'g-123' },
+    validateAdf: true,
+    notifyUsers: true,
+  });
+
+  const put = fakeJira.calls.find((c) => c.method === 'PUT');
+  assert.deepEqual(put.body, { body: DOC('keep me'), visibility: { type: 'group', identifier: 'g-123' } });
+
+  const nothing = await callTool(server, 'jira_update_comment', { issueKey: 'TEST-1', commentId: '7' });
+  expectIsError(nothing, true);
+});
+
+test('jira_delete_comment sends DELETE', async () => {
+  const fakeJira = new FakeJiraClient();
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_delete_comment', { issueKey: 'TEST-1', commentId: '7' });
+
+  expectIsError(result, false);
+  assert.equal(fakeJira.calls[0].method, 'DELETE');
+  assert.equal(fakeJira.calls[0].path, '/rest/api/3/issue/TEST-1/comment/7');
+});
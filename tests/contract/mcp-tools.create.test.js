@@ -57,3 +57,52 @@ test('jira_create_issue validates ADF when validateAdf=true', async () => {
   assert.ok(errorText.includes('description') || errorText.includes('version') || errorText.includes('content'), 'should return ADF validation error');
 });
 
+
+test('jira_create_issue format=markdown converts description and textarea custom fields only', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/field', [
+    { id: 'customfield_10001', name: 'Notes', schema: { custom: 'com.atlassian.jira.plugin.system.customfieldtypes:textarea' } },
+    { id: 'customfield_10002', name: 'Short', schema: { custom: 'com.atlassian.jira.plugin.system.customfieldtypes:textfield' } },
+  ]);
+  fakeJira.setResponse('/rest/api/3/issue', { id: '12345', key: 'TEST-1' });
+
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_create_issue', {
+    fields: {
+      project: { key: 'TEST' },
+      issuetype: { name: 'Task' },
+      summary: 'Keep *as is*',
+      description: '# Title\n\nBody',
+      customfield_10001: '- note',
+      customfield_10002: 'plain *text*',
+    },
+    format: 'markdown',
+    validateAdf: true,
+  });
+
+  expectIsError(result, false);
+  const create = fakeJira.calls.find((c) => c.path === '/rest/api/3/issue');
+  const fields = create.body.fields;
+  assert.equal(fields.summary, 'Keep *as is*', 'summary should stay a string');
+  assert.equal(fields.description.type, 'doc', 'description should be converted to ADF');
+  assert.equal(fields.description.content[0].type, 'heading');
+  assert.equal(fields.customfield_10001.content[0].type, 'bulletList', 'textarea custom field should be converted');
+  assert.equal(fields.customfield_10002, 'plain *text*', 'single-line custom field should stay a string');
+});
+
+test('jira_create_issue resolves field names and adds resolvedFields to the result', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/field', [{ id: 'customfield_10016', name: 'Story Points' }]);
+  fakeJira.setResponse('/rest/api/3/issue', { id: '1', key: 'TEST-1' });
+
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_create_issue', {
+    fields: { project: { key: 'TEST' }, issuetype: { name: 'Task' }, summary: 's', 'Story Points': 3 },
+  });
+
+  const parsed = parseToolText(result);
+  assert.equal(parsed.key, 'TEST-1');
+  assert.deepEqual(parsed.resolvedFields, { 'Story Points': 'customfield_10016' });
+  const post = fakeJira.calls.find((c) => c.method === 'POST');
+  assert.equal(post.body.fields.customfield_10016, 3);
+});
@@ -0,0 +1,137 @@
+/**
+ * Contract tests for create metadata discovery and pre-flight create validation
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeJiraClient, parseToolText, expectIsError, buildTestServer, callTool } from './helpers.js';
+
+function metaJira() {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/field', [{ id: 'customfield_10050', name: 'Team', schema: { type: 'option' } }]);
+  fakeJira.setResponse('/rest/api/3/issue/createmeta/TEST/issuetypes', {
+    issueTypes: [
+      { id: '1', name: 'Bug' },
+      { id: '2', name: 'Task' },
+    ],
+  });
+  fakeJira.setResponse('/rest/api/3/issue/createmeta/TEST/issuetypes/1', {
+    total: 4,
+    fields: [
+      { fieldId: 'summary', name: 'Summary', required: true, schema: { type: 'string', system: 'summary' } },
+      { fieldId: 'reporter', name: 'Reporter', required: true, hasDefaultValue: true, schema: { type: 'user' } },
+      {
+        fieldId: 'priority',
+        name: 'Priority',
+        required: false,
+        schema: { type: 'priority' },
+        allowedValues: [
+          { id: '2', name: 'High', iconUrl: 'x' },
+          { id: '3', name: 'Medium', iconUrl: 'y' },
+        ],
+      },
+      {
+        fieldId: 'customfield_10050',
+        name: 'Team',
+        required: true,
+        schema: { type: 'option', custom: 'com.atlassian.jira.plugin.system.customfieldtypes:select' },
+        allowedValues: [{ id: '900', value: 'Blue' }],
+      },
+    ],
+  });
+  fakeJira.setResponse('/rest/api/3/issue', { id: '10', key: 'TEST-10' });
+  fakeJira.setResponse('/rest/api/3/issue/bulk', { issues: [], errors: [] });
+  return fakeJira;
+}
+
+test('jira_get_create_metadata resolves the issue type by name and lists fields', async () => {
+  const server = buildTestServer(metaJira());
+  const parsed = parseToolText(
+    await callTool(server, 'jira_get_create_metadata', { projectIdOrKey: 'TEST', issueType: 'bug', requiredOnly: true })
+  );
+
+  assert.deepEqual(parsed.issueType, { id: '1', name: 'Bug' });
+  assert.deepEqual(
+    parsed.fields.map((f) => f.id),
+    ['summary', 'reporter', 'customfield_10050']
+  );
+  assert.deepEqual(parsed.fields[2].allowedValues, [{ id: '900', name: 'Blue' }]);
+  assert.equal(parsed.fields[2].type, 'com.atlassian.jira.plugin.system.customfieldtypes:select');
+});
+
+test('jira_get_create_metadata lists issue types when the requested one does not exist', async () => {
+  const server = buildTestServer(metaJira());
+  const result = await callTool(server, 'jira_get_create_metadata', { projectIdOrKey: 'TEST', issueType: 'Epic' });
+
+  expectIsError(result, true);
+  assert.deepEqual(
+    parseToolText(result).extra.issueTypes.map((t) => t.name),
+    ['Bug', 'Task']
+  );
+});
+
+test('jira_create_issue validate=true reports every problem and sends nothing', async () => {
+  const fakeJira = metaJira();
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_create_issue', {
+    fields: {
+      project: { key: 'TEST' },
+      issuetype: { name: 'Bug' },
+      priority: { name: 'Urgent' },
+      environment: 'prod',
+    },
+    validate: true,
+  });
+
+  expectIsError(result, true);
+  const { problems } = parseToolText(result).extra.details;
+  assert.deepEqual(
+    problems.map((p) => [p.field, p.problem]),
+    [
+      ['summary', 'missing_required'],
+      ['customfield_10050', 'missing_required'],
+      ['environment', 'unknown_field'],
+      ['priority', 'invalid_value'],
+    ]
+  );
+  assert.deepEqual(problems[3].allowedValues, ['High', 'Medium']);
+  assert.ok(!fakeJira.calls.some((c) => c.method === 'POST'));
+});
+
+test('jira_create_issue validate=true creates when the payload matches the create screen', async () => {
+  const fakeJira = metaJira();
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_create_issue', {
+    fields: {
+      project: { key: 'TEST' },
+      issuetype: { id: '1' },
+      summary: 'Crash',
+      priority: { name: 'high' },
+      Team: { value: 'Blue' },
+    },
+    validate: true,
+  });
+
+  expectIsError(result, false);
+  assert.equal(parseToolText(result).key, 'TEST-10');
+});
+
+test('jira_bulk_create_issues validate=true reports problems per entry index', async () => {
+  const fakeJira = metaJira();
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_bulk_create_issues', {
+    issueUpdates: [
+      { fields: { project: { key: 'TEST' }, issuetype: { name: 'Bug' }, summary: 'ok', customfield_10050: { id: '900' } } },
+      { fields: { project: { key: 'TEST' }, issuetype: { name: 'Story' }, summary: 'bad type' } },
+    ],
+    validateAdf: true,
+    validate: true,
+  });
+
+  expectIsError(result, true);
+  const parsed = parseToolText(result);
+  assert.match(parsed.error, /1 of 2/);
+  assert.equal(parsed.extra.entries[0].index, 1);
+  assert.deepEqual(parsed.extra.entries[0].details.problems[0].allowedValues, ['Bug', 'Task']);
+  assert.ok(!fakeJira.calls.some((c) => c.path === '/rest/api/3/issue/bulk'));
+});
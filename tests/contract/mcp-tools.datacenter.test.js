@@ -0,0 +1,140 @@
+/**
+ * Contract tests for Jira Data Center mode (JIRA_DEPLOYMENT=datacenter) through the MCP tools
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { JiraClient } from '../../dist/jira/client.js';
+import { parseToolText, expectIsError, buildTestServer, callTool } from './helpers.js';
+
+const originalFetch = globalThis.fetch;
+
+test.afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+/** A real Data Center client whose fetch answers from `routes` (keyed by "METHOD /path"). */
+function dcServer(routes, options) {
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    const path = new URL(url).pathname;
+    const body = typeof init.body === 'string' ? JSON.parse(init.body) : undefined;
+    calls.push({ method: init.method, path, body });
+    const route = routes[`${init.method} ${path}`];
+    if (route === undefined) return new Response('not found', { status: 404 });
+    if (route instanceof Uint8Array) return new Response(route, { status: 200 });
+    return new Response(JSON.stringify(route), { status: 200, headers: { 'content-type': 'application/json' } });
+  };
+  const jira = new JiraClient({
+    baseUrl: 'https://jira.example.com',
+    auth: { type: 'bearer', token: 'pat' },
+    deployment: 'datacenter',
+  });
+  return { server: buildTestServer(jira, options), calls };
+}
+
+const JDOE = {
+  self: 'https://jira.example.com/rest/api/2/user?username=jdoe',
+  key: 'JIRAUSER1',
+  name: 'jdoe',
+  displayName: 'John Doe',
+};
+
+test('jira_get_issue renders wiki markup bodies as Markdown', async () => {
+  const { server, calls } = dcServer({
+    'GET /rest/api/2/issue/DC-1': {
+      key: 'DC-1',
+      fields: { summary: 'On prem', description: 'h2. Steps\n# open *it*', assignee: JDOE },
+    },
+  });
+  const result = await callTool(server, 'jira_get_issue', { issueKey: 'DC-1', bodyFormat: 'markdown' });
+
+  expectIsError(result, false);
+  const issue = parseToolText(result);
+  assert.equal(issue.fields.description, '## Steps\n\n1. open **it**');
+  assert.equal(issue.fields.assignee.accountId, 'jdoe');
+  assert.equal(calls[0].path, '/rest/api/2/issue/DC-1');
+});
+
+test('jira_add_comment sends Markdown as wiki markup', async () => {
+  const { server, calls } = dcServer({
+    'POST /rest/api/2/issue/DC-1/comment': { id: '10', body: 'Done *now*', author: JDOE },
+  });
+  const result = await callTool(server, 'jira_add_comment', {
+    issueKey: 'DC-1',
+    body: 'Done **now**\n\n- a\n- b',
+    format: 'markdown',
+  });
+
+  expectIsError(result, false);
+  assert.deepEqual(calls[0].body, { body: 'Done *now*\n\n* a\n* b' });
+});
+
+test('dry runs show the Data Center request that would be sent', async () => {
+  const { server, calls } = dcServer({});
+  const result = await callTool(server, 'jira_add_comment', {
+    issueKey: 'DC-1',
+    body: 'Done **now**',
+    format: 'markdown',
+    dryRun: true,
+  });
+
+  expectIsError(result, false);
+  assert.deepEqual(parseToolText(result).requests, [
+    { method: 'POST', path: '/rest/api/2/issue/DC-1/comment', body: { body: 'Done *now*' } },
+  ]);
+  assert.equal(calls.length, 0);
+});
+
+test('jira_search_users resolves usernames as accountIds', async () => {
+  const { server, calls } = dcServer({ 'GET /rest/api/2/user/search': [{ ...JDOE, active: true }] });
+  const result = await callTool(server, 'jira_search_users', { query: 'jdoe' });
+
+  expectIsError(result, false);
+  assert.equal(parseToolText(result).users[0].accountId, 'jdoe');
+  assert.equal(calls[0].path, '/rest/api/2/user/search');
+});
+
+test('jira_search_issues_jql pages with startAt behind nextPageToken', async () => {
+  const { server, calls } = dcServer({
+    'POST /rest/api/2/search': { startAt: 0, maxResults: 2, total: 5, issues: [{ key: 'DC-1' }, { key: 'DC-2' }] },
+  });
+  const result = await callTool(server, 'jira_search_issues_jql', { jql: 'project = DC', maxResults: 2 });
+
+  expectIsError(result, false);
+  const page = parseToolText(result);
+  assert.equal(page.nextPageToken, '2');
+  assert.equal(calls[0].body.startAt, 0);
+});
+
+test('jira_download_attachment downloads from the Data Center attachment URL', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'jira-dc-'));
+  try {
+    const { server, calls } = dcServer(
+      {
+        'GET /rest/api/2/attachment/10100': { id: '10100', filename: 'build log.txt', author: JDOE },
+        'GET /secure/attachment/10100/build%20log.txt': new TextEncoder().encode('hello'),
+      },
+      { attachmentDir: dir }
+    );
+    const result = await callTool(server, 'jira_download_attachment', { attachmentId: '10100', outputPath: `${dir}/` });
+
+    expectIsError(result, false);
+    assert.equal(await readFile(parseToolText(result).path, 'utf8'), 'hello');
+    assert.equal(calls[1].path, '/secure/attachment/10100/build%20log.txt');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('Cloud-only tools fail with a clear error', async () => {
+  const { server, calls } = dcServer({});
+  const result = await callTool(server, 'jira_bulk_get_editable_fields', { issueIdsOrKeys: ['DC-1'] });
+
+  expectIsError(result, true);
+  assert.match(parseToolText(result).extra.message, /only available on Jira Cloud/);
+  assert.equal(calls.length, 0);
+});
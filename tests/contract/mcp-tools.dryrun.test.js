@@ -0,0 +1,172 @@
+/**
+ * Contract tests for dryRun on write tools
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeJiraClient, parseToolText, expectIsError, buildTestServer, callTool } from './helpers.js';
+
+const writes = (fakeJira) => fakeJira.calls.filter((c) => c.method !== 'GET');
+
+test('jira_update_issue_fields with dryRun returns the PUT and a before/after diff without sending it', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/field', [{ id: 'customfield_10016', name: 'Story Points' }]);
+  fakeJira.setResponse('/rest/api/3/issue/TEST-1', {
+    key: 'TEST-1',
+    fields: {
+      summary: 'Old title',
+      customfield_10016: 3,
+      description: { type: 'doc', version: 1, content: [{ type: 'paragraph', content: [{ type: 'text', text: 'Old' }] }] },
+    },
+  });
+
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_update_issue_fields', {
+    issueKey: 'TEST-1',
+    fields: { summary: 'New title', 'story points': 3, description: 'New' },
+    format: 'markdown',
+    notifyUsers: false,
+    validateAdf: true,
+    dryRun: true,
+  });
+
+  expectIsError(result, false);
+  const parsed = parseToolText(result);
+  assert.equal(parsed.dryRun, true);
+  assert.equal(parsed.requests.length, 1);
+  assert.equal(parsed.requests[0].method, 'PUT');
+  assert.equal(parsed.requests[0].path, '/rest/api/3/issue/TEST-1');
+  assert.equal(parsed.requests[0].query.notifyUsers, false);
+  assert.equal(parsed.requests[0].body.fields.description.type, 'doc', 'markdown is converted before planning');
+  assert.deepEqual(parsed.changes, [
+    { field: 'summary', before: 'Old title', after: 'New title', changed: true },
+    { field: 'customfield_10016', before: 3, after: 3, changed: false },
+    { field: 'description', before: 'Old', after: 'New', changed: true },
+  ]);
+  assert.deepEqual(parsed.resolvedFields, { 'story points': 'customfield_10016' });
+  const get = fakeJira.calls.find((c) => c.path === '/rest/api/3/issue/TEST-1');
+  assert.equal(get.query.fields, 'summary,customfield_10016,description');
+  assert.deepEqual(writes(fakeJira), []);
+});
+
+test('jira_create_issue with dryRun validates and returns the POST without creating', async () => {
+  const fakeJira = new FakeJiraClient();
+  const server = buildTestServer(fakeJira);
+
+  const result = await callTool(server, 'jira_create_issue', {
+    fields: { project: { key: 'TEST' }, issuetype: { name: 'Task' }, summary: 'Planned' },
+    validateAdf: true,
+    dryRun: true,
+  });
+
+  expectIsError(result, false);
+  const parsed = parseToolText(result);
+  assert.deepEqual(parsed.requests, [
+    {
+      method: 'POST',
+      path: '/rest/api/3/issue',
+      body: { fields: { project: { key: 'TEST' }, issuetype: { name: 'Task' }, summary: 'Planned' } },
+    },
+  ]);
+  assert.deepEqual(writes(fakeJira), []);
+
+  const invalid = await callTool(server, 'jira_create_issue', {
+    fields: { project: { key: 'TEST' }, description: { type: 'doc' } },
+    validateAdf: true,
+    dryRun: true,
+  });
+  expectIsError(invalid, true);
+});
+
+test('jira_add_comment with dryRun returns the converted comment body', async () => {
+  const fakeJira = new FakeJiraClient();
+  const server = buildTestServer(fakeJira);
+
+  const result = await callTool(server, 'jira_add_comment', {
+    issueKey: 'TEST-1',
+    body: 'Looks **good**',
+    format: 'markdown',
+    validateAdf: true,
+    dryRun: true,
+  });
+
+  const parsed = parseToolText(result);
+  assert.equal(parsed.dryRun, true);
+  assert.equal(parsed.requests[0].path, '/rest/api/3/issue/TEST-1/comment');
+  assert.equal(parsed.requests[0].body.body.type, 'doc');
+  assert.deepEqual(writes(fakeJira), []);
+});
+
+test('jira_transition_issue with transitionId and dryRun returns the POST', async () => {
+  const fakeJira = new FakeJiraClient();
+  const server = buildTestServer(fakeJira);
+
+  const parsed = parseToolText(
+    await callTool(server, 'jira_transition_issue', { issueKey: 'TEST-1', transitionId: '31', dryRun: true })
+  );
+
+  assert.deepEqual(parsed.requests, [
+    { method: 'POST', path: '/rest/api/3/issue/TEST-1/transitions', body: { transition: { id: '31' } } },
+  ]);
+  assert.deepEqual(writes(fakeJira), []);
+});
+
+test('bulk tools with dryRun return their payloads without sending them', async () => {
+  const fakeJira = new FakeJiraClient();
+  const server = buildTestServer(fakeJira);
+
+  const created = parseToolText(
+    await callTool(server, 'jira_bulk_create_issues', {
+      issueUpdates: [{ fields: { project: { key: 'TEST' }, summary: 'One' } }],
+      validateAdf: true,
+      dryRun: true,
+    })
+  );
+  assert.equal(created.requests[0].path, '/rest/api/3/issue/bulk');
+  assert.deepEqual(created.requests[0].body.issueUpdates, [{ fields: { project: { key: 'TEST' }, summary: 'One' } }]);
+
+  const edited = parseToolText(
+    await callTool(server, 'jira_bulk_edit_issues', {
+      selectedIssueIdsOrKeys: ['TEST-1', 'TEST-2'],
+      selectedActions: ['labels'],
+      editedFieldsInput: { labelsFields: [{ fieldId: 'labels', labels: [{ name: 'x' }] }] },
+      sendBulkNotification: false,
+      validateAdf: true,
+      dryRun: true,
+    })
+  );
+  assert.equal(edited.requests[0].path, '/rest/api/3/bulk/issues/fields');
+  assert.deepEqual(edited.requests[0].body.selectedIssueIdsOrKeys, ['TEST-1', 'TEST-2']);
+  assert.deepEqual(writes(fakeJira), []);
+});
+
+test('the dryRun server option is the default and can be overridden per call', async () => {
+  const fakeJira = new FakeJiraClient();
+  const server = buildTestServer(fakeJira, { dryRun: true });
+
+  const planned = parseToolText(
+    await callTool(server, 'jira_add_comment', { issueKey: 'TEST-1', body: 'hi', validateAdf: true })
+  );
+  assert.equal(planned.dryRun, true);
+  assert.deepEqual(writes(fakeJira), []);
+
+  await callTool(server, 'jira_add_comment', { issueKey: 'TEST-1', body: 'hi', validateAdf: true, dryRun: false });
+  assert.equal(writes(fakeJira).length, 1);
+});
+
+test('with the dryRun server option, write tools without a dry run refuse to run', async () => {
+  const fakeJira = new FakeJiraClient();
+  const server = buildTestServer(fakeJira, { dryRun: true });
+
+  for (const [tool, args] of [
+    ['jira_add_worklog', { issueKey: 'TEST-1', timeSpent: '1h' }],
+    ['jira_delete_comment', { issueKey: 'TEST-1', commentId: '1' }],
+    ['jira_close_sprint', { sprintId: 7 }],
+  ]) {
+    const result = await callTool(server, tool, args);
+    expectIsError(result, true);
+    assert.match(parseToolText(result).error, /has no dry run and is disabled while JIRA_DRY_RUN is on/, tool);
+  }
+  expectIsError(await callTool(server, 'jira_list_comments', { issueKey: 'TEST-1' }), false);
+  assert.deepEqual(writes(fakeJira), []);
+});
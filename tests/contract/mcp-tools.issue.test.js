@@ -49,3 +49,94 @@ test('jira_get_issue trims key and URL-encodes it in the path', async () => {
   assert.equal(fakeJira.calls[0].path, '/rest/api/3/issue/TEST-1', 'should trim and encode issue key');
 });
 
+
+test('jira_get_issue bodyFormat=markdown renders description and comment ADF', async () => {
+  const fakeJira = new FakeJiraClient();
+  const adf = (text) => ({ type: 'doc', version: 1, content: [{ type: 'paragraph', content: [{ type: 'text', text }] }] });
+  fakeJira.setResponse('/rest/api/3/issue/TEST-1', {
+    key: 'TEST-1',
+    fields: {
+      description: adf('Description'),
+      comment: { comments: [{ id: '1', body: adf('First') }] },
+      customfield_10001: adf('Notes'),
+    },
+  });
+
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_get_issue', { issueKey: 'TEST-1', bodyFormat: 'markdown' });
+
+  expectIsError(result, false);
+  const parsed = parseToolText(result);
+  assert.equal(parsed.fields.description, 'Description');
+  assert.equal(parsed.fields.comment.comments[0].body, 'First');
+  assert.equal(parsed.fields.customfield_10001, 'Notes');
+});
+
+test('jira_get_issue returns raw ADF by default', async () => {
+  const fakeJira = new FakeJiraClient();
+  const description = { type: 'doc', version: 1, content: [] };
+  fakeJira.setResponse('/rest/api/3/issue/TEST-1', { key: 'TEST-1', fields: { description } });
+
+  const server = buildTestServer(fakeJira);
+  const parsed = parseToolText(await callTool(server, 'jira_get_issue', { issueKey: 'TEST-1' }));
+  assert.deepEqual(parsed.fields.description, description);
+});
+
+const VIEW_ISSUE = {
+  id: '12345',
+  self: 'https://x.atlassian.net/rest/api/3/issue/12345',
+  key: 'TEST-1',
+  fields: {
+    summary: 'Test Issue',
+    status: { self: 'https://x/status/1', name: 'To Do', iconUrl: 'https://x/todo.png' },
+    assignee: { accountId: 'abc', displayName: 'Ann', avatarUrls: { '48x48': 'https://avatar/48' } },
+    labels: [],
+    customfield_10016: 3,
+  },
+};
+
+test('jira_get_issue view=compact flattens the issue and names custom fields', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/issue/TEST-1', VIEW_ISSUE);
+  fakeJira.setResponse('/rest/api/3/field', [{ id: 'customfield_10016', name: 'Story Points' }]);
+
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_get_issue', { issueKey: 'TEST-1', view: 'compact' });
+
+  expectIsError(result, false);
+  assert.deepEqual(parseToolText(result), {
+    key: 'TEST-1',
+    summary: 'Test Issue',
+    status: 'To Do',
+    assignee: 'Ann',
+    customFields: { 'Story Points': 3 },
+  });
+});
+
+test('jira_get_issue view=standard drops self links, avatars and empty fields', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/issue/TEST-1', VIEW_ISSUE);
+
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_get_issue', { issueKey: 'TEST-1', view: 'standard' });
+
+  expectIsError(result, false);
+  const parsed = parseToolText(result);
+  assert.equal(parsed.self, undefined);
+  assert.deepEqual(parsed.fields.assignee, { accountId: 'abc', displayName: 'Ann' });
+  assert.equal('labels' in parsed.fields, false);
+  assert.equal(fakeJira.calls.length, 1, 'should not load the field list');
+});
+
+test('jira_get_issue uses the configured default view unless view is given', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/issue/TEST-1', VIEW_ISSUE);
+  fakeJira.setResponse('/rest/api/3/field', []);
+
+  const server = buildTestServer(fakeJira, { issueView: 'compact' });
+  const compact = parseToolText(await callTool(server, 'jira_get_issue', { issueKey: 'TEST-1' }));
+  assert.deepEqual(compact.customFields, { customfield_10016: 3 });
+
+  const raw = parseToolText(await callTool(server, 'jira_get_issue', { issueKey: 'TEST-1', view: 'raw' }));
+  assert.deepEqual(raw, VIEW_ISSUE);
+});
@@ -0,0 +1,108 @@
+/**
+ * Contract tests for issue link tools
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeJiraClient, parseToolText, expectIsError, buildTestServer, callTool } from './helpers.js';
+
+const LINK_TYPES = {
+  issueLinkTypes: [
+    { id: '1', name: 'Blocks', inward: 'is blocked by', outward: 'blocks', self: 'x' },
+    { id: '2', name: 'Relates', inward: 'relates to', outward: 'relates to', self: 'y' },
+  ],
+};
+
+function linkJira() {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/issueLinkType', LINK_TYPES);
+  fakeJira.setResponse('/rest/api/3/issueLink', {});
+  return fakeJira;
+}
+
+test('jira_list_issue_link_types returns names and phrases', async () => {
+  const server = buildTestServer(linkJira());
+  const parsed = parseToolText(await callTool(server, 'jira_list_issue_link_types', {}));
+  assert.equal(parsed.count, 2);
+  assert.deepEqual(parsed.linkTypes[0], { id: '1', name: 'Blocks', inward: 'is blocked by', outward: 'blocks' });
+});
+
+test('jira_create_issue_link maps an outward phrase to inwardIssue=issueKey', async () => {
+  const fakeJira = linkJira();
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_create_issue_link', {
+    issueKey: 'A-1',
+    linkType: 'blocks',
+    targetIssueKey: 'A-2',
+  });
+
+  expectIsError(result, false);
+  assert.equal(parseToolText(result).relation, 'A-1 blocks A-2');
+  const post = fakeJira.calls.find((c) => c.method === 'POST');
+  assert.equal(post.path, '/rest/api/3/issueLink');
+  assert.deepEqual(post.body, { type: { name: 'Blocks' }, inwardIssue: { key: 'A-1' }, outwardIssue: { key: 'A-2' } });
+});
+
+test('jira_create_issue_link with an inward phrase swaps the issues', async () => {
+  const fakeJira = linkJira();
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_create_issue_link', {
+    issueKey: 'A-1',
+    linkType: 'Is Blocked By',
+    targetIssueKey: 'A-2',
+  });
+
+  assert.equal(parseToolText(result).relation, 'A-1 is blocked by A-2');
+  const post = fakeJira.calls.find((c) => c.method === 'POST');
+  assert.deepEqual(post.body.inwardIssue, { key: 'A-2' });
+  assert.deepEqual(post.body.outwardIssue, { key: 'A-1' });
+});
+
+test('jira_create_issue_link reports unknown link types with candidates and does not POST', async () => {
+  const fakeJira = linkJira();
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_create_issue_link', {
+    issueKey: 'A-1',
+    linkType: 'depends on',
+    targetIssueKey: 'A-2',
+  });
+
+  expectIsError(result, true);
+  assert.deepEqual(
+    parseToolText(result).extra.details.candidates.map((c) => c.name),
+    ['Blocks', 'Relates']
+  );
+  assert.ok(!fakeJira.calls.some((c) => c.method === 'POST'));
+});
+
+test('jira_list_issue_links splits links by direction', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/issue/A-1', {
+    key: 'A-1',
+    fields: {
+      issuelinks: [
+        { id: '10', type: LINK_TYPES.issueLinkTypes[0], outwardIssue: { key: 'A-2', fields: { summary: 'Two' } } },
+        { id: '11', type: LINK_TYPES.issueLinkTypes[0], inwardIssue: { key: 'A-3', fields: { summary: 'Three' } } },
+      ],
+    },
+  });
+
+  const server = buildTestServer(fakeJira);
+  const parsed = parseToolText(await callTool(server, 'jira_list_issue_links', { issueKey: 'A-1' }));
+
+  assert.equal(parsed.count, 2);
+  assert.equal(parsed.outward[0].relation, 'blocks');
+  assert.equal(parsed.inward[0].key, 'A-3');
+  assert.equal(parsed.inward[0].relation, 'is blocked by');
+  assert.equal(fakeJira.calls[0].query.fields, 'issuelinks');
+});
+
+test('jira_delete_issue_link sends DELETE', async () => {
+  const fakeJira = new FakeJiraClient();
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_delete_issue_link', { linkId: '10' });
+
+  expectIsError(result, false);
+  assert.equal(fakeJira.calls[0].method, 'DELETE');
+  assert.equal(fakeJira.calls[0].path, '/rest/api/3/issueLink/10');
+});
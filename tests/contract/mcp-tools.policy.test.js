@@ -0,0 +1,117 @@
+/**
+ * Contract tests for the tool policy (read-only mode, allow/deny lists)
+ *
+ * These go through a real MCP client so they check what clients see in tools/list.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { tmpdir } from 'node:os';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { registerJiraTools } from '../../dist/mcp/server.js';
+import { READ_ONLY_TOOLS, isToolAllowed, toolPolicyFromEnv } from '../../dist/mcp/policy.js';
+import { FakeJiraClient } from './helpers.js';
+
+// jira_list_sites is only registered when site profiles are configured.
+const SINGLE_SITE_READ_ONLY_TOOLS = [...READ_ONLY_TOOLS].filter((name) => name !== 'jira_list_sites');
+
+async function connect(fakeJira, options) {
+  const server = new McpServer({ name: 'test', version: '0.1.0' });
+  registerJiraTools(server, fakeJira, undefined, options);
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const client = new Client({ name: 'test-client', version: '0.1.0' });
+  await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  return client;
+}
+
+// With an attachment directory, so jira_download_attachment is registered too.
+async function listToolNames(options) {
+  const client = await connect(new FakeJiraClient(), { attachmentDir: tmpdir(), ...options });
+  try {
+    return (await client.listTools()).tools.map((t) => t.name).sort();
+  } finally {
+    await client.close();
+  }
+}
+
+test('without a policy every tool is listed', async () => {
+  const names = await listToolNames();
+  assert.ok(names.includes('jira_bulk_edit_issues'));
+  assert.ok(names.includes('jira_get_issue'));
+  for (const name of SINGLE_SITE_READ_ONLY_TOOLS) assert.ok(names.includes(name), `${name} should be a registered tool`);
+});
+
+test('read-only mode lists exactly the non-mutating tools', async () => {
+  const names = await listToolNames({ tools: { readOnly: true } });
+  assert.deepEqual(names, SINGLE_SITE_READ_ONLY_TOOLS.sort());
+  assert.ok(!names.includes('jira_download_attachment'), 'downloads write local files');
+});
+
+test('read-only mode rejects calls to mutating tools as unknown', async () => {
+  const fakeJira = new FakeJiraClient();
+  const client = await connect(fakeJira, { tools: { readOnly: true } });
+  try {
+    const result = await client.callTool({
+      name: 'jira_add_comment',
+      arguments: { issueKey: 'TEST-1', body: 'hi' },
+    });
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /jira_add_comment not found/);
+    assert.deepEqual(fakeJira.calls, []);
+  } finally {
+    await client.close();
+  }
+});
+
+test('allow and deny globs filter the tool list', async () => {
+  const names = await listToolNames({ tools: { allow: ['jira_get_*', 'jira_search_issues_jql'], deny: ['*_tree'] } });
+  assert.deepEqual(names, [
+    'jira_get_comment',
+    'jira_get_create_metadata',
+    'jira_get_issue',
+    'jira_get_issue_changelog',
+    'jira_get_sprint_issues',
+    'jira_get_transitions',
+    'jira_search_issues_jql',
+  ]);
+});
+
+test('deny applies on top of read-only mode', async () => {
+  const names = await listToolNames({ tools: { readOnly: true, deny: ['jira_cache_*', 'jira_list_attachments'] } });
+  assert.ok(!names.some((n) => n.startsWith('jira_cache_')));
+  assert.ok(!names.includes('jira_list_attachments'));
+  assert.ok(names.includes('jira_get_issue'));
+});
+
+test('isToolAllowed matches globs case-insensitively and treats ? as one character', () => {
+  assert.equal(isToolAllowed('jira_get_issue', { allow: ['JIRA_GET_*'] }), true);
+  assert.equal(isToolAllowed('jira_get_issue', { allow: ['jira_get_issu?'] }), true);
+  assert.equal(isToolAllowed('jira_get_issue_tree', { allow: ['jira_get_issu?'] }), false);
+  assert.equal(isToolAllowed('jira_create_issue', { readOnly: true, allow: ['*'] }), false);
+});
+
+test('toolPolicyFromEnv reads JIRA_READ_ONLY, JIRA_TOOLS_ALLOW and JIRA_TOOLS_DENY', () => {
+  const saved = { ...process.env };
+  try {
+    process.env.JIRA_READ_ONLY = '1';
+    process.env.JIRA_TOOLS_ALLOW = 'jira_get_*, jira_search_*';
+    process.env.JIRA_TOOLS_DENY = 'jira_search_users';
+    assert.deepEqual(toolPolicyFromEnv(), {
+      readOnly: true,
+      allow: ['jira_get_*', 'jira_search_*'],
+      deny: ['jira_search_users'],
+    });
+
+    delete process.env.JIRA_READ_ONLY;
+    process.env.JIRA_TOOLS_ALLOW = ' ';
+    delete process.env.JIRA_TOOLS_DENY;
+    assert.deepEqual(toolPolicyFromEnv(), { readOnly: false, allow: undefined, deny: undefined });
+  } finally {
+    for (const name of ['JIRA_READ_ONLY', 'JIRA_TOOLS_ALLOW', 'JIRA_TOOLS_DENY']) {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    }
+  }
+});
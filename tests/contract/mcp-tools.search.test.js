@@ -8,14 +8,13 @@ import { FakeJiraClient, parseToolText, expectIsError, buildTestServer, callTool
 
 test('jira_search_issues_jql calls POST with correct JQL body', async () => {
   const fakeJira = new FakeJiraClient();
-  const mockSearchResult = { issues: [], total: 0, maxResults: 50, startAt: 0 };
-  fakeJira.setResponse('/rest/api/3/search', mockSearchResult);
+  const mockSearchResult = { issues: [], isLast: true };
+  fakeJira.setResponse('/rest/api/3/search/jql', mockSearchResult);
   
   const server = buildTestServer(fakeJira);
   const result = await callTool(server, 'jira_search_issues_jql', {
     jql: 'project=TEST AND status=Open',
     maxResults: 50,
-    startAt: 0,
   });
   
   expectIsError(result, false);
@@ -24,24 +23,139 @@ test('jira_search_issues_jql calls POST with correct JQL body', async () => {
   
   assert.equal(fakeJira.calls.length, 1, 'should make one API call');
   assert.equal(fakeJira.calls[0].method, 'POST', 'should use POST method');
-  assert.equal(fakeJira.calls[0].path, '/rest/api/3/search', 'should call correct endpoint');
+  assert.equal(fakeJira.calls[0].path, '/rest/api/3/search/jql', 'should call enhanced search endpoint');
   assert.equal(fakeJira.calls[0].body.jql, 'project=TEST AND status=Open', 'should include JQL in body');
   assert.equal(fakeJira.calls[0].body.maxResults, 50, 'should include maxResults');
-  assert.equal(fakeJira.calls[0].body.startAt, 0, 'should include startAt');
+  assert.deepEqual(fakeJira.calls[0].body.fields, ['*navigable'], 'should default to navigable fields');
+  assert.equal(fakeJira.calls[0].body.nextPageToken, undefined, 'first page should not send a token');
 });
 
 test('jira_search_issues_jql includes fields and expand when provided', async () => {
   const fakeJira = new FakeJiraClient();
-  fakeJira.setResponse('/rest/api/3/search', { issues: [], total: 0 });
+  fakeJira.setResponse('/rest/api/3/search/jql', { issues: [], isLast: true });
   
   const server = buildTestServer(fakeJira);
   await callTool(server, 'jira_search_issues_jql', {
     jql: 'project=TEST',
     fields: ['summary', 'status'],
     expand: ['names', 'schema'],
+    nextPageToken: 'token-2',
   });
   
   assert.deepEqual(fakeJira.calls[0].body.fields, ['summary', 'status'], 'should include fields array');
-  assert.deepEqual(fakeJira.calls[0].body.expand, ['names', 'schema'], 'should include expand array');
+  assert.equal(fakeJira.calls[0].body.expand, 'names,schema', 'should send expand as comma-separated string');
+  assert.equal(fakeJira.calls[0].body.nextPageToken, 'token-2', 'should pass through nextPageToken');
 });
 
+
+test('jira_search_issues_jql bodyFormat=text renders ADF in every issue', async () => {
+  const fakeJira = new FakeJiraClient();
+  const adf = (text) => ({
+    type: 'doc',
+    version: 1,
+    content: [{ type: 'paragraph', content: [{ type: 'text', text, marks: [{ type: 'strong' }] }] }],
+  });
+  fakeJira.setResponse('/rest/api/3/search/jql', {
+    issues: [
+      { key: 'TEST-1', fields: { description: adf('One') } },
+      { key: 'TEST-2', fields: { description: adf('Two') } },
+    ],
+  });
+
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_search_issues_jql', { jql: 'project=TEST', bodyFormat: 'text' });
+
+  expectIsError(result, false);
+  const parsed = parseToolText(result);
+  assert.deepEqual(
+    parsed.issues.map((i) => i.fields.description),
+    ['One', 'Two']
+  );
+});
+
+test('jira_search_issues_jql view=compact flattens every issue and keeps paging fields', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/search/jql', {
+    issues: [
+      { key: 'TEST-1', self: 'https://x/issue/1', fields: { summary: 'One', priority: { name: 'High', iconUrl: 'x' } } },
+      { key: 'TEST-2', self: 'https://x/issue/2', fields: { summary: 'Two', parent: { key: 'TEST-0' } } },
+    ],
+    nextPageToken: 'abc',
+  });
+
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_search_issues_jql', { jql: 'project=TEST', view: 'compact' });
+
+  expectIsError(result, false);
+  const parsed = parseToolText(result);
+  assert.deepEqual(parsed.issues, [
+    { key: 'TEST-1', summary: 'One', priority: 'High' },
+    { key: 'TEST-2', summary: 'Two', parent: 'TEST-0' },
+  ]);
+  assert.equal(parsed.nextPageToken, 'abc');
+  assert.equal(fakeJira.calls.length, 1, 'should not load the field list without custom fields');
+});
+
+/**
+ * Fake /search/jql that serves `total` issues in pages, honoring maxResults and nextPageToken.
+ */
+function pagedSearch(fakeJira, total) {
+  fakeJira.postJson = async (path, body, query) => {
+    fakeJira.calls.push({ method: 'POST', path, body, query });
+    const start = body.nextPageToken ? Number(body.nextPageToken) : 0;
+    const end = Math.min(total, start + body.maxResults);
+    const issues = Array.from({ length: end - start }, (_, i) => ({ key: `TEST-${start + i + 1}` }));
+    return end < total ? { issues, nextPageToken: String(end), isLast: false } : { issues, isLast: true };
+  };
+}
+
+test('jira_search_issues_jql all=true follows nextPageToken and merges pages', async () => {
+  const fakeJira = new FakeJiraClient();
+  pagedSearch(fakeJira, 5);
+
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_search_issues_jql', { jql: 'project=TEST', maxResults: 2, all: true });
+
+  expectIsError(result, false);
+  const parsed = parseToolText(result);
+  assert.deepEqual(parsed.issues.map((i) => i.key), ['TEST-1', 'TEST-2', 'TEST-3', 'TEST-4', 'TEST-5']);
+  assert.equal(parsed.count, 5);
+  assert.equal(parsed.pages, 3);
+  assert.equal(parsed.isLast, true);
+  assert.equal(parsed.truncated, false);
+  assert.equal(parsed.nextPageToken, undefined);
+  assert.deepEqual(fakeJira.calls.map((c) => c.body.nextPageToken), [undefined, '2', '4']);
+});
+
+test('jira_search_issues_jql all=true stops at maxTotal and returns a continuation token', async () => {
+  const fakeJira = new FakeJiraClient();
+  pagedSearch(fakeJira, 10);
+
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_search_issues_jql', {
+    jql: 'project=TEST',
+    maxResults: 3,
+    all: true,
+    maxTotal: 4,
+  });
+
+  const parsed = parseToolText(result);
+  assert.equal(parsed.count, 4);
+  assert.equal(parsed.truncated, true);
+  assert.equal(parsed.isLast, false);
+  assert.equal(parsed.nextPageToken, '4', 'token should resume right after the last returned issue');
+  assert.deepEqual(fakeJira.calls.map((c) => c.body.maxResults), [3, 1], 'last page should shrink to fit maxTotal');
+});
+
+test('jira_count_issues_jql posts to approximate-count', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/search/approximate-count', { count: 153 });
+
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_count_issues_jql', { jql: 'project=TEST' });
+
+  expectIsError(result, false);
+  assert.deepEqual(parseToolText(result), { jql: 'project=TEST', count: 153, approximate: true });
+  assert.equal(fakeJira.calls[0].method, 'POST');
+  assert.deepEqual(fakeJira.calls[0].body, { jql: 'project=TEST' });
+});
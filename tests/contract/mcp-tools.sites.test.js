@@ -0,0 +1,150 @@
+/**
+ * Contract tests for multi-site profiles (site argument and jira_list_sites)
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MetadataCache } from '../../dist/jira/cache.js';
+import { JiraSites } from '../../dist/jira/sites.js';
+import { registerJiraTools } from '../../dist/mcp/server.js';
+import { FakeJiraClient, parseToolText, expectIsError, TestMcpServer, callTool } from './helpers.js';
+
+function buildSitesServer(sites) {
+  const server = new TestMcpServer();
+  registerJiraTools(server.server, sites.client(), sites.cache(), { sites });
+  return server;
+}
+
+function twoSites() {
+  const main = new FakeJiraClient();
+  const partner = new FakeJiraClient();
+  const sites = new JiraSites(
+    [
+      { name: 'main', baseUrl: 'https://main.atlassian.net', authType: 'basic', jira: main, cache: new MetadataCache(main) },
+      {
+        name: 'partner',
+        baseUrl: 'https://partner.atlassian.net',
+        authType: 'bearer',
+        jira: partner,
+        cache: new MetadataCache(partner),
+      },
+    ],
+    'main'
+  );
+  return { main, partner, sites };
+}
+
+test('tools run against the default site unless site is given', async () => {
+  const { main, partner, sites } = twoSites();
+  main.setResponse('/rest/api/3/issue/A-1', { key: 'A-1', fields: { summary: 'main issue' } });
+  partner.setResponse('/rest/api/3/issue/A-1', { key: 'A-1', fields: { summary: 'partner issue' } });
+  const server = buildSitesServer(sites);
+
+  const byDefault = parseToolText(await callTool(server, 'jira_get_issue', { issueKey: 'A-1' }));
+  assert.equal(byDefault.fields.summary, 'main issue');
+
+  const onPartner = parseToolText(await callTool(server, 'jira_get_issue', { issueKey: 'A-1', site: 'partner' }));
+  assert.equal(onPartner.fields.summary, 'partner issue');
+
+  assert.equal(main.calls.length, 1);
+  assert.equal(partner.calls.length, 1);
+});
+
+test('metadata caches are kept per site', async () => {
+  const { main, partner, sites } = twoSites();
+  main.setResponse('/rest/api/3/field', [{ id: 'customfield_1', name: 'Story Points' }]);
+  partner.setResponse('/rest/api/3/field', [{ id: 'customfield_9', name: 'Story Points' }]);
+  const server = buildSitesServer(sites);
+
+  const update = (site) =>
+    callTool(server, 'jira_update_issue_fields', {
+      issueKey: 'A-1',
+      fields: { 'story points': 3 },
+      validateAdf: true,
+      coerceValues: false,
+      site,
+    });
+  assert.deepEqual(parseToolText(await update('main')).resolvedFields, { 'story points': 'customfield_1' });
+  assert.deepEqual(parseToolText(await update('partner')).resolvedFields, { 'story points': 'customfield_9' });
+  assert.deepEqual(parseToolText(await update('main')).resolvedFields, { 'story points': 'customfield_1' });
+
+  assert.equal(main.calls.filter((c) => c.path === '/rest/api/3/field').length, 1, 'second lookup is cached');
+  assert.deepEqual(
+    partner.calls.filter((c) => c.method === 'PUT').map((c) => c.body.fields),
+    [{ customfield_9: 3 }]
+  );
+});
+
+test('an unknown site is a tool error naming the configured sites', async () => {
+  const { main, partner, sites } = twoSites();
+  const server = buildSitesServer(sites);
+
+  const result = await callTool(server, 'jira_get_issue', { issueKey: 'A-1', site: 'staging' });
+
+  expectIsError(result, true);
+  assert.deepEqual(parseToolText(result).extra.details, { site: 'staging', sites: ['main', 'partner'] });
+  assert.equal(main.calls.length + partner.calls.length, 0);
+});
+
+test('jira_list_sites describes sites without credentials', async () => {
+  const sites = JiraSites.fromProfiles({
+    defaultSite: 'partner',
+    sites: {
+      main: { baseUrl: 'https://main.atlassian.net', auth: { type: 'basic', email: 'a@x.com', apiToken: 'MAIN-SECRET' } },
+      partner: { baseUrl: 'https://partner.atlassian.net', auth: { type: 'bearer', token: 'PARTNER-SECRET' } },
+    },
+  });
+  const server = buildSitesServer(sites);
+
+  const result = await callTool(server, 'jira_list_sites', {});
+
+  assert.deepEqual(parseToolText(result), {
+    defaultSite: 'partner',
+    sites: [
+      { name: 'main', baseUrl: 'https://main.atlassian.net', auth: 'basic', deployment: 'cloud', default: false },
+      { name: 'partner', baseUrl: 'https://partner.atlassian.net', auth: 'bearer', deployment: 'cloud', default: true },
+    ],
+  });
+  assert.ok(!result.content[0].text.includes('SECRET'));
+});
+
+test('each site sends only its own credentials, and errors mention only that site', async () => {
+  const sites = JiraSites.fromProfiles({
+    defaultSite: 'main',
+    sites: {
+      main: { baseUrl: 'https://main.atlassian.net', auth: { type: 'bearer', token: 'MAIN-SECRET' } },
+      partner: { baseUrl: 'https://partner.atlassian.net', auth: { type: 'bearer', token: 'PARTNER-SECRET' } },
+    },
+  });
+  const server = buildSitesServer(sites);
+  const originalFetch = globalThis.fetch;
+  const seen = [];
+  globalThis.fetch = async (url, opts) => {
+    seen.push({ host: new URL(url).host, authorization: opts.headers.Authorization });
+    return new Response('{"errorMessages":["Issue does not exist"]}', {
+      status: 404,
+      headers: { 'content-type': 'application/json' },
+    });
+  };
+  try {
+    const result = await callTool(server, 'jira_get_issue', { issueKey: 'B-1', site: 'partner' });
+    expectIsError(result, true);
+    const text = result.content[0].text;
+    assert.ok(text.includes('partner.atlassian.net'));
+    assert.ok(!text.includes('main.atlassian.net'));
+    assert.ok(!text.includes('SECRET'));
+    await callTool(server, 'jira_get_issue', { issueKey: 'A-1' });
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+  assert.deepEqual(seen, [
+    { host: 'partner.atlassian.net', authorization: 'Bearer PARTNER-SECRET' },
+    { host: 'main.atlassian.net', authorization: 'Bearer MAIN-SECRET' },
+  ]);
+});
+
+test('without sites there is no site argument and no jira_list_sites', async () => {
+  const server = new TestMcpServer();
+  server.registerTools(new FakeJiraClient());
+  assert.ok(!server.toolHandlers.has('jira_list_sites'));
+});
@@ -47,3 +47,224 @@ test('jira_transition_issue calls POST with transition id and optional fields/up
   assert.deepEqual(fakeJira.calls[0].body.fields, { resolution: { name: 'Fixed' } }, 'should include fields in body');
 });
 
+
+test('jira_transition_issue resolves field names in fields', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/field', [{ id: 'resolution', name: 'Resolution' }, { id: 'customfield_10050', name: 'Root Cause' }]);
+  fakeJira.setResponse('/rest/api/3/issue/TEST-1/transitions', {});
+
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_transition_issue', {
+    issueKey: 'TEST-1',
+    transitionId: '11',
+    fields: { resolution: { name: 'Fixed' }, 'root cause': 'config' },
+  });
+
+  expectIsError(result, false);
+  assert.deepEqual(parseToolText(result).resolvedFields, { 'root cause': 'customfield_10050' });
+  const post = fakeJira.calls.find((c) => c.method === 'POST');
+  assert.deepEqual(post.body.fields, { resolution: { name: 'Fixed' }, customfield_10050: 'config' });
+});
+
+const TODO = { id: '1', name: 'To Do' };
+const IN_PROGRESS = { id: '2', name: 'In Progress' };
+const DONE = { id: '3', name: 'Done' };
+
+/**
+ * Fake Jira whose available transitions depend on the issue's current status,
+ * which moves as transitions are POSTed.
+ */
+function workflowJira({ status = TODO, transitionsByStatus, workflow = true, finish = {} }) {
+  const fakeJira = new FakeJiraClient();
+  let current = status;
+  const all = Object.values(transitionsByStatus).flat();
+  fakeJira.setResponse('/rest/api/3/issue/TEST-1', {
+    key: 'TEST-1',
+    fields: { get status() { return current; }, project: { id: '100' }, issuetype: { id: '10001' } },
+  });
+  if (workflow) {
+    fakeJira.setResponse('/rest/api/3/workflowscheme/project', {
+      values: [{ workflowScheme: { defaultWorkflow: 'jira', issueTypeMappings: { 10001: 'Software' } } }],
+    });
+    fakeJira.setResponse('/rest/api/3/workflow/search', {
+      values: [
+        {
+          statuses: [TODO, IN_PROGRESS, DONE],
+          transitions: [
+            { id: '11', name: 'Create', from: [], to: '1', type: 'initial' },
+            { id: '21', name: 'Start', from: ['1'], to: '2' },
+            { id: '31', name: 'Finish', from: ['2'], to: '3', ...finish },
+          ],
+        },
+      ],
+    });
+  }
+  const getJson = fakeJira.getJson.bind(fakeJira);
+  fakeJira.getJson = async (path, query) => {
+    if (path === '/rest/api/3/issue/TEST-1/transitions') {
+      fakeJira.calls.push({ method: 'GET', path, query });
+      return { transitions: transitionsByStatus[current.id] ?? [] };
+    }
+    if (path.startsWith('/rest/api/3/workflow') && !workflow) {
+      fakeJira.calls.push({ method: 'GET', path, query });
+      throw new Error('Forbidden');
+    }
+    return getJson(path, query);
+  };
+  fakeJira.postJson = async (path, body, query) => {
+    fakeJira.calls.push({ method: 'POST', path, body, query });
+    current = all.find((t) => t.id === body.transition.id).to;
+    return {};
+  };
+  return fakeJira;
+}
+
+test('jira_transition_issue with toStatus applies the direct transition to that status', async () => {
+  const fakeJira = workflowJira({
+    transitionsByStatus: { 1: [{ id: '21', name: 'Start', to: IN_PROGRESS }, { id: '41', name: 'Close', to: DONE }] },
+  });
+
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_transition_issue', { issueKey: 'TEST-1', toStatus: 'done' });
+
+  expectIsError(result, false);
+  const parsed = parseToolText(result);
+  assert.equal(parsed.transitionId, '41');
+  assert.deepEqual(parsed.hops, [{ transitionId: '41', name: 'Close', from: TODO, to: DONE }]);
+  const posts = fakeJira.calls.filter((c) => c.method === 'POST');
+  assert.equal(posts.length, 1);
+  assert.equal(fakeJira.calls.find((c) => c.path.endsWith('/transitions')).query.expand, 'transitions.fields');
+  assert.ok(!fakeJira.calls.some((c) => c.path.startsWith('/rest/api/3/workflow')), 'no workflow lookup needed');
+});
+
+test('jira_transition_issue with toStatus walks the workflow when no direct transition exists', async () => {
+  const fakeJira = workflowJira({
+    transitionsByStatus: {
+      1: [{ id: '21', name: 'Start', to: IN_PROGRESS }],
+      2: [{ id: '31', name: 'Finish', to: DONE, fields: { resolution: { required: true, name: 'Resolution' } } }],
+    },
+  });
+
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_transition_issue', {
+    issueKey: 'TEST-1',
+    toStatus: 'Done',
+    fields: { resolution: { name: 'Done' } },
+  });
+
+  expectIsError(result, false);
+  const parsed = parseToolText(result);
+  assert.equal(parsed.workflowName, 'Software');
+  assert.deepEqual(
+    parsed.hops.map((h) => `${h.from.name} -> ${h.to.name}`),
+    ['To Do -> In Progress', 'In Progress -> Done']
+  );
+  const posts = fakeJira.calls.filter((c) => c.method === 'POST');
+  assert.deepEqual(
+    posts.map((p) => p.body),
+    [{ transition: { id: '21' } }, { transition: { id: '31' }, fields: { resolution: { name: 'Done' } } }]
+  );
+});
+
+test('jira_transition_issue with toStatus reports missing required fields before transitioning', async () => {
+  const fakeJira = workflowJira({
+    transitionsByStatus: {
+      1: [{ id: '41', name: 'Close', to: DONE, fields: { resolution: { required: true, name: 'Resolution' } } }],
+    },
+  });
+
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_transition_issue', { issueKey: 'TEST-1', toStatus: 'Done' });
+
+  expectIsError(result, true);
+  const parsed = parseToolText(result);
+  assert.deepEqual(parsed.extra.details.missingFields, [
+    { id: 'resolution', name: 'Resolution', transitionId: '41', transitionName: 'Close' },
+  ]);
+  assert.ok(!fakeJira.calls.some((c) => c.method === 'POST'), 'should not transition');
+});
+
+test('jira_transition_issue with toStatus checks later hops before applying the first', async () => {
+  const fakeJira = workflowJira({
+    transitionsByStatus: {
+      1: [{ id: '21', name: 'Start', to: IN_PROGRESS }],
+      2: [{ id: '31', name: 'Finish', to: DONE }],
+    },
+    finish: {
+      screen: { id: '5' },
+      rules: { validators: [{ type: 'FieldRequiredValidator', configuration: { fieldIds: ['customfield_1'] } }] },
+    },
+  });
+  fakeJira.setResponse('/rest/api/3/screens/5/tabs', [{ id: '50' }]);
+  fakeJira.setResponse('/rest/api/3/screens/5/tabs/50/fields', [
+    { id: 'resolution', name: 'Resolution' },
+    { id: 'comment', name: 'Comment' },
+  ]);
+  fakeJira.setResponse('/rest/api/3/issue/TEST-1/editmeta', { fields: { comment: { required: false } } });
+
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_transition_issue', { issueKey: 'TEST-1', toStatus: 'Done' });
+
+  expectIsError(result, true);
+  const details = parseToolText(result).extra.details;
+  assert.deepEqual(details.missingFields, [
+    { id: 'customfield_1', transitionId: '31', transitionName: 'Finish' },
+    { id: 'resolution', name: 'Resolution', transitionId: '31', transitionName: 'Finish' },
+  ]);
+  assert.deepEqual(details.appliedHops, []);
+  assert.ok(!fakeJira.calls.some((c) => c.method === 'POST'), 'should not apply the first hop');
+});
+
+test('jira_transition_issue with toStatus is a no-op when the issue is already there', async () => {
+  const fakeJira = workflowJira({ status: DONE, transitionsByStatus: {} });
+
+  const server = buildTestServer(fakeJira);
+  const parsed = parseToolText(await callTool(server, 'jira_transition_issue', { issueKey: 'TEST-1', toStatus: 'Done' }));
+
+  assert.equal(parsed.alreadyInStatus, true);
+  assert.deepEqual(parsed.hops, []);
+  assert.ok(!fakeJira.calls.some((c) => c.method === 'POST'));
+});
+
+test('jira_transition_issue with toStatus lists reachable statuses when the workflow cannot be read', async () => {
+  const fakeJira = workflowJira({
+    workflow: false,
+    transitionsByStatus: { 1: [{ id: '21', name: 'Start', to: IN_PROGRESS }] },
+  });
+
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_transition_issue', { issueKey: 'TEST-1', toStatus: 'Done' });
+
+  expectIsError(result, true);
+  const details = parseToolText(result).extra.details;
+  assert.deepEqual(details.reachable, [{ transition: 'Start', status: 'In Progress' }]);
+  assert.equal(details.workflowError, 'Forbidden');
+});
+
+test('jira_transition_issue requires exactly one of transitionId or toStatus', async () => {
+  const server = buildTestServer(new FakeJiraClient());
+  expectIsError(await callTool(server, 'jira_transition_issue', { issueKey: 'TEST-1' }), true);
+  expectIsError(
+    await callTool(server, 'jira_transition_issue', { issueKey: 'TEST-1', transitionId: '1', toStatus: 'Done' }),
+    true
+  );
+});
+
+test('jira_transition_issue with toStatus and dryRun plans every hop without transitioning', async () => {
+  const fakeJira = workflowJira({ transitionsByStatus: { 1: [{ id: '21', name: 'Start', to: IN_PROGRESS }] } });
+
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_transition_issue', { issueKey: 'TEST-1', toStatus: 'Done', dryRun: true });
+
+  expectIsError(result, false);
+  const parsed = parseToolText(result);
+  assert.equal(parsed.dryRun, true);
+  assert.deepEqual(
+    parsed.requests.map((r) => [r.method, r.path, r.body.transition.id]),
+    [
+      ['POST', '/rest/api/3/issue/TEST-1/transitions', '21'],
+      ['POST', '/rest/api/3/issue/TEST-1/transitions', '31'],
+    ]
+  );
+  assert.ok(!fakeJira.calls.some((c) => c.method === 'POST'), 'should not transition');
+});
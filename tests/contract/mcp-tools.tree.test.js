@@ -0,0 +1,107 @@
+/**
+ * Contract tests for jira_get_issue_tree
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeJiraClient, parseToolText, expectIsError, buildTestServer, callTool } from './helpers.js';
+
+const TODO = { name: 'To Do', statusCategory: { name: 'To Do' } };
+const PROGRESS = { name: 'In Review', statusCategory: { name: 'In Progress' } };
+const DONE = { name: 'Closed', statusCategory: { name: 'Done' } };
+
+function issue(key, summary, status, extra = {}) {
+  return { key, fields: { summary, status, issuetype: { name: extra.type ?? 'Story' }, assignee: null, ...extra.fields } };
+}
+
+/**
+ * Fake Jira where /search/jql answers `parent in (...)` queries from a child map,
+ * so the tree walk can be exercised level by level.
+ */
+function treeJira({ epicLink = false } = {}) {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse(
+    '/rest/api/3/field',
+    epicLink
+      ? [{ id: 'customfield_10014', name: 'Epic Link', schema: { custom: 'com.pyxis.greenhopper.jira:gh-epic-link', customId: 10014 } }]
+      : []
+  );
+  fakeJira.setResponse('/rest/api/3/issue/A-1', issue('A-1', 'Initiative', PROGRESS, { type: 'Initiative' }));
+  fakeJira.setResponse(
+    '/rest/api/3/issue/A-10',
+    issue('A-10', 'Epic', PROGRESS, { type: 'Epic', fields: { parent: { key: 'A-1' } } })
+  );
+
+  const children = {
+    'A-10': [
+      issue('A-11', 'Story one', DONE, { fields: epicLink ? { customfield_10014: 'A-10' } : { parent: { key: 'A-10' } } }),
+      issue('A-12', 'Story two', TODO, { fields: { parent: { key: 'A-10' }, assignee: { displayName: 'Ada' } } }),
+    ],
+    'A-12': [issue('A-13', 'Subtask', DONE, { type: 'Sub-task', fields: { parent: { key: 'A-12' } } })],
+  };
+  const originalPost = fakeJira.postJson.bind(fakeJira);
+  fakeJira.postJson = async (path, body, query) => {
+    await originalPost(path, body, query);
+    const keys = body.jql.match(/parent in \(([^)]*)\)/)[1].split(', ');
+    return { issues: keys.flatMap((k) => children[k] ?? []), isLast: true };
+  };
+  return fakeJira;
+}
+
+test('jira_get_issue_tree nests children, subtasks and ancestors with rollups', async () => {
+  const fakeJira = treeJira();
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_get_issue_tree', { issueKey: 'A-10' });
+
+  expectIsError(result, false);
+  const parsed = parseToolText(result);
+  assert.equal(parsed.focus, 'A-10');
+  assert.deepEqual(parsed.ancestors, ['A-1']);
+  assert.equal(parsed.issueCount, 5);
+  assert.equal(parsed.truncated, false);
+
+  const epic = parsed.tree.children[0];
+  assert.equal(parsed.tree.key, 'A-1');
+  assert.equal(parsed.tree.rollup, undefined);
+  assert.deepEqual(epic.rollup, { total: 3, byStatusCategory: { Done: 2, 'To Do': 1 } });
+  assert.deepEqual(
+    epic.children.map((c) => c.key),
+    ['A-11', 'A-12']
+  );
+  assert.deepEqual(epic.children[1].children[0], {
+    key: 'A-13',
+    summary: 'Subtask',
+    type: 'Sub-task',
+    status: 'Closed',
+    statusCategory: 'Done',
+  });
+  assert.equal(epic.children[1].assignee, 'Ada');
+
+  const searches = fakeJira.calls.filter((c) => c.path === '/rest/api/3/search/jql');
+  assert.equal(searches[0].body.jql, '(parent in (A-10)) ORDER BY key ASC');
+  assert.equal(searches[1].body.jql, '(parent in (A-11, A-12)) ORDER BY key ASC');
+});
+
+test('jira_get_issue_tree follows the legacy Epic Link field', async () => {
+  const fakeJira = treeJira({ epicLink: true });
+  const server = buildTestServer(fakeJira);
+  const parsed = parseToolText(await callTool(server, 'jira_get_issue_tree', { issueKey: 'A-10', depth: 1, ancestorDepth: 0 }));
+
+  assert.equal(parsed.epicLinkField, 'customfield_10014');
+  assert.deepEqual(parsed.ancestors, []);
+  assert.deepEqual(
+    parsed.tree.children.map((c) => c.key),
+    ['A-11', 'A-12']
+  );
+  const search = fakeJira.calls.find((c) => c.path === '/rest/api/3/search/jql');
+  assert.equal(search.body.jql, '(parent in (A-10) OR cf[10014] in (A-10)) ORDER BY key ASC');
+  assert.ok(search.body.fields.includes('customfield_10014'));
+});
+
+test('jira_get_issue_tree stops at maxIssues and reports truncation', async () => {
+  const server = buildTestServer(treeJira());
+  const parsed = parseToolText(await callTool(server, 'jira_get_issue_tree', { issueKey: 'A-10', maxIssues: 2 }));
+
+  assert.equal(parsed.truncated, true);
+  assert.equal(parsed.tree.children[0].children.length, 1);
+});
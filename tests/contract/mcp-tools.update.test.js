@@ -58,3 +58,121 @@ test('jira_update_issue_fields validates ADF when validateAdf is true', async ()
   );
 });
 
+
+test('jira_update_issue_fields format=markdown converts description and reports converted fields', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/issue/TEST-1', {});
+
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_update_issue_fields', {
+    issueKey: 'TEST-1',
+    fields: { description: 'Steps:\n\n1. open\n2. click', summary: 'Still text' },
+    format: 'markdown',
+    validateAdf: true,
+  });
+
+  expectIsError(result, false);
+  const parsed = parseToolText(result);
+  assert.deepEqual(parsed.convertedFromMarkdown, ['description']);
+  assert.equal(fakeJira.calls.length, 1, 'no field lookup needed without custom string fields');
+  assert.equal(fakeJira.calls[0].body.fields.description.content[1].type, 'orderedList');
+  assert.equal(fakeJira.calls[0].body.fields.summary, 'Still text');
+});
+
+test('jira_update_issue_fields reports nested ADF problems for every field before calling Jira', async () => {
+  const fakeJira = new FakeJiraClient();
+
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_update_issue_fields', {
+    issueKey: 'TEST-1',
+    fields: {
+      description: { type: 'doc', version: 1, content: [{ type: 'paragraph', content: [{ type: 'text' }] }] },
+      customfield_10001: { type: 'doc', version: 1, content: [{ type: 'heading', content: [] }] },
+    },
+    validateAdf: true,
+  });
+
+  expectIsError(result, true);
+  const parsed = parseToolText(result);
+  assert.equal(fakeJira.calls.length, 0, 'should not call Jira when ADF is invalid');
+  assert.deepEqual(
+    parsed.extra.details.issues.map((i) => `${i.field}:${i.path}`),
+    ['description:content[0].content[0].text', 'customfield_10001:content[0].attrs.level']
+  );
+});
+
+test('jira_update_issue_fields resolves field display names and reports the mapping', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/field', [{ id: 'customfield_10016', name: 'Story Points' }]);
+  fakeJira.setResponse('/rest/api/3/issue/TEST-1', {});
+
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_update_issue_fields', {
+    issueKey: 'TEST-1',
+    fields: { 'Story Points': 5, summary: 'x' },
+  });
+
+  expectIsError(result, false);
+  const parsed = parseToolText(result);
+  assert.deepEqual(parsed.resolvedFields, { 'Story Points': 'customfield_10016' });
+  const put = fakeJira.calls.find((c) => c.method === 'PUT');
+  assert.deepEqual(put.body.fields, { customfield_10016: 5, summary: 'x' });
+});
+
+test('jira_update_issue_fields returns candidates for an ambiguous field name without updating', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/field', [
+    { id: 'customfield_1', name: 'Team' },
+    { id: 'customfield_2', name: 'Team' },
+  ]);
+
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_update_issue_fields', { issueKey: 'TEST-1', fields: { Team: 'x' } });
+
+  expectIsError(result, true);
+  const parsed = parseToolText(result);
+  assert.deepEqual(parsed.extra.details.candidates.map((c) => c.id), ['customfield_1', 'customfield_2']);
+  assert.ok(!fakeJira.calls.some((c) => c.method === 'PUT'), 'should not send the update');
+});
+
+test('jira_update_issue_fields coerces friendly values using editmeta and reports coercions', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/field', [{ id: 'customfield_10050', name: 'Team' }]);
+  fakeJira.setResponse('/rest/api/3/issue/TEST-1/editmeta', {
+    fields: {
+      customfield_10050: { name: 'Team', schema: { type: 'option' }, allowedValues: [{ id: '900', value: 'Blue' }] },
+      summary: { name: 'Summary', schema: { type: 'string' } },
+    },
+  });
+  fakeJira.setResponse('/rest/api/3/issue/TEST-1', {});
+
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_update_issue_fields', {
+    issueKey: 'TEST-1',
+    fields: { Team: 'Blue', summary: 'x' },
+  });
+
+  expectIsError(result, false);
+  const parsed = parseToolText(result);
+  assert.deepEqual(parsed.coercions, [{ field: 'customfield_10050', name: 'Team', from: 'Blue', to: { id: '900' } }]);
+  const put = fakeJira.calls.find((c) => c.method === 'PUT');
+  assert.deepEqual(put.body.fields, { customfield_10050: { id: '900' }, summary: 'x' });
+});
+
+test('jira_update_issue_fields with coerceValues=false sends values untouched', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/issue/TEST-1', {});
+
+  const server = buildTestServer(fakeJira);
+  await callTool(server, 'jira_update_issue_fields', {
+    issueKey: 'TEST-1',
+    fields: { customfield_10050: 'Blue' },
+    coerceValues: false,
+  });
+
+  assert.deepEqual(
+    fakeJira.calls.map((c) => c.method),
+    ['PUT']
+  );
+  assert.deepEqual(fakeJira.calls[0].body.fields, { customfield_10050: 'Blue' });
+});
@@ -0,0 +1,193 @@
+/**
+ * Contract tests for worklog and time-tracking tools
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeJiraClient, parseToolText, expectIsError, buildTestServer, callTool } from './helpers.js';
+
+const ANN = { accountId: 'a', displayName: 'Ann' };
+const BOB = { accountId: 'b', displayName: 'Bob' };
+
+test('jira_add_worklog normalizes the duration, formats started and builds an ADF comment', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/issue/TEST-1/worklog', {
+    id: '100',
+    author: ANN,
+    started: '2025-03-11T14:00:00.000+0000',
+    timeSpent: '1h 30m',
+    timeSpentSeconds: 5400,
+    comment: { type: 'doc', version: 1, content: [{ type: 'paragraph', content: [{ type: 'text', text: 'Pairing' }] }] },
+  });
+
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_add_worklog', {
+    issueKey: 'TEST-1',
+    timeSpent: '90m',
+    started: '2025-03-11 14:00',
+    comment: 'Pairing',
+    format: 'text',
+    adjustEstimate: 'new',
+    newEstimate: '2d',
+  });
+
+  expectIsError(result, false);
+  const parsed = parseToolText(result);
+  assert.equal(parsed.worklog.comment, 'Pairing');
+  assert.equal(parsed.worklog.author, 'Ann');
+
+  const call = fakeJira.calls[0];
+  assert.equal(call.method, 'POST');
+  assert.equal(call.body.timeSpent, '1h 30m');
+  assert.match(call.body.started, /^2025-03-11T14:00:00\.000[+-]\d{4}$/);
+  assert.equal(call.body.comment.content[0].content[0].text, 'Pairing');
+  assert.deepEqual(call.query, { adjustEstimate: 'new', newEstimate: '2d' });
+});
+
+test('jira_add_worklog rejects bad durations and incomplete estimate options before calling Jira', async () => {
+  const fakeJira = new FakeJiraClient();
+  const server = buildTestServer(fakeJira);
+
+  const bad = await callTool(server, 'jira_add_worklog', { issueKey: 'TEST-1', timeSpent: 'a while' });
+  expectIsError(bad, true);
+  assert.match(parseToolText(bad).extra.message, /Invalid duration/);
+
+  const manual = await callTool(server, 'jira_add_worklog', {
+    issueKey: 'TEST-1',
+    timeSpent: '1h',
+    adjustEstimate: 'manual',
+  });
+  expectIsError(manual, true);
+  assert.equal(fakeJira.calls.length, 0);
+});
+
+test('jira_list_worklogs converts the start range to epoch ms and shapes worklogs', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/issue/TEST-1/worklog', {
+    startAt: 0,
+    maxResults: 100,
+    total: 2,
+    worklogs: [
+      { id: '1', author: ANN, started: '2025-03-10T09:00:00.000+0000', timeSpent: '1h', timeSpentSeconds: 3600 },
+      { id: '2', author: BOB, started: '2025-03-10T10:00:00.000+0000', timeSpentSeconds: 1800 },
+    ],
+  });
+
+  const server = buildTestServer(fakeJira);
+  const parsed = parseToolText(
+    await callTool(server, 'jira_list_worklogs', {
+      issueKey: 'TEST-1',
+      startedAfter: '2025-03-10T00:00:00Z',
+      startAt: 0,
+      maxResults: 100,
+    })
+  );
+
+  assert.equal(parsed.count, 2);
+  assert.equal(parsed.timeSpent, '1h 30m');
+  assert.equal(parsed.worklogs[1].timeSpent, '30m');
+  assert.equal(fakeJira.calls[0].query.startedAfter, Date.parse('2025-03-10T00:00:00Z'));
+});
+
+test('jira_update_worklog sends only the changed values', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/issue/TEST-1/worklog/100', { id: '100', started: 'x', timeSpentSeconds: 7200 });
+
+  const server = buildTestServer(fakeJira);
+  const args = { issueKey: 'TEST-1', worklogId: '100', timeSpent: '2h' };
+  const result = await callTool(server, 'jira_update_worklog', args);
+
+  expectIsError(result, false);
+  assert.equal(fakeJira.calls[0].method, 'PUT');
+  assert.deepEqual(fakeJira.calls[0].body, { timeSpent: '2h' });
+
+  const empty = await callTool(server, 'jira_update_worklog', { issueKey: 'TEST-1', worklogId: '100' });
+  expectIsError(empty, true);
+});
+
+test('jira_delete_worklog passes estimate adjustment', async () => {
+  const fakeJira = new FakeJiraClient();
+  const server = buildTestServer(fakeJira);
+  const result = await callTool(server, 'jira_delete_worklog', {
+    issueKey: 'TEST-1',
+    worklogId: '100',
+    adjustEstimate: 'manual',
+    increaseBy: '1h',
+  });
+
+  expectIsError(result, false);
+  assert.equal(fakeJira.calls[0].method, 'DELETE');
+  assert.equal(fakeJira.calls[0].path, '/rest/api/3/issue/TEST-1/worklog/100');
+  assert.deepEqual(fakeJira.calls[0].query, { adjustEstimate: 'manual', increaseBy: '1h' });
+});
+
+test('jira_set_estimates updates timetracking and returns the new values', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/issue/TEST-1', {
+    fields: { timetracking: { originalEstimate: '3d', remainingEstimate: '1d 4h' } },
+  });
+
+  const server = buildTestServer(fakeJira);
+  const parsed = parseToolText(
+    await callTool(server, 'jira_set_estimates', {
+      issueKey: 'TEST-1',
+      originalEstimate: '3 days',
+      remainingEstimate: '12h',
+    })
+  );
+
+  assert.deepEqual(fakeJira.calls[0].body.fields.timetracking, { originalEstimate: '3d', remainingEstimate: '12h' });
+  assert.deepEqual(parsed.timetracking, { originalEstimate: '3d', remainingEstimate: '1d 4h' });
+});
+
+test('jira_worklog_summary aggregates per user, fetching issues with more worklogs than embedded', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.postJson = async (path, body, query) => {
+    fakeJira.calls.push({ method: 'POST', path, body, query });
+    return {
+      isLast: true,
+      issues: [
+        {
+          key: 'X-1',
+          fields: {
+            worklog: {
+              total: 2,
+              worklogs: [
+                { id: '1', author: ANN, started: '2025-03-10T09:00:00.000+0000', timeSpentSeconds: 3600 },
+                { id: '2', author: BOB, started: '2025-03-01T09:00:00.000+0000', timeSpentSeconds: 3600 },
+              ],
+            },
+          },
+        },
+        { key: 'X-2', fields: { worklog: { total: 30, worklogs: [] } } },
+      ],
+    };
+  };
+  fakeJira.setResponse('/rest/api/3/issue/X-2/worklog', {
+    startAt: 0,
+    total: 1,
+    worklogs: [{ id: '3', author: BOB, started: '2025-03-11T09:00:00.000+0000', timeSpentSeconds: 5400 }],
+  });
+
+  const server = buildTestServer(fakeJira);
+  const parsed = parseToolText(
+    await callTool(server, 'jira_worklog_summary', {
+      jql: 'project = X',
+      startedAfter: '2025-03-09T00:00:00Z',
+      maxIssues: 500,
+    })
+  );
+
+  assert.equal(parsed.issuesScanned, 2);
+  assert.equal(parsed.total, '2h 30m');
+  assert.deepEqual(
+    parsed.users.map((u) => [u.displayName, u.timeSpent]),
+    [
+      ['Bob', '1h 30m'],
+      ['Ann', '1h'],
+    ]
+  );
+  assert.deepEqual(fakeJira.calls[0].body.fields, ['worklog']);
+  const fetched = fakeJira.calls.find((c) => c.path === '/rest/api/3/issue/X-2/worklog');
+  assert.equal(fetched.query.startedAfter, Date.parse('2025-03-09T00:00:00Z'));
+});
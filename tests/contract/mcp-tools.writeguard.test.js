@@ -0,0 +1,292 @@
+/**
+ * Contract tests for the project-scoped write guard (JIRA_ALLOWED_PROJECTS / JIRA_PROTECTED_ISSUE_TYPES)
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeJiraClient, parseToolText, expectIsError, buildTestServer, callTool } from './helpers.js';
+import { writePolicyFromEnv } from '../../dist/mcp/policy.js';
+
+const sandbox = { writes: { allowedProjects: ['SAND', 'play'] } };
+
+function rejected(result, reason) {
+  expectIsError(result, true);
+  const parsed = parseToolText(result);
+  assert.equal(parsed.extra.details.reason, reason, JSON.stringify(parsed));
+  return parsed;
+}
+
+test('write tools reject issue keys outside the allowed projects before any request', async () => {
+  const fakeJira = new FakeJiraClient();
+  const server = buildTestServer(fakeJira, sandbox);
+
+  const calls = [
+    ['jira_update_issue_fields', { issueKey: 'PROD-1', fields: { summary: 'x' }, validateAdf: true }],
+    ['jira_add_comment', { issueKey: 'PROD-1', body: 'hi', validateAdf: true }],
+    ['jira_transition_issue', { issueKey: 'PROD-1', transitionId: '31' }],
+    ['jira_transition_issue', { issueKey: 'PROD-1', toStatus: 'Done' }],
+    ['jira_update_comment', { issueKey: 'PROD-1', commentId: '1', body: 'x', validateAdf: true }],
+    ['jira_delete_comment', { issueKey: 'PROD-1', commentId: '1' }],
+    ['jira_add_attachment', { issueKey: 'PROD-1', files: [{ base64: 'aGk=', filename: 'a.txt' }] }],
+    ['jira_create_issue_link', { issueKey: 'SAND-1', linkType: 'blocks', targetIssueKey: 'PROD-1' }],
+    ['jira_add_worklog', { issueKey: 'PROD-1', timeSpent: '1h' }],
+    ['jira_update_worklog', { issueKey: 'PROD-1', worklogId: '1', timeSpent: '1h' }],
+    ['jira_delete_worklog', { issueKey: 'PROD-1', worklogId: '1' }],
+    ['jira_set_estimates', { issueKey: 'PROD-1', originalEstimate: '1h' }],
+    ['jira_move_issues_to_sprint', { sprintId: 1, issueKeys: ['PROD-1'] }],
+    ['jira_move_issues_to_backlog', { issueKeys: ['PROD-1'] }],
+    ['jira_rank_issues', { issueKeys: ['PROD-1'], rankBeforeIssue: 'SAND-1' }],
+    [
+      'jira_bulk_edit_issues',
+      {
+        selectedIssueIdsOrKeys: ['SAND-1', 'PROD-2'],
+        selectedActions: ['labels'],
+        editedFieldsInput: {},
+        sendBulkNotification: false,
+        validateAdf: true,
+      },
+    ],
+  ];
+  for (const [tool, args] of calls) {
+    const parsed = rejected(await callTool(server, tool, args), 'project_not_allowed');
+    assert.equal(parsed.extra.details.project, 'PROD', tool);
+    assert.deepEqual(parsed.extra.details.allowedProjects, ['SAND', 'play']);
+  }
+  assert.deepEqual(fakeJira.calls, []);
+});
+
+test('issue keys in allowed projects pass, case-insensitively', async () => {
+  const fakeJira = new FakeJiraClient();
+  const server = buildTestServer(fakeJira, sandbox);
+
+  const result = await callTool(server, 'jira_add_comment', { issueKey: 'PLAY-7', body: 'hi', validateAdf: true });
+
+  expectIsError(result, false);
+  assert.equal(fakeJira.calls[0].path, '/rest/api/3/issue/PLAY-7/comment');
+});
+
+test('create tools check fields.project, by key or by id', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/project/10200', { id: '10200', key: 'PROD' });
+  const server = buildTestServer(fakeJira, sandbox);
+
+  const byKey = await callTool(server, 'jira_create_issue', {
+    fields: { project: { key: 'PROD' }, issuetype: { name: 'Task' }, summary: 'x' },
+    validateAdf: true,
+  });
+  assert.equal(rejected(byKey, 'project_not_allowed').extra.details.project, 'PROD');
+  assert.deepEqual(fakeJira.calls, []);
+
+  const byId = await callTool(server, 'jira_create_issue', {
+    fields: { project: { id: '10200' }, summary: 'x' },
+    validateAdf: true,
+  });
+  rejected(byId, 'project_not_allowed');
+  assert.ok(!fakeJira.calls.some((c) => c.method === 'POST'));
+
+  const missing = await callTool(server, 'jira_create_issue', { fields: { summary: 'x' }, validateAdf: true });
+  rejected(missing, 'project_unknown');
+
+  const bulk = await callTool(server, 'jira_bulk_create_issues', {
+    issueUpdates: [
+      { fields: { project: { key: 'SAND' }, summary: 'a' } },
+      { fields: { project: 'PROD', summary: 'b' } },
+    ],
+    validateAdf: true,
+  });
+  const parsed = rejected(bulk, 'project_not_allowed');
+  assert.equal(parsed.error, 'Write policy rejected issueUpdates[1]');
+  assert.ok(!fakeJira.calls.some((c) => c.method === 'POST'));
+});
+
+test('protected issue types are rejected on create and on existing issues', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.postJson = async (path, body, query) => {
+    fakeJira.calls.push({ method: 'POST', path, body, query });
+    if (path === '/rest/api/3/search/jql') {
+      const fields = { project: { key: 'SAND' }, issuetype: { id: '1', name: 'Epic' } };
+      return { issues: [{ id: '10001', key: 'SAND-1', fields }] };
+    }
+    return {};
+  };
+  const server = buildTestServer(fakeJira, { writes: { allowedProjects: ['SAND'], protectedIssueTypes: ['epic'] } });
+
+  const create = await callTool(server, 'jira_create_issue', {
+    fields: { project: { key: 'SAND' }, issuetype: { name: 'Epic' }, summary: 'x' },
+    validateAdf: true,
+  });
+  assert.equal(rejected(create, 'protected_issue_type').extra.details.issueType, 'Epic');
+
+  const comment = await callTool(server, 'jira_add_comment', { issueKey: 'SAND-1', body: 'hi', validateAdf: true });
+  const parsed = rejected(comment, 'protected_issue_type');
+  assert.equal(parsed.extra.details.issueKey, 'SAND-1');
+  assert.deepEqual(
+    fakeJira.calls.map((c) => [c.method, c.path, c.body?.jql]),
+    [['POST', '/rest/api/3/search/jql', 'issue in (SAND-1)']],
+    'only the read-only lookup is sent'
+  );
+});
+
+test('malformed keys never reach the lookup JQL and unfound keys are unknown', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.postJson = async (path, body, query) => {
+    fakeJira.calls.push({ method: 'POST', path, body, query });
+    return { issues: [] };
+  };
+  const server = buildTestServer(fakeJira, { writes: { allowedProjects: ['WOR'], protectedIssueTypes: ['Epic'] } });
+
+  const crafted = 'WOR-1) AND issuetype != Epic AND (issue = WOR-1';
+  const injected = await callTool(server, 'jira_add_comment', { issueKey: crafted, body: 'hi', validateAdf: true });
+  assert.equal(rejected(injected, 'invalid_issue_key').extra.details.issueKey, crafted);
+  assert.deepEqual(fakeJira.calls, []);
+
+  const unfound = await callTool(server, 'jira_add_comment', { issueKey: 'WOR-1', body: 'hi', validateAdf: true });
+  assert.equal(rejected(unfound, 'project_unknown').extra.details.issueKey, 'WOR-1');
+  assert.deepEqual(
+    fakeJira.calls.map((c) => c.path),
+    ['/rest/api/3/search/jql'],
+    'only the lookup is sent'
+  );
+});
+
+test('display-name field keys are checked after resolving them to field ids', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/field', [
+    { id: 'project', name: 'Project' },
+    { id: 'issuetype', name: 'Issue Type' },
+    { id: 'summary', name: 'Summary' },
+  ]);
+  fakeJira.setResponse('/rest/api/3/issue/SAND-1/editmeta', { fields: {} });
+  const server = buildTestServer(fakeJira, { writes: { allowedProjects: ['SAND'], protectedIssueTypes: ['epic'] } });
+
+  const create = await callTool(server, 'jira_create_issue', {
+    fields: { Project: { key: 'PROD' }, 'Issue Type': { name: 'Task' }, Summary: 'x' },
+    validateAdf: true,
+  });
+  assert.equal(rejected(create, 'project_not_allowed').extra.details.project, 'PROD');
+
+  const bulk = await callTool(server, 'jira_bulk_create_issues', {
+    issueUpdates: [{ fields: { Project: { key: 'SAND' }, 'Issue Type': { name: 'Epic' }, Summary: 'a' } }],
+    validateAdf: true,
+  });
+  assert.equal(rejected(bulk, 'protected_issue_type').extra.details.issueType, 'Epic');
+
+  fakeJira.postJson = async (path, body, query) => {
+    fakeJira.calls.push({ method: 'POST', path, body, query });
+    return { issues: [{ id: '10001', key: 'SAND-1', fields: { project: { key: 'SAND' }, issuetype: { name: 'Task' } } }] };
+  };
+  const update = await callTool(server, 'jira_update_issue_fields', {
+    issueKey: 'SAND-1',
+    fields: { 'Issue Type': { name: 'Epic' } },
+    validateAdf: true,
+  });
+  rejected(update, 'protected_issue_type');
+  assert.ok(!fakeJira.calls.some((c) => c.method !== 'GET' && c.path !== '/rest/api/3/search/jql'));
+});
+
+test('clone checks the target project and issue type before creating', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/issue/SAND-1', {
+    key: 'SAND-1',
+    fields: { summary: 'x', project: { key: 'SAND' }, issuetype: { id: '1', name: 'Task' } },
+  });
+  fakeJira.setResponse('/rest/api/3/issue/createmeta/PROD/issuetypes', { issueTypes: [{ id: '1', name: 'Task' }] });
+  fakeJira.setResponse('/rest/api/3/issue/createmeta/PROD/issuetypes/1', {
+    fields: [{ fieldId: 'summary', name: 'Summary', required: true }],
+  });
+  fakeJira.setResponse('/rest/api/3/issuetype/1', { id: '1', name: 'Task' });
+  const server = buildTestServer(fakeJira, sandbox);
+
+  const result = await callTool(server, 'jira_clone_issue', { issueKey: 'SAND-1', targetProject: 'PROD' });
+
+  assert.equal(rejected(result, 'project_not_allowed').extra.details.project, 'PROD');
+  assert.ok(!fakeJira.calls.some((c) => c.method === 'POST'));
+});
+
+test('link and attachment deletes check the issues they belong to', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/api/3/issueLink/500', {
+    id: '500',
+    inwardIssue: { key: 'SAND-1' },
+    outwardIssue: { key: 'PROD-2' },
+  });
+  fakeJira.setResponse('/rest/api/3/issue/SAND-1', { key: 'SAND-1', fields: { attachment: [{ id: '10100' }] } });
+  const server = buildTestServer(fakeJira, sandbox);
+
+  const link = await callTool(server, 'jira_delete_issue_link', { linkId: '500' });
+  assert.equal(rejected(link, 'project_not_allowed').extra.details.issueKey, 'PROD-2');
+
+  const deleteAttachment = (args) => callTool(server, 'jira_delete_attachment', args);
+  rejected(await deleteAttachment({ attachmentId: '10100' }), 'project_unknown');
+  rejected(await deleteAttachment({ attachmentId: '10101', issueKey: 'SAND-1' }), 'project_unknown');
+  rejected(await deleteAttachment({ attachmentId: '10100', issueKey: 'PROD-1' }), 'project_not_allowed');
+  assert.ok(!fakeJira.calls.some((c) => c.method === 'DELETE'));
+
+  const ok = await deleteAttachment({ attachmentId: '10100', issueKey: 'SAND-1' });
+  expectIsError(ok, false);
+  assert.equal(fakeJira.calls.at(-1).path, '/rest/api/3/attachment/10100');
+});
+
+test('closing a sprint checks the open issues it would move', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.setResponse('/rest/agile/1.0/sprint/7/issue', { issues: [{ key: 'SAND-1' }, { key: 'PROD-2' }], total: 2 });
+  const server = buildTestServer(fakeJira, sandbox);
+
+  const result = await callTool(server, 'jira_close_sprint', { sprintId: 7, moveOpenIssuesTo: 'backlog' });
+
+  assert.equal(rejected(result, 'project_not_allowed').extra.details.issueKey, 'PROD-2');
+  assert.ok(!fakeJira.calls.some((c) => c.method === 'POST'), 'nothing is moved and the sprint stays open');
+});
+
+test('numeric issue ids are looked up to find their project', async () => {
+  const fakeJira = new FakeJiraClient();
+  fakeJira.postJson = async (path, body, query) => {
+    fakeJira.calls.push({ method: 'POST', path, body, query });
+    if (path === '/rest/api/3/search/jql') {
+      const issues = [{ id: '20001', key: 'PROD-9', fields: { project: { key: 'PROD' } } }];
+      return { issues: issues.filter((i) => body.jql.includes(i.id)) };
+    }
+    return {};
+  };
+  const server = buildTestServer(fakeJira, sandbox);
+  const args = {
+    selectedActions: ['labels'],
+    editedFieldsInput: {},
+    sendBulkNotification: false,
+    validateAdf: true,
+  };
+
+  const prod = await callTool(server, 'jira_bulk_edit_issues', { ...args, selectedIssueIdsOrKeys: ['20001'] });
+  assert.equal(rejected(prod, 'project_not_allowed').extra.details.issueKey, 'PROD-9');
+
+  const unknown = await callTool(server, 'jira_bulk_edit_issues', { ...args, selectedIssueIdsOrKeys: ['30003'] });
+  assert.equal(rejected(unknown, 'project_unknown').extra.details.issueKey, '30003');
+  assert.ok(!fakeJira.calls.some((c) => c.path === '/rest/api/3/bulk/issues/fields'));
+});
+
+test('without a write policy no lookups are made', async () => {
+  const fakeJira = new FakeJiraClient();
+  const server = buildTestServer(fakeJira);
+
+  const result = await callTool(server, 'jira_add_comment', { issueKey: 'PROD-1', body: 'hi', validateAdf: true });
+
+  expectIsError(result, false);
+  assert.equal(fakeJira.calls.length, 1);
+});
+
+test('writePolicyFromEnv reads JIRA_ALLOWED_PROJECTS and comma-separated JIRA_PROTECTED_ISSUE_TYPES', () => {
+  const saved = { ...process.env };
+  try {
+    process.env.JIRA_ALLOWED_PROJECTS = 'SAND PLAY,TEST';
+    process.env.JIRA_PROTECTED_ISSUE_TYPES = 'Epic, Service Request';
+    assert.deepEqual(writePolicyFromEnv(), {
+      allowedProjects: ['SAND', 'PLAY', 'TEST'],
+      protectedIssueTypes: ['Epic', 'Service Request'],
+    });
+  } finally {
+    for (const name of ['JIRA_ALLOWED_PROJECTS', 'JIRA_PROTECTED_ISSUE_TYPES']) {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    }
+  }
+});
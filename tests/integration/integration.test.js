@@ -94,7 +94,7 @@ test('Integration: Get issue metadata (GET /rest/api/3/issue/{key}/editmeta)', a
   // Try to get editmeta for a known project (WOR) - this tests project access
   // Use JQL search endpoint (v3) to find any issue we can access
   try {
-    const searchResult = await client.postJson('/rest/api/3/search', {
+    const searchResult = await client.postJson('/rest/api/3/search/jql', {
       jql: 'project = WOR ORDER BY created DESC',
       maxResults: 1,
       fields: ['key'],
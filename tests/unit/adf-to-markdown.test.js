@@ -0,0 +1,107 @@
+/**
+ * Unit tests for ADF -> Markdown / plain text rendering
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { adfToMarkdown, adfToText, markdownToAdf, renderAdfInValue } from '../../dist/jira/adf.js';
+
+const doc = (...content) => ({ type: 'doc', version: 1, content });
+const p = (...content) => ({ type: 'paragraph', content });
+const text = (value, ...marks) => (marks.length ? { type: 'text', text: value, marks } : { type: 'text', text: value });
+
+test('adfToMarkdown renders headings, marks and links', () => {
+  const md = adfToMarkdown(
+    doc(
+      { type: 'heading', attrs: { level: 2 }, content: [text('Summary')] },
+      p(
+        text('bold', { type: 'strong' }),
+        text(' and '),
+        text('code', { type: 'code' }),
+        text(' and '),
+        text('site', { type: 'link', attrs: { href: 'https://example.com' } })
+      )
+    )
+  );
+  assert.equal(md, '## Summary\n\n**bold** and `code` and [site](https://example.com)');
+});
+
+test('adfToMarkdown escapes Markdown syntax in plain text but not intraword underscores', () => {
+  const md = adfToMarkdown(doc(p(text('a *star* and snake_case [x]'))));
+  assert.equal(md, 'a \\*star\\* and snake_case \\[x\\]');
+});
+
+test('adfToMarkdown renders nested lists, task lists and code blocks', () => {
+  const md = adfToMarkdown(
+    markdownToAdf('- one\n- two\n  1. nested\n\n```js\nlet a = 1;\n```\n\n- [ ] todo\n- [x] done')
+  );
+  assert.equal(md, '- one\n- two\n  1. nested\n\n```js\nlet a = 1;\n```\n\n- [ ] todo\n- [x] done');
+});
+
+test('adfToMarkdown renders tables as GFM tables', () => {
+  const md = adfToMarkdown(markdownToAdf('| A | B |\n| - | - |\n| 1 | x\\|y |'));
+  assert.equal(md, '| A | B |\n| --- | --- |\n| 1 | x\\|y |');
+});
+
+test('adfToMarkdown handles mentions, status, emoji, dates, panels and media', () => {
+  const md = adfToMarkdown(
+    doc(
+      p(
+        { type: 'mention', attrs: { id: 'abc', text: '@Jane Doe' } },
+        text(' set '),
+        { type: 'status', attrs: { text: 'IN PROGRESS', color: 'blue' } },
+        text(' '),
+        { type: 'emoji', attrs: { shortName: ':smile:', text: '😄' } },
+        text(' on '),
+        { type: 'date', attrs: { timestamp: '1700000000000' } }
+      ),
+      { type: 'panel', attrs: { panelType: 'warning' }, content: [p(text('Careful'))] },
+      { type: 'mediaSingle', content: [{ type: 'media', attrs: { type: 'file', id: 'f1', alt: 'shot.png' } }] }
+    )
+  );
+  assert.equal(
+    md,
+    '@Jane Doe set [IN PROGRESS] 😄 on 2023-11-14\n\n> **Warning:**\n> Careful\n\n[attachment: shot.png]'
+  );
+});
+
+test('adfToMarkdown falls back to children for unknown node types', () => {
+  const md = adfToMarkdown(doc({ type: 'someFutureNode', content: [p(text('still here'))] }));
+  assert.equal(md, 'still here');
+});
+
+test('adfToText strips Markdown syntax', () => {
+  const value = adfToText(markdownToAdf('# Title\n\n**bold** [link](https://x.y)\n\n```\ncode\n```'));
+  assert.equal(value, 'Title\n\nbold link\n\ncode');
+});
+
+test('Markdown -> ADF -> Markdown round trip is stable', () => {
+  const md = '# Title\n\nSome *em* and **strong** text.\n\n> quoted\n\n1. first\n2. second\n\n---';
+  assert.equal(adfToMarkdown(markdownToAdf(md)), md);
+});
+
+test('renderAdfInValue replaces nested ADF docs and leaves other values untouched', () => {
+  const issue = {
+    key: 'TEST-1',
+    fields: {
+      summary: 'Plain',
+      description: doc(p(text('Desc'))),
+      customfield_10001: doc(p(text('Custom', { type: 'em' }))),
+      comment: { comments: [{ id: '1', body: doc(p(text('Hi'))) }] },
+      labels: ['a'],
+    },
+  };
+  const rendered = renderAdfInValue(issue, 'markdown');
+  assert.deepEqual(rendered, {
+    key: 'TEST-1',
+    fields: {
+      summary: 'Plain',
+      description: 'Desc',
+      customfield_10001: '*Custom*',
+      comment: { comments: [{ id: '1', body: 'Hi' }] },
+      labels: ['a'],
+    },
+  });
+  assert.equal(issue.fields.description.type, 'doc', 'input should not be mutated');
+});
@@ -1,7 +1,7 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
 
-import { assertValidAdfDoc, looksLikeAdfDoc } from '../../dist/jira/adf.js';
+import { AdfValidationError, assertValidAdfDoc, looksLikeAdfDoc, validateAdfDoc } from '../../dist/jira/adf.js';
 
 test('looksLikeAdfDoc detects ADF-ish objects', () => {
   assert.equal(looksLikeAdfDoc({ type: 'doc', version: 1, content: [] }), true);
@@ -45,3 +45,119 @@ test('looksLikeAdfDoc does not treat arrays as ADF docs', () => {
 });
 
 
+
+test('validateAdfDoc returns no issues for a well-formed nested doc', () => {
+  const doc = {
+    type: 'doc',
+    version: 1,
+    content: [
+      { type: 'heading', attrs: { level: 2 }, content: [{ type: 'text', text: 'Title' }] },
+      {
+        type: 'bulletList',
+        content: [
+          {
+            type: 'listItem',
+            content: [
+              {
+                type: 'paragraph',
+                content: [
+                  { type: 'text', text: 'see ', marks: [{ type: 'strong' }] },
+                  { type: 'text', text: 'docs', marks: [{ type: 'link', attrs: { href: 'https://x.y' } }, { type: 'code' }] },
+                  { type: 'mention', attrs: { id: 'abc' } },
+                ],
+              },
+            ],
+          },
+        ],
+      },
+      { type: 'panel', attrs: { panelType: 'info' }, content: [{ type: 'paragraph' }] },
+      { type: 'codeBlock', attrs: { language: 'js' }, content: [{ type: 'text', text: 'x' }] },
+    ],
+  };
+  assert.deepEqual(validateAdfDoc(doc), []);
+});
+
+test('validateAdfDoc reports every problem with a JSON path', () => {
+  const issues = validateAdfDoc({
+    type: 'doc',
+    version: 1,
+    content: [
+      { type: 'paragraph', content: [{ type: 'text', text: 'ok' }] },
+      { type: 'bogus' },
+      {
+        type: 'paragraph',
+        content: [{ type: 'text', text: 'x', marks: [{ type: 'strong' }, { type: 'link', attrs: {} }] }],
+      },
+      { type: 'bulletList', content: [{ type: 'paragraph', content: [] }] },
+      { type: 'paragraph', content: [{ type: 'mention', attrs: {} }, { type: 'text', text: '' }] },
+    ],
+  });
+  assert.deepEqual(
+    issues.map((i) => i.path),
+    [
+      'content[1].type',
+      'content[2].content[0].marks[1].attrs.href',
+      'content[3].content[0]',
+      'content[4].content[0].attrs.id',
+      'content[4].content[1].text',
+    ]
+  );
+  assert.match(issues[0].message, /unknown node type "bogus"/);
+  assert.match(issues[2].message, /"paragraph" is not allowed inside bulletList/);
+});
+
+test('validateAdfDoc checks mark placement and combinations', () => {
+  const issues = validateAdfDoc({
+    type: 'doc',
+    version: 1,
+    content: [
+      { type: 'paragraph', marks: [{ type: 'strong' }], content: [] },
+      { type: 'paragraph', content: [{ type: 'text', text: 'x', marks: [{ type: 'code' }, { type: 'em' }, { type: 'em' }] }] },
+      { type: 'codeBlock', content: [{ type: 'text', text: 'y', marks: [{ type: 'strong' }] }] },
+    ],
+  });
+  const byPath = Object.fromEntries(issues.map((i) => [i.path, i.message]));
+  assert.match(byPath['content[0].marks[0]'], /not allowed on paragraph/);
+  assert.match(byPath['content[1].content[0].marks[2]'], /duplicate mark "em"/);
+  assert.match(byPath['content[1].content[0].marks'], /cannot be combined with em/);
+  assert.match(byPath['content[2].content[0].marks'], /codeBlock cannot have marks/);
+});
+
+test('validateAdfDoc rejects links with an empty href', () => {
+  const issues = validateAdfDoc({
+    type: 'doc',
+    version: 1,
+    content: [{ type: 'paragraph', content: [{ type: 'text', text: 'x', marks: [{ type: 'link', attrs: { href: ' ' } }] }] }],
+  });
+  assert.deepEqual(issues, [{ path: 'content[0].content[0].marks[0].attrs.href', message: 'must not be empty' }]);
+});
+
+test('validateAdfDoc requires version 1 and list/table children', () => {
+  const issues = validateAdfDoc({
+    type: 'doc',
+    version: 2,
+    content: [{ type: 'orderedList', content: [] }, { type: 'table', content: [{ type: 'tableRow', content: [{ type: 'tableCell', content: [] }] }] }],
+  });
+  assert.deepEqual(
+    issues.map((i) => i.path),
+    ['version', 'content[0].content', 'content[1].content[0].content[0].content']
+  );
+});
+
+test('assertValidAdfDoc throws AdfValidationError listing nested issues', () => {
+  assert.throws(
+    () =>
+      assertValidAdfDoc(
+        { type: 'doc', version: 1, content: [{ type: 'paragraph', content: [{ type: 'emoji', attrs: {} }] }] },
+        'description'
+      ),
+    (err) => {
+      assert.ok(err instanceof AdfValidationError);
+      assert.match(err.message, /Field "description" ADF doc is invalid \(1 problem\(s\)\): content\[0\]\.content\[0\]\.attrs\.shortName/);
+      assert.deepEqual(err.issues, [
+        { field: 'description', path: 'content[0].content[0].attrs.shortName', message: 'required attribute is missing' },
+      ]);
+      return true;
+    }
+  );
+});
@@ -0,0 +1,115 @@
+/**
+ * Unit tests for MetadataCache
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MetadataCache, metadataCacheConfigFromEnv } from '../../dist/jira/cache.js';
+
+function countingJira() {
+  const jira = { calls: [] };
+  jira.getJson = async (path, query) => {
+    jira.calls.push({ path, query });
+    if (path === '/fail') throw new Error('boom');
+    return { path, query };
+  };
+  return jira;
+}
+
+test('repeated lookups are served from the cache and keyed by path and query', async () => {
+  const jira = countingJira();
+  const cache = new MetadataCache(jira);
+
+  const first = await cache.getJson('users', '/rest/api/3/user/search', { query: 'ann', maxResults: 10 });
+  const second = await cache.getJson('users', '/rest/api/3/user/search', { maxResults: 10, query: 'ann' });
+  await cache.getJson('users', '/rest/api/3/user/search', { query: 'bob', maxResults: 10 });
+
+  assert.equal(second, first);
+  assert.equal(jira.calls.length, 2);
+  const stats = cache.stats();
+  assert.deepEqual(stats.resources.users, { entries: 2, hits: 1, misses: 2, ttlMs: 5 * 60_000 });
+  assert.equal(stats.entries, 2);
+});
+
+test('concurrent lookups share one request', async () => {
+  const jira = countingJira();
+  const cache = new MetadataCache(jira);
+  await Promise.all([cache.getJson('fields', '/rest/api/3/field'), cache.getJson('fields', '/rest/api/3/field')]);
+  assert.equal(jira.calls.length, 1);
+});
+
+test('entries expire after the resource TTL and a TTL of 0 disables caching', async () => {
+  const jira = countingJira();
+  const cache = new MetadataCache(jira, { ttlMs: { projects: 20, fields: 0 } });
+
+  await cache.getJson('projects', '/rest/api/3/project/search');
+  await cache.getJson('projects', '/rest/api/3/project/search');
+  assert.equal(jira.calls.length, 1);
+  await new Promise((r) => setTimeout(r, 30));
+  await cache.getJson('projects', '/rest/api/3/project/search');
+  assert.equal(jira.calls.length, 2);
+
+  await cache.getJson('fields', '/rest/api/3/field');
+  await cache.getJson('fields', '/rest/api/3/field');
+  assert.equal(jira.calls.length, 4);
+  assert.equal(cache.stats().resources.fields.entries, 0);
+});
+
+test('least recently used entries are evicted beyond maxEntries', async () => {
+  const jira = countingJira();
+  const cache = new MetadataCache(jira, { maxEntries: 2 });
+
+  await cache.getJson('users', '/a');
+  await cache.getJson('users', '/b');
+  await cache.getJson('users', '/a'); // /a is now most recently used
+  await cache.getJson('users', '/c'); // evicts /b
+
+  jira.calls.length = 0;
+  await cache.getJson('users', '/a');
+  await cache.getJson('users', '/b');
+  assert.deepEqual(
+    jira.calls.map((c) => c.path),
+    ['/b']
+  );
+  assert.equal(cache.stats().evictions, 2);
+});
+
+test('failures are not cached', async () => {
+  const jira = countingJira();
+  const cache = new MetadataCache(jira);
+  await assert.rejects(() => cache.getJson('projects', '/fail'), /boom/);
+  await assert.rejects(() => cache.getJson('projects', '/fail'), /boom/);
+  assert.equal(jira.calls.length, 2);
+  assert.equal(cache.stats().entries, 0);
+});
+
+test('invalidate can target a resource and a path prefix', async () => {
+  const jira = countingJira();
+  const cache = new MetadataCache(jira);
+  await cache.getJson('issueTypes', '/rest/api/3/issue/createmeta/A/issuetypes');
+  await cache.getJson('issueTypes', '/rest/api/3/issue/createmeta/B/issuetypes');
+  await cache.getJson('fields', '/rest/api/3/field');
+
+  assert.equal(cache.invalidate('issueTypes', '/rest/api/3/issue/createmeta/A/'), 1);
+  assert.equal(cache.stats().resources.issueTypes.entries, 1);
+  assert.equal(cache.invalidate(), 2);
+  assert.equal(cache.stats().entries, 0);
+});
+
+test('metadataCacheConfigFromEnv reads size and per-resource TTLs', () => {
+  process.env.JIRA_CACHE_MAX_ENTRIES = '10';
+  process.env.JIRA_CACHE_TTL_USERS_MS = '0';
+  try {
+    const config = metadataCacheConfigFromEnv();
+    assert.equal(config.maxEntries, 10);
+    assert.equal(config.ttlMs.users, 0);
+    assert.equal(config.ttlMs.fields, 10 * 60_000);
+
+    process.env.JIRA_CACHE_TTL_USERS_MS = 'soon';
+    assert.throws(() => metadataCacheConfigFromEnv(), /Invalid env var JIRA_CACHE_TTL_USERS_MS/);
+  } finally {
+    delete process.env.JIRA_CACHE_MAX_ENTRIES;
+    delete process.env.JIRA_CACHE_TTL_USERS_MS;
+  }
+});
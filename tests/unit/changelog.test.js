@@ -0,0 +1,75 @@
+/**
+ * Unit tests for changelog normalization and text diffs
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { changelogText, diffText, toTimeline } from '../../dist/jira/changelog.js';
+
+test('diffText marks removed and added lines and collapses distant context', () => {
+  const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g'].join('\n');
+  const after = ['a', 'b', 'c', 'd', 'e', 'F', 'g'].join('\n');
+  assert.equal(diffText(before, after, 1), ['…', '  e', '- f', '+ F', '  g'].join('\n'));
+});
+
+test('diffText handles empty sides without phantom blank lines', () => {
+  assert.equal(diffText('', 'new text'), '+ new text');
+  assert.equal(diffText('old', ''), '- old');
+});
+
+test('changelogText renders serialized ADF and leaves other strings alone', () => {
+  const adf = JSON.stringify({
+    type: 'doc',
+    version: 1,
+    content: [{ type: 'paragraph', content: [{ type: 'text', text: 'Hello' }] }],
+  });
+  assert.equal(changelogText(adf).trim(), 'Hello');
+  assert.equal(changelogText('{not json "type"'), '{not json "type"');
+  assert.equal(changelogText(null), '');
+});
+
+test('toTimeline filters by field and date and diffs rich text', () => {
+  const histories = [
+    {
+      id: '1',
+      created: '2026-01-01T10:00:00.000+0000',
+      author: { displayName: 'Ada', accountId: 'acc-1' },
+      items: [{ field: 'status', fieldId: 'status', fromString: 'To Do', toString: 'Done' }],
+    },
+    {
+      id: '2',
+      created: '2026-01-02T10:00:00.000+0000',
+      author: { displayName: 'Bob' },
+      items: [
+        { field: 'description', fieldId: 'description', fromString: 'one\ntwo', toString: 'one\nthree' },
+        { field: 'Story Points', fieldId: 'customfield_10016', fromString: null, toString: '3' },
+      ],
+    },
+  ];
+
+  const all = toTimeline(histories);
+  assert.equal(all.length, 3);
+  assert.deepEqual(all[0], {
+    id: '1',
+    timestamp: '2026-01-01T10:00:00.000+0000',
+    author: 'Ada',
+    authorAccountId: 'acc-1',
+    field: 'status',
+    fieldId: 'status',
+    from: 'To Do',
+    to: 'Done',
+  });
+  assert.equal(all[1].diff, '  one\n- two\n+ three');
+  assert.equal(all[1].from, undefined);
+  assert.equal(all[2].from, null);
+
+  assert.deepEqual(
+    toTimeline(histories, { fields: ['story points'] }).map((e) => e.fieldId),
+    ['customfield_10016']
+  );
+  assert.deepEqual(
+    toTimeline(histories, { sinceMs: Date.parse('2026-01-02T00:00:00Z') }).map((e) => e.id),
+    ['2', '2']
+  );
+});
@@ -0,0 +1,127 @@
+/**
+ * Unit tests for editmeta-based value coercion
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MetadataCache } from '../../dist/jira/cache.js';
+import { CoercionError, coerceFields, needsCoercion, resolveUserAccountId } from '../../dist/jira/coerce.js';
+
+const EDIT_META = {
+  fields: {
+    customfield_1: {
+      name: 'Team',
+      schema: { type: 'option' },
+      allowedValues: [
+        { id: '900', value: 'Blue' },
+        { id: '901', value: 'Red' },
+      ],
+    },
+    customfield_2: {
+      name: 'Region',
+      schema: { type: 'option-with-child' },
+      allowedValues: [{ id: '10', value: 'EU', children: [{ id: '11', value: 'Berlin' }] }],
+    },
+    fixVersions: {
+      name: 'Fix versions',
+      schema: { type: 'array', items: 'version' },
+      allowedValues: [{ id: '7', name: '1.2.0' }],
+    },
+    customfield_3: { name: 'Story Points', schema: { type: 'number' } },
+    duedate: { name: 'Due date', schema: { type: 'date' } },
+    assignee: { name: 'Assignee', schema: { type: 'user' } },
+    customfield_4: { name: 'Reviewers', schema: { type: 'array', items: 'user' } },
+    customfield_5: { name: 'Notes', schema: { type: 'string' } },
+  },
+};
+
+function usersCache(users) {
+  const calls = [];
+  const jira = {
+    async getJson(path, query) {
+      calls.push({ path, query });
+      return users;
+    },
+  };
+  return { cache: new MetadataCache(jira), calls };
+}
+
+test('needsCoercion ignores plain text fields and non-string values', () => {
+  assert.equal(needsCoercion({ summary: 'x', labels: ['a'], customfield_3: 5 }), false);
+  assert.equal(needsCoercion({ customfield_1: 'Blue' }), true);
+  assert.equal(needsCoercion({ fixVersions: ['1.2.0'] }), true);
+});
+
+test('coerceFields maps option, cascading and version names to ids and reports them', async () => {
+  const { cache } = usersCache([]);
+  const { fields, coercions } = await coerceFields(cache, EDIT_META, {
+    customfield_1: 'blue',
+    customfield_2: 'EU > Berlin',
+    fixVersions: '1.2.0',
+    customfield_5: 'free text',
+  });
+
+  assert.deepEqual(fields, {
+    customfield_1: { id: '900' },
+    customfield_2: { id: '10', child: { id: '11' } },
+    fixVersions: [{ id: '7' }],
+    customfield_5: 'free text',
+  });
+  assert.deepEqual(
+    coercions.map((c) => c.field),
+    ['customfield_1', 'customfield_2', 'fixVersions']
+  );
+  assert.deepEqual(coercions[0], { field: 'customfield_1', name: 'Team', from: 'blue', to: { id: '900' } });
+});
+
+test('coerceFields converts numbers and dates', async () => {
+  const { cache } = usersCache([]);
+  const { fields } = await coerceFields(cache, EDIT_META, { customfield_3: ' 8 ', duedate: '2026-03-01' });
+  assert.deepEqual(fields, { customfield_3: 8, duedate: '2026-03-01' });
+
+  await assert.rejects(() => coerceFields(cache, EDIT_META, { customfield_3: 'lots' }), CoercionError);
+});
+
+test('resolveUserAccountId only picks exact email or display name matches', async () => {
+  const { cache } = usersCache([{ accountId: 'acc-ada', displayName: 'Ada Lovelace', emailAddress: 'ada@example.com' }]);
+  assert.equal(await resolveUserAccountId(cache, 'assignee', 'ada lovelace'), 'acc-ada');
+  await assert.rejects(
+    () => resolveUserAccountId(cache, 'assignee', 'ada'),
+    (err) => {
+      assert.ok(err instanceof CoercionError);
+      assert.match(err.message, /not the exact email or display name/);
+      assert.deepEqual(err.candidates, ['Ada Lovelace (ada@example.com)']);
+      return true;
+    }
+  );
+});
+
+test('coerceFields resolves users by email or accepts account ids as is', async () => {
+  const { cache, calls } = usersCache([
+    { accountId: 'acc-ada', displayName: 'Ada', emailAddress: 'ada@example.com' },
+    { accountId: 'acc-bob', displayName: 'Bob' },
+  ]);
+  const accountId = '5b10ac8d82e05b22cc7d4ef5';
+  const { fields } = await coerceFields(cache, EDIT_META, {
+    assignee: 'ADA@example.com',
+    customfield_4: ['Bob', accountId],
+  });
+
+  assert.deepEqual(fields.assignee, { accountId: 'acc-ada' });
+  assert.deepEqual(fields.customfield_4, [{ accountId: 'acc-bob' }, { accountId }]);
+  assert.ok(calls.every((c) => c.path === '/rest/api/3/user/search'));
+});
+
+test('coerceFields lists allowed values when an option does not exist', async () => {
+  const { cache } = usersCache([]);
+  await assert.rejects(
+    () => coerceFields(cache, EDIT_META, { customfield_1: 'Green' }),
+    (err) => {
+      assert.ok(err instanceof CoercionError);
+      assert.equal(err.field, 'Team');
+      assert.deepEqual(err.candidates, ['Blue', 'Red']);
+      return true;
+    }
+  );
+});
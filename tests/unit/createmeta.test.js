@@ -0,0 +1,36 @@
+/**
+ * Unit tests for create-metadata validation
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findIssueType, validateCreateFields } from '../../dist/jira/createmeta.js';
+
+const CASCADE = {
+  fieldId: 'customfield_1',
+  name: 'Region',
+  required: false,
+  allowedValues: [{ id: '10', value: 'EU', children: [{ id: '11', value: 'Berlin' }] }],
+};
+
+test('findIssueType matches ids and case-insensitive names', () => {
+  const types = [{ id: '1', name: 'Bug' }];
+  assert.equal(findIssueType(types, '1'), types[0]);
+  assert.equal(findIssueType(types, ' bug '), types[0]);
+  assert.equal(findIssueType(types, 'Story'), undefined);
+});
+
+test('validateCreateFields checks cascading children against the parent option', () => {
+  assert.deepEqual(validateCreateFields([CASCADE], { customfield_1: { value: 'EU', child: { value: 'Berlin' } } }), []);
+
+  const [problem] = validateCreateFields([CASCADE], { customfield_1: { value: 'EU', child: { value: 'Paris' } } });
+  assert.equal(problem.problem, 'invalid_value');
+  assert.deepEqual(problem.allowedValues, ['Berlin']);
+});
+
+test('validateCreateFields counts values set through update operations', () => {
+  const meta = [{ fieldId: 'labels', name: 'Labels', required: true }];
+  assert.deepEqual(validateCreateFields(meta, {}, { labels: [{ add: 'x' }] }), []);
+  assert.equal(validateCreateFields(meta, { labels: [] })[0].problem, 'missing_required');
+});
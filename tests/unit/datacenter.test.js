@@ -0,0 +1,207 @@
+/**
+ * Unit tests for the Jira Data Center (REST API v2) request translation in JiraClient
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { JiraClient } from '../../dist/jira/client.js';
+import { parseDeployment } from '../../dist/jira/datacenter.js';
+
+const originalFetch = globalThis.fetch;
+
+test.afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+function dcClient() {
+  return new JiraClient({
+    baseUrl: 'https://jira.example.com/jira',
+    auth: { type: 'bearer', token: 'pat' },
+    deployment: 'datacenter',
+  });
+}
+
+/** Stubs fetch with `respond(url, init)`; returns the recorded requests. */
+function stubFetch(respond) {
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    const u = new URL(url);
+    calls.push({ path: u.pathname, query: Object.fromEntries(u.searchParams), method: init.method, init });
+    const body = init.body ? JSON.parse(init.body) : undefined;
+    const headers = { 'content-type': 'application/json' };
+    return new Response(JSON.stringify(respond(u, body)), { status: 200, headers });
+  };
+  return calls;
+}
+
+const user = (name) => ({
+  self: `https://jira.example.com/jira/rest/api/2/user?username=${name}`,
+  key: `JIRAUSER-${name}`,
+  name,
+  displayName: name.toUpperCase(),
+});
+
+test('parseDeployment accepts cloud and datacenter (default cloud) and rejects anything else', () => {
+  assert.equal(parseDeployment(undefined, 'x'), 'cloud');
+  assert.equal(parseDeployment(' DataCenter ', 'x'), 'datacenter');
+  assert.equal(parseDeployment('server', 'x'), 'datacenter');
+  assert.throws(() => parseDeployment('onprem', 'env var JIRA_DEPLOYMENT'), /Invalid env var JIRA_DEPLOYMENT "onprem"/);
+});
+
+test('cloud clients send requests unchanged', async () => {
+  const calls = stubFetch(() => ({}));
+  const client = new JiraClient({ baseUrl: 'https://x.atlassian.net', auth: { type: 'bearer', token: 't' } });
+  assert.equal(client.deployment, 'cloud');
+  await client.getJson('/rest/api/3/issue/A-1');
+  assert.equal(calls[0].path, '/rest/api/3/issue/A-1');
+});
+
+test('datacenter clients use REST API v2 and give users an accountId (their username)', async () => {
+  const calls = stubFetch(() => ({ key: 'DC-1', fields: { assignee: user('jdoe'), description: 'h1. Hi' } }));
+  const issue = await dcClient().getJson('/rest/api/3/issue/DC-1', { fields: 'assignee' });
+  assert.equal(calls[0].path, '/jira/rest/api/2/issue/DC-1');
+  assert.equal(calls[0].init.headers.Authorization, 'Bearer pat');
+  assert.equal(issue.fields.assignee.accountId, 'jdoe');
+  assert.equal(issue.fields.description, 'h1. Hi');
+});
+
+test('datacenter request bodies carry wiki markup and username user references', async () => {
+  let sent;
+  stubFetch((_url, body) => {
+    sent = body;
+    return {};
+  });
+  await dcClient().putJson('/rest/api/3/issue/DC-1', {
+    fields: {
+      assignee: { accountId: 'jdoe' },
+      description: {
+        type: 'doc',
+        version: 1,
+        content: [{ type: 'paragraph', content: [{ type: 'text', text: 'Hi', marks: [{ type: 'strong' }] }] }],
+      },
+    },
+  });
+  assert.deepEqual(sent, { fields: { assignee: { name: 'jdoe' }, description: '*Hi*' } });
+});
+
+test('datacenter JQL search maps nextPageToken to startAt and back', async () => {
+  const issues = [{ key: 'DC-1' }, { key: 'DC-2' }];
+  const calls = stubFetch((_url, body) => ({ startAt: body.startAt, total: 3, issues }));
+  const client = dcClient();
+
+  const jql = 'project = DC';
+  const first = await client.postJson('/rest/api/3/search/jql', { jql, maxResults: 2, expand: 'names' });
+  assert.equal(calls[0].path, '/jira/rest/api/2/search');
+  assert.deepEqual(JSON.parse(calls[0].init.body), { jql, startAt: 0, maxResults: 2, expand: ['names'] });
+  assert.equal(first.nextPageToken, '2');
+  assert.equal(first.isLast, false);
+
+  const second = await client.postJson('/rest/api/3/search/jql', { jql: 'project = DC', nextPageToken: '2' });
+  assert.equal(JSON.parse(calls[1].init.body).startAt, 2);
+  assert.equal(second.isLast, true);
+  assert.equal(second.nextPageToken, undefined);
+});
+
+test('datacenter approximate count uses a zero-result search', async () => {
+  const calls = stubFetch(() => ({ startAt: 0, total: 42, issues: [] }));
+  assert.deepEqual(await dcClient().postJson('/rest/api/3/search/approximate-count', { jql: 'project = DC' }), {
+    count: 42,
+  });
+  assert.deepEqual(JSON.parse(calls[0].init.body), { jql: 'project = DC', maxResults: 0 });
+});
+
+test('datacenter user search sends username instead of query', async () => {
+  const calls = stubFetch(() => [user('jdoe')]);
+  const users = await dcClient().getJson('/rest/api/3/user/search', { query: 'jdo', maxResults: 5 });
+  assert.equal(calls[0].path, '/jira/rest/api/2/user/search');
+  assert.deepEqual(calls[0].query, { username: 'jdo', maxResults: '5' });
+  assert.equal(users[0].accountId, 'jdoe');
+});
+
+test('datacenter project search filters and pages the full project list', async () => {
+  const calls = stubFetch(() => [
+    { id: '1', key: 'DC', name: 'Data Center' },
+    { id: '2', key: 'OPS', name: 'Operations' },
+    { id: '3', key: 'DOC', name: 'Docs' },
+  ]);
+  const page = await dcClient().getJson('/rest/api/3/project/search', { query: 'd', maxResults: 1, startAt: 1 });
+  assert.equal(calls[0].path, '/jira/rest/api/2/project');
+  assert.deepEqual(page, {
+    values: [{ id: '3', key: 'DOC', name: 'Docs' }],
+    startAt: 1,
+    maxResults: 1,
+    total: 2,
+    isLast: true,
+  });
+});
+
+test('datacenter changelog comes from the issue changelog expansion', async () => {
+  const calls = stubFetch(() => ({ key: 'DC-1', changelog: { histories: [{ id: '1' }, { id: '2' }] } }));
+  const page = await dcClient().getJson('/rest/api/3/issue/DC-1/changelog', { startAt: 0, maxResults: 100 });
+  assert.equal(calls[0].path, '/jira/rest/api/2/issue/DC-1');
+  assert.equal(calls[0].query.expand, 'changelog');
+  assert.deepEqual(page.values, [{ id: '1' }, { id: '2' }]);
+  assert.equal(page.isLast, true);
+});
+
+test('datacenter changelog pages return the rest of the changelog at once', async () => {
+  const histories = Array.from({ length: 150 }, (_, i) => ({ id: String(i) }));
+  stubFetch(() => ({ key: 'DC-1', changelog: { histories } }));
+  const page = await dcClient().getJson('/rest/api/3/issue/DC-1/changelog', { startAt: 20, maxResults: 100 });
+  assert.equal(page.values.length, 130);
+  assert.equal(page.values[0].id, '20');
+  assert.equal(page.isLast, true);
+});
+
+test('datacenter worklogs are filtered by start time on the client', async () => {
+  const worklogs = [
+    { id: '1', started: '2025-03-02T09:00:00.000+0000' },
+    { id: '2', started: '2025-03-03T09:00:00.000+0000' },
+    { id: '3', started: '2025-03-04T09:00:00.000+0000' },
+  ];
+  const calls = stubFetch(() => ({ startAt: 0, maxResults: 3, total: 3, worklogs }));
+  const page = await dcClient().getJson('/rest/api/3/issue/DC-1/worklog', {
+    startAt: 0,
+    maxResults: 1000,
+    startedAfter: Date.parse('2025-03-03T00:00:00Z'),
+    startedBefore: Date.parse('2025-03-04T09:00:00Z'),
+  });
+  assert.equal(calls[0].query.startedAfter, undefined);
+  assert.equal(calls[0].query.startedBefore, undefined);
+  assert.deepEqual(page.worklogs.map((w) => w.id), ['2']);
+  assert.equal(page.total, 1);
+});
+
+test('datacenter worklog pages are sliced from the filtered list', async () => {
+  const worklogs = [1, 2, 3, 4, 5].map((n) => ({ id: String(n), started: `2025-03-0${n}T09:00:00.000+0000` }));
+  const calls = stubFetch(() => ({ startAt: 0, maxResults: 5, total: 5, worklogs }));
+  const page = await dcClient().getJson('/rest/api/3/issue/DC-1/worklog', {
+    startAt: 1,
+    maxResults: 2,
+    startedAfter: Date.parse('2025-03-02T00:00:00Z'),
+  });
+  assert.equal(calls[0].query.startAt, undefined);
+  assert.equal(calls[0].query.maxResults, undefined);
+  assert.deepEqual(page.worklogs.map((w) => w.id), ['3', '4']);
+  assert.equal(page.startAt, 1);
+  assert.equal(page.maxResults, 2);
+  assert.equal(page.total, 4);
+});
+
+test('datacenter create metadata lists are returned under the Cloud names', async () => {
+  stubFetch((url) => (url.pathname.endsWith('/issuetypes') ? { values: [{ id: '1', name: 'Bug' }] } : { values: [] }));
+  const types = await dcClient().getJson('/rest/api/3/issue/createmeta/DC/issuetypes');
+  assert.deepEqual(types.issueTypes, [{ id: '1', name: 'Bug' }]);
+  const fields = await dcClient().getJson('/rest/api/3/issue/createmeta/DC/issuetypes/1');
+  assert.deepEqual(fields.fields, []);
+});
+
+test('datacenter clients reject Cloud-only APIs without sending a request', async () => {
+  const calls = stubFetch(() => ({}));
+  await assert.rejects(
+    () => dcClient().getJson('/rest/api/3/bulk/issues/fields', { issueIdsOrKeys: 'DC-1' }),
+    /only available on Jira Cloud/
+  );
+  assert.equal(calls.length, 0);
+});
@@ -9,6 +9,7 @@ import test from 'node:test';
 import assert from 'node:assert/strict';
 
 import { jiraClientFromEnv } from '../../dist/jira/client.js';
+import { jiraToolOptionsFromEnv } from '../../dist/mcp/server.js';
 
 // Store original environment variables
 const originalEnv = { ...process.env };
@@ -87,3 +88,114 @@ test('no bearer, missing email/token → throws with expected message', () => {
   );
 });
 
+
+test('JIRA_MAX_RETRIES must be a non-negative integer', () => {
+  restoreEnv();
+  process.env.JIRA_BASE_URL = 'https://test.atlassian.net';
+  process.env.JIRA_BEARER_TOKEN = 'bearer-token-123';
+  process.env.JIRA_MAX_RETRIES = 'lots';
+
+  try {
+    assert.throws(() => jiraClientFromEnv(), {
+      name: 'Error',
+      message: 'Invalid env var JIRA_MAX_RETRIES: expected a non-negative integer, got "lots"',
+    });
+  } finally {
+    delete process.env.JIRA_MAX_RETRIES;
+  }
+});
+
+test('JIRA_DRY_RUN sets the default dryRun tool option', () => {
+  try {
+    delete process.env.JIRA_DRY_RUN;
+    assert.equal(jiraToolOptionsFromEnv().dryRun, false);
+    process.env.JIRA_DRY_RUN = 'yes';
+    assert.equal(jiraToolOptionsFromEnv().dryRun, true);
+    process.env.JIRA_DRY_RUN = 'maybe';
+    assert.throws(() => jiraToolOptionsFromEnv(), {
+      message: 'Invalid env var JIRA_DRY_RUN: expected 1/0, true/false, yes/no or on/off, got "maybe"',
+    });
+  } finally {
+    delete process.env.JIRA_DRY_RUN;
+  }
+});
+
+test('JIRA_ISSUE_VIEW sets the default issue view', () => {
+  try {
+    delete process.env.JIRA_ISSUE_VIEW;
+    assert.equal(jiraToolOptionsFromEnv().issueView, undefined);
+    process.env.JIRA_ISSUE_VIEW = 'compact';
+    assert.equal(jiraToolOptionsFromEnv().issueView, 'compact');
+    process.env.JIRA_ISSUE_VIEW = 'tiny';
+    assert.throws(() => jiraToolOptionsFromEnv(), /Invalid env var JIRA_ISSUE_VIEW "tiny"/);
+  } finally {
+    delete process.env.JIRA_ISSUE_VIEW;
+  }
+});
+
+test('jiraClientFromEnv retries rate-limited requests using env retry settings', async () => {
+  restoreEnv();
+  process.env.JIRA_BASE_URL = 'https://test.atlassian.net';
+  process.env.JIRA_BEARER_TOKEN = 'bearer-token-123';
+  process.env.JIRA_MAX_RETRIES = '1';
+  process.env.JIRA_RETRY_BASE_DELAY_MS = '1';
+
+  const originalFetch = globalThis.fetch;
+  let calls = 0;
+  globalThis.fetch = async () => {
+    calls++;
+    return new Response('rate limited', { status: 429, headers: { 'retry-after': '0' } });
+  };
+
+  try {
+    const client = jiraClientFromEnv();
+    await assert.rejects(() => client.getJson('/rest/api/3/myself'), (err) => err.retries === 1);
+    assert.equal(calls, 2, 'should make one retry');
+  } finally {
+    globalThis.fetch = originalFetch;
+    delete process.env.JIRA_MAX_RETRIES;
+    delete process.env.JIRA_RETRY_BASE_DELAY_MS;
+  }
+});
+
+test('JIRA_DEPLOYMENT=datacenter with JIRA_PAT → bearer auth against REST API v2', async () => {
+  restoreEnv();
+  process.env.JIRA_BASE_URL = 'https://jira.example.com';
+  process.env.JIRA_DEPLOYMENT = 'datacenter';
+  process.env.JIRA_PAT = 'pat-123';
+  delete process.env.JIRA_BEARER_TOKEN;
+
+  const originalFetch = globalThis.fetch;
+  let seen;
+  globalThis.fetch = async (url, opts) => {
+    seen = { url, headers: opts.headers };
+    return new Response(JSON.stringify({}), { status: 200, headers: { 'content-type': 'application/json' } });
+  };
+
+  try {
+    const client = jiraClientFromEnv();
+    assert.equal(client.deployment, 'datacenter');
+    await client.getJson('/rest/api/3/myself');
+    assert.equal(seen.url, 'https://jira.example.com/rest/api/2/myself');
+    assert.equal(seen.headers.Authorization, 'Bearer pat-123');
+  } finally {
+    globalThis.fetch = originalFetch;
+    delete process.env.JIRA_DEPLOYMENT;
+    delete process.env.JIRA_PAT;
+  }
+});
+
+test('JIRA_DEPLOYMENT must be cloud or datacenter', () => {
+  restoreEnv();
+  process.env.JIRA_BASE_URL = 'https://jira.example.com';
+  process.env.JIRA_BEARER_TOKEN = 'bearer-token-123';
+  process.env.JIRA_DEPLOYMENT = 'onprem';
+
+  try {
+    assert.throws(() => jiraClientFromEnv(), {
+      message: 'Invalid env var JIRA_DEPLOYMENT "onprem": expected cloud or datacenter',
+    });
+  } finally {
+    delete process.env.JIRA_DEPLOYMENT;
+  }
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for FieldCatalog (field display name -> id resolution)
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MetadataCache } from '../../dist/jira/cache.js';
+import { FieldCatalog, FieldResolutionError } from '../../dist/jira/fields.js';
+
+const FIELDS = [
+  { id: 'summary', name: 'Summary' },
+  { id: 'customfield_10016', name: 'Story Points', schema: { type: 'number' } },
+  { id: 'customfield_10001', name: 'Team', schema: { custom: 'com.atlassian.teams:rm-teams-custom-field-team' } },
+  { id: 'customfield_10002', name: 'Team', schema: { type: 'string' } },
+  { id: 'customfield_10003', name: 'Story point estimate', schema: { type: 'number' } },
+];
+
+function fakeJira() {
+  const jira = { calls: 0 };
+  jira.getJson = async (path) => {
+    assert.equal(path, '/rest/api/3/field');
+    jira.calls++;
+    return FIELDS;
+  };
+  return jira;
+}
+
+test('resolveKeys keeps ids without fetching the field list', async () => {
+  const jira = fakeJira();
+  const catalog = new FieldCatalog(new MetadataCache(jira));
+  const { values, resolved } = await catalog.resolveKeys({ summary: 'x', customfield_10016: 3, project: { key: 'A' } });
+  assert.deepEqual(values, { summary: 'x', customfield_10016: 3, project: { key: 'A' } });
+  assert.deepEqual(resolved, {});
+  assert.equal(jira.calls, 0);
+});
+
+test('resolveKeys maps display names case-insensitively and reports the mapping', async () => {
+  const catalog = new FieldCatalog(new MetadataCache(fakeJira()));
+  const { values, resolved } = await catalog.resolveKeys({ 'story  points': 5, 'cf[10003]': 8 });
+  assert.deepEqual(values, { customfield_10016: 5, customfield_10003: 8 });
+  assert.deepEqual(resolved, { 'story  points': 'customfield_10016', 'cf[10003]': 'customfield_10003' });
+});
+
+test('ambiguous names throw FieldResolutionError listing candidates', async () => {
+  const catalog = new FieldCatalog(new MetadataCache(fakeJira()));
+  await assert.rejects(
+    () => catalog.resolveKey('Team'),
+    (err) => {
+      assert.ok(err instanceof FieldResolutionError);
+      assert.match(err.message, /ambiguous/);
+      assert.deepEqual(
+        err.candidates.map((c) => c.id),
+        ['customfield_10001', 'customfield_10002']
+      );
+      return true;
+    }
+  );
+});
+
+test('unknown names refetch the field list once, then throw with similar fields as candidates', async () => {
+  const jira = fakeJira();
+  const catalog = new FieldCatalog(new MetadataCache(jira));
+  await catalog.list();
+  await assert.rejects(
+    () => catalog.resolveKey('Story'),
+    (err) => {
+      assert.match(err.message, /Unknown field "Story"/);
+      assert.deepEqual(
+        err.candidates.map((c) => c.name),
+        ['Story Points', 'Story point estimate']
+      );
+      return true;
+    }
+  );
+  assert.equal(jira.calls, 2);
+});
+
+test('a name and an id for the same field are rejected as duplicates', async () => {
+  const catalog = new FieldCatalog(new MetadataCache(fakeJira()));
+  await assert.rejects(
+    () => catalog.resolveKeys({ customfield_10016: 1, 'Story Points': 2 }),
+    /both refer to customfield_10016/
+  );
+});
+
+test('field list is cached until it is invalidated', async () => {
+  const jira = fakeJira();
+  const catalog = new FieldCatalog(new MetadataCache(jira));
+  await catalog.resolveKey('Story Points');
+  await catalog.resolveKey('Summary');
+  assert.equal(jira.calls, 1);
+  catalog.invalidate();
+  await catalog.resolveKey('Summary');
+  assert.equal(jira.calls, 2);
+});
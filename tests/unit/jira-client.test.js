@@ -194,6 +194,53 @@ test('postJson returns empty object on 204', async () => {
   assert.deepEqual(res, {});
 });
 
+test('postMultipart sends FormData with the XSRF bypass header and no JSON content type', async () => {
+  let seen;
+  globalThis.fetch = async (url, opts) => {
+    seen = { url, opts };
+    return new Response(JSON.stringify([{ id: '1' }]), {
+      status: 200,
+      headers: { 'content-type': 'application/json' },
+    });
+  };
+
+  const client = new JiraClient({
+    baseUrl: 'https://example.atlassian.net',
+    auth: { type: 'bearer', token: 'abc123' },
+  });
+
+  const form = new FormData();
+  form.append('file', new Blob(['hi']), 'a.txt');
+  const res = await client.postMultipart('/rest/api/3/issue/TEST-1/attachments', form);
+
+  assert.deepEqual(res, [{ id: '1' }]);
+  assert.equal(seen.opts.headers['X-Atlassian-Token'], 'no-check');
+  assert.equal(seen.opts.headers['Content-Type'], undefined);
+  assert.equal(seen.opts.body, form);
+});
+
+test('getBytes returns the raw body and deleteJson handles 204', async () => {
+  const calls = [];
+  globalThis.fetch = async (url, opts) => {
+    calls.push({ url, opts });
+    if (opts.method === 'DELETE') return new Response(null, { status: 204 });
+    return new Response(new Uint8Array([1, 2, 3]), { status: 200, headers: { 'content-type': 'image/png' } });
+  };
+
+  const client = new JiraClient({
+    baseUrl: 'https://example.atlassian.net',
+    auth: { type: 'bearer', token: 'abc123' },
+  });
+
+  const { data, contentType } = await client.getBytes('/rest/api/3/attachment/content/1');
+  assert.deepEqual([...data], [1, 2, 3]);
+  assert.equal(contentType, 'image/png');
+  assert.equal(calls[0].opts.headers.Accept, '*/*');
+
+  assert.deepEqual(await client.deleteJson('/rest/api/3/attachment/1'), {});
+  assert.equal(calls[1].opts.method, 'DELETE');
+});
+
 test.afterEach(() => {
   globalThis.fetch = originalFetch;
 });
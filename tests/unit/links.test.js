@@ -0,0 +1,76 @@
+/**
+ * Unit tests for issue link type resolution and link flattening
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LinkTypeResolutionError, compactIssueLinks, resolveLinkType } from '../../dist/jira/links.js';
+
+const TYPES = [
+  { id: '1', name: 'Blocks', inward: 'is blocked by', outward: 'blocks' },
+  { id: '2', name: 'Duplicate', inward: 'is duplicated by', outward: 'duplicates' },
+  { id: '3', name: 'Relates', inward: 'relates to', outward: 'relates to' },
+  { id: '4', name: 'Cloners', inward: 'is cloned by', outward: 'clones' },
+];
+
+test('resolveLinkType matches type names, defaulting to outward', () => {
+  assert.deepEqual(resolveLinkType(TYPES, 'blocks'), { type: TYPES[0], direction: 'outward' });
+  assert.deepEqual(resolveLinkType(TYPES, ' DUPLICATE '), { type: TYPES[1], direction: 'outward' });
+  assert.equal(resolveLinkType(TYPES, 'Blocks', 'inward').direction, 'inward');
+});
+
+test('resolveLinkType matches inward/outward phrases case-insensitively', () => {
+  assert.deepEqual(resolveLinkType(TYPES, 'Is  Blocked By'), { type: TYPES[0], direction: 'inward' });
+  assert.deepEqual(resolveLinkType(TYPES, 'duplicates'), { type: TYPES[1], direction: 'outward' });
+  assert.equal(resolveLinkType(TYPES, 'relates to').type.name, 'Relates');
+  assert.equal(resolveLinkType(TYPES, 'relates to', 'inward').type.name, 'Relates');
+});
+
+test('resolveLinkType rejects a phrase contradicting the requested direction', () => {
+  assert.throws(() => resolveLinkType(TYPES, 'is blocked by', 'outward'), /inward description of "Blocks"/);
+});
+
+test('resolveLinkType lists all link types for unknown names', () => {
+  assert.throws(
+    () => resolveLinkType(TYPES, 'depends on'),
+    (err) => {
+      assert.ok(err instanceof LinkTypeResolutionError);
+      assert.equal(err.candidates.length, 4);
+      return true;
+    }
+  );
+});
+
+test('compactIssueLinks flattens issuelinks with the phrase from this issue\'s side', () => {
+  const links = compactIssueLinks([
+    {
+      id: '100',
+      type: TYPES[0],
+      outwardIssue: { key: 'A-2', fields: { summary: 'Two', status: { name: 'Done' }, issuetype: { name: 'Bug' } } },
+    },
+    { id: '101', type: TYPES[0], inwardIssue: { key: 'A-3', fields: { summary: 'Three' } } },
+  ]);
+  assert.deepEqual(links, [
+    {
+      id: '100',
+      type: 'Blocks',
+      direction: 'outward',
+      relation: 'blocks',
+      key: 'A-2',
+      summary: 'Two',
+      status: 'Done',
+      issueType: 'Bug',
+    },
+    {
+      id: '101',
+      type: 'Blocks',
+      direction: 'inward',
+      relation: 'is blocked by',
+      key: 'A-3',
+      summary: 'Three',
+      status: undefined,
+      issueType: undefined,
+    },
+  ]);
+});
@@ -0,0 +1,184 @@
+/**
+ * Unit tests for the Markdown -> ADF converter
+ *
+ * Every converted document is also run through assertValidAdfDoc.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { assertValidAdfDoc, markdownToAdf } from '../../dist/jira/adf.js';
+
+function convert(markdown) {
+  const doc = markdownToAdf(markdown);
+  assertValidAdfDoc(doc, 'markdown');
+  return doc;
+}
+
+test('markdownToAdf returns an empty doc for empty input', () => {
+  assert.deepEqual(convert(''), { type: 'doc', version: 1, content: [] });
+});
+
+test('markdownToAdf converts ATX and setext headings', () => {
+  const doc = convert('# One\n\n### Three ###\n\nTwo\n---');
+  assert.deepEqual(
+    doc.content.map((n) => [n.type, n.attrs.level, n.content[0].text]),
+    [
+      ['heading', 1, 'One'],
+      ['heading', 3, 'Three'],
+      ['heading', 2, 'Two'],
+    ]
+  );
+});
+
+test('markdownToAdf converts inline marks, links and code spans', () => {
+  const doc = convert('Some *em*, **strong**, ~~gone~~, `x = 1` and [docs](https://example.com "Docs").');
+  assert.deepEqual(doc.content[0].content, [
+    { type: 'text', text: 'Some ' },
+    { type: 'text', text: 'em', marks: [{ type: 'em' }] },
+    { type: 'text', text: ', ' },
+    { type: 'text', text: 'strong', marks: [{ type: 'strong' }] },
+    { type: 'text', text: ', ' },
+    { type: 'text', text: 'gone', marks: [{ type: 'strike' }] },
+    { type: 'text', text: ', ' },
+    { type: 'text', text: 'x = 1', marks: [{ type: 'code' }] },
+    { type: 'text', text: ' and ' },
+    { type: 'text', text: 'docs', marks: [{ type: 'link', attrs: { href: 'https://example.com' } }] },
+    { type: 'text', text: '.' },
+  ]);
+});
+
+test('markdownToAdf nests emphasis and keeps code marks link-only', () => {
+  const doc = convert('***both*** and **bold `code`**');
+  assert.deepEqual(doc.content[0].content, [
+    { type: 'text', text: 'both', marks: [{ type: 'em' }, { type: 'strong' }] },
+    { type: 'text', text: ' and ' },
+    { type: 'text', text: 'bold ', marks: [{ type: 'strong' }] },
+    { type: 'text', text: 'code', marks: [{ type: 'code' }] },
+  ]);
+});
+
+test('markdownToAdf leaves intraword underscores and escapes alone', () => {
+  const doc = convert('snake_case_name and \\*not em\\*');
+  assert.deepEqual(doc.content[0].content, [{ type: 'text', text: 'snake_case_name and *not em*' }]);
+});
+
+test('markdownToAdf autolinks bare URLs, angle-bracket links and reference links', () => {
+  const doc = convert('See https://example.com/a. or <mailto:x@y.z> or [ref].\n\n[ref]: https://ref.example');
+  const links = doc.content[0].content.filter((n) => n.marks?.[0]?.type === 'link');
+  assert.deepEqual(
+    links.map((n) => [n.text, n.marks[0].attrs.href]),
+    [
+      ['https://example.com/a', 'https://example.com/a'],
+      ['mailto:x@y.z', 'mailto:x@y.z'],
+      ['ref', 'https://ref.example'],
+    ]
+  );
+});
+
+test('markdownToAdf keeps only the label of links with an empty destination', () => {
+  const doc = convert('See [x]() and ![]() here');
+  assert.deepEqual(doc.content[0].content, [{ type: 'text', text: 'See x and  here' }]);
+});
+
+test('markdownToAdf treats soft line breaks as spaces and trailing double spaces as hard breaks', () => {
+  const doc = convert('one\ntwo  \nthree');
+  assert.deepEqual(doc.content[0].content, [
+    { type: 'text', text: 'one two' },
+    { type: 'hardBreak' },
+    { type: 'text', text: 'three' },
+  ]);
+});
+
+test('markdownToAdf converts nested bullet and ordered lists', () => {
+  const doc = convert('- a\n- b\n  1. one\n  2. two\n\n3. three');
+  const [bullets, ordered] = doc.content;
+  assert.equal(bullets.type, 'bulletList');
+  assert.equal(bullets.content.length, 2);
+  const nested = bullets.content[1].content[1];
+  assert.equal(nested.type, 'orderedList');
+  assert.deepEqual(nested.attrs, { order: 1 });
+  assert.equal(nested.content.length, 2);
+  assert.equal(ordered.type, 'orderedList');
+  assert.deepEqual(ordered.attrs, { order: 3 });
+});
+
+test('markdownToAdf converts GFM task lists to taskList/taskItem', () => {
+  const doc = convert('- [ ] write tests\n- [x] ship it');
+  const [list] = doc.content;
+  assert.equal(list.type, 'taskList');
+  assert.ok(list.attrs.localId);
+  assert.deepEqual(
+    list.content.map((item) => [item.type, item.attrs.state, item.content[0].text]),
+    [
+      ['taskItem', 'TODO', 'write tests'],
+      ['taskItem', 'DONE', 'ship it'],
+    ]
+  );
+  const ids = [list.attrs.localId, ...list.content.map((item) => item.attrs.localId)];
+  assert.equal(new Set(ids).size, ids.length, 'localIds should be unique');
+});
+
+test('markdownToAdf keeps checkbox text when a list mixes tasks and plain items', () => {
+  const doc = convert('- [ ] task\n- plain');
+  assert.equal(doc.content[0].type, 'bulletList');
+  assert.equal(doc.content[0].content[0].content[0].content[0].text, '[ ] task');
+});
+
+test('markdownToAdf converts fenced and indented code blocks', () => {
+  const doc = convert('```ts\nconst a = 1;\n\nconst b = *2*;\n```\n\n    indented\n    code');
+  assert.deepEqual(doc.content, [
+    {
+      type: 'codeBlock',
+      attrs: { language: 'ts' },
+      content: [{ type: 'text', text: 'const a = 1;\n\nconst b = *2*;' }],
+    },
+    { type: 'codeBlock', attrs: {}, content: [{ type: 'text', text: 'indented\ncode' }] },
+  ]);
+});
+
+test('markdownToAdf converts blockquotes and thematic breaks', () => {
+  const doc = convert('> quoted\nlazy line\n> - item\n\n***');
+  const [quote, rule] = doc.content;
+  assert.equal(quote.type, 'blockquote');
+  assert.deepEqual(quote.content[0].content, [{ type: 'text', text: 'quoted lazy line' }]);
+  assert.equal(quote.content[1].type, 'bulletList');
+  assert.deepEqual(rule, { type: 'rule' });
+});
+
+test('markdownToAdf converts GFM tables with header cells', () => {
+  const doc = convert('| Name | Value |\n| --- | :-: |\n| a | `x|y` |\n| b |');
+  const [table] = doc.content;
+  assert.equal(table.type, 'table');
+  assert.equal(table.content.length, 3);
+  assert.deepEqual(
+    table.content[0].content.map((cell) => cell.type),
+    ['tableHeader', 'tableHeader']
+  );
+  assert.deepEqual(table.content[1].content[1].content[0].content, [
+    { type: 'text', text: 'x|y', marks: [{ type: 'code' }] },
+  ]);
+  assert.equal(table.content[2].content.length, 2, 'short rows are padded to the header width');
+});
+
+test('markdownToAdf rewrites headings inside list items as paragraphs', () => {
+  const doc = convert('- # Heading item');
+  assert.deepEqual(doc.content[0].content[0].content, [
+    { type: 'paragraph', content: [{ type: 'text', text: 'Heading item' }] },
+  ]);
+});
+
+test('markdownToAdf keeps thematic breaks inside blockquotes and list items as text', () => {
+  const paragraphs = (nodes) => nodes.map((n) => [n.type, n.content[0].text]);
+  const expected = [
+    ['paragraph', 'a'],
+    ['paragraph', '---'],
+    ['paragraph', 'b'],
+  ];
+
+  const quote = convert('> a\n>\n> ---\n>\n> b');
+  assert.deepEqual(paragraphs(quote.content[0].content), expected);
+
+  const list = convert('- a\n\n  ---\n\n  b');
+  assert.deepEqual(paragraphs(list.content[0].content[0].content), expected);
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit tests for JiraClient retry/backoff behavior
+ *
+ * Delays are kept at 0-1ms so the tests stay fast and deterministic.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { JiraClient, JiraHttpError, retryDelayFromHeaders } from '../../dist/jira/client.js';
+
+const originalFetch = globalThis.fetch;
+
+test.afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+function clientWithRetries(retry = {}) {
+  return new JiraClient({
+    baseUrl: 'https://example.atlassian.net',
+    auth: { type: 'bearer', token: 'abc123' },
+    retry: { maxRetries: 3, baseDelayMs: 1, maxDelayMs: 5, ...retry },
+  });
+}
+
+function sequenceFetch(responses) {
+  const calls = [];
+  globalThis.fetch = async (url, opts) => {
+    calls.push({ url, opts });
+    const next = responses[Math.min(calls.length - 1, responses.length - 1)];
+    if (next instanceof Error) throw next;
+    return next();
+  };
+  return calls;
+}
+
+const ok = () =>
+  new Response(JSON.stringify({ ok: true }), { status: 200, headers: { 'content-type': 'application/json' } });
+const status = (code, headers = {}) => () => new Response('busy', { status: code, statusText: 'Busy', headers });
+
+test('getJson retries 429 and 503 then succeeds', async () => {
+  const calls = sequenceFetch([status(429, { 'retry-after': '0' }), status(503), ok]);
+  const res = await clientWithRetries().getJson('/rest/api/3/myself');
+  assert.deepEqual(res, { ok: true });
+  assert.equal(calls.length, 3);
+});
+
+test('gives up after maxRetries and reports retry count on JiraHttpError', async () => {
+  const calls = sequenceFetch([status(502)]);
+  await assert.rejects(
+    () => clientWithRetries({ maxRetries: 2 }).getJson('/rest/api/3/myself'),
+    (err) => {
+      assert.ok(err instanceof JiraHttpError);
+      assert.equal(err.status, 502);
+      assert.equal(err.retries, 2);
+      return true;
+    }
+  );
+  assert.equal(calls.length, 3, 'one attempt plus two retries');
+});
+
+test('does not retry non-retryable statuses', async () => {
+  const calls = sequenceFetch([status(400), ok]);
+  await assert.rejects(() => clientWithRetries().putJson('/rest/api/3/issue/TEST-1', {}), (err) => {
+    assert.equal(err.status, 400);
+    assert.equal(err.retries, 0);
+    return true;
+  });
+  assert.equal(calls.length, 1);
+});
+
+test('postJson is not retried unless marked retrySafe', async () => {
+  let calls = sequenceFetch([status(429, { 'retry-after': '0' }), ok]);
+  await assert.rejects(() => clientWithRetries().postJson('/rest/api/3/issue', { fields: {} }), JiraHttpError);
+  assert.equal(calls.length, 1, 'unsafe POST should not be retried');
+
+  calls = sequenceFetch([status(429, { 'retry-after': '0' }), ok]);
+  const res = await clientWithRetries().postJson('/rest/api/3/search', { jql: 'x' }, undefined, { retrySafe: true });
+  assert.deepEqual(res, { ok: true });
+  assert.equal(calls.length, 2, 'retrySafe POST should be retried');
+});
+
+test('network errors are retried for idempotent requests', async () => {
+  const calls = sequenceFetch([new TypeError('fetch failed'), ok]);
+  const res = await clientWithRetries().getJson('/rest/api/3/myself');
+  assert.deepEqual(res, { ok: true });
+  assert.equal(calls.length, 2);
+});
+
+test('retries are disabled by default for directly constructed clients', async () => {
+  const calls = sequenceFetch([status(503), ok]);
+  const client = new JiraClient({ baseUrl: 'https://example.atlassian.net', auth: { type: 'bearer', token: 't' } });
+  await assert.rejects(() => client.getJson('/rest/api/3/myself'), JiraHttpError);
+  assert.equal(calls.length, 1);
+});
+
+test('server-requested delays are capped by maxDelayMs', async () => {
+  const calls = sequenceFetch([status(429, { 'retry-after': '3600' }), ok]);
+  const started = Date.now();
+  await clientWithRetries({ maxDelayMs: 10 }).getJson('/rest/api/3/myself');
+  assert.ok(Date.now() - started < 1000, 'should not wait for the full Retry-After');
+  assert.equal(calls.length, 2);
+});
+
+test('retryDelayFromHeaders parses Retry-After seconds and dates, and X-RateLimit-Reset', () => {
+  const now = Date.parse('2025-01-01T00:00:00Z');
+  assert.equal(retryDelayFromHeaders(new Headers({ 'retry-after': '5' }), now), 5000);
+  assert.equal(retryDelayFromHeaders(new Headers({ 'retry-after': 'Wed, 01 Jan 2025 00:00:10 GMT' }), now), 10_000);
+  assert.equal(retryDelayFromHeaders(new Headers({ 'x-ratelimit-reset': '2025-01-01T00:00:30Z' }), now), 30_000);
+  assert.equal(retryDelayFromHeaders(new Headers({ 'x-ratelimit-reset': String(now / 1000 + 2) }), now), 2000);
+  assert.equal(retryDelayFromHeaders(new Headers({ 'retry-after': '2', 'x-ratelimit-reset': '2025-01-01T00:00:30Z' }), now), 2000);
+  assert.equal(retryDelayFromHeaders(new Headers(), now), undefined);
+});
@@ -0,0 +1,130 @@
+/**
+ * Unit tests for site profile parsing (JSON/YAML, env indirection, error messages)
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { JiraSites, parseSimpleYaml, parseSiteProfiles, siteProfilesFromEnv } from '../../dist/jira/sites.js';
+
+const PROFILE_ENV = ['JIRA_PROFILES', 'JIRA_PROFILES_FILE', 'PARTNER_JIRA_TOKEN'];
+
+function withEnv(vars, fn) {
+  const saved = Object.fromEntries(PROFILE_ENV.map((k) => [k, process.env[k]]));
+  try {
+    for (const k of PROFILE_ENV) delete process.env[k];
+    Object.assign(process.env, vars);
+    return fn();
+  } finally {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  }
+}
+
+test('parseSimpleYaml reads nested mappings, quotes and comments', () => {
+  const yaml = [
+    '# sites we use',
+    'defaultSite: main',
+    'sites:',
+    '  main:',
+    '    baseUrl: https://main.atlassian.net  # cloud',
+    '    email: "me@example.com"',
+    "    apiToken: 'it''s#secret'",
+    '  partner:',
+    '    baseUrl: https://partner.atlassian.net',
+    '    bearerTokenEnv: PARTNER_JIRA_TOKEN',
+  ].join('\n');
+
+  assert.deepEqual(parseSimpleYaml(yaml), {
+    defaultSite: 'main',
+    sites: {
+      main: { baseUrl: 'https://main.atlassian.net', email: 'me@example.com', apiToken: "it's#secret" },
+      partner: { baseUrl: 'https://partner.atlassian.net', bearerTokenEnv: 'PARTNER_JIRA_TOKEN' },
+    },
+  });
+});
+
+test('parseSimpleYaml rejects YAML it does not support', () => {
+  assert.throws(() => parseSimpleYaml('sites:\n  - main'), /Unsupported YAML at line 2/);
+  assert.throws(() => parseSimpleYaml('sites: [a, b]'), /Unsupported YAML at line 1/);
+  assert.throws(() => parseSimpleYaml('a:\n    b: 1\n  c: 2'), /inconsistent indentation/);
+  assert.throws(() => parseSimpleYaml('token: "SECRET\\q"'), (error) => !error.message.includes('SECRET'));
+});
+
+test('parseSiteProfiles builds auth per site and defaults to the first site', () => {
+  const profiles = withEnv({ PARTNER_JIRA_TOKEN: 'from-env' }, () =>
+    parseSiteProfiles({
+      sites: {
+        main: { baseUrl: 'https://main.atlassian.net', email: 'me@example.com', apiToken: 't1' },
+        partner: { baseUrl: 'https://partner.atlassian.net', bearerTokenEnv: 'PARTNER_JIRA_TOKEN' },
+      },
+    })
+  );
+
+  assert.equal(profiles.defaultSite, 'main');
+  assert.deepEqual(profiles.sites.main.auth, { type: 'basic', email: 'me@example.com', apiToken: 't1' });
+  assert.deepEqual(profiles.sites.partner.auth, { type: 'bearer', token: 'from-env' });
+});
+
+test('parseSiteProfiles reads an optional deployment per site', () => {
+  const profiles = parseSiteProfiles({
+    sites: {
+      cloud: { baseUrl: 'https://main.atlassian.net', bearerToken: 't1' },
+      onprem: { baseUrl: 'https://jira.example.com', bearerToken: 'pat', deployment: 'datacenter' },
+    },
+  });
+  assert.equal(profiles.sites.cloud.deployment, undefined);
+  assert.equal(profiles.sites.onprem.deployment, 'datacenter');
+  assert.equal(JiraSites.fromProfiles(profiles).get('onprem').jira.deployment, 'datacenter');
+  assert.throws(
+    () => parseSiteProfiles({ sites: { x: { baseUrl: 'https://x', bearerToken: 't', deployment: 'moon' } } }),
+    /Invalid site "x" deployment "moon"/
+  );
+});
+
+test('parseSiteProfiles errors name the site but not secrets', () => {
+  const attempts = [
+    [{ sites: {} }, /at least one site/],
+    [{ sites: { main: { email: 'me@example.com', apiToken: 'SECRET' } } }, /Site "main": baseUrl is required/],
+    [{ sites: { main: { baseUrl: 'https://x', email: 'me@example.com' } } }, /set either bearerToken/],
+    [{ sites: { main: { baseUrl: 'https://x', bearerTokenEnv: 'PARTNER_JIRA_TOKEN' } } }, /PARTNER_JIRA_TOKEN .* not set/],
+    [{ defaultSite: 'other', sites: { main: { baseUrl: 'https://x', bearerToken: 'SECRET' } } }, /defaultSite "other"/],
+    [{ sites: { 'bad name': { baseUrl: 'https://x', bearerToken: 'SECRET' } } }, /Invalid site name/],
+  ];
+  for (const [doc, expected] of attempts) {
+    withEnv({}, () =>
+      assert.throws(
+        () => parseSiteProfiles(doc),
+        (error) => expected.test(error.message) && !error.message.includes('SECRET')
+      )
+    );
+  }
+});
+
+test('siteProfilesFromEnv reads JIRA_PROFILES or a YAML/JSON JIRA_PROFILES_FILE', () => {
+  assert.equal(withEnv({}, siteProfilesFromEnv), undefined);
+
+  const inline = JSON.stringify({ sites: { main: { baseUrl: 'https://main.atlassian.net', bearerToken: 'x' } } });
+  assert.equal(withEnv({ JIRA_PROFILES: inline }, siteProfilesFromEnv).defaultSite, 'main');
+  assert.throws(() => withEnv({ JIRA_PROFILES: '{"token": SECRET' }, siteProfilesFromEnv), {
+    message: 'Invalid env var JIRA_PROFILES: not valid JSON',
+  });
+
+  const dir = mkdtempSync(join(tmpdir(), 'jira-profiles-'));
+  try {
+    const file = join(dir, 'profiles.yaml');
+    writeFileSync(file, 'sites:\n  partner:\n    baseUrl: https://partner.atlassian.net\n    bearerToken: y\n');
+    assert.deepEqual(withEnv({ JIRA_PROFILES_FILE: file }, siteProfilesFromEnv).sites.partner, {
+      baseUrl: 'https://partner.atlassian.net',
+      auth: { type: 'bearer', token: 'y' },
+    });
+    assert.throws(() => withEnv({ JIRA_PROFILES: inline, JIRA_PROFILES_FILE: file }, siteProfilesFromEnv), /only one/);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
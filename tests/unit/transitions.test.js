@@ -0,0 +1,62 @@
+/**
+ * Unit tests for workflow path finding used by jira_transition_issue toStatus
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findStatusPath, missingRequiredFields } from '../../dist/jira/transitions.js';
+
+const graph = {
+  workflowName: 'Review',
+  statuses: new Map([
+    ['1', 'Open'],
+    ['2', 'In Progress'],
+    ['3', 'In Review'],
+    ['4', 'Done'],
+    ['5', 'Blocked'],
+  ]),
+  edges: [
+    { id: '10', name: 'Start', from: ['1'], to: '2' },
+    { id: '20', name: 'Submit', from: ['2'], to: '3' },
+    { id: '30', name: 'Approve', from: ['3'], to: '4' },
+    { id: '40', name: 'Block', from: [], to: '5' },
+    { id: '50', name: 'Unblock', from: ['5'], to: '2' },
+  ],
+};
+
+test('findStatusPath returns the shortest chain of transitions', () => {
+  assert.deepEqual(
+    findStatusPath(graph, '1', '4').map((e) => e.name),
+    ['Start', 'Submit', 'Approve']
+  );
+  assert.deepEqual(findStatusPath(graph, '3', '3'), []);
+});
+
+test('findStatusPath uses global transitions from any status', () => {
+  assert.deepEqual(
+    findStatusPath(graph, '4', '3').map((e) => e.name),
+    ['Block', 'Unblock', 'Submit']
+  );
+});
+
+test('findStatusPath returns undefined when the target is unreachable', () => {
+  const oneWay = { ...graph, edges: graph.edges.filter((e) => e.id !== '40') };
+  assert.equal(findStatusPath(oneWay, '4', '1'), undefined);
+});
+
+test('missingRequiredFields ignores provided fields and fields with defaults', () => {
+  const transition = {
+    id: '30',
+    name: 'Approve',
+    fields: {
+      resolution: { required: true, name: 'Resolution' },
+      assignee: { required: true, hasDefaultValue: true, name: 'Assignee' },
+      customfield_1: { required: true, name: 'Reviewer' },
+      comment: { required: false },
+    },
+  };
+  assert.deepEqual(missingRequiredFields(transition, new Set(['customfield_1'])), [
+    { id: 'resolution', name: 'Resolution', transitionId: '30', transitionName: 'Approve' },
+  ]);
+});
@@ -0,0 +1,116 @@
+/**
+ * Unit tests for issue views (compact / standard / raw projections)
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applyIssueView, compactIssue, compactValue, parseIssueView, stripNoise } from '../../dist/jira/views.js';
+
+const user = (displayName) => ({
+  self: 'https://x.atlassian.net/rest/api/3/user?accountId=abc',
+  accountId: 'abc',
+  displayName,
+  avatarUrls: { '48x48': 'https://avatar/48' },
+});
+
+const ISSUE = {
+  expand: 'renderedFields,names',
+  id: '10001',
+  self: 'https://x.atlassian.net/rest/api/3/issue/10001',
+  key: 'TEST-1',
+  fields: {
+    summary: 'Fix login',
+    status: { self: 'https://x/status/3', name: 'In Progress', iconUrl: 'https://x/icon.png', id: '3' },
+    issuetype: { self: 'https://x/type/1', name: 'Bug', iconUrl: 'https://x/bug.png', id: '1' },
+    priority: { self: 'https://x/priority/2', name: 'High', iconUrl: 'https://x/high.svg', id: '2' },
+    assignee: user('Ann'),
+    reporter: user('Bob'),
+    labels: ['auth'],
+    parent: { id: '10000', key: 'TEST-0', fields: { summary: 'Epic' } },
+    updated: '2025-01-02T10:00:00.000+0000',
+    description: { type: 'doc', version: 1, content: [{ type: 'paragraph', content: [{ type: 'text', text: 'Hi' }] }] },
+    components: [{ self: 'https://x/component/1', id: '1', name: 'Web' }],
+    customfield_10016: 5,
+    customfield_10020: null,
+    customfield_10030: { self: 'https://x/option/1', value: 'Hardware', id: '1', child: { value: 'Keyboard', id: '2' } },
+    customfield_10040: [user('Cy'), user('Di')],
+    customfield_10050: 'dup',
+    customfield_10051: 'dup too',
+  },
+};
+
+const NAMES = {
+  customfield_10016: 'Story Points',
+  customfield_10030: 'Category',
+  customfield_10040: 'Reviewers',
+  customfield_10050: 'Team',
+  customfield_10051: 'Team',
+};
+
+test('compactIssue flattens the key facts and names non-empty custom fields', () => {
+  assert.deepEqual(compactIssue(ISSUE, NAMES), {
+    key: 'TEST-1',
+    summary: 'Fix login',
+    status: 'In Progress',
+    type: 'Bug',
+    priority: 'High',
+    assignee: 'Ann',
+    labels: ['auth'],
+    parent: 'TEST-0',
+    updated: '2025-01-02T10:00:00.000+0000',
+    customFields: {
+      'Story Points': 5,
+      Category: 'Hardware > Keyboard',
+      Reviewers: ['Cy', 'Di'],
+      Team: 'dup',
+      'Team (customfield_10051)': 'dup too',
+    },
+  });
+});
+
+test('compactIssue keeps explicitly requested system fields and falls back to field ids', () => {
+  const compact = compactIssue(ISSUE, {}, ['summary', 'description', 'components', 'reporter', 'duedate']);
+  assert.equal(compact.description, 'Hi');
+  assert.deepEqual(compact.components, ['Web']);
+  assert.equal(compact.reporter, 'Bob');
+  assert.equal('duedate' in compact, false);
+  assert.equal(compact.customFields.customfield_10016, 5);
+});
+
+test('compactIssue omits missing fields', () => {
+  assert.deepEqual(compactIssue({ key: 'TEST-2', fields: { summary: 'Only', labels: [], assignee: null } }), {
+    key: 'TEST-2',
+    summary: 'Only',
+  });
+});
+
+test('compactValue reduces users, options, named objects and ADF', () => {
+  assert.equal(compactValue(user('Ann')), 'Ann');
+  assert.equal(compactValue({ value: 'Yes', id: '1' }), 'Yes');
+  assert.deepEqual(compactValue([{ name: 'Sprint 1', id: 1, state: 'active' }]), ['Sprint 1']);
+  assert.deepEqual(compactValue({ originalEstimate: '1d', remainingEstimate: null, self: 'x' }), { originalEstimate: '1d' });
+  assert.equal(compactValue([]), undefined);
+  assert.equal(compactValue(null), undefined);
+});
+
+test('stripNoise removes self links, avatars, icons and empty values but keeps structure', () => {
+  assert.deepEqual(stripNoise({ key: 'TEST-1', self: 'x', fields: { assignee: user('Ann'), labels: [], due: null } }), {
+    key: 'TEST-1',
+    fields: { assignee: { accountId: 'abc', displayName: 'Ann' } },
+  });
+});
+
+test('applyIssueView leaves raw issues untouched', () => {
+  assert.equal(applyIssueView(ISSUE, 'raw'), ISSUE);
+  assert.equal(applyIssueView(ISSUE, 'standard').self, undefined);
+  assert.equal(applyIssueView(ISSUE, 'compact', NAMES).type, 'Bug');
+});
+
+test('parseIssueView validates the configured view', () => {
+  assert.equal(parseIssueView(undefined, 'x'), undefined);
+  assert.equal(parseIssueView(' Compact ', 'x'), 'compact');
+  assert.throws(() => parseIssueView('tiny', 'env var JIRA_ISSUE_VIEW'), {
+    message: 'Invalid env var JIRA_ISSUE_VIEW "tiny": expected compact, standard, raw',
+  });
+});
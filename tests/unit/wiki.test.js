@@ -0,0 +1,162 @@
+/**
+ * Unit tests for Jira wiki markup conversion (ADF/Markdown -> wiki, wiki -> Markdown / plain text)
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { adfToWiki, markdownToWiki, renderWikiInValue, wikiToMarkdown, wikiToText } from '../../dist/jira/wiki.js';
+
+const doc = (...content) => ({ type: 'doc', version: 1, content });
+const p = (...content) => ({ type: 'paragraph', content });
+const text = (value, ...marks) => (marks.length ? { type: 'text', text: value, marks } : { type: 'text', text: value });
+
+test('markdownToWiki converts headings, marks, links, lists, code, quotes and tables', () => {
+  const md = [
+    '# Title',
+    '',
+    'Some **bold**, *italic*, `code`, ~~gone~~ and a [link](https://x.io).',
+    '',
+    '- one',
+    '  - nested',
+    '- two',
+    '',
+    '1. first',
+    '2. second',
+    '',
+    '```js',
+    'const a = {b: 1};',
+    '```',
+    '',
+    '> quoted',
+    '',
+    '| h1 | h2 |',
+    '| --- | --- |',
+    '| a | b |',
+  ].join('\n');
+
+  assert.equal(
+    markdownToWiki(md),
+    [
+      'h1. Title',
+      '',
+      'Some *bold*, _italic_, {{code}}, -gone- and a [link|https://x.io].',
+      '',
+      '* one',
+      '** nested',
+      '* two',
+      '',
+      '# first',
+      '# second',
+      '',
+      '{code:js}',
+      'const a = {b: 1};',
+      '{code}',
+      '',
+      '{quote}',
+      'quoted',
+      '{quote}',
+      '',
+      '||h1||h2||',
+      '|a|b|',
+    ].join('\n')
+  );
+});
+
+test('adfToWiki escapes markup characters in plain text but leaves ordinary punctuation alone', () => {
+  assert.equal(
+    adfToWiki(doc(p(text('a - b, 1*2, e-mail, [x] and {y} *not bold*')))),
+    'a - b, 1*2, e-mail, \\[x\\] and \\{y\\} \\*not bold\\*'
+  );
+  assert.equal(adfToWiki(doc(p(text('- not a list')))), '\\- not a list');
+});
+
+test('adfToWiki renders mentions, panels, rules, untyped code and media', () => {
+  const wiki = adfToWiki(
+    doc(
+      p(text('Hi '), { type: 'mention', attrs: { id: 'jdoe', text: '@John' } }),
+      { type: 'panel', attrs: { panelType: 'warning' }, content: [p(text('Careful'))] },
+      { type: 'rule' },
+      { type: 'codeBlock', content: [text('raw')] },
+      { type: 'mediaSingle', content: [{ type: 'media', attrs: { type: 'file', id: 'abc', alt: 'shot.png' } }] }
+    )
+  );
+  assert.equal(
+    wiki,
+    'Hi [~jdoe]\n\n{warning}\nCareful\n{warning}\n\n----\n\n{noformat}\nraw\n{noformat}\n\n!shot.png!'
+  );
+});
+
+test('wikiToMarkdown renders headings, nested and numbered lists, panels, links and mentions', () => {
+  const wiki = [
+    'h2. Hi',
+    '* a',
+    '** b',
+    '# x',
+    '# y',
+    '{info:title=Heads up}',
+    'Careful *now*',
+    '{info}',
+    'See [~jdoe], [docs|http://d.io] and [http://e.io], {{x_y}}, -old- _new_ !img.png|thumbnail!',
+    'line\\\\break',
+  ].join('\n');
+  assert.equal(
+    wikiToMarkdown(wiki),
+    [
+      '## Hi',
+      '',
+      '- a',
+      '  - b',
+      '1. x',
+      '2. y',
+      '',
+      '> **Heads up:**',
+      '> Careful **now**',
+      '',
+      'See @jdoe, [docs](http://d.io) and <http://e.io>, `x_y`, ~~old~~ *new* [attachment: img.png]',
+      'line',
+      'break',
+    ].join('\n')
+  );
+});
+
+test('wikiToMarkdown renders code blocks verbatim and tables with a header row', () => {
+  const wiki = '{code:java}\nint *a* = 1;\n{code}\n||Name||Value||\n|a|[x|http://x.io]|';
+  assert.equal(
+    wikiToMarkdown(wiki),
+    '```java\nint *a* = 1;\n```\n\n| Name | Value |\n| --- | --- |\n| a | [x](http://x.io) |'
+  );
+});
+
+test('wikiToText strips markup', () => {
+  assert.equal(
+    wikiToText('h1. Title\n*bold* and [docs|http://d.io]\n{quote}\nsaid\n{quote}\n||a||b||\n|1|2|'),
+    'Title\n\nbold and docs\n\nsaid\n\na | b\n1 | 2'
+  );
+});
+
+test('wiki -> markdown -> wiki keeps the structure', () => {
+  const wiki = 'h3. Steps\n\n# open *it*\n# close _it_\n\n{code:sh}\nls -la\n{code}';
+  assert.equal(markdownToWiki(wikiToMarkdown(wiki)), wiki);
+});
+
+test('renderWikiInValue renders description, environment and comment bodies only', () => {
+  const issue = {
+    key: 'DC-1',
+    fields: {
+      summary: '*not markup*',
+      description: 'h1. Title',
+      environment: '*prod*',
+      comment: { comments: [{ id: '1', body: '_hi_' }] },
+    },
+  };
+  assert.deepEqual(renderWikiInValue(issue, 'markdown'), {
+    key: 'DC-1',
+    fields: {
+      summary: '*not markup*',
+      description: '# Title',
+      environment: '**prod**',
+      comment: { comments: [{ id: '1', body: '*hi*' }] },
+    },
+  });
+});
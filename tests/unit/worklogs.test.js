@@ -0,0 +1,111 @@
+/**
+ * Unit tests for worklog duration/start-time parsing and per-user summaries
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  formatDuration,
+  formatJiraDateTime,
+  parseDuration,
+  parseStartTime,
+  summarizeWorklogsByUser,
+} from '../../dist/jira/worklogs.js';
+
+test('parseDuration accepts Jira notation, long unit names and bare hours', () => {
+  assert.deepEqual(parseDuration('1h 30m'), { seconds: 5400, jira: '1h 30m' });
+  assert.deepEqual(parseDuration('2d'), { seconds: 2 * 8 * 3600, jira: '2d' });
+  assert.deepEqual(parseDuration('1w 2d'), { seconds: 7 * 8 * 3600, jira: '1w 2d' });
+  assert.deepEqual(parseDuration('90 minutes'), { seconds: 5400, jira: '1h 30m' });
+  assert.deepEqual(parseDuration('1.5h'), { seconds: 5400, jira: '1h 30m' });
+  assert.deepEqual(parseDuration('2'), { seconds: 7200, jira: '2h' });
+  assert.deepEqual(parseDuration('1H30M'), { seconds: 5400, jira: '1h 30m' });
+});
+
+test('parseDuration never rolls hours up into days or weeks', () => {
+  assert.equal(parseDuration('10h').jira, '10h');
+  assert.equal(parseDuration('40h').jira, '40h');
+  assert.equal(parseDuration('1d 10h 90m').jira, '1d 11h 30m');
+  assert.equal(parseDuration('1.5d').jira, '1.5d');
+});
+
+test('parseDuration rejects garbage, unknown units and zero', () => {
+  assert.throws(() => parseDuration('soon'), /Invalid duration "soon"/);
+  assert.throws(() => parseDuration('3 fortnights'), /unknown unit "fortnights"/);
+  assert.throws(() => parseDuration('0m'), /at least one minute/);
+  assert.throws(() => parseDuration(''), /empty/);
+});
+
+test('formatDuration uses hours and minutes', () => {
+  assert.equal(formatDuration(10 * 3600 + 60), '10h 1m');
+  assert.equal(formatDuration(50 * 3600), '50h');
+  assert.equal(formatDuration(0), '0m');
+});
+
+test('parseStartTime resolves relative days and times in local time', () => {
+  const now = new Date(2025, 2, 12, 16, 45); // Wednesday 12 March 2025, 16:45 local
+
+  const yesterday = parseStartTime('yesterday 14:00', now);
+  assert.deepEqual([yesterday.getDate(), yesterday.getHours(), yesterday.getMinutes()], [11, 14, 0]);
+
+  const today = parseStartTime('Today at 9am', now);
+  assert.deepEqual([today.getDate(), today.getHours()], [12, 9]);
+
+  const monday = parseStartTime('monday 2:30pm', now);
+  assert.deepEqual([monday.getDate(), monday.getHours(), monday.getMinutes()], [10, 14, 30]);
+
+  const lastWednesday = parseStartTime('wednesday', now);
+  assert.deepEqual([lastWednesday.getDate(), lastWednesday.getHours()], [5, 9]);
+
+  const ago = parseStartTime('3 days ago 08:15', now);
+  assert.deepEqual([ago.getDate(), ago.getHours(), ago.getMinutes()], [9, 8, 15]);
+
+  const dated = parseStartTime('2025-01-31 13:30', now);
+  assert.deepEqual([dated.getMonth(), dated.getDate(), dated.getHours(), dated.getMinutes()], [0, 31, 13, 30]);
+
+  assert.equal(parseStartTime('2025-01-31T13:30:00Z', now).toISOString(), '2025-01-31T13:30:00.000Z');
+  assert.equal(parseStartTime('now', now).getTime(), now.getTime());
+  assert.throws(() => parseStartTime('someday', now), /Invalid start time/);
+  assert.throws(() => parseStartTime('yesterday 25:00', now), /Invalid time of day/);
+});
+
+test('formatJiraDateTime renders the local time with a numeric offset', () => {
+  const date = new Date(2025, 0, 2, 3, 4, 5, 6);
+  const text = formatJiraDateTime(date);
+  assert.match(text, /^2025-01-02T03:04:05\.006[+-]\d{4}$/);
+  assert.equal(Date.parse(text.replace(/([+-]\d{2})(\d{2})$/, '$1:$2')), date.getTime());
+});
+
+test('summarizeWorklogsByUser totals per author and per issue', () => {
+  const ann = { accountId: 'a', displayName: 'Ann' };
+  const bob = { accountId: 'b', displayName: 'Bob' };
+  const users = summarizeWorklogsByUser([
+    { issueKey: 'X-1', worklog: { id: '1', author: ann, started: '', timeSpentSeconds: 3600 } },
+    { issueKey: 'X-2', worklog: { id: '2', author: ann, started: '', timeSpentSeconds: 7200 } },
+    { issueKey: 'X-1', worklog: { id: '3', author: bob, started: '', timeSpentSeconds: 1800 } },
+    { issueKey: 'X-1', worklog: { id: '4', author: ann, started: '', timeSpentSeconds: 1800 } },
+  ]);
+
+  assert.deepEqual(users, [
+    {
+      accountId: 'a',
+      displayName: 'Ann',
+      timeSpentSeconds: 12600,
+      timeSpent: '3h 30m',
+      worklogs: 3,
+      issues: [
+        { key: 'X-2', timeSpentSeconds: 7200, timeSpent: '2h' },
+        { key: 'X-1', timeSpentSeconds: 5400, timeSpent: '1h 30m' },
+      ],
+    },
+    {
+      accountId: 'b',
+      displayName: 'Bob',
+      timeSpentSeconds: 1800,
+      timeSpent: '30m',
+      worklogs: 1,
+      issues: [{ key: 'X-1', timeSpentSeconds: 1800, timeSpent: '30m' }],
+    },
+  ]);
+});